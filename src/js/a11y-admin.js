@@ -0,0 +1,644 @@
+/**
+ * A11Y_ADMIN_JS
+ * PeopleSoft Accessibility Widget - Institution Configuration
+ *
+ * This module applies a configuration document published by the
+ * institution's administrators over A11Y_CONFIG:
+ * - Defaults used on first run and by Reset All
+ * - Feature flags (panel sections that are turned off)
+ * - Locked settings that users cannot change
+ * - Institution profiles, listed with the built-in profiles
+ * - Overrides for PeopleSoft roles and permission lists
+ *
+ * The document is served as JSON by a WEBLIB iScript. The last copy is
+ * cached with its ETag and applied synchronously on load, so settings never
+ * wait for the network; the iScript is then asked for changes. A changed
+ * document is validated against the schema, cached and applied, and
+ * 'a11y:adminConfigChanged' is dispatched. Invalid documents are rejected
+ * as a whole.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+(function(a11yJQ) {
+    'use strict';
+
+    // Ensure dependencies are available
+    if (typeof a11yJQ === 'undefined') {
+        console.error('[A11Y] a11yJQ not available. Load a11y-jquery-noconflict.js first.');
+        return;
+    }
+
+    var $ = a11yJQ;
+
+    var CONFIG = window.A11Y_CONFIG || {
+        features: {},
+        defaults: {},
+        validValues: {},
+        storage: { adminConfigKey: 'a11y_admin_config' },
+        admin: { enabled: false }
+    };
+
+    var LOG = window.A11Y_LOG || {
+        log: function() {},
+        info: function() { console.log.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        warn: function() { console.warn.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        error: function() { console.error.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); }
+    };
+
+    var DOCUMENT_VERSION = 1;
+
+    var PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+    var COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    /**
+     * Schema for user settings: type, and the A11Y_CONFIG.validValues list
+     * or range the value must be in. Used for defaults, locked settings and
+     * profile settings.
+     */
+    var SETTING_SCHEMA = {
+        fontSize: { type: 'number', min: 0.5, max: 3 },
+        fontFamily: { type: 'string', values: 'fontFamilies' },
+        contrastMode: { type: 'string', values: 'contrastModes' },
+        colorFilter: { type: 'string', values: 'colorFilters' },
+        stopAnimations: { type: 'boolean' },
+        readingGuide: { type: 'boolean' },
+        readingGuideMode: { type: 'string', values: 'readingGuideModes' },
+        readingGuideHeight: { type: 'number', min: 20, max: 200 },
+        readingGuideColor: { type: 'string', pattern: COLOR_PATTERN },
+        readingGuideOpacity: { type: 'number', min: 0.1, max: 0.9 },
+        focusHighlight: { type: 'boolean' },
+        lineHeight: { type: 'number', min: 1, max: 3 },
+        letterSpacing: { type: 'number', min: 0, max: 10 },
+        wordSpacing: { type: 'number', min: 0, max: 20 },
+        cursorSize: { type: 'string', values: 'cursorSizes' },
+        linkHighlight: { type: 'boolean' },
+        readAloud: { type: 'boolean' },
+        speechRate: { type: 'number', min: 0.5, max: 2 },
+        speechPitch: { type: 'number', min: 0.5, max: 2 },
+        speechVoice: { type: 'string' },
+        magnifier: { type: 'boolean' },
+        magnifierZoom: { type: 'number', min: 2, max: 6 },
+        magnifierMode: { type: 'string', values: 'magnifierModes' }
+    };
+
+    /**
+     * Widget options that may be set in defaults but not locked
+     */
+    var DEFAULT_OPTION_SCHEMA = {
+        fontSizeMin: { type: 'number', min: 0.5, max: 3 },
+        fontSizeMax: { type: 'number', min: 0.5, max: 3 },
+        fontSizeStep: { type: 'number', min: 0.05, max: 0.5 },
+        widgetPosition: { type: 'string', values: 'positions' },
+        keyboardShortcutsEnabled: { type: 'boolean' }
+    };
+
+    /**
+     * Sections a document or override may contain
+     */
+    var SECTION_KEYS = ['defaults', 'features', 'locked', 'profiles'];
+
+    /**
+     * Snapshot of the configuration before any document was applied
+     */
+    var BASE = {
+        defaults: $.extend({}, CONFIG.defaults),
+        features: $.extend({}, CONFIG.features),
+        locked: $.extend({}, CONFIG.locked)
+    };
+
+    /**
+     * Get admin configuration
+     * @private
+     */
+    function getAdminConfig() {
+        return CONFIG.admin || { enabled: false };
+    }
+
+    /**
+     * Check for a plain object (not null or an array)
+     * @private
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Check for a non-empty string, or a locale -> non-empty string map
+     * @private
+     */
+    function isText(value) {
+        if (typeof value === 'string') {
+            return value.trim() !== '';
+        }
+        return isObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(function(locale) {
+            return typeof value[locale] === 'string' && value[locale].trim() !== '';
+        });
+    }
+
+    /**
+     * Check for an array of non-empty strings
+     * @private
+     */
+    function isStringList(value) {
+        return Array.isArray(value) && value.every(function(item) {
+            return typeof item === 'string' && item !== '';
+        });
+    }
+
+    /**
+     * Validate a settings object against a schema
+     * @private
+     * @param {*} settings - Settings to check
+     * @param {object} schema - key -> rule
+     * @param {string} path - Location used in error messages
+     * @param {Array} errors - Collects error messages
+     */
+    function validateSettings(settings, schema, path, errors) {
+        if (!isObject(settings)) {
+            errors.push(path + ' must be an object');
+            return;
+        }
+
+        Object.keys(settings).forEach(function(key) {
+            var rule = schema[key];
+            var value = settings[key];
+            var where = path + '.' + key;
+
+            if (!rule) {
+                errors.push(where + ' is not a known setting');
+            } else if (typeof value !== rule.type || (rule.type === 'number' && !isFinite(value))) {
+                errors.push(where + ' must be a ' + rule.type);
+            } else if (rule.values && !CONFIG.isValidValue(rule.values, value)) {
+                errors.push(where + ' must be one of: ' + CONFIG.validValues[rule.values].join(', '));
+            } else if (rule.pattern && !rule.pattern.test(value)) {
+                errors.push(where + ' must be a color such as #ffeb3b');
+            } else if (rule.type === 'number' && (value < rule.min || value > rule.max)) {
+                errors.push(where + ' must be between ' + rule.min + ' and ' + rule.max);
+            }
+        });
+    }
+
+    /**
+     * Validate the sections shared by the document and its overrides
+     * @private
+     */
+    function validateSections(section, path, errors) {
+        if (section.defaults !== undefined) {
+            validateSettings(section.defaults, $.extend({}, SETTING_SCHEMA, DEFAULT_OPTION_SCHEMA),
+                path + 'defaults', errors);
+        }
+
+        if (section.locked !== undefined) {
+            validateSettings(section.locked, SETTING_SCHEMA, path + 'locked', errors);
+        }
+
+        if (section.features !== undefined) {
+            if (!isObject(section.features)) {
+                errors.push(path + 'features must be an object');
+            } else {
+                Object.keys(section.features).forEach(function(key) {
+                    if (!BASE.features.hasOwnProperty(key)) {
+                        errors.push(path + 'features.' + key + ' is not a known feature');
+                    } else if (typeof section.features[key] !== 'boolean') {
+                        errors.push(path + 'features.' + key + ' must be true or false');
+                    }
+                });
+            }
+        }
+
+        if (section.profiles !== undefined) {
+            if (!isObject(section.profiles)) {
+                errors.push(path + 'profiles must be an object');
+                return;
+            }
+            Object.keys(section.profiles).forEach(function(id) {
+                var profile = section.profiles[id];
+                var where = path + 'profiles.' + id;
+
+                if (!PROFILE_ID_PATTERN.test(id)) {
+                    errors.push(where + ': ids use lowercase letters, digits and hyphens');
+                }
+                if (!isObject(profile)) {
+                    errors.push(where + ' must be an object');
+                    return;
+                }
+                if (!isText(profile.name)) {
+                    errors.push(where + '.name must be text or a locale -> text map');
+                }
+                if (profile.description !== undefined && !isText(profile.description)) {
+                    errors.push(where + '.description must be text or a locale -> text map');
+                }
+                validateSettings(profile.settings, SETTING_SCHEMA, where + '.settings', errors);
+            });
+        }
+    }
+
+    /**
+     * Send the configuration request
+     * @private
+     * @param {string} [etag] - ETag of the cached document
+     * @returns {Promise} Resolves with { status, etag, document }
+     */
+    function request(etag) {
+        return new Promise(function(resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.open('GET', getAdminConfig().url, true);
+            xhr.timeout = getAdminConfig().timeout || 10000;
+            xhr.withCredentials = true;
+            xhr.setRequestHeader('Accept', 'application/json');
+            if (etag) {
+                xhr.setRequestHeader('If-None-Match', etag);
+            }
+
+            xhr.onload = function() {
+                var result = { status: xhr.status, etag: xhr.getResponseHeader('ETag'), document: null };
+
+                if (xhr.status === 304 || xhr.status === 204 || xhr.status === 404) {
+                    resolve(result);
+                    return;
+                }
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(new Error('Configuration service returned HTTP ' + xhr.status));
+                    return;
+                }
+                try {
+                    result.document = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+                    resolve(result);
+                } catch (e) {
+                    // PeopleSoft returns the sign-in page as HTML when the session expired
+                    reject(new Error('Configuration service returned invalid JSON'));
+                }
+            };
+
+            xhr.onerror = function() {
+                reject(new Error('Configuration service unreachable'));
+            };
+
+            xhr.ontimeout = function() {
+                reject(new Error('Configuration service timed out'));
+            };
+
+            xhr.send(null);
+        });
+    }
+
+    /**
+     * Institution Configuration Module
+     */
+    var A11Y_ADMIN = {
+
+        // State
+        _document: null,      // Applied document
+        _profiles: {},        // Managed profiles for the current user
+        _refreshing: null,    // Pending refresh() promise
+
+        /**
+         * Apply the cached document
+         * Runs when the module loads, before A11Y_STYLES reads the defaults.
+         */
+        init: function() {
+            if (!this.isEnabled()) {
+                return;
+            }
+
+            var cache = this._readCache();
+            if (cache && this._isCacheOwner(cache)) {
+                this._apply(cache.document);
+                LOG.info('Institution configuration applied from cache');
+            }
+        },
+
+        /**
+         * Check whether an institution configuration URL is configured
+         * @returns {boolean} True if enabled
+         */
+        isEnabled: function() {
+            var admin = getAdminConfig();
+            return admin.enabled === true && Boolean(admin.url);
+        },
+
+        /**
+         * Get the applied configuration document
+         * @returns {object|null} Document, or null when none is applied
+         */
+        getDocument: function() {
+            return this._document;
+        },
+
+        /**
+         * Get the institution profiles for the current user, after overrides
+         * @returns {object} id -> { name, description, settings }
+         */
+        getProfiles: function() {
+            return $.extend(true, {}, this._profiles);
+        },
+
+        /**
+         * Validate a configuration document against the schema
+         * @param {*} doc - Parsed document
+         * @returns {Array} Error messages (empty when valid)
+         */
+        validate: function(doc) {
+            var errors = [];
+
+            if (!isObject(doc)) {
+                return ['The configuration must be a JSON object'];
+            }
+
+            Object.keys(doc).forEach(function(key) {
+                if (SECTION_KEYS.concat(['version', 'user', 'overrides']).indexOf(key) === -1) {
+                    errors.push(key + ' is not a known section');
+                }
+            });
+
+            if (doc.version !== DOCUMENT_VERSION) {
+                errors.push('version must be ' + DOCUMENT_VERSION);
+            }
+
+            if (doc.user !== undefined) {
+                if (!isObject(doc.user)) {
+                    errors.push('user must be an object');
+                } else {
+                    ['roles', 'permissionLists'].forEach(function(key) {
+                        if (doc.user[key] !== undefined && !isStringList(doc.user[key])) {
+                            errors.push('user.' + key + ' must be a list of names');
+                        }
+                    });
+                }
+            }
+
+            validateSections(doc, '', errors);
+
+            if (doc.overrides !== undefined) {
+                if (!Array.isArray(doc.overrides)) {
+                    errors.push('overrides must be a list');
+                } else {
+                    doc.overrides.forEach(function(override, index) {
+                        var path = 'overrides[' + index + '].';
+
+                        if (!isObject(override)) {
+                            errors.push(path.slice(0, -1) + ' must be an object');
+                            return;
+                        }
+                        Object.keys(override).forEach(function(key) {
+                            if (SECTION_KEYS.concat(['roles', 'permissionLists']).indexOf(key) === -1) {
+                                errors.push(path + key + ' is not a known section');
+                            }
+                        });
+                        ['roles', 'permissionLists'].forEach(function(key) {
+                            if (override[key] !== undefined && !isStringList(override[key])) {
+                                errors.push(path + key + ' must be a list of names');
+                            }
+                        });
+                        if (!(override.roles || []).length && !(override.permissionLists || []).length) {
+                            errors.push(path.slice(0, -1) + ' needs roles or permissionLists');
+                        }
+                        validateSections(override, path, errors);
+                    });
+                }
+            }
+
+            return errors;
+        },
+
+        /**
+         * Ask the server for a newer document
+         * @param {boolean} [force] - Ignore the refresh interval
+         * @returns {Promise} Resolves with true when the applied configuration changed
+         */
+        refresh: function(force) {
+            var self = this;
+
+            if (!this.isEnabled()) {
+                return Promise.resolve(false);
+            }
+            if (this._refreshing) {
+                return this._refreshing;
+            }
+
+            var cache = this._readCache();
+            if (cache && !this._isCacheOwner(cache)) {
+                // Another user signed in on this browser
+                this._clearCache();
+                cache = null;
+                this._setDocument(null);
+            }
+
+            var interval = (getAdminConfig().refreshInterval || 0) * 1000;
+            if (!force && cache && Date.now() - cache.fetchedAt < interval) {
+                return Promise.resolve(false);
+            }
+
+            this._refreshing = request(cache && cache.etag).then(function(response) {
+                if (response.status === 304 && cache) {
+                    cache.fetchedAt = Date.now();
+                    self._writeCache(cache);
+                    return false;
+                }
+
+                if (!response.document) {
+                    // No configuration published
+                    self._clearCache();
+                    return self._setDocument(null);
+                }
+
+                var errors = self.validate(response.document);
+                if (errors.length) {
+                    LOG.warn('Institution configuration rejected:', errors.join('; '));
+                    self._dispatchEvent('adminConfigError', { errors: errors });
+                    return false;
+                }
+
+                self._writeCache({
+                    etag: response.etag,
+                    oprid: self._getUserId(),
+                    fetchedAt: Date.now(),
+                    document: response.document
+                });
+                return self._setDocument(response.document);
+            }).catch(function(e) {
+                LOG.warn('Institution configuration not refreshed:', e.message);
+                return false;
+            }).then(function(changed) {
+                self._refreshing = null;
+                return changed;
+            });
+
+            return this._refreshing;
+        },
+
+        /**
+         * Apply a document and notify the other modules when it changed
+         * @private
+         * @returns {boolean} True if the configuration changed
+         */
+        _setDocument: function(doc) {
+            if (JSON.stringify(doc) === JSON.stringify(this._document)) {
+                return false;
+            }
+
+            this._apply(doc);
+            LOG.info(doc ? 'Institution configuration updated' : 'Institution configuration removed');
+            this._dispatchEvent('adminConfigChanged', { document: doc });
+            return true;
+        },
+
+        /**
+         * Merge a document, and the overrides matching the user, over the
+         * base configuration
+         * @private
+         * @param {object|null} doc - Validated document, or null for none
+         */
+        _apply: function(doc) {
+            var sections = [doc || {}].concat(this._getMatchingOverrides(doc));
+            var merged = { defaults: {}, features: {}, locked: {}, profiles: {} };
+
+            sections.forEach(function(section) {
+                SECTION_KEYS.forEach(function(key) {
+                    $.extend(merged[key], section[key]);
+                });
+            });
+
+            CONFIG.defaults = $.extend({}, BASE.defaults, merged.defaults);
+            CONFIG.features = $.extend({}, BASE.features, merged.features);
+            CONFIG.locked = $.extend({}, BASE.locked, merged.locked);
+
+            this._profiles = merged.profiles;
+            this._document = doc || null;
+        },
+
+        /**
+         * Get the overrides for the user's roles and permission lists,
+         * in document order
+         * @private
+         */
+        _getMatchingOverrides: function(doc) {
+            var user = (doc && doc.user) || {};
+            var roles = user.roles || [];
+            var permissionLists = user.permissionLists || [];
+
+            function intersects(list, values) {
+                return (list || []).some(function(name) {
+                    return values.indexOf(name) !== -1;
+                });
+            }
+
+            return ((doc && doc.overrides) || []).filter(function(override) {
+                return intersects(override.roles, roles) ||
+                    intersects(override.permissionLists, permissionLists);
+            });
+        },
+
+        /**
+         * Check that a cached document was fetched for the current user
+         * The OPRID may not be known yet while the page is loading.
+         * @private
+         */
+        _isCacheOwner: function(cache) {
+            var oprid = this._getUserId();
+            return !cache.oprid || !oprid || cache.oprid === oprid;
+        },
+
+        /**
+         * Read the cached { etag, oprid, fetchedAt, document }
+         * The cache is local to the browser and never synced to the server.
+         * @private
+         */
+        _readCache: function() {
+            var raw = null;
+            try {
+                raw = window.localStorage.getItem(this._getCacheKey());
+            } catch (e) {
+                return null;
+            }
+
+            try {
+                var cache = raw ? JSON.parse(raw) : null;
+                if (cache && this.validate(cache.document).length === 0) {
+                    return cache;
+                }
+            } catch (e) {
+                // Fall through to discard the cache
+            }
+
+            if (raw) {
+                LOG.warn('Cached institution configuration is invalid - discarding');
+                this._clearCache();
+            }
+            return null;
+        },
+
+        /**
+         * Write the cached { etag, oprid, fetchedAt, document }
+         * @private
+         */
+        _writeCache: function(cache) {
+            try {
+                window.localStorage.setItem(this._getCacheKey(), JSON.stringify(cache));
+            } catch (e) {
+                LOG.warn('Could not cache institution configuration:', e.message);
+            }
+        },
+
+        /**
+         * Discard the cached document
+         * @private
+         */
+        _clearCache: function() {
+            try {
+                window.localStorage.removeItem(this._getCacheKey());
+            } catch (e) {
+                // Storage unavailable
+            }
+        },
+
+        /**
+         * Get the localStorage key of the cache
+         * @private
+         */
+        _getCacheKey: function() {
+            return (CONFIG.storage && CONFIG.storage.adminConfigKey) || 'a11y_admin_config';
+        },
+
+        /**
+         * Get the signed-in user's OPRID, or an empty string outside PeopleSoft
+         * @private
+         */
+        _getUserId: function() {
+            return window.A11Y_PSFT ? window.A11Y_PSFT.getUserId() : '';
+        },
+
+        /**
+         * Dispatch custom event
+         * @private
+         */
+        _dispatchEvent: function(eventName, detail) {
+            try {
+                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                document.dispatchEvent(event);
+            } catch (e) {
+                var evt = document.createEvent('CustomEvent');
+                evt.initCustomEvent('a11y:' + eventName, true, true, detail);
+                document.dispatchEvent(evt);
+            }
+        }
+    };
+
+    // The cached document must be in A11Y_CONFIG before A11Y_STYLES loads
+    A11Y_ADMIN.init();
+
+    // The server copy is checked against the OPRID, so wait for DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            A11Y_ADMIN.refresh();
+        });
+    } else {
+        A11Y_ADMIN.refresh();
+    }
+
+    // Expose globally
+    window.A11Y_ADMIN = A11Y_ADMIN;
+
+})(window.a11yJQ);
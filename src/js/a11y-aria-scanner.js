@@ -4,21 +4,62 @@
  *
  * This module integrates with axe-core to provide:
  * - Automated accessibility scanning
- * - PeopleSoft-specific custom rules
+ * - PeopleSoft-specific custom rules (registered with axe-core, or run
+ *   standalone when axe-core is unavailable)
  * - Remediation reporting
  * - Developer mode with visual highlighting
+ * - Violation queries and jump-to-element (including same-origin frames)
+ * - Baseline of accepted (known) violations, e.g. Oracle-delivered issues
+ * - Exporter registry (CSV, JSON, SARIF 2.1.0, JUnit XML, standalone HTML report)
+ * - Scan history per page (IndexedDB) with scan-to-scan comparison
+ * - Multi-page crawl through a hidden same-origin iframe
+ *
+ * The scanner is built by a factory that takes the window to scan, so it
+ * also runs under Node against a jsdom window (see tools/a11y-scan-cli.js):
+ *
+ *   var createScanner = require('./a11y-aria-scanner.js');
+ *   var scanner = createScanner(dom.window, { ENABLE_CDN_FALLBACK: false });
+ *
+ * In the browser it is created for the page's window, exposed as
+ * window.A11Y_SCANNER and initialized on DOM ready.
  *
  * AXE-CORE LOADING PRIORITY:
  * 1. Existing global axe-core (if already loaded)
  * 2. Embedded axe-core (if pasted at placeholder below)
  * 3. CDN fallback (cdnjs.cloudflare.com)
  *
- * @version 1.0.2
+ * @version 1.0.5
  * @license MIT
  */
-(function(a11yJQ) {
+(function(root, factory) {
+    'use strict';
+
+    // Node: export the factory; the caller supplies the window and initializes
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory;
+        return;
+    }
+
+    var A11Y_SCANNER = factory(root);
+
+    // Initialize on DOM ready
+    if (root.document.readyState === 'loading') {
+        root.document.addEventListener('DOMContentLoaded', function() {
+            A11Y_SCANNER.init();
+        });
+    } else {
+        A11Y_SCANNER.init();
+    }
+
+    // Expose globally
+    root.A11Y_SCANNER = A11Y_SCANNER;
+
+})(typeof window !== 'undefined' ? window : this, function(window, settings) {
     'use strict';
 
+    var document = window.document;
+    var console = window.console;
+
     // ============================================================
     // CONFIGURATION - Modify these settings as needed
     // ============================================================
@@ -39,14 +80,32 @@
 
     // ============================================================
 
-    // Ensure dependencies are available
-    if (typeof a11yJQ === 'undefined') {
-        console.error('[A11Y] a11yJQ not available. Load a11y-jquery-noconflict.js first.');
-        return;
-    }
+    // Settings passed to the factory override the defaults above
+    Object.keys(settings || {}).forEach(function(key) {
+        SCANNER_CONFIG[key] = settings[key];
+    });
 
     var CONFIG = window.A11Y_CONFIG || {};
 
+    // Impact levels, most severe first
+    var IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+    var BASELINE_VERSION = 1;
+
+    // Scan history database (named by A11Y_CONFIG.storage.scanResultsKey)
+    var HISTORY_DB_VERSION = 1;
+    var HISTORY_STORE = 'scans';
+
+    // WCAG level tags used by axe-core, and their readable form
+    var WCAG_LEVEL_TAGS = {
+        'wcag2a': 'WCAG 2.0 A',
+        'wcag2aa': 'WCAG 2.0 AA',
+        'wcag2aaa': 'WCAG 2.0 AAA',
+        'wcag21a': 'WCAG 2.1 A',
+        'wcag21aa': 'WCAG 2.1 AA',
+        'wcag22aa': 'WCAG 2.2 AA'
+    };
+
     // ============================================================
     // AXE-CORE EMBED PLACEHOLDER
     // ============================================================
@@ -63,6 +122,64 @@
     /* === END AXE-CORE EMBED === */
     // ============================================================
 
+    /**
+     * Escape an identifier for use in a selector. PeopleSoft field IDs
+     * routinely contain '$' (e.g. DERIVED$prompt), which is invalid unescaped.
+     * @param {string} value - Identifier
+     * @returns {string} Escaped identifier
+     */
+    function cssEscape(value) {
+        if (window.CSS && typeof window.CSS.escape === 'function') {
+            return window.CSS.escape(value);
+        }
+        return String(value).replace(/([^a-zA-Z0-9_\u00A0-\uFFFF-])/g, '\\$1').replace(/^(\d)/, '\\3$1 ');
+    }
+
+    /**
+     * Copy the own properties of source onto target
+     * @param {object} target - Object to copy onto
+     * @param {object} source - Object to copy from
+     * @returns {object} target
+     */
+    function extend(target, source) {
+        Object.keys(source).forEach(function(key) {
+            target[key] = source[key];
+        });
+        return target;
+    }
+
+    /**
+     * Escape text for XML (and HTML) content and attribute values
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    /**
+     * Wrap an IndexedDB request in a Promise
+     * @param {IDBRequest} request - Open, get or write request
+     * @returns {Promise} Resolves with the request result
+     */
+    function promisifyRequest(request) {
+        return new Promise(function(resolve, reject) {
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                reject(request.error);
+            };
+        });
+    }
+
     /**
      * Load axe-core from CDN
      * @param {function} onSuccess - Callback on successful load
@@ -88,8 +205,8 @@
 
         script.onload = function() {
             clearTimeout(timeout);
-            if (typeof axe !== 'undefined') {
-                console.log('[A11Y] axe-core ' + axe.version + ' loaded from CDN');
+            if (window.axe) {
+                console.log('[A11Y] axe-core ' + window.axe.version + ' loaded from CDN');
                 onSuccess();
             } else {
                 onError(new Error('axe-core loaded but not available'));
@@ -110,8 +227,8 @@
      */
     function initializeAxeCore(callback) {
         // Check if axe-core is already available (embedded or pre-loaded)
-        if (typeof axe !== 'undefined') {
-            console.log('[A11Y] Using existing axe-core ' + axe.version);
+        if (window.axe) {
+            console.log('[A11Y] Using existing axe-core ' + window.axe.version);
             callback(true);
             return;
         }
@@ -141,11 +258,24 @@
         _results: null,
         _highlightElements: [],
         _developerMode: false,
-
-        // PeopleSoft-specific rule definitions
+        _pulse: null,           // Element currently pulsed by locate()
+        _baseline: null,        // Accepted violations, loaded on first use
+        _exporters: {},         // Export formats: id -> { id, label, extension, mimeType, exporter }
+        _exporterOrder: [],
+        _historyDB: null,       // Promise for the scan history database
+        _crawl: null,           // Running crawl state
+        _crawlReport: null,     // Report of the last finished crawl
+
+        _psftRulesRegistered: false,  // True once the rules below are registered with axe-core
+
+        // PeopleSoft-specific rule definitions. Registered as axe-core rules
+        // when axe is available; otherwise run by the standalone engine in
+        // _runPsftRules. Tags follow axe conventions so runOnly filters apply.
         _psftRules: [
             {
                 id: 'psft-prompt-icon',
+                impact: 'serious',
+                tags: ['psft', 'cat.name-role-value', 'wcag2a', 'wcag412', 'wcag244'],
                 description: 'PeopleSoft prompt/lookup icons must have accessible names',
                 selector: 'a[id*="ICSearch"], a[id*="ICList"], a[id*="ICDetail"], img.PTPROMPT',
                 check: function(el) {
@@ -157,6 +287,8 @@
             },
             {
                 id: 'psft-calendar-icon',
+                impact: 'serious',
+                tags: ['psft', 'cat.name-role-value', 'wcag2a', 'wcag412', 'wcag244'],
                 description: 'Calendar picker icons must have accessible names',
                 selector: 'a[id*="$prompt"], img[id*="CALENDAR"], a[id*="CALENDAR"]',
                 check: function(el) {
@@ -168,6 +300,8 @@
             },
             {
                 id: 'psft-grid-actions',
+                impact: 'serious',
+                tags: ['psft', 'cat.name-role-value', 'wcag2a', 'wcag412'],
                 description: 'Grid Add/Delete buttons must have accessible names',
                 selector: 'a[id*="$add$"], a[id*="$delete$"], a[id*="$new$"]',
                 check: function(el) {
@@ -179,6 +313,8 @@
             },
             {
                 id: 'psft-related-actions',
+                impact: 'moderate',
+                tags: ['psft', 'cat.aria', 'wcag2a', 'wcag412'],
                 description: 'Related Actions menus should use correct ARIA patterns',
                 selector: '[id*="RELATED_ACTIONS"], .ps-related-actions',
                 check: function(el) {
@@ -190,6 +326,8 @@
             },
             {
                 id: 'psft-tabs-panel',
+                impact: 'moderate',
+                tags: ['psft', 'cat.structure', 'wcag2a', 'wcag131'],
                 description: 'Tab panels must be properly associated with their tabs',
                 selector: '.PSTAB, .ps-tab-panel',
                 check: function(el) {
@@ -200,6 +338,8 @@
             },
             {
                 id: 'psft-modal-focus',
+                impact: 'serious',
+                tags: ['psft', 'cat.keyboard', 'wcag2a', 'wcag243'],
                 description: 'Modal dialogs should trap focus',
                 selector: '#ptMod_1, .ps-modal, [role="dialog"]',
                 check: function(el) {
@@ -211,18 +351,22 @@
             },
             {
                 id: 'psft-error-message',
+                impact: 'serious',
+                tags: ['psft', 'cat.forms', 'wcag2a', 'wcag131', 'wcag331'],
                 description: 'Validation errors must be linked to their fields',
                 selector: '.PSERRORMESSAGE, .ps-error-message',
                 check: function(el) {
                     // Check if error has an ID and is referenced by aria-describedby
                     if (!el.id) return false;
-                    var linkedInput = document.querySelector('[aria-describedby*="' + el.id + '"]');
+                    var linkedInput = el.ownerDocument.querySelector('[aria-describedby*="' + el.id + '"]');
                     return linkedInput !== null;
                 },
                 fix: 'Add aria-describedby to input fields, referencing the error message ID'
             },
             {
                 id: 'psft-grid-headers',
+                impact: 'moderate',
+                tags: ['psft', 'cat.tables', 'wcag2a', 'wcag131'],
                 description: 'Grid tables should have proper header associations',
                 selector: 'table.PSLEVEL1GRID, table.PSLEVEL2GRID, table.ps-grid',
                 check: function(el) {
@@ -237,13 +381,15 @@
             },
             {
                 id: 'psft-required-field',
+                impact: 'serious',
+                tags: ['psft', 'cat.forms', 'wcag2a', 'wcag131', 'wcag332'],
                 description: 'Required fields must be marked with aria-required',
                 selector: '.PSREQUIREDFLDLBL, [id*="req$"]',
                 check: function(el) {
                     // Find associated input
                     var labelFor = el.getAttribute('for');
                     if (labelFor) {
-                        var input = document.getElementById(labelFor);
+                        var input = el.ownerDocument.getElementById(labelFor);
                         return input && (input.hasAttribute('aria-required') || input.hasAttribute('required'));
                     }
                     return true; // Can't check, assume OK
@@ -264,6 +410,8 @@
                 return;
             }
 
+            this._registerBuiltInExporters();
+
             // Initialize axe-core (will try embedded, then CDN)
             initializeAxeCore(function(axeAvailable) {
                 self._axeLoaded = axeAvailable;
@@ -274,7 +422,7 @@
 
                 self._initialized = true;
                 console.log('[A11Y] ARIA Scanner initialized' +
-                    (self._axeLoaded ? ' with axe-core ' + axe.version : ' (PeopleSoft rules only)'));
+                    (self._axeLoaded ? ' with axe-core ' + window.axe.version : ' (PeopleSoft rules only)'));
 
                 // Dispatch ready event
                 self._dispatchEvent('scannerReady', { axeLoaded: self._axeLoaded });
@@ -296,7 +444,7 @@
          * @returns {string|null} Version string or null
          */
         getAxeVersion: function() {
-            return this._axeLoaded && typeof axe !== 'undefined' ? axe.version : null;
+            return this._axeLoaded && window.axe ? window.axe.version : null;
         },
 
         /**
@@ -305,7 +453,7 @@
          */
         _dispatchEvent: function(eventName, detail) {
             try {
-                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                var event = new window.CustomEvent('a11y:' + eventName, { detail: detail });
                 document.dispatchEvent(event);
             } catch (e) {
                 var evt = document.createEvent('CustomEvent');
@@ -321,12 +469,134 @@
         _configureAxe: function() {
             if (!this._axeLoaded) return;
 
-            axe.configure({
+            window.axe.configure({
                 branding: {
                     application: 'PeopleSoft A11Y Widget'
                 },
                 reporter: 'v2'
             });
+
+            this._registerPsftRules();
+        },
+
+        /**
+         * Get the PeopleSoft rules enabled in A11Y_CONFIG.axeConfig.customRules
+         * (all rules if the list is not configured)
+         * @returns {Array} Rule definitions
+         */
+        getPsftRules: function() {
+            var enabled = CONFIG.axeConfig && CONFIG.axeConfig.customRules;
+
+            if (!Array.isArray(enabled)) {
+                return this._psftRules.slice();
+            }
+
+            return this._psftRules.filter(function(rule) {
+                return enabled.indexOf(rule.id) !== -1;
+            });
+        },
+
+        /**
+         * Find a PeopleSoft rule definition by ID
+         * @private
+         */
+        _getPsftRule: function(ruleId) {
+            for (var i = 0; i < this._psftRules.length; i++) {
+                if (this._psftRules[i].id === ruleId) {
+                    return this._psftRules[i];
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Register the PeopleSoft rules with axe-core, one check per rule.
+         * axe.configure only affects this document's axe instance; frames
+         * that load the widget register the rules with their own instance.
+         * @private
+         */
+        _registerPsftRules: function() {
+            var rules = this.getPsftRules();
+
+            try {
+                window.axe.configure({
+                    checks: rules.map(function(rule) {
+                        return {
+                            id: rule.id,
+                            evaluate: function(node) {
+                                return !!rule.check(node);
+                            },
+                            metadata: {
+                                impact: rule.impact,
+                                messages: {
+                                    pass: rule.description,
+                                    fail: rule.description
+                                }
+                            }
+                        };
+                    }),
+                    rules: rules.map(function(rule) {
+                        return {
+                            id: rule.id,
+                            selector: rule.selector,
+                            impact: rule.impact,
+                            tags: rule.tags,
+                            any: [rule.id],
+                            metadata: {
+                                description: rule.description,
+                                help: rule.fix,
+                                // A string keeps axe from generating a Deque URL
+                                helpUrl: ''
+                            }
+                        };
+                    })
+                });
+
+                this._psftRulesRegistered = true;
+                console.log('[A11Y] Registered ' + rules.length + ' PeopleSoft rules with axe-core');
+            } catch (e) {
+                this._psftRulesRegistered = false;
+                console.warn('[A11Y] Could not register PeopleSoft rules with axe-core, using standalone engine:', e.message);
+            }
+        },
+
+        /**
+         * Check whether a rule is selected by an axe-style runOnly option
+         * @private
+         */
+        _isRuleSelected: function(rule, runOnly) {
+            if (!runOnly) return true;
+
+            var type = 'tag';
+            var values = runOnly;
+
+            if (typeof runOnly === 'string') {
+                values = [runOnly];
+            } else if (!Array.isArray(runOnly)) {
+                type = runOnly.type || 'tag';
+                values = [].concat(runOnly.values || runOnly.value || []);
+            }
+
+            if (type === 'rule' || type === 'rules') {
+                return values.indexOf(rule.id) !== -1;
+            }
+
+            return rule.tags.some(function(tag) {
+                return values.indexOf(tag) !== -1;
+            });
+        },
+
+        /**
+         * Get the runOnly option for a scan
+         * @private
+         */
+        _getRunOnly: function(options) {
+            if (options.runOnly) return options.runOnly;
+
+            return (CONFIG.axeConfig && CONFIG.axeConfig.runOnly) || {
+                type: 'tag',
+                values: ['wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice']
+            };
         },
 
         /**
@@ -339,61 +609,77 @@
             options = options || {};
 
             // Clear previous highlights
+            this._stopPulse();
             this.clearHighlights();
 
             // Get the scan context
             var context = options.context || document;
 
-            // Run PeopleSoft-specific rules first
-            var psftResults = this._runPsftRules(context);
+            // PeopleSoft rules run inside axe when registered, otherwise
+            // through the standalone engine. Frames without their own axe
+            // (e.g. the Classic target frame) always use the standalone engine.
+            var psftResults = this._runPsftRules(context, options, this._psftRulesRegistered);
+
+            // Only full-page scans go into the page's history
+            var record = context === document && options.history !== false;
 
             // If axe-core is loaded, run it too
             if (this._axeLoaded) {
                 return this._runAxeScan(context, options)
                     .then(function(axeResults) {
-                        self._results = self._mergeResults(psftResults, axeResults);
-
-                        if (self._developerMode) {
-                            self._highlightIssues();
-                        }
-
-                        return self._results;
+                        return self._completeScan(self._mergeResults(psftResults, axeResults), record);
                     })
                     .catch(function(error) {
                         console.error('[A11Y] axe-core scan failed:', error);
                         // Return PeopleSoft rules results as partial results
-                        self._results = psftResults;
-                        if (self._developerMode) {
-                            self._highlightIssues();
-                        }
-                        return self._results;
+                        return self._completeScan(self._psftRulesRegistered ?
+                            self._runPsftRules(context, options) : psftResults, record);
                     });
             } else {
                 // Return PeopleSoft rules only
-                this._results = psftResults;
+                return Promise.resolve(this._completeScan(psftResults, record));
+            }
+        },
 
-                if (this._developerMode) {
-                    this._highlightIssues();
-                }
+        /**
+         * Store finished scan results: apply the baseline, highlight issues
+         * in developer mode and record the scan in the page's history
+         * @private
+         * @returns {object} Results
+         */
+        _completeScan: function(results, record) {
+            this._results = this._applyBaseline(results);
 
-                return Promise.resolve(this._results);
+            if (this._developerMode) {
+                this._highlightIssues();
+            }
+
+            if (record && this.isHistoryEnabled()) {
+                this.recordScan(this._results).catch(function(error) {
+                    console.warn('[A11Y] Could not record scan history:', error && error.message);
+                });
             }
+
+            return this._results;
         },
 
         /**
-         * Run PeopleSoft-specific rules
+         * Create an empty results object for a page
          * @private
+         * @param {Document} [doc] - Scanned document (defaults to this page)
          */
-        _runPsftRules: function(context) {
-            var self = this;
-            var pageInfo = window.A11Y_PSFT ? window.A11Y_PSFT.getPageInfo() : null;
+        _createResults: function(doc) {
+            doc = doc || document;
+            var pageInfo = window.A11Y_PSFT ? window.A11Y_PSFT.getPageInfo(doc) : null;
 
-            var results = {
+            return {
                 timestamp: new Date().toISOString(),
-                url: window.location.href,
+                url: doc.location ? doc.location.href : window.location.href,
                 component: pageInfo ? pageInfo.component : 'unknown',
                 page: pageInfo ? pageInfo.page : 'unknown',
+                market: pageInfo ? pageInfo.market : '',
                 uiMode: pageInfo ? pageInfo.uiMode : 'unknown',
+                axeVersion: null,
                 violations: [],
                 passes: [],
                 incomplete: [],
@@ -404,37 +690,71 @@
                     minor: 0
                 }
             };
+        },
 
-            this._psftRules.forEach(function(rule) {
-                var elements = context.querySelectorAll(rule.selector);
-
-                elements.forEach(function(el) {
-                    var passed = rule.check(el);
-
-                    if (!passed) {
-                        results.violations.push({
-                            ruleId: rule.id,
-                            impact: 'serious',
-                            description: rule.description,
-                            help: rule.fix,
-                            helpUrl: '',
-                            wcagCriteria: ['wcag2aa'],
-                            element: {
-                                selector: self._getSelector(el),
-                                html: el.outerHTML.substring(0, 200),
-                                failureSummary: rule.description
-                            },
-                            suggestedFix: rule.fix,
-                            source: 'psft-rules'
-                        });
-                        results.summary.serious++;
-                    } else {
-                        results.passes.push({
-                            ruleId: rule.id,
-                            element: self._getSelector(el)
-                        });
+        /**
+         * Run PeopleSoft-specific rules with the standalone engine, used when
+         * axe-core is unavailable or the rules could not be registered, and
+         * for frames axe cannot reach
+         * @private
+         * @param {boolean} [framesOnly] - Only check same-origin frames that have no axe
+         */
+        _runPsftRules: function(context, options, framesOnly) {
+            var self = this;
+            var runOnly = this._getRunOnly(options || {});
+            var rules = this.getPsftRules().filter(function(rule) {
+                return self._isRuleSelected(rule, runOnly);
+            });
+            var roots = framesOnly ? [] : [{ root: context, framePath: [] }];
+
+            // A full-page scan also covers same-origin PeopleSoft frames
+            if (context === document && window.A11Y_PSFT) {
+                window.A11Y_PSFT.getContentFrames().forEach(function(frame) {
+                    var frameDoc = window.A11Y_PSFT.getFrameDocument(frame);
+                    var hasAxe = frame.contentWindow && frame.contentWindow.axe;
+                    if (frameDoc && !(framesOnly && hasAxe)) {
+                        roots.push({ root: frameDoc, framePath: [self._getSelector(frame)] });
                     }
                 });
+            }
+
+            var results = this._createResults(context.nodeType === 9 ? context : context.ownerDocument);
+
+            roots.forEach(function(entry) {
+                rules.forEach(function(rule) {
+                    var elements = entry.root.querySelectorAll(rule.selector);
+
+                    elements.forEach(function(el) {
+                        var passed = rule.check(el);
+
+                        if (!passed) {
+                            results.violations.push({
+                                ruleId: rule.id,
+                                impact: rule.impact,
+                                description: rule.description,
+                                help: rule.fix,
+                                helpUrl: '',
+                                wcagCriteria: rule.tags.filter(function(t) {
+                                    return t.indexOf('wcag') === 0;
+                                }),
+                                element: {
+                                    selector: self._getSelector(el),
+                                    framePath: entry.framePath,
+                                    html: el.outerHTML.substring(0, 200),
+                                    failureSummary: rule.description
+                                },
+                                suggestedFix: rule.fix,
+                                source: 'psft-rules'
+                            });
+                            results.summary[rule.impact]++;
+                        } else {
+                            results.passes.push({
+                                ruleId: rule.id,
+                                element: self._getSelector(el)
+                            });
+                        }
+                    });
+                });
             });
 
             return results;
@@ -446,14 +766,11 @@
          */
         _runAxeScan: function(context, options) {
             var runOptions = {
-                runOnly: options.runOnly || {
-                    type: 'tag',
-                    values: ['wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice']
-                },
+                runOnly: this._getRunOnly(options),
                 resultTypes: ['violations', 'incomplete', 'passes']
             };
 
-            return axe.run(context, runOptions).catch(function(error) {
+            return window.axe.run(context, runOptions).catch(function(error) {
                 console.error('[A11Y] axe.run error:', error);
                 // Re-throw to be handled by caller
                 throw error;
@@ -467,9 +784,15 @@
         _mergeResults: function(psftResults, axeResults) {
             var self = this;
 
+            var getSource = function(rule) {
+                return rule.tags.indexOf('psft') !== -1 ? 'psft-rules' : 'axe-core';
+            };
+
             // Process axe violations
             axeResults.violations.forEach(function(violation) {
                 violation.nodes.forEach(function(node) {
+                    var target = self._splitTarget(node.target);
+
                     psftResults.violations.push({
                         ruleId: violation.id,
                         impact: violation.impact,
@@ -480,12 +803,13 @@
                             return t.indexOf('wcag') === 0;
                         }),
                         element: {
-                            selector: node.target.join(' > '),
+                            selector: target.selector,
+                            framePath: target.framePath,
                             html: node.html,
                             failureSummary: node.failureSummary
                         },
                         suggestedFix: self._getSuggestedFix(violation.id, node),
-                        source: 'axe-core'
+                        source: getSource(violation)
                     });
 
                     psftResults.summary[violation.impact]++;
@@ -495,26 +819,63 @@
             // Process incomplete (needs manual review)
             axeResults.incomplete.forEach(function(incomplete) {
                 incomplete.nodes.forEach(function(node) {
+                    var target = self._splitTarget(node.target);
+
                     psftResults.incomplete.push({
                         ruleId: incomplete.id,
                         description: incomplete.description,
                         element: {
-                            selector: node.target.join(' > '),
+                            selector: target.selector,
+                            framePath: target.framePath,
                             html: node.html
                         },
-                        source: 'axe-core'
+                        source: getSource(incomplete)
+                    });
+                });
+            });
+
+            (axeResults.passes || []).forEach(function(pass) {
+                pass.nodes.forEach(function(node) {
+                    psftResults.passes.push({
+                        ruleId: pass.id,
+                        element: self._splitTarget(node.target).selector
                     });
                 });
             });
 
+            psftResults.axeVersion = axeResults.testEngine ? axeResults.testEngine.version : this.getAxeVersion();
+
             return psftResults;
         },
 
+        /**
+         * Split an axe-core node target into the element selector and the
+         * selectors of the frames containing it. axe lists one entry per
+         * frame level, the last entry being the element itself.
+         * @private
+         */
+        _splitTarget: function(target) {
+            var parts = (target || []).map(function(part) {
+                // Shadow DOM targets are nested arrays
+                return Array.isArray(part) ? part.join(' ') : part;
+            });
+
+            return {
+                selector: parts.length ? parts[parts.length - 1] : '',
+                framePath: parts.slice(0, -1)
+            };
+        },
+
         /**
          * Get PeopleSoft-specific fix suggestions
          * @private
          */
         _getSuggestedFix: function(ruleId, node) {
+            var psftRule = this._getPsftRule(ruleId);
+            if (psftRule) {
+                return psftRule.fix;
+            }
+
             var fixes = {
                 'button-name': 'Add aria-label via Page Field Properties or use AddJavaScript to inject aria-label',
                 'image-alt': 'Set Alt Text in Image Properties dialog in App Designer',
@@ -537,15 +898,15 @@
          */
         _getSelector: function(el) {
             if (el.id) {
-                return '#' + el.id;
+                return '#' + cssEscape(el.id);
             }
 
             var path = [];
-            while (el && el.nodeType === Node.ELEMENT_NODE) {
+            while (el && el.nodeType === window.Node.ELEMENT_NODE) {
                 var selector = el.tagName.toLowerCase();
 
                 if (el.id) {
-                    selector = '#' + el.id;
+                    selector = '#' + cssEscape(el.id);
                     path.unshift(selector);
                     break;
                 } else if (el.className && typeof el.className === 'string') {
@@ -597,13 +958,9 @@
             var self = this;
 
             this._results.violations.forEach(function(violation) {
-                try {
-                    var el = document.querySelector(violation.element.selector);
-                    if (el) {
-                        self._addHighlight(el, violation);
-                    }
-                } catch (e) {
-                    // Invalid selector, skip
+                var el = self.resolveElement(violation);
+                if (el) {
+                    self._addHighlight(el, violation);
                 }
             });
         },
@@ -643,125 +1000,1973 @@
         },
 
         /**
-         * Get current results
-         * @returns {object} Scan results
+         * Find the element a violation refers to, following its frame path
+         * @param {object} violation - Violation from getResults()
+         * @returns {Element|null} Element, or null if it is no longer on the page
          */
-        getResults: function() {
-            return this._results;
+        resolveElement: function(violation) {
+            var element = violation && violation.element;
+            if (!element || !element.selector) {
+                return null;
+            }
+
+            try {
+                var doc = document;
+                var framePath = element.framePath || [];
+
+                for (var i = 0; i < framePath.length; i++) {
+                    var frame = doc.querySelector(framePath[i]);
+                    doc = frame && window.A11Y_PSFT ?
+                        window.A11Y_PSFT.getFrameDocument(frame) :
+                        frame && frame.contentDocument;
+                    if (!doc) {
+                        return null;
+                    }
+                }
+
+                return doc.querySelector(element.selector);
+            } catch (e) {
+                // Invalid selector or cross-origin frame
+                return null;
+            }
         },
 
         /**
-         * Export results to CSV
-         * @returns {string} CSV content
+         * Scroll a violation's element into view and pulse an outline around it
+         * @param {object} violation - Violation from getResults()
+         * @returns {boolean} True if the element was found
          */
-        exportToCSV: function() {
-            if (!this._results) {
-                console.warn('[A11Y] No scan results to export');
-                return '';
+        locate: function(violation) {
+            var el = this.resolveElement(violation);
+            if (!el) {
+                return false;
             }
 
-            var rows = [
-                ['Component', 'Page', 'Rule', 'Impact', 'Element', 'Description', 'Fix', 'Source']
-            ];
+            var reduceMotion = this._prefersReducedMotion();
 
-            var self = this;
-            this._results.violations.forEach(function(v) {
-                rows.push([
-                    self._results.component,
-                    self._results.page,
-                    v.ruleId,
-                    v.impact,
-                    '"' + v.element.selector.replace(/"/g, '""') + '"',
-                    '"' + v.description.replace(/"/g, '""') + '"',
-                    '"' + v.suggestedFix.replace(/"/g, '""') + '"',
-                    v.source || 'unknown'
-                ]);
-            });
+            try {
+                el.scrollIntoView({ block: 'center', inline: 'nearest', behavior: reduceMotion ? 'auto' : 'smooth' });
+            } catch (e) {
+                el.scrollIntoView();
+            }
 
-            return rows.map(function(row) {
-                return row.join(',');
-            }).join('\n');
+            this._pulseElement(el, reduceMotion);
+            this._dispatchEvent('issueLocated', { violation: violation, element: el });
+
+            return true;
         },
 
         /**
-         * Download results as CSV file
+         * Flash an outline around an element, restoring its inline outline after.
+         * Uses inline styles because frame documents do not load the widget CSS.
+         * @private
          */
-        downloadCSV: function() {
-            var csv = this.exportToCSV();
-            if (!csv) return;
-
-            var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-            var link = document.createElement('a');
-            var url = URL.createObjectURL(blob);
+        _pulseElement: function(el, steady) {
+            this._stopPulse();
+
+            var pulse = this._pulse = {
+                element: el,
+                outline: el.style.outline,
+                outlineOffset: el.style.outlineOffset,
+                timer: null
+            };
+            var ticks = steady ? 1 : 6;
+            var count = 0;
+            var self = this;
 
-            link.setAttribute('href', url);
-            link.setAttribute('download', 'a11y-scan-' + new Date().toISOString().split('T')[0] + '.csv');
-            link.style.visibility = 'hidden';
+            el.style.outlineOffset = '4px';
+            el.style.outline = '4px solid #ff00ff';
 
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            pulse.timer = setInterval(function() {
+                count++;
+                if (count >= ticks) {
+                    self._stopPulse();
+                    return;
+                }
+                el.style.outline = count % 2 ? pulse.outline || 'none' : '4px solid #ff00ff';
+            }, steady ? 2000 : 350);
         },
 
         /**
-         * Export results to JSON
-         * @returns {string} JSON content
+         * End the current pulse and restore the element's outline
+         * @private
          */
-        exportToJSON: function() {
-            if (!this._results) {
-                console.warn('[A11Y] No scan results to export');
-                return '{}';
+        _stopPulse: function() {
+            var pulse = this._pulse;
+            if (!pulse) {
+                return;
             }
 
-            return JSON.stringify(this._results, null, 2);
+            clearInterval(pulse.timer);
+            pulse.element.style.outline = pulse.outline;
+            pulse.element.style.outlineOffset = pulse.outlineOffset;
+            this._pulse = null;
         },
 
         /**
-         * Get summary of results
-         * @returns {object} Summary object
+         * Check whether motion should be avoided (OS setting or Stop Animations)
+         * @private
          */
-        getSummary: function() {
+        _prefersReducedMotion: function() {
+            if (window.A11Y_STYLES && window.A11Y_STYLES.getSettings().stopAnimations) {
+                return true;
+            }
+            return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+        },
+
+        /**
+         * Get violations from the last scan, filtered and sorted
+         * @param {object} [options] - Query options
+         * @param {string} [options.impact] - Only this impact level
+         * @param {string} [options.status] - 'new' (includes expired baseline entries) or 'baselined'
+         * @param {string} [options.search] - Case-insensitive text matched against
+         *   rule, description, selector, HTML and fix
+         * @param {string} [options.sortBy] - 'impact' (default), 'rule', 'source' or 'selector'
+         * @returns {Array} Matching violations (the result objects themselves)
+         */
+        getViolations: function(options) {
             if (!this._results) {
-                return { total: 0, critical: 0, serious: 0, moderate: 0, minor: 0 };
+                return [];
             }
 
-            return {
-                total: this._results.violations.length,
-                critical: this._results.summary.critical,
-                serious: this._results.summary.serious,
-                moderate: this._results.summary.moderate,
-                minor: this._results.summary.minor,
-                incomplete: this._results.incomplete.length,
-                passes: this._results.passes.length
+            options = options || {};
+            var search = (options.search || '').toLowerCase().trim();
+            var sortBy = options.sortBy || 'impact';
+
+            var matches = this._results.violations.filter(function(v) {
+                if (options.impact && v.impact !== options.impact) {
+                    return false;
+                }
+                if (options.status === 'baselined' && v.baselineStatus !== 'baselined') {
+                    return false;
+                }
+                if (options.status === 'new' && v.baselineStatus === 'baselined') {
+                    return false;
+                }
+                if (search) {
+                    var haystack = [
+                        v.ruleId, v.description, v.element.selector,
+                        v.element.html, v.suggestedFix
+                    ].join(' ').toLowerCase();
+                    return haystack.indexOf(search) !== -1;
+                }
+                return true;
+            });
+
+            var keys = {
+                impact: function(v) {
+                    var rank = IMPACT_ORDER.indexOf(v.impact);
+                    return rank === -1 ? IMPACT_ORDER.length : rank;
+                },
+                rule: function(v) { return v.ruleId; },
+                source: function(v) { return v.source || ''; },
+                selector: function(v) { return v.element.selector; }
             };
+            var key = keys[sortBy] || keys.impact;
+            var all = this._results.violations;
+
+            // Secondary order is the scan order, so sorting is stable everywhere
+            return matches.sort(function(a, b) {
+                var ka = key(a);
+                var kb = key(b);
+                if (ka < kb) return -1;
+                if (ka > kb) return 1;
+                return all.indexOf(a) - all.indexOf(b);
+            });
         },
 
         /**
-         * Log results to console in a readable format
+         * Group a list of violations, keeping the list's order
+         * @param {Array} violations - Violations, e.g. from getViolations()
+         * @param {string} groupBy - 'rule', 'impact' or 'none'
+         * @returns {Array} Groups: { key, label, violations }
          */
-        logResults: function() {
-            if (!this._results) {
-                console.log('[A11Y] No scan results available. Run scan() first.');
-                return;
+        groupViolations: function(violations, groupBy) {
+            if (groupBy !== 'rule' && groupBy !== 'impact') {
+                return [{ key: 'all', label: 'All issues', violations: violations.slice() }];
             }
 
-            var summary = this.getSummary();
+            var groups = [];
+            var byKey = {};
+
+            violations.forEach(function(v) {
+                var key = groupBy === 'rule' ? v.ruleId : v.impact;
+                if (!byKey[key]) {
+                    byKey[key] = {
+                        key: key,
+                        label: groupBy === 'rule' ? v.ruleId + ' - ' + v.description : key,
+                        violations: []
+                    };
+                    groups.push(byKey[key]);
+                }
+                byKey[key].violations.push(v);
+            });
 
-            console.group('[A11Y] Accessibility Scan Results');
-            console.log('Scanner:', this._axeLoaded ? 'axe-core ' + axe.version + ' + PeopleSoft rules' : 'PeopleSoft rules only');
-            console.log('Page:', this._results.component + ' / ' + this._results.page);
-            console.log('UI Mode:', this._results.uiMode);
-            console.log('Total Issues:', summary.total);
-            console.log('  Critical:', summary.critical);
-            console.log('  Serious:', summary.serious);
-            console.log('  Moderate:', summary.moderate);
-            console.log('  Minor:', summary.minor);
-            console.log('Needs Review:', summary.incomplete);
+            if (groupBy === 'impact') {
+                groups.sort(function(a, b) {
+                    return IMPACT_ORDER.indexOf(a.key) - IMPACT_ORDER.indexOf(b.key);
+                });
+            }
 
-            if (this._results.violations.length > 0) {
+            return groups;
+        },
+
+        /**
+         * Convert axe-core WCAG tags into readable criteria
+         * e.g. ['wcag2aa', 'wcag143'] -> ['WCAG 2.0 AA', '1.4.3']
+         * @param {Array} tags - WCAG tags
+         * @returns {Array} Readable labels
+         */
+        formatWcagCriteria: function(tags) {
+            return (tags || []).map(function(tag) {
+                if (WCAG_LEVEL_TAGS[tag]) {
+                    return WCAG_LEVEL_TAGS[tag];
+                }
+                var match = /^wcag(\d)(\d)(\d+)$/.exec(tag);
+                return match ? match[1] + '.' + match[2] + '.' + match[3] : tag;
+            });
+        },
+
+        // ==================== BASELINE ====================
+
+        /**
+         * Normalize a selector so a baseline entry survives cosmetic changes
+         * (CSS escapes and whitespace). Positions are kept, so an entry covers
+         * one element unless collapseRows is set
+         * @param {string} selector - Element selector
+         * @param {boolean} [collapseRows] - Replace PeopleSoft grid row suffixes ($0, $1, ...) with $#
+         * @returns {string} Normalized selector
+         */
+        normalizeSelector: function(selector, collapseRows) {
+            var normalized = String(selector || '')
+                .replace(/\\(.)/g, '$1')
+                .replace(/\s*>\s*/g, ' > ')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            return collapseRows ? normalized.replace(/\$\d+(?=$|[^\w])/g, '$#') : normalized;
+        },
+
+        /**
+         * Get the stored baseline
+         * @returns {object} Baseline: { version, entries: [...] }
+         */
+        getBaseline: function() {
+            if (!this._baseline) {
+                this._baseline = this._loadBaseline();
+            }
+            return this._baseline;
+        },
+
+        /**
+         * Accept a violation as a known issue
+         * @param {object} violation - Violation from getResults()
+         * @param {object} [options] - Entry options
+         * @param {string} [options.reason] - Why the issue is accepted
+         * @param {string} [options.expires] - Date (YYYY-MM-DD) after which the issue counts as new again
+         * @param {string} [options.scope] - 'page' (default), 'component' or 'global'
+         * @param {boolean} [options.collapseRows] - Accept the issue on every row of its grid
+         * @returns {object} The baseline entry
+         */
+        addToBaseline: function(violation, options) {
+            options = options || {};
+
+            var results = this._results || {};
+            var scope = options.scope || 'page';
+            var collapseRows = options.collapseRows === true;
+            var entry = {
+                ruleId: violation.ruleId,
+                selector: this.normalizeSelector(violation.element.selector, collapseRows),
+                collapseRows: collapseRows,
+                component: scope === 'global' ? '*' : (results.component || ''),
+                page: scope === 'page' ? (results.page || '') : '*',
+                reason: options.reason || '',
+                expires: options.expires || null,
+                createdAt: new Date().toISOString(),
+                createdBy: window.A11Y_PSFT && window.A11Y_PSFT.getUserId ? window.A11Y_PSFT.getUserId() : ''
+            };
+
+            var baseline = this.getBaseline();
+            baseline.entries = baseline.entries.filter(function(existing) {
+                return !(existing.ruleId === entry.ruleId && existing.selector === entry.selector &&
+                    existing.component === entry.component && existing.page === entry.page);
+            });
+            baseline.entries.push(entry);
+
+            this._saveBaseline();
+            this._applyBaseline(this._results);
+            this._dispatchEvent('baselineChanged', { entry: entry, action: 'add' });
+
+            return entry;
+        },
+
+        /**
+         * Remove the baseline entry matching a violation
+         * @param {object} violation - Violation from getResults()
+         * @returns {boolean} True if an entry was removed
+         */
+        removeFromBaseline: function(violation) {
+            var entry = this._findBaselineEntry(violation, this._results, true);
+            if (!entry) {
+                return false;
+            }
+
+            var baseline = this.getBaseline();
+            baseline.entries.splice(baseline.entries.indexOf(entry), 1);
+
+            this._saveBaseline();
+            this._applyBaseline(this._results);
+            this._dispatchEvent('baselineChanged', { entry: entry, action: 'remove' });
+
+            return true;
+        },
+
+        /**
+         * Remove all baseline entries
+         */
+        clearBaseline: function() {
+            this._baseline = { version: BASELINE_VERSION, entries: [] };
+            this._saveBaseline();
+            this._applyBaseline(this._results);
+            this._dispatchEvent('baselineChanged', { action: 'clear' });
+        },
+
+        /**
+         * Export the baseline as JSON
+         * @returns {string} JSON content
+         */
+        exportBaseline: function() {
+            var baseline = this.getBaseline();
+
+            return JSON.stringify({
+                version: BASELINE_VERSION,
+                exportedAt: new Date().toISOString(),
+                entries: baseline.entries
+            }, null, 2);
+        },
+
+        /**
+         * Import a baseline exported by exportBaseline()
+         * @param {string|object} json - Baseline JSON or parsed object
+         * @param {object} [options] - { replace: true } discards current entries first
+         * @returns {object} { imported, skipped }
+         * @throws {Error} If the content is not a baseline
+         */
+        importBaseline: function(json, options) {
+            options = options || {};
+
+            var data = typeof json === 'string' ? JSON.parse(json) : json;
+            if (!data || !Array.isArray(data.entries)) {
+                throw new Error('Not an A11Y scan baseline: missing entries array');
+            }
+
+            var baseline = this.getBaseline();
+            var entries = options.replace ? [] : baseline.entries.slice();
+            var self = this;
+            var imported = 0;
+            var skipped = 0;
+
+            data.entries.forEach(function(item) {
+                if (!item || typeof item.ruleId !== 'string' || typeof item.selector !== 'string') {
+                    skipped++;
+                    return;
+                }
+
+                var collapseRows = item.collapseRows === true;
+                var entry = {
+                    ruleId: item.ruleId,
+                    selector: self.normalizeSelector(item.selector, collapseRows),
+                    collapseRows: collapseRows,
+                    component: typeof item.component === 'string' ? item.component : '*',
+                    page: typeof item.page === 'string' ? item.page : '*',
+                    reason: item.reason || '',
+                    expires: item.expires || null,
+                    createdAt: item.createdAt || new Date().toISOString(),
+                    createdBy: item.createdBy || ''
+                };
+
+                // Imported entries replace existing ones for the same issue
+                entries = entries.filter(function(existing) {
+                    return !(existing.ruleId === entry.ruleId && existing.selector === entry.selector &&
+                        existing.component === entry.component && existing.page === entry.page);
+                });
+                entries.push(entry);
+                imported++;
+            });
+
+            baseline.entries = entries;
+            this._saveBaseline();
+            this._applyBaseline(this._results);
+            this._dispatchEvent('baselineChanged', { action: 'import', imported: imported });
+
+            console.log('[A11Y] Baseline imported: ' + imported + ' entries' +
+                (skipped ? ', ' + skipped + ' skipped' : ''));
+
+            return { imported: imported, skipped: skipped };
+        },
+
+        /**
+         * Download the baseline as a JSON file
+         */
+        downloadBaseline: function() {
+            this._downloadFile(this.exportBaseline(),
+                'a11y-baseline-' + new Date().toISOString().split('T')[0] + '.json', 'application/json');
+        },
+
+        /**
+         * Check whether a baseline entry has expired
+         * @private
+         */
+        _isBaselineExpired: function(entry) {
+            if (!entry.expires) {
+                return false;
+            }
+            // Entries are valid through the end of their expiry date
+            var expires = new Date(entry.expires.length === 10 ? entry.expires + 'T23:59:59' : entry.expires);
+            return !isNaN(expires.getTime()) && expires.getTime() < Date.now();
+        },
+
+        /**
+         * Find the baseline entry for a violation
+         * @private
+         * @param {boolean} includeExpired - Also return expired entries
+         */
+        _findBaselineEntry: function(violation, results, includeExpired) {
+            if (!violation || !results) {
+                return null;
+            }
+
+            var selector = this.normalizeSelector(violation.element.selector);
+            var rowSelector = this.normalizeSelector(violation.element.selector, true);
+            var entries = this.getBaseline().entries;
+
+            for (var i = 0; i < entries.length; i++) {
+                var entry = entries[i];
+                if (entry.ruleId === violation.ruleId &&
+                        entry.selector === (entry.collapseRows ? rowSelector : selector) &&
+                        (entry.component === '*' || entry.component === results.component) &&
+                        (entry.page === '*' || entry.page === results.page) &&
+                        (includeExpired || !this._isBaselineExpired(entry))) {
+                    return entry;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Mark each violation with its baseline status:
+         * 'new', 'baselined' or 'expired' (baselined, but past its expiry)
+         * @private
+         * @returns {object} The results passed in
+         */
+        _applyBaseline: function(results) {
+            if (!results) {
+                return results;
+            }
+
+            var self = this;
+            results.violations.forEach(function(v) {
+                var entry = self._findBaselineEntry(v, results, true);
+
+                if (!entry) {
+                    v.baselineStatus = 'new';
+                    v.baseline = null;
+                } else {
+                    v.baselineStatus = self._isBaselineExpired(entry) ? 'expired' : 'baselined';
+                    v.baseline = { reason: entry.reason, expires: entry.expires };
+                }
+            });
+
+            return results;
+        },
+
+        /**
+         * Load the baseline via A11Y_STORAGE (falls back to localStorage)
+         * @private
+         */
+        _loadBaseline: function() {
+            var storage = window.A11Y_STORAGE || window.localStorage;
+
+            try {
+                var saved = storage.getItem(this._getBaselineKey());
+                if (saved) {
+                    var data = JSON.parse(saved);
+                    if (data && Array.isArray(data.entries)) {
+                        return { version: BASELINE_VERSION, entries: data.entries };
+                    }
+                }
+            } catch (e) {
+                console.warn('[A11Y] Could not load scan baseline:', e);
+            }
+
+            return { version: BASELINE_VERSION, entries: [] };
+        },
+
+        /**
+         * Save the baseline
+         * @private
+         */
+        _saveBaseline: function() {
+            var storage = window.A11Y_STORAGE || window.localStorage;
+
+            try {
+                storage.setItem(this._getBaselineKey(), JSON.stringify(this.getBaseline()));
+            } catch (e) {
+                console.warn('[A11Y] Could not save scan baseline:', e);
+            }
+        },
+
+        /**
+         * Get the baseline storage key
+         * @private
+         */
+        _getBaselineKey: function() {
+            return (CONFIG.storage && CONFIG.storage.baselineKey) || 'a11y_scan_baseline';
+        },
+
+        // ==================== HISTORY ====================
+
+        /**
+         * Check whether scans are recorded in the history database
+         * @returns {boolean} True if enabled and IndexedDB is available
+         */
+        isHistoryEnabled: function() {
+            return !(CONFIG.features && CONFIG.features.scanHistory === false) &&
+                Boolean(window.indexedDB);
+        },
+
+        /**
+         * Get the history key of a page: COMPONENT.PAGE.MARKET
+         * @param {object} [results] - Scan results or history record (defaults to the current page)
+         * @returns {string} Page key
+         */
+        getPageKey: function(results) {
+            var info = results ||
+                (window.A11Y_PSFT ? window.A11Y_PSFT.getPageInfo() : null) ||
+                {};
+
+            return [info.component || 'unknown', info.page || 'unknown', info.market || ''].join('.');
+        },
+
+        /**
+         * Record scan results in the history database. Called automatically
+         * after every full-page scan.
+         * @param {object} [results] - Scan results (defaults to the last scan)
+         * @returns {Promise} Resolves with the stored record
+         */
+        recordScan: function(results) {
+            var self = this;
+            var record = this._createHistoryRecord(results || this._results);
+
+            return this._openHistoryDB()
+                .then(function(db) {
+                    var store = db.transaction(HISTORY_STORE, 'readwrite').objectStore(HISTORY_STORE);
+                    return promisifyRequest(store.add(record));
+                })
+                .then(function(id) {
+                    record.id = id;
+                    return self._pruneHistory(record.pageKey);
+                })
+                .then(function() {
+                    self._dispatchEvent('historyUpdated', { pageKey: record.pageKey, record: record });
+                    return record;
+                });
+        },
+
+        /**
+         * Get the recorded scans of a page, oldest first
+         * @param {string} [pageKey] - Page key (defaults to the current page)
+         * @returns {Promise} Resolves with an array of history records
+         */
+        getHistory: function(pageKey) {
+            pageKey = pageKey || this.getPageKey();
+
+            return this._openHistoryDB().then(function(db) {
+                var index = db.transaction(HISTORY_STORE, 'readonly')
+                    .objectStore(HISTORY_STORE)
+                    .index('pageKey');
+
+                // Records come back in key order, which is the order recorded
+                return promisifyRequest(index.getAll(pageKey));
+            });
+        },
+
+        /**
+         * Get the recent scans of a page, each compared with the scan before it
+         * @param {string} [pageKey] - Page key (defaults to the current page)
+         * @param {number} [limit] - Number of scans (default A11Y_CONFIG.scanHistory.trendLength)
+         * @returns {Promise} Resolves with [{ record, changes }], oldest first;
+         *     changes is the compare() result, or null for the first scan recorded
+         */
+        getTrend: function(pageKey, limit) {
+            var self = this;
+            limit = limit || (CONFIG.scanHistory && CONFIG.scanHistory.trendLength) || 10;
+
+            return this.getHistory(pageKey).then(function(records) {
+                return records.map(function(record, i) {
+                    return {
+                        record: record,
+                        changes: i > 0 ? self.compare(records[i - 1], record) : null
+                    };
+                }).slice(-limit);
+            });
+        },
+
+        /**
+         * Delete recorded scans
+         * @param {string} [pageKey] - Page to clear; all pages if omitted
+         * @returns {Promise} Resolves when deleted
+         */
+        clearHistory: function(pageKey) {
+            var self = this;
+
+            return this._openHistoryDB()
+                .then(function(db) {
+                    var store = db.transaction(HISTORY_STORE, 'readwrite').objectStore(HISTORY_STORE);
+
+                    if (!pageKey) {
+                        return promisifyRequest(store.clear());
+                    }
+                    return promisifyRequest(store.index('pageKey').getAllKeys(pageKey)).then(function(ids) {
+                        return Promise.all(ids.map(function(id) {
+                            return promisifyRequest(store.delete(id));
+                        }));
+                    });
+                })
+                .then(function() {
+                    self._dispatchEvent('historyUpdated', { pageKey: pageKey || null, record: null });
+                });
+        },
+
+        /**
+         * Compare two scans of a page. Violations are matched by rule and
+         * normalized selector with grid rows collapsed (see normalizeSelector),
+         * so grid row renumbering does not count as a change.
+         * @param {object} scanA - Earlier scan results or history record
+         * @param {object} scanB - Later scan results or history record
+         * @returns {object} { fixed, new, unchanged, summary } - fixed holds
+         *     violations of scanA; new and unchanged hold violations of scanB
+         */
+        compare: function(scanA, scanB) {
+            var self = this;
+            var before = (scanA && scanA.violations) || [];
+            var after = (scanB && scanB.violations) || [];
+            var open = {};
+            var added = [];
+            var unchanged = [];
+
+            before.forEach(function(v) {
+                var key = self._getViolationKey(v);
+                (open[key] = open[key] || []).push(v);
+            });
+
+            after.forEach(function(v) {
+                var matches = open[self._getViolationKey(v)];
+                if (matches && matches.length) {
+                    matches.shift();
+                    unchanged.push(v);
+                } else {
+                    added.push(v);
+                }
+            });
+
+            // Whatever the later scan did not match has been fixed
+            var fixed = before.filter(function(v) {
+                return open[self._getViolationKey(v)].indexOf(v) !== -1;
+            });
+
+            return {
+                fixed: fixed,
+                new: added,
+                unchanged: unchanged,
+                summary: {
+                    fixed: fixed.length,
+                    new: added.length,
+                    unchanged: unchanged.length
+                }
+            };
+        },
+
+        /**
+         * Key identifying a violation across scans
+         * @private
+         */
+        _getViolationKey: function(violation) {
+            var self = this;
+            var framePath = (violation.element.framePath || []).map(function(selector) {
+                return self.normalizeSelector(selector, true);
+            });
+
+            return [
+                violation.ruleId,
+                framePath.join(' | '),
+                this.normalizeSelector(violation.element.selector, true)
+            ].join('\n');
+        },
+
+        /**
+         * Build the compact record stored for a scan
+         * @private
+         */
+        _createHistoryRecord: function(results) {
+            var summary = {
+                total: results.violations.length,
+                critical: results.summary.critical,
+                serious: results.summary.serious,
+                moderate: results.summary.moderate,
+                minor: results.summary.minor,
+                new: 0,
+                baselined: 0
+            };
+
+            var violations = results.violations.map(function(v) {
+                if (v.baselineStatus === 'baselined') {
+                    summary.baselined++;
+                } else {
+                    summary.new++;
+                }
+
+                return {
+                    ruleId: v.ruleId,
+                    impact: v.impact,
+                    description: v.description,
+                    baselineStatus: v.baselineStatus,
+                    element: {
+                        selector: v.element.selector,
+                        framePath: v.element.framePath || []
+                    }
+                };
+            });
+
+            return {
+                pageKey: this.getPageKey(results),
+                timestamp: results.timestamp,
+                url: results.url,
+                component: results.component,
+                page: results.page,
+                market: results.market,
+                release: (CONFIG.scanHistory && CONFIG.scanHistory.release) || '',
+                toolsRelease: window.A11Y_PSFT ? window.A11Y_PSFT.getToolsRelease() : '',
+                axeVersion: results.axeVersion,
+                summary: summary,
+                violations: violations
+            };
+        },
+
+        /**
+         * Delete the oldest scans of a page beyond scanHistory.maxPerPage
+         * @private
+         */
+        _pruneHistory: function(pageKey) {
+            var max = (CONFIG.scanHistory && CONFIG.scanHistory.maxPerPage) || 50;
+
+            return this._openHistoryDB().then(function(db) {
+                var store = db.transaction(HISTORY_STORE, 'readwrite').objectStore(HISTORY_STORE);
+
+                return promisifyRequest(store.index('pageKey').getAllKeys(pageKey)).then(function(ids) {
+                    return Promise.all(ids.slice(0, Math.max(0, ids.length - max)).map(function(id) {
+                        return promisifyRequest(store.delete(id));
+                    }));
+                });
+            });
+        },
+
+        /**
+         * Open (creating on first use) the scan history database
+         * @private
+         * @returns {Promise} Resolves with the IDBDatabase
+         */
+        _openHistoryDB: function() {
+            var self = this;
+
+            if (this._historyDB) {
+                return this._historyDB;
+            }
+
+            if (!window.indexedDB) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            var name = (CONFIG.storage && CONFIG.storage.scanResultsKey) || 'a11y_scan_results';
+            var request = window.indexedDB.open(name, HISTORY_DB_VERSION);
+
+            request.onupgradeneeded = function() {
+                var store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('pageKey', 'pageKey', { unique: false });
+            };
+
+            this._historyDB = promisifyRequest(request);
+
+            // Let a later call retry if the database could not be opened
+            this._historyDB.catch(function() {
+                self._historyDB = null;
+            });
+
+            return this._historyDB;
+        },
+
+        // ==================== CRAWL ====================
+
+        /**
+         * Scan a list of pages one after another in a hidden same-origin
+         * iframe and combine the results into one report.
+         *
+         * Targets are URLs (anything containing a slash) or content references,
+         * either as objects for A11Y_PSFT.getContentUrl or as strings like
+         * 'MENU.COMPONENT.MARKET?Page=PAGE'. Progress is reported through
+         * 'a11y:crawlProgress' events; cancelCrawl() stops after the current page.
+         *
+         * @param {Array} targets - URLs or content references
+         * @param {object} [options] - { pageTimeout, settleDelay, runOnly }
+         * @returns {Promise} Resolves with the crawl report (see _createCrawlReport)
+         */
+        crawl: function(targets, options) {
+            var self = this;
+            options = options || {};
+
+            if (this._crawl) {
+                return Promise.reject(new Error('A crawl is already running'));
+            }
+
+            var crawlConfig = CONFIG.crawl || {};
+            var pages = (targets || []).map(function(target) {
+                return self._resolveCrawlTarget(target);
+            });
+
+            var crawl = this._crawl = {
+                startedAt: new Date().toISOString(),
+                cancelled: false,
+                abort: null,
+                frame: this._createCrawlFrame(),
+                pageTimeout: options.pageTimeout || crawlConfig.pageTimeout || 60000,
+                settleDelay: options.settleDelay !== undefined ? options.settleDelay : (crawlConfig.settleDelay || 500)
+            };
+
+            var progress = function(index, status, page) {
+                self._dispatchEvent('crawlProgress', {
+                    index: index,
+                    total: pages.length,
+                    completed: status === 'loading' ? index : index + 1,
+                    target: page.target,
+                    status: status,
+                    error: page.error || null
+                });
+            };
+
+            var next = function(index) {
+                if (index >= pages.length) {
+                    return Promise.resolve();
+                }
+
+                var page = pages[index];
+
+                if (crawl.cancelled) {
+                    page.status = 'cancelled';
+                    return next(index + 1);
+                }
+                if (page.error) {
+                    progress(index, page.status, page);
+                    return next(index + 1);
+                }
+
+                progress(index, 'loading', page);
+
+                return self._scanCrawlPage(crawl, page, options)
+                    .then(function(results) {
+                        page.status = 'scanned';
+                        page.results = results;
+                    })
+                    .catch(function(error) {
+                        page.status = crawl.cancelled ? 'cancelled' : 'failed';
+                        page.error = crawl.cancelled ? null : error.message;
+                        if (!crawl.cancelled) {
+                            console.warn('[A11Y] Crawl: ' + page.target + ' failed:', error.message);
+                        }
+                    })
+                    .then(function() {
+                        progress(index, page.status, page);
+                        return next(index + 1);
+                    });
+            };
+
+            console.log('[A11Y] Crawl started: ' + pages.length + ' pages');
+
+            return next(0).then(function() {
+                if (crawl.frame.parentNode) {
+                    crawl.frame.parentNode.removeChild(crawl.frame);
+                }
+                self._crawl = null;
+
+                self._crawlReport = self._createCrawlReport(pages, crawl);
+                console.log('[A11Y] Crawl ' + (crawl.cancelled ? 'cancelled' : 'finished') + ': ' +
+                    self._crawlReport.summary.pagesScanned + ' of ' + pages.length + ' pages scanned');
+                self._dispatchEvent('crawlComplete', { report: self._crawlReport });
+
+                return self._crawlReport;
+            });
+        },
+
+        /**
+         * Stop a running crawl. The page being loaded is abandoned and the
+         * report covers the pages scanned so far.
+         */
+        cancelCrawl: function() {
+            if (!this._crawl) {
+                return;
+            }
+
+            this._crawl.cancelled = true;
+            if (this._crawl.abort) {
+                this._crawl.abort();
+            }
+        },
+
+        /**
+         * Check whether a crawl is running
+         * @returns {boolean} True while crawling
+         */
+        isCrawling: function() {
+            return this._crawl !== null;
+        },
+
+        /**
+         * Get the report of the last finished crawl
+         * @returns {object|null} Crawl report
+         */
+        getCrawlReport: function() {
+            return this._crawlReport;
+        },
+
+        /**
+         * Combine the results of separately scanned pages into one report,
+         * in the same form as a crawl report
+         * @param {Array} pages - [{ target, url, status, error, results }], status 'scanned' or 'failed'
+         * @returns {object} Report
+         */
+        combineResults: function(pages) {
+            return this._createCrawlReport(pages, { startedAt: new Date().toISOString(), cancelled: false });
+        },
+
+        /**
+         * Turn a crawl target into { target, url, status }, with status
+         * 'failed' and an error for targets that cannot be crawled.
+         * Content references also carry the expected component.
+         * @private
+         */
+        _resolveCrawlTarget: function(target) {
+            var page = { target: '', url: '', component: null, status: 'pending', error: null, results: null };
+
+            try {
+                if (typeof target === 'string') {
+                    target = target.trim();
+                    page.target = target;
+
+                    if (target.indexOf('/') !== -1) {
+                        page.url = target;
+                    } else {
+                        // MENU.COMPONENT.MARKET?Page=PAGE&KEY=VALUE
+                        var parts = target.split('?');
+                        var names = parts[0].split('.');
+                        if (names.length !== 3) {
+                            throw new Error('Expected a URL or MENU.COMPONENT.MARKET');
+                        }
+                        page.component = names[1];
+                        page.url = window.A11Y_PSFT.getContentUrl({
+                            menu: names[0],
+                            component: names[1],
+                            market: names[2],
+                            query: parts[1]
+                        });
+                    }
+                } else {
+                    page.target = target.label || target.url ||
+                        [target.menu, target.component, target.market || 'GBL'].join('.') +
+                        (target.page ? ' / ' + target.page : '');
+                    page.url = target.url || window.A11Y_PSFT.getContentUrl(target);
+                    page.component = target.url ? null : target.component;
+                }
+
+                var url = new window.URL(page.url, window.location.href);
+                if (url.origin !== window.location.origin) {
+                    throw new Error('Only same-origin pages can be crawled');
+                }
+                page.url = url.href;
+            } catch (e) {
+                page.status = 'failed';
+                page.error = e.message;
+            }
+
+            return page;
+        },
+
+        /**
+         * Create the hidden iframe pages are crawled in. It is rendered
+         * off-screen rather than hidden so layout-dependent rules still apply.
+         * @private
+         */
+        _createCrawlFrame: function() {
+            var frame = document.createElement('iframe');
+            frame.id = 'a11y-crawl-frame';
+            frame.title = 'Accessibility crawl';
+            frame.tabIndex = -1;
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.cssText = 'position:absolute;left:-10000px;top:0;width:1280px;height:800px;border:0;';
+            document.body.appendChild(frame);
+            return frame;
+        },
+
+        /**
+         * Load one page in the crawl frame, wait for PeopleSoft to finish
+         * processing, and scan it
+         * @private
+         * @returns {Promise} Resolves with the page's scan results
+         */
+        _scanCrawlPage: function(crawl, page, options) {
+            var self = this;
+            var frame = crawl.frame;
+
+            return new Promise(function(resolve, reject) {
+                var timer = setTimeout(function() {
+                    finish(new Error('Page did not load within ' + crawl.pageTimeout + 'ms'));
+                }, crawl.pageTimeout);
+
+                var finish = function(error) {
+                    clearTimeout(timer);
+                    frame.onload = null;
+                    crawl.abort = null;
+
+                    if (error) {
+                        reject(error);
+                        return;
+                    }
+
+                    var doc = window.A11Y_PSFT ? window.A11Y_PSFT.getFrameDocument(frame) : frame.contentDocument;
+                    if (!doc) {
+                        reject(new Error('Page could not be read (cross-origin redirect?)'));
+                        return;
+                    }
+                    // PeopleSoft answers a signed-out or unauthorized request
+                    // with a sign-in or error page rather than an HTTP error
+                    if (page.component && window.A11Y_PSFT && !window.A11Y_PSFT.getPageInfo(doc)) {
+                        reject(new Error('Component ' + page.component + ' did not open (signed out or no access?)'));
+                        return;
+                    }
+                    resolve(doc);
+                };
+
+                crawl.abort = function() {
+                    frame.src = 'about:blank';
+                    finish(new Error('Crawl cancelled'));
+                };
+
+                frame.onload = function() {
+                    finish(null);
+                };
+                frame.src = page.url;
+            }).then(function(doc) {
+                return (window.A11Y_PSFT ? window.A11Y_PSFT.waitForIdle(doc, crawl.pageTimeout) : Promise.resolve())
+                    .then(function() {
+                        // Let deferred scripts (and the page's own widget) start
+                        return new Promise(function(resolve) {
+                            setTimeout(resolve, crawl.settleDelay);
+                        });
+                    })
+                    .then(function() {
+                        if (crawl.cancelled) {
+                            throw new Error('Crawl cancelled');
+                        }
+                        return self._scanDocument(doc, options, crawl.pageTimeout);
+                    });
+            });
+        },
+
+        /**
+         * Scan a crawled document. Pages that load the widget are scanned by
+         * their own A11Y_SCANNER (axe-core and PeopleSoft rules); others with
+         * the standalone PeopleSoft rules.
+         * @private
+         * @returns {Promise} Resolves with a copy of the results
+         */
+        _scanDocument: function(doc, options, timeout) {
+            var self = this;
+            var win = doc.defaultView;
+            var scanner = win && win.A11Y_SCANNER;
+
+            // Copy, so the results outlive the frame's next navigation
+            var detach = function(results) {
+                return JSON.parse(JSON.stringify(results));
+            };
+
+            if (!scanner || scanner === this) {
+                return Promise.resolve(detach(this._applyBaseline(this._runPsftRules(doc, options))));
+            }
+
+            return new Promise(function(resolve, reject) {
+                if (scanner._initialized) {
+                    resolve();
+                    return;
+                }
+
+                var timer = setTimeout(function() {
+                    reject(new Error('Scanner in the page did not initialize within ' + timeout + 'ms'));
+                }, timeout);
+
+                doc.addEventListener('a11y:scannerReady', function() {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            }).then(function() {
+                return scanner.scan({ runOnly: options.runOnly, history: false });
+            }).then(detach);
+        },
+
+        /**
+         * Combine crawled pages into one report. The report has the same
+         * shape as scan results, so exporters accept it, plus a pages array:
+         * [{ target, url, status, error, component, page, market, summary, results }].
+         * Each violation and review item is tagged with its component, page and pageUrl.
+         * @private
+         */
+        _createCrawlReport: function(pages, crawl) {
+            var scanned = pages.filter(function(page) {
+                return page.status === 'scanned';
+            });
+
+            var report = {
+                crawl: true,
+                timestamp: crawl.startedAt,
+                finishedAt: new Date().toISOString(),
+                cancelled: crawl.cancelled,
+                url: window.location.href,
+                component: 'Crawl',
+                page: scanned.length + ' of ' + pages.length + ' pages',
+                market: '',
+                uiMode: window.A11Y_PSFT ? window.A11Y_PSFT.getUIMode() : 'unknown',
+                axeVersion: null,
+                pages: pages,
+                violations: [],
+                passes: [],
+                incomplete: [],
+                summary: {
+                    critical: 0,
+                    serious: 0,
+                    moderate: 0,
+                    minor: 0,
+                    pages: pages.length,
+                    pagesScanned: scanned.length,
+                    pagesFailed: pages.filter(function(page) { return page.status === 'failed'; }).length
+                }
+            };
+
+            scanned.forEach(function(page) {
+                var results = page.results;
+                var where = { component: results.component, page: results.page, pageUrl: results.url };
+                var tag = function(item) {
+                    return extend(extend({}, item), where);
+                };
+
+                page.component = results.component;
+                page.page = results.page;
+                page.market = results.market;
+                page.summary = { total: results.violations.length, new: 0 };
+
+                IMPACT_ORDER.forEach(function(impact) {
+                    page.summary[impact] = results.summary[impact] || 0;
+                    report.summary[impact] += page.summary[impact];
+                });
+                results.violations.forEach(function(v) {
+                    if (v.baselineStatus !== 'baselined') {
+                        page.summary.new++;
+                    }
+                });
+
+                report.violations = report.violations.concat(results.violations.map(tag));
+                report.incomplete = report.incomplete.concat(results.incomplete.map(tag));
+                report.passes = report.passes.concat(results.passes.map(tag));
+                report.axeVersion = report.axeVersion || results.axeVersion;
+            });
+
+            return report;
+        },
+
+        // ==================== RESULTS ====================
+
+        /**
+         * Get current results
+         * @returns {object} Scan results
+         */
+        getResults: function() {
+            return this._results;
+        },
+
+        /**
+         * Export results to CSV
+         * @param {object} [results] - Scan results or crawl report (defaults to the last scan)
+         * @returns {string} CSV content
+         */
+        exportToCSV: function(results) {
+            results = results || this._results;
+            if (!results) {
+                console.warn('[A11Y] No scan results to export');
+                return '';
+            }
+
+            var rows = [
+                ['Component', 'Page', 'Rule', 'Impact', 'Element', 'Description', 'Fix', 'Source',
+                    'Status', 'Baseline Reason', 'Baseline Expires']
+            ];
+
+            results.violations.forEach(function(v) {
+                rows.push([
+                    // Crawl reports tag each violation with its page
+                    v.component || results.component,
+                    v.page || results.page,
+                    v.ruleId,
+                    v.impact,
+                    '"' + v.element.selector.replace(/"/g, '""') + '"',
+                    '"' + v.description.replace(/"/g, '""') + '"',
+                    '"' + v.suggestedFix.replace(/"/g, '""') + '"',
+                    v.source || 'unknown',
+                    v.baselineStatus || 'new',
+                    '"' + (v.baseline ? v.baseline.reason : '').replace(/"/g, '""') + '"',
+                    v.baseline && v.baseline.expires ? v.baseline.expires : ''
+                ]);
+            });
+
+            return rows.map(function(row) {
+                return row.join(',');
+            }).join('\n');
+        },
+
+        /**
+         * Download results as CSV file
+         */
+        downloadCSV: function() {
+            this.downloadExport('csv');
+        },
+
+        /**
+         * Export results to JSON
+         * @param {object} [results] - Scan results or crawl report (defaults to the last scan)
+         * @returns {string} JSON content
+         */
+        exportToJSON: function(results) {
+            results = results || this._results;
+            if (!results) {
+                console.warn('[A11Y] No scan results to export');
+                return '{}';
+            }
+
+            return JSON.stringify(results, null, 2);
+        },
+
+        // ==================== EXPORTERS ====================
+
+        /**
+         * Register an export format. Registered formats get an export button
+         * in the widget panel.
+         * @param {string} id - Format identifier, e.g. 'sarif'
+         * @param {object} options - Exporter definition
+         * @param {string} options.label - Button label, e.g. 'SARIF'
+         * @param {string} options.extension - File extension without dot
+         * @param {string} options.mimeType - MIME type of the output
+         * @param {function} options.exporter - function(results, scanner) returning the file content
+         * @returns {boolean} Success status
+         */
+        registerExporter: function(id, options) {
+            if (!id || !options || typeof options.exporter !== 'function') {
+                console.warn('[A11Y] Exporter needs an id and an exporter function:', id);
+                return false;
+            }
+
+            if (!this._exporters[id]) {
+                this._exporterOrder.push(id);
+            }
+
+            this._exporters[id] = {
+                id: id,
+                label: options.label || id.toUpperCase(),
+                extension: options.extension || id,
+                mimeType: options.mimeType || 'text/plain',
+                exporter: options.exporter
+            };
+
+            this._dispatchEvent('exporterRegistered', { id: id });
+            return true;
+        },
+
+        /**
+         * Remove an export format
+         * @param {string} id - Format identifier
+         */
+        unregisterExporter: function(id) {
+            if (!this._exporters[id]) {
+                return;
+            }
+            delete this._exporters[id];
+            this._exporterOrder.splice(this._exporterOrder.indexOf(id), 1);
+            this._dispatchEvent('exporterUnregistered', { id: id });
+        },
+
+        /**
+         * Get registered export formats in registration order
+         * @returns {Array} [{ id, label, extension, mimeType }]
+         */
+        getExporters: function() {
+            var self = this;
+            return this._exporterOrder.map(function(id) {
+                var exporter = self._exporters[id];
+                return {
+                    id: exporter.id,
+                    label: exporter.label,
+                    extension: exporter.extension,
+                    mimeType: exporter.mimeType
+                };
+            });
+        },
+
+        /**
+         * Export the last scan with a registered format
+         * @param {string} id - Format identifier
+         * @param {object} [results] - Results to export instead, e.g. a crawl report
+         * @returns {string} File content, or '' if there are no results
+         */
+        exportResults: function(id, results) {
+            var exporter = this._exporters[id];
+            results = results || this._results;
+
+            if (!exporter) {
+                console.warn('[A11Y] Unknown export format:', id);
+                return '';
+            }
+            if (!results) {
+                console.warn('[A11Y] No scan results to export');
+                return '';
+            }
+
+            return exporter.exporter(results, this);
+        },
+
+        /**
+         * Export the last scan and download it as a file
+         * @param {string} id - Format identifier
+         * @param {object} [results] - Results to export instead, e.g. a crawl report
+         */
+        downloadExport: function(id, results) {
+            results = results || this._results;
+
+            var content = this.exportResults(id, results);
+            if (!content) return;
+
+            var exporter = this._exporters[id];
+            this._downloadFile(content,
+                (results.crawl ? 'a11y-crawl-' : 'a11y-scan-') +
+                    new Date().toISOString().split('T')[0] + '.' + exporter.extension,
+                exporter.mimeType + ';charset=utf-8');
+        },
+
+        /**
+         * Trigger a browser download
+         * @private
+         */
+        _downloadFile: function(content, filename, mimeType) {
+            var blob = new window.Blob([content], { type: mimeType });
+            var link = document.createElement('a');
+            var url = window.URL.createObjectURL(blob);
+
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(function() {
+                window.URL.revokeObjectURL(url);
+            }, 0);
+        },
+
+        /**
+         * Register the formats shipped with the scanner
+         * @private
+         */
+        _registerBuiltInExporters: function() {
+            var self = this;
+
+            this.registerExporter('csv', {
+                label: 'CSV',
+                extension: 'csv',
+                mimeType: 'text/csv',
+                exporter: function(results) { return self.exportToCSV(results); }
+            });
+
+            this.registerExporter('json', {
+                label: 'JSON',
+                extension: 'json',
+                mimeType: 'application/json',
+                exporter: function(results) { return self.exportToJSON(results); }
+            });
+
+            this.registerExporter('sarif', {
+                label: 'SARIF',
+                extension: 'sarif',
+                mimeType: 'application/sarif+json',
+                exporter: function(results) { return self.exportToSARIF(results); }
+            });
+
+            this.registerExporter('junit', {
+                label: 'JUnit XML',
+                extension: 'xml',
+                mimeType: 'application/xml',
+                exporter: function(results) { return self.exportToJUnit(results); }
+            });
+
+            this.registerExporter('html', {
+                label: 'HTML Report',
+                extension: 'html',
+                mimeType: 'text/html',
+                exporter: function(results) { return self.exportToHTML(results); }
+            });
+        },
+
+        /**
+         * Export results as SARIF 2.1.0 for code-scanning viewers.
+         * Baselined violations are reported with an external suppression;
+         * incomplete (needs review) items are results of kind 'review'.
+         * @param {object} [results] - Scan results (defaults to the last scan)
+         * @returns {string} SARIF JSON
+         */
+        exportToSARIF: function(results) {
+            results = results || this._results;
+            if (!results) {
+                console.warn('[A11Y] No scan results to export');
+                return '';
+            }
+
+            var self = this;
+            var rules = [];
+            var ruleIndex = {};
+            var levels = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+            var getRuleIndex = function(item) {
+                if (ruleIndex.hasOwnProperty(item.ruleId)) {
+                    return ruleIndex[item.ruleId];
+                }
+
+                var rule = {
+                    id: item.ruleId,
+                    shortDescription: { text: item.help || item.description },
+                    fullDescription: { text: item.description },
+                    properties: {
+                        tags: self.formatWcagCriteria(item.wcagCriteria || []),
+                        source: item.source || 'unknown'
+                    }
+                };
+                if (item.helpUrl) {
+                    rule.helpUri = item.helpUrl;
+                }
+                if (item.impact) {
+                    rule.defaultConfiguration = { level: levels[item.impact] || 'warning' };
+                    rule.properties.impact = item.impact;
+                }
+
+                ruleIndex[item.ruleId] = rules.length;
+                rules.push(rule);
+                return ruleIndex[item.ruleId];
+            };
+
+            var toResult = function(item, kind) {
+                var result = {
+                    ruleId: item.ruleId,
+                    ruleIndex: getRuleIndex(item),
+                    kind: kind,
+                    level: kind === 'fail' ? (levels[item.impact] || 'warning') : 'none',
+                    message: {
+                        text: kind === 'fail' ?
+                            item.description + '. Fix: ' + item.suggestedFix :
+                            'Needs review: ' + item.description
+                    },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: item.pageUrl || results.url }
+                        },
+                        logicalLocations: [{
+                            fullyQualifiedName: (item.element.framePath || []).concat(item.element.selector).join(' >>> '),
+                            kind: 'element'
+                        }]
+                    }],
+                    partialFingerprints: {
+                        a11yBaselineKey: [
+                            item.ruleId, self.normalizeSelector(item.element.selector),
+                            item.component || results.component, item.page || results.page
+                        ].join('|')
+                    },
+                    properties: {
+                        impact: item.impact || null,
+                        selector: item.element.selector,
+                        html: item.element.html || ''
+                    }
+                };
+
+                if (item.baselineStatus === 'baselined') {
+                    result.suppressions = [{
+                        kind: 'external',
+                        status: 'accepted',
+                        justification: item.baseline.reason || ''
+                    }];
+                }
+
+                return result;
+            };
+
+            var sarifResults = results.violations.map(function(v) {
+                return toResult(v, 'fail');
+            }).concat(results.incomplete.map(function(item) {
+                return toResult(item, 'review');
+            }));
+
+            return JSON.stringify({
+                $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+                version: '2.1.0',
+                runs: [{
+                    tool: {
+                        driver: {
+                            name: 'PeopleSoft A11Y Widget',
+                            version: CONFIG.version || '1.0.0',
+                            rules: rules,
+                            properties: {
+                                axeVersion: this.getAxeVersion()
+                            }
+                        }
+                    },
+                    invocations: [{
+                        executionSuccessful: true,
+                        endTimeUtc: results.timestamp
+                    }],
+                    results: sarifResults,
+                    properties: {
+                        component: results.component,
+                        page: results.page,
+                        uiMode: results.uiMode
+                    }
+                }]
+            }, null, 2);
+        },
+
+        /**
+         * Generate a standalone HTML report: page metadata, summary charts by
+         * impact and WCAG criterion, violations grouped by rule and items that
+         * need manual review. The file has no external resources, so it can
+         * be attached to an email or uploaded as-is.
+         * @param {object} [results] - Scan results (defaults to the last scan)
+         * @returns {string} HTML document
+         */
+        exportToHTML: function(results) {
+            results = results || this._results;
+            if (!results) {
+                console.warn('[A11Y] No scan results to export');
+                return '';
+            }
+
+            var self = this;
+            var esc = escapeXml;
+            var violations = results.violations;
+            var baselined = violations.filter(function(v) {
+                return v.baselineStatus === 'baselined';
+            }).length;
+            var axeVersion = results.axeVersion || null;
+            var title = results.crawl ?
+                'Accessibility Crawl Report' :
+                'Accessibility Report - ' + results.component + ' / ' + results.page;
+
+            // Bar chart as a table, so the numbers stay readable without the bars
+            var chart = function(caption, label, rows) {
+                var max = rows.reduce(function(m, row) {
+                    return Math.max(m, row.count);
+                }, 0) || 1;
+
+                return [
+                    '<table class="chart">',
+                    '<caption>' + esc(caption) + '</caption>',
+                    '<thead><tr><th scope="col">' + esc(label) + '</th><th scope="col">Issues</th>' +
+                        '<th scope="col"><span class="visually-hidden">Proportion</span></th></tr></thead>',
+                    '<tbody>'
+                ].concat(rows.map(function(row) {
+                    return '<tr><th scope="row">' + esc(row.label) + '</th><td>' + row.count + '</td>' +
+                        '<td><span class="bar bar--' + esc(row.key || 'other') + '" style="width:' +
+                        Math.round(row.count / max * 100) + '%" aria-hidden="true"></span></td></tr>';
+                }), ['</tbody>', '</table>']).join('\n');
+            };
+
+            var impactRows = IMPACT_ORDER.map(function(impact) {
+                return {
+                    key: impact,
+                    label: impact.charAt(0).toUpperCase() + impact.slice(1),
+                    count: violations.filter(function(v) { return v.impact === impact; }).length
+                };
+            });
+
+            // Success criteria only; level tags (wcag2aa) say nothing about the cause
+            var criteria = {};
+            violations.forEach(function(v) {
+                var found = self.formatWcagCriteria(v.wcagCriteria).filter(function(label) {
+                    return /^\d+\.\d+\.\d+$/.test(label);
+                });
+                (found.length ? found : ['Not mapped']).forEach(function(label) {
+                    criteria[label] = (criteria[label] || 0) + 1;
+                });
+            });
+            var criterionRows = Object.keys(criteria).sort(function(a, b) {
+                if (a === 'Not mapped') return 1;
+                if (b === 'Not mapped') return -1;
+                var pa = a.split('.').map(Number);
+                var pb = b.split('.').map(Number);
+                return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+            }).map(function(label) {
+                return { label: label, count: criteria[label] };
+            });
+
+            var scanner = ['Scanner', axeVersion ? 'axe-core ' + axeVersion + ' + PeopleSoft rules' : 'PeopleSoft rules only'];
+            var meta = results.crawl ? [
+                ['Pages', results.page + (results.cancelled ? ' (crawl cancelled)' : '')],
+                ['Started', results.timestamp],
+                ['Finished', results.finishedAt],
+                scanner,
+                ['Widget version', CONFIG.version || '1.0.0']
+            ] : [
+                ['Component', results.component],
+                ['Page', results.page],
+                ['Market', results.market || '-'],
+                ['UI mode', results.uiMode],
+                ['URL', results.url],
+                ['Scanned', results.timestamp],
+                scanner,
+                ['Widget version', CONFIG.version || '1.0.0']
+            ];
+
+            // Per-page breakdown of a crawl
+            var pagesHtml = results.pages ? [
+                '<h2>Pages</h2>',
+                '<table class="pages">',
+                '<thead><tr><th scope="col">Page</th><th scope="col">Status</th>' +
+                    '<th scope="col">Issues</th><th scope="col">New</th></tr></thead>',
+                '<tbody>'
+            ].concat(results.pages.map(function(page) {
+                var name = page.results ? page.component + ' / ' + page.page : page.target;
+                return '<tr><th scope="row">' + esc(name) + '<br><code>' + esc(page.url || page.target) + '</code></th>' +
+                    '<td>' + esc(page.status) + (page.error ? ': ' + esc(page.error) : '') + '</td>' +
+                    '<td>' + (page.summary ? page.summary.total : '-') + '</td>' +
+                    '<td>' + (page.summary ? page.summary.new : '-') + '</td></tr>';
+            }), ['</tbody>', '</table>']).join('\n') : '';
+
+            var groups = this.groupViolations(violations.slice().sort(function(a, b) {
+                return IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact) ||
+                    violations.indexOf(a) - violations.indexOf(b);
+            }), 'rule');
+
+            var violationHtml = groups.map(function(group) {
+                var first = group.violations[0];
+                var wcag = self.formatWcagCriteria(first.wcagCriteria).join(', ');
+
+                return [
+                    '<section class="rule rule--' + esc(first.impact) + '">',
+                    '<h3>' + esc(first.ruleId) + ' <span class="impact">' + esc(first.impact) + '</span></h3>',
+                    '<p>' + esc(first.description) + '</p>',
+                    '<p class="rule-meta">' +
+                        (wcag ? 'WCAG: ' + esc(wcag) + ' &middot; ' : '') +
+                        'Source: ' + esc(first.source || 'unknown') +
+                        (first.helpUrl ? ' &middot; <a href="' + esc(first.helpUrl) + '">Rule documentation</a>' : '') +
+                        '</p>',
+                    '<ol>'
+                ].concat(group.violations.map(function(v) {
+                    var framePath = v.element.framePath || [];
+                    return [
+                        '<li>',
+                        '<p><code>' + esc(v.element.selector) + '</code>' +
+                            (framePath.length ? ' in frame <code>' + esc(framePath.join(' > ')) + '</code>' : '') +
+                            (v.pageUrl ? ' on ' + esc(v.component + ' / ' + v.page) : '') +
+                            (v.baselineStatus === 'baselined' ?
+                                ' <span class="status">Baselined: ' + esc(v.baseline.reason || 'accepted issue') + '</span>' : '') +
+                            '</p>',
+                        v.element.html ? '<pre><code>' + esc(v.element.html) + '</code></pre>' : '',
+                        '<p><strong>Fix:</strong> ' + esc(v.suggestedFix) + '</p>',
+                        '</li>'
+                    ].join('\n');
+                }), ['</ol>', '</section>']).join('\n');
+            }).join('\n');
+
+            var incompleteHtml = results.incomplete.length ? [
+                '<ul>'
+            ].concat(results.incomplete.map(function(item) {
+                return '<li><strong>' + esc(item.ruleId) + '</strong>: ' + esc(item.description) +
+                    '<br><code>' + esc(item.element.selector) + '</code>' +
+                    (item.element.html ? '<pre><code>' + esc(item.element.html) + '</code></pre>' : '') + '</li>';
+            }), ['</ul>']).join('\n') : '<p>No items need manual review.</p>';
+
+            return [
+                '<!DOCTYPE html>',
+                '<html lang="en">',
+                '<head>',
+                '<meta charset="utf-8">',
+                '<meta name="viewport" content="width=device-width, initial-scale=1">',
+                '<title>' + esc(title) + '</title>',
+                '<style>',
+                'body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #212529; line-height: 1.5; }',
+                'main { max-width: 960px; margin: 0 auto; padding: 24px; }',
+                'h1 { margin-top: 0; }',
+                'dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }',
+                'dl.meta dt { font-weight: 600; }',
+                'dl.meta dd { margin: 0; word-break: break-all; }',
+                '.charts { display: flex; flex-wrap: wrap; gap: 32px; }',
+                'table.chart { border-collapse: collapse; min-width: 280px; }',
+                'table.chart caption { text-align: left; font-weight: 600; margin-bottom: 4px; }',
+                'table.chart th, table.chart td { padding: 4px 8px; border-bottom: 1px solid #dee2e6; text-align: left; }',
+                'table.chart td:last-child { width: 160px; }',
+                'table.pages { border-collapse: collapse; width: 100%; }',
+                'table.pages th, table.pages td { padding: 4px 8px; border-bottom: 1px solid #dee2e6; text-align: left; vertical-align: top; }',
+                '.bar { display: block; height: 12px; min-width: 2px; background: #666; }',
+                '.bar--critical { background: #b00020; } .bar--serious { background: #c25100; }',
+                '.bar--moderate { background: #8a6d00; } .bar--minor { background: #0057b8; }',
+                '.rule { border-left: 6px solid #666; padding: 0 16px; margin: 24px 0; }',
+                '.rule--critical { border-color: #b00020; } .rule--serious { border-color: #c25100; }',
+                '.rule--moderate { border-color: #8a6d00; } .rule--minor { border-color: #0057b8; }',
+                '.impact { font-size: 0.75em; text-transform: uppercase; border: 1px solid currentColor; padding: 0 4px; }',
+                '.rule-meta { color: #555; font-size: 0.9em; }',
+                '.status { font-size: 0.85em; color: #555; }',
+                'pre { background: #f4f4f4; padding: 8px; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }',
+                '.visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }',
+                '</style>',
+                '</head>',
+                '<body>',
+                '<main>',
+                '<h1>' + esc(title) + '</h1>',
+                '<dl class="meta">'
+            ].concat(meta.map(function(row) {
+                return '<dt>' + esc(row[0]) + '</dt><dd>' + esc(row[1]) + '</dd>';
+            }), [
+                '</dl>',
+                '<h2>Summary</h2>',
+                '<p>' + violations.length + ' issue' + (violations.length === 1 ? '' : 's') + ' found: ' +
+                    (violations.length - baselined) + ' new, ' + baselined + ' baselined. ' +
+                    results.incomplete.length + ' item' + (results.incomplete.length === 1 ? '' : 's') +
+                    ' need manual review.</p>',
+                '<div class="charts">',
+                chart('Issues by impact', 'Impact', impactRows),
+                criterionRows.length ? chart('Issues by WCAG success criterion', 'Criterion', criterionRows) : '',
+                '</div>',
+                pagesHtml,
+                '<h2>Violations</h2>',
+                violationHtml || '<p>No violations found.</p>',
+                '<h2>Needs Review</h2>',
+                incompleteHtml,
+                '</main>',
+                '</body>',
+                '</html>'
+            ]).join('\n');
+        },
+
+        /**
+         * Export results as JUnit XML. Each page is a test suite and each rule
+         * evaluated on it a test case: it fails if the rule has new violations,
+         * is skipped if all of its violations are baselined, and passes otherwise.
+         * @param {object} [results] - Scan results or crawl report (defaults to the last scan)
+         * @returns {string} JUnit XML
+         */
+        exportToJUnit: function(results) {
+            var self = this;
+            results = results || this._results;
+            if (!results) {
+                console.warn('[A11Y] No scan results to export');
+                return '';
+            }
+
+            // A crawl report holds one set of results per scanned page
+            var suites = (results.pages ? results.pages.map(function(page) {
+                return page.results;
+            }).filter(Boolean) : [results]).map(function(pageResults) {
+                return self._createJUnitSuite(pageResults);
+            });
+
+            var totals = { tests: 0, failures: 0, skipped: 0 };
+            suites.forEach(function(suite) {
+                totals.tests += suite.tests;
+                totals.failures += suite.failures;
+                totals.skipped += suite.skipped;
+            });
+
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<testsuites name="A11Y Accessibility Scan" tests="' + totals.tests + '" failures="' +
+                    totals.failures + '" errors="0" skipped="' + totals.skipped + '">'
+            ].concat(suites.map(function(suite) {
+                return suite.xml;
+            }), [
+                '</testsuites>'
+            ]).join('\n');
+        },
+
+        /**
+         * Build the JUnit test suite of one page
+         * @private
+         * @returns {object} { xml, tests, failures, skipped }
+         */
+        _createJUnitSuite: function(results) {
+            var suiteName = (results.component || 'unknown') + '.' + (results.page || 'unknown');
+            var cases = {};
+            var order = [];
+
+            var getCase = function(ruleId) {
+                if (!cases[ruleId]) {
+                    cases[ruleId] = { ruleId: ruleId, failures: [], baselined: [] };
+                    order.push(ruleId);
+                }
+                return cases[ruleId];
+            };
+
+            results.violations.forEach(function(v) {
+                var testCase = getCase(v.ruleId);
+                if (v.baselineStatus === 'baselined') {
+                    testCase.baselined.push(v);
+                } else {
+                    testCase.failures.push(v);
+                }
+            });
+            results.passes.forEach(function(p) {
+                getCase(p.ruleId);
+            });
+
+            var failures = 0;
+            var skipped = 0;
+
+            var caseXml = order.map(function(ruleId) {
+                var testCase = cases[ruleId];
+                var open = '    <testcase classname="' + escapeXml(suiteName) + '" name="' + escapeXml(ruleId) + '">';
+
+                if (testCase.failures.length) {
+                    failures++;
+                    var first = testCase.failures[0];
+                    var worst = IMPACT_ORDER.filter(function(impact) {
+                        return testCase.failures.some(function(v) {
+                            return v.impact === impact;
+                        });
+                    })[0] || first.impact;
+                    var details = testCase.failures.map(function(v) {
+                        return '[' + v.impact + '] ' + v.element.selector + '\n  Fix: ' + v.suggestedFix;
+                    }).join('\n');
+
+                    return [
+                        open,
+                        '      <failure type="' + escapeXml(worst) + '" message="' +
+                            escapeXml(testCase.failures.length + ' element(s): ' + first.description) + '">' +
+                            escapeXml(details) + '</failure>',
+                        '    </testcase>'
+                    ].join('\n');
+                }
+
+                if (testCase.baselined.length) {
+                    skipped++;
+                    return [
+                        open,
+                        '      <skipped message="' + escapeXml('Baselined: ' +
+                            (testCase.baselined[0].baseline.reason || 'accepted issue')) + '"/>',
+                        '    </testcase>'
+                    ].join('\n');
+                }
+
+                return open.replace(/>$/, '/>');
+            });
+
+            var counts = 'tests="' + order.length + '" failures="' + failures + '" errors="0" skipped="' + skipped + '"';
+
+            return {
+                tests: order.length,
+                failures: failures,
+                skipped: skipped,
+                xml: [
+                    '  <testsuite name="' + escapeXml(suiteName) + '" ' + counts +
+                        ' timestamp="' + escapeXml(results.timestamp) + '">',
+                    '    <properties>',
+                    '      <property name="url" value="' + escapeXml(results.url) + '"/>',
+                    '      <property name="uiMode" value="' + escapeXml(results.uiMode) + '"/>',
+                    '      <property name="axeVersion" value="' + escapeXml(results.axeVersion || this.getAxeVersion() || 'none') + '"/>',
+                    '    </properties>'
+                ].concat(caseXml, [
+                    '  </testsuite>'
+                ]).join('\n')
+            };
+        },
+
+        /**
+         * Get summary of results
+         * @returns {object} Summary object
+         */
+        getSummary: function() {
+            if (!this._results) {
+                return { total: 0, critical: 0, serious: 0, moderate: 0, minor: 0, new: 0, baselined: 0 };
+            }
+
+            // Impact counts of issues not covered by the baseline
+            var newByImpact = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+            var baselined = 0;
+            var expired = 0;
+
+            this._results.violations.forEach(function(v) {
+                if (v.baselineStatus === 'baselined') {
+                    baselined++;
+                    return;
+                }
+                if (v.baselineStatus === 'expired') {
+                    expired++;
+                }
+                if (newByImpact.hasOwnProperty(v.impact)) {
+                    newByImpact[v.impact]++;
+                }
+            });
+
+            return {
+                total: this._results.violations.length,
+                critical: this._results.summary.critical,
+                serious: this._results.summary.serious,
+                moderate: this._results.summary.moderate,
+                minor: this._results.summary.minor,
+                incomplete: this._results.incomplete.length,
+                passes: this._results.passes.length,
+                new: this._results.violations.length - baselined,
+                baselined: baselined,
+                expiredBaseline: expired,
+                newByImpact: newByImpact
+            };
+        },
+
+        /**
+         * Log results to console in a readable format
+         */
+        logResults: function() {
+            if (!this._results) {
+                console.log('[A11Y] No scan results available. Run scan() first.');
+                return;
+            }
+
+            var summary = this.getSummary();
+
+            console.group('[A11Y] Accessibility Scan Results');
+            console.log('Scanner:', this._axeLoaded ? 'axe-core ' + window.axe.version + ' + PeopleSoft rules' : 'PeopleSoft rules only');
+            console.log('Page:', this._results.component + ' / ' + this._results.page);
+            console.log('UI Mode:', this._results.uiMode);
+            console.log('Total Issues:', summary.total);
+            console.log('  Critical:', summary.critical);
+            console.log('  Serious:', summary.serious);
+            console.log('  Moderate:', summary.moderate);
+            console.log('  Minor:', summary.minor);
+            console.log('Needs Review:', summary.incomplete);
+            console.log('New:', summary.new, '| Baselined:', summary.baselined);
+
+            if (this._results.violations.length > 0) {
                 console.group('Violations');
                 this._results.violations.forEach(function(v, i) {
-                    console.log((i + 1) + '. [' + v.impact.toUpperCase() + '] ' + v.ruleId);
+                    console.log((i + 1) + '. [' + v.impact.toUpperCase() + '] ' + v.ruleId +
+                        (v.baselineStatus === 'baselined' ? ' (baselined)' : ''));
                     console.log('   Element:', v.element.selector);
                     console.log('   Fix:', v.suggestedFix);
                 });
@@ -772,16 +2977,5 @@
         }
     };
 
-    // Initialize on DOM ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', function() {
-            A11Y_SCANNER.init();
-        });
-    } else {
-        A11Y_SCANNER.init();
-    }
-
-    // Expose globally
-    window.A11Y_SCANNER = A11Y_SCANNER;
-
-})(window.a11yJQ);
+    return A11Y_SCANNER;
+});
@@ -23,16 +23,25 @@
         // Debug mode - set to false in production
         debug: false,
 
-        // Feature flags
+        // Feature flags - panel sections whose flag is false are left out
         features: {
             fontScaling: true,
+            fontFamily: true,
             highContrast: true,
+            colorVision: true,
             stopAnimations: true,
             readingGuide: true,
             focusHighlight: true,
+            linkHighlight: true,
+            spacing: true,
+            cursorSize: true,
             ariaScanner: true,
             profiles: true,
-            keyboardShortcuts: true
+            keyboardShortcuts: true,
+            scanHistory: true,
+            textToSpeech: true,
+            magnifier: true,
+            systemPreferences: true  // Defaults from OS settings (prefers-reduced-motion, prefers-contrast)
         },
 
         // Default settings
@@ -41,9 +50,13 @@
             fontSizeMin: 0.5,        // 50% - minimum allowed
             fontSizeMax: 3.0,        // 300% - maximum allowed
             fontSizeStep: 0.1,       // 10% increments
+            fontFamily: 'default',   // 'default', 'dyslexic', 'hyperlegible', 'monospace'
             contrastMode: 'none',    // 'none', 'dark', 'light', 'invert', 'yellow-black', 'black-yellow'
+            colorFilter: 'none',     // 'none', 'protanopia', 'deuteranopia', 'tritanopia' or 'simulate-*'
             stopAnimations: false,
             readingGuide: false,
+            readingGuideMode: 'bar', // 'bar' or 'mask'
+            readingGuideHeight: 30,  // Band height in pixels
             focusHighlight: false,
             activeProfile: null,
             widgetPosition: 'right', // 'left' or 'right'
@@ -52,16 +65,54 @@
             lineHeight: 1.0,
             letterSpacing: 0,
             wordSpacing: 0,
-            cursorSize: 'default'
+            cursorSize: 'default',
+            readAloud: false,        // Click-to-speak (A11Y_SPEECH)
+            speechRate: 1.0,         // 0.5 - 2
+            speechPitch: 1.0,        // 0.5 - 2
+            speechVoice: '',         // voiceURI, '' = browser default for the page language
+            magnifier: false,
+            magnifierZoom: 2,        // 2 - 6
+            magnifierMode: 'lens'    // 'lens' or 'docked'
         },
 
+        // Locked settings - setting -> value users cannot change (see A11Y_ADMIN)
+        locked: {},
+
         // Valid values for validation
         validValues: {
             contrastModes: ['none', 'dark', 'light', 'invert', 'yellow-black', 'black-yellow'],
+            colorFilters: [
+                'none', 'protanopia', 'deuteranopia', 'tritanopia',
+                'simulate-protanopia', 'simulate-deuteranopia', 'simulate-tritanopia', 'simulate-achromatopsia'
+            ],
             cursorSizes: ['default', 'large', 'xlarge'],
+            fontFamilies: ['default', 'dyslexic', 'hyperlegible', 'monospace'],
+            magnifierModes: ['lens', 'docked'],
+            readingGuideModes: ['bar', 'mask'],
             positions: ['left', 'right']
         },
 
+        // Font family setting (see A11Y_STYLES.setFontFamily)
+        fonts: {
+            // Font files, used when the font is not embedded in a11y-styles.js.
+            // Use absolute URLs (e.g. a web server path) so Classic frames resolve them too.
+            dyslexic: {
+                url: '',             // e.g. '/fonts/OpenDyslexic-Regular.woff2'
+                stack: '"OpenDyslexic", "Comic Sans MS", Verdana, sans-serif'
+            },
+            hyperlegible: {
+                url: '',             // e.g. '/fonts/AtkinsonHyperlegible-Regular.woff2'
+                stack: '"Atkinson Hyperlegible", Verdana, Tahoma, sans-serif'
+            },
+            monospace: {
+                stack: 'Consolas, "Liberation Mono", Menlo, "Courier New", monospace'
+            },
+            // Icon fonts keep their own font family
+            iconSelectors: '.fa, [class^="fa-"], [class*=" fa-"], .glyphicon, .material-icons, ' +
+                '.material-symbols-outlined, [class^="oj-ux-ico-"], [class*=" oj-ux-ico-"], ' +
+                '[class^="icon-"], [class*=" icon-"], [data-icon]'
+        },
+
         // Timing configuration
         timing: {
             initDelay: 200,          // Delay before widget initialization
@@ -69,6 +120,59 @@
             animationDuration: 200   // CSS transition duration
         },
 
+        // Widget panel
+        panel: {
+            // true: modal dialog - Tab stays in the panel and the page is inert
+            // while it is open. false: Tab can leave the open panel.
+            modal: true
+        },
+
+        // Localization (see A11Y_I18N)
+        i18n: {
+            // 'auto' follows the PeopleSoft session language; or a locale such as 'fr-CA'
+            locale: 'auto',
+            fallbackLocale: 'en',
+            userSelectable: true,    // Show the language selector in the panel
+            // PeopleSoft language codes (%LanguageCd) to locales
+            languageCodes: {
+                ENG: 'en',
+                ESP: 'es',
+                FRA: 'fr',
+                CFR: 'fr-CA',
+                ARA: 'ar',
+                HEB: 'he'
+            }
+        },
+
+        // Read aloud (see A11Y_SPEECH)
+        speech: {
+            // Elements read by click-to-speak; the nearest match to the click is read
+            clickSelector: 'label, input, select, textarea, button, a, td, th, ' +
+                '[role="gridcell"], [role="columnheader"], [role="rowheader"], ' +
+                'h1, h2, h3, h4, h5, h6, p, li',
+            maxSegmentLength: 300,   // Characters per utterance when reading the page
+            highlightColor: 'rgba(255, 213, 0, 0.45)'
+        },
+
+        // Reading guide (see A11Y_STYLES.setReadingGuideMode)
+        readingGuide: {
+            minHeight: 20,
+            maxHeight: 200,
+            // Default color and opacity of each style
+            bar: { color: '#ffff00', opacity: 0.3 },
+            mask: { color: '#000000', opacity: 0.6 }
+        },
+
+        // Magnifier (see A11Y_STYLES.setMagnifier)
+        magnifier: {
+            minZoom: 2,
+            maxZoom: 6,
+            lensWidth: 360,          // Lens size in pixels
+            lensHeight: 200,
+            dockHeight: 0.33,        // Docked pane height, as a fraction of the window
+            refreshDelay: 300        // Milliseconds between copies of a changing page
+        },
+
         // Keyboard shortcuts
         shortcuts: {
             toggleWidget: 'Alt+A',
@@ -78,16 +182,70 @@
             toggleHighContrast: 'Alt+C',
             toggleAnimations: 'Alt+M',
             toggleReadingGuide: 'Alt+R',
+            readSelection: 'Alt+T',
+            stopSpeech: 'Alt+X',
+            toggleMagnifier: 'Alt+Z',
             runAriaScanner: 'Alt+S'
         },
 
+        // PeopleSoft delivered hot keys - widget shortcuts bound to these are flagged as conflicts
+        reservedShortcuts: {
+            'Alt+1': 'Save',
+            'Alt+2': 'Return to list',
+            'Alt+3': 'Next in list',
+            'Alt+4': 'Previous in list',
+            'Alt+5': 'Valid lookup values',
+            'Alt+6': 'Related links',
+            'Alt+7': 'Insert row',
+            'Alt+8': 'Delete row',
+            'Alt+9': 'Help',
+            'Alt+0': 'Refresh',
+            'Alt+Period': 'Next page in grid',
+            'Alt+Comma': 'Previous page in grid',
+            'Alt+Slash': 'Find in grid',
+            'Alt+Quote': 'View all rows',
+            'Alt+Backslash': 'Toggle Add/Update mode',
+            'Ctrl+J': 'System information',
+            'Ctrl+K': 'Keyboard navigation help',
+            'Ctrl+Y': 'Toggle menu pagelet',
+            'Ctrl+Tab': 'Toggle focus between frames'
+        },
+
         // Storage keys
         storage: {
             prefix: 'a11y_',
-            preferencesKey: 'a11y_prefs',
-            profileKey: 'a11y_profile',
-            scanResultsKey: 'a11y_scan_results',
-            positionKey: 'a11y_widget_position'
+            preferencesKey: 'a11y_prefs',  // Settings and the layers they come from
+            profileKey: 'a11y_profile',  // Active profile of earlier versions, moved into the preferences
+            customProfilesKey: 'a11y_custom_profiles',  // Profiles saved by the user
+            scanResultsKey: 'a11y_scan_results',  // IndexedDB database for scan history
+            baselineKey: 'a11y_scan_baseline',  // Accepted (known) scan violations
+            positionKey: 'a11y_widget_position',
+            shortcutsKey: 'a11y_shortcuts',
+            localeKey: 'a11y_locale',         // Language chosen in the panel
+            metaKey: 'a11y_storage_meta',     // Per-key modification timestamps
+            queueKey: 'a11y_sync_queue',      // Changes waiting for the remote adapter
+            ownerKey: 'a11y_storage_owner',   // OPRID the local copy belongs to
+            adminConfigKey: 'a11y_admin_config',  // Cached institution configuration
+
+            // Local adapter: 'local' (localStorage) or 'session' (sessionStorage)
+            adapter: 'local',
+
+            // Server-side persistence via a WEBLIB iScript
+            remote: {
+                enabled: false,
+                url: '/psc/ps/EMPLOYEE/HRMS/s/WEBLIB_A11Y.ISCRIPT1.FieldFormula.IScript_Preferences',
+                timeout: 10000,
+                // Keys mirrored to the server
+                syncKeys: ['a11y_prefs', 'a11y_profile', 'a11y_custom_profiles', 'a11y_shortcuts', 'a11y_widget_position', 'a11y_locale']
+            }
+        },
+
+        // Institution configuration served by a WEBLIB iScript (see A11Y_ADMIN)
+        admin: {
+            enabled: false,
+            url: '/psc/ps/EMPLOYEE/HRMS/s/WEBLIB_A11Y.ISCRIPT1.FieldFormula.IScript_AdminConfig',
+            timeout: 10000,
+            refreshInterval: 300     // Seconds the cached copy is used before asking the server again
         },
 
         // PeopleSoft selectors
@@ -117,6 +275,8 @@
             common: {
                 pageInfo: '#pt_pageinfo_win0',
                 targetFrame: '#ptifrmtgtframe',
+                // Same-origin frames that receive mirrored widget styles
+                contentFrames: '#ptifrmtgtframe, iframe[id^="ptModFrame_"], iframe.ptalPgltAreaFrame, #ptpgltbody iframe',
                 promptIcon: 'a[id*="ICSearch"], a[id*="ICList"], img.PTPROMPT',
                 calendarIcon: 'a[id*="$prompt"], img[id*="CALENDAR"]',
                 addRowBtn: 'a[id*="$add$"]',
@@ -131,7 +291,7 @@
                 values: ['wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice']
             },
             resultTypes: ['violations', 'incomplete'],
-            // PeopleSoft-specific rules to add
+            // PeopleSoft-specific rules to register (see A11Y_SCANNER._psftRules)
             customRules: [
                 'psft-prompt-icon',
                 'psft-calendar-icon',
@@ -139,6 +299,37 @@
                 'psft-related-actions',
                 'psft-tabs-panel',
                 'psft-modal-focus',
+                'psft-error-message',
+                'psft-grid-headers',
+                'psft-required-field'
+            ]
+        },
+
+        // Scan history (see A11Y_SCANNER.getHistory)
+        scanHistory: {
+            maxPerPage: 50,     // Older scans of a page are pruned beyond this
+            trendLength: 10,    // Scans shown in the panel trend view
+            // Application release recorded with each scan, e.g. 'HCM 9.2 PUM 47'.
+            // The PeopleTools release is read from the page.
+            release: ''
+        },
+
+        // Multi-page crawl (see A11Y_SCANNER.crawl)
+        crawl: {
+            pageTimeout: 60000,   // Per page: load, PeopleSoft processing and scanner start
+            settleDelay: 500      // Wait after processing_win0 hides before scanning
+        },
+
+        // Runtime ARIA fixes (see A11Y_REMEDIATION). Opt-in: when enabled,
+        // elements failing these scanner rules are patched on page load.
+        remediation: {
+            enabled: false,
+            rules: [
+                'psft-prompt-icon',
+                'psft-calendar-icon',
+                'psft-grid-actions',
+                'psft-grid-headers',
+                'psft-required-field',
                 'psft-error-message'
             ]
         },
@@ -165,7 +356,8 @@
             widget: 999999,
             readingGuide: 999998,
             focusHighlight: 999997,
-            scanOverlay: 999996
+            scanOverlay: 999996,
+            magnifier: 999995
         },
 
         /**
@@ -229,6 +421,9 @@
             var defaults = {
                 contrastModes: 'none',
                 cursorSizes: 'default',
+                fontFamilies: 'default',
+                magnifierModes: 'lens',
+                readingGuideModes: 'bar',
                 positions: 'right'
             };
             return defaults[type];
@@ -286,10 +481,15 @@
             baseUrl: '/cs/ps/cache/',  // Adjust based on your PeopleSoft configuration
             paths: {
                 'a11y-core': 'A11Y_CORE_JS',
+                'a11y-storage': 'A11Y_STORAGE_JS',
                 'a11y-styles': 'A11Y_STYLES_JS',
                 'a11y-profiles': 'A11Y_PROFILES_JS',
                 'a11y-psft-hooks': 'A11Y_PSFT_HOOKS_JS',
+                'a11y-admin': 'A11Y_ADMIN_JS',
                 'a11y-aria-scanner': 'A11Y_ARIA_SCANNER_JS',
+                'a11y-remediation': 'A11Y_REMEDIATION_JS',
+                'a11y-speech': 'A11Y_SPEECH_JS',
+                'a11y-i18n': 'A11Y_I18N_JS',
                 'axe': 'A11Y_AXE_CORE_JS'
             },
             shim: {
@@ -4,8 +4,10 @@
  *
  * This is the main entry point for the accessibility widget.
  * It provides:
- * - Widget UI panel
+ * - Widget UI panel (modal dialog with focus trap, or non-modal)
  * - Keyboard shortcuts
+ * - Read aloud controls
+ * - Scan issue inspector
  * - Module integration
  * - Event handling
  *
@@ -24,6 +26,172 @@
     var $ = a11yJQ;
     var CONFIG = window.A11Y_CONFIG || {};
 
+    // Key names accepted in shortcut strings, mapped to canonical form
+    var KEY_ALIASES = {
+        'plus': 'Plus', '+': 'Plus', '=': 'Plus',
+        'minus': 'Minus', '-': 'Minus',
+        'period': 'Period', '.': 'Period',
+        'comma': 'Comma', ',': 'Comma',
+        'slash': 'Slash', '/': 'Slash',
+        'quote': 'Quote', '\'': 'Quote',
+        'backslash': 'Backslash', '\\': 'Backslash',
+        'space': 'Space', ' ': 'Space',
+        'esc': 'Escape', 'escape': 'Escape',
+        'enter': 'Enter', 'tab': 'Tab'
+    };
+
+    // Physical key codes (KeyboardEvent.code) for non-alphanumeric keys
+    var CODE_KEYS = {
+        'Equal': 'Plus', 'NumpadAdd': 'Plus',
+        'Minus': 'Minus', 'NumpadSubtract': 'Minus',
+        'Period': 'Period', 'Comma': 'Comma', 'Slash': 'Slash',
+        'Quote': 'Quote', 'Backslash': 'Backslash', 'Space': 'Space',
+        'Enter': 'Enter', 'NumpadEnter': 'Enter', 'Tab': 'Tab', 'Escape': 'Escape'
+    };
+
+    // Elements that can take focus with Tab
+    var TABBABLE_SELECTOR = [
+        'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]'
+    ].join(', ');
+
+    // Body children never made inert while the panel is open
+    var INERT_SKIP = /^(SCRIPT|STYLE|LINK|META|TEMPLATE|NOSCRIPT)$/;
+
+    var MODIFIER_KEYS = ['Alt', 'AltGraph', 'Control', 'Shift', 'Meta', 'OS'];
+
+    /**
+     * Translate a message with A11Y_I18N, or return the key if it is not loaded
+     * @param {string} key - Message key
+     * @param {object} [params] - Placeholder values; params.count selects the plural form
+     * @returns {string} Message
+     */
+    function t(key, params) {
+        return window.A11Y_I18N ? window.A11Y_I18N.t(key, params) : key;
+    }
+
+    /**
+     * Escape text for use in widget HTML
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Translate a message for widget HTML
+     * @returns {string} Escaped message
+     */
+    function tHtml(key, params) {
+        return escapeHtml(t(key, params));
+    }
+
+    /**
+     * Get a profile's name in the current locale
+     * @param {string} id - Profile identifier
+     * @returns {string} Name
+     */
+    function getProfileName(id) {
+        return window.A11Y_PROFILES ? window.A11Y_PROFILES.getProfileName(id) : t('profile.' + id + '.name');
+    }
+
+    /**
+     * Build panel options from an A11Y_CONFIG.validValues list
+     * @param {string} type - List name, e.g. 'contrastModes'
+     * @param {string} prefix - Message key prefix; each label is prefix.value
+     * @returns {object[]} Options: [{ value, label }]
+     */
+    function getValueOptions(type, prefix) {
+        var values = (CONFIG.validValues && CONFIG.validValues[type]) || [];
+        return values.map(function(value) {
+            return { value: value, label: prefix + '.' + value };
+        });
+    }
+
+    /**
+     * Check whether a panel schema section or control is shown: its
+     * A11Y_CONFIG.features flag is not false and it is available
+     * @param {object} entry - Section or control
+     * @returns {boolean} True to show it
+     */
+    function isSchemaEntryShown(entry) {
+        if (entry.feature && CONFIG.features && CONFIG.features[entry.feature] === false) {
+            return false;
+        }
+        return !entry.available || entry.available();
+    }
+
+    /**
+     * Get the message key naming a setting in the panel: its control's
+     * label, else the heading of its section
+     * @param {Array} schema - Panel schema (see A11Y_CORE._getPanelSchema)
+     * @param {string} key - Setting name
+     * @returns {string} Message key, or the setting name if no control shows it
+     */
+    function getSettingLabel(schema, key) {
+        for (var i = 0; i < schema.length; i++) {
+            var section = schema[i];
+            if (section.id === key) {
+                return section.heading;
+            }
+            for (var j = 0; j < (section.controls || []).length; j++) {
+                if (section.controls[j].setting === key) {
+                    return section.controls[j].label || section.heading;
+                }
+            }
+        }
+        return key;
+    }
+
+    /**
+     * Get the end of an option's start tag and its label. A value without a
+     * message (e.g. one added to validValues) is shown as words.
+     * @param {object} option - { value, label }
+     * @returns {string} HTML, e.g. ' data-a11y-i18n="contrast.dark">Dark'
+     */
+    function optionLabelHtml(option) {
+        if (!window.A11Y_I18N || window.A11Y_I18N.has(option.label)) {
+            return ' data-a11y-i18n="' + option.label + '">' + tHtml(option.label);
+        }
+
+        var words = String(option.value).replace(/[-_]+/g, ' ');
+        return '>' + escapeHtml(words.charAt(0).toUpperCase() + words.slice(1));
+    }
+
+    /**
+     * Generate select options, with consecutive options of a group in an optgroup
+     * @param {object[]} options - [{ value, label, group }]
+     * @returns {string} HTML
+     */
+    function generateOptionsHTML(options) {
+        var html = [];
+        var group = '';
+
+        options.forEach(function(option) {
+            if ((option.group || '') !== group) {
+                if (group) {
+                    html.push('            </optgroup>');
+                }
+                group = option.group || '';
+                if (group) {
+                    html.push('            <optgroup data-a11y-i18n-attr="label=' + group + '" label="' + tHtml(group) + '">');
+                }
+            }
+            html.push('            <option value="' + escapeHtml(option.value) + '"' + optionLabelHtml(option) + '</option>');
+        });
+
+        if (group) {
+            html.push('            </optgroup>');
+        }
+
+        return html.join('\n');
+    }
+
     /**
      * A11Y Core Widget
      */
@@ -34,6 +202,27 @@
         _widgetElement: null,
         _panelOpen: false,
         _position: 'right',
+        _returnFocus: null,        // Element focused before the panel opened
+        _inertElements: [],        // Background made inert while the modal panel is open: [{ element, ariaHidden }]
+        _panelControls: {},        // Settings controls by element id (see _getPanelSchema)
+        _profileFormMode: null,    // Action of the open profile form (see _openProfileForm)
+
+        // Keyboard shortcut registry: id -> { id, combo, handler, description, conflict }
+        _shortcuts: {},
+        _shortcutsEnabled: true,
+        _customBindings: {},       // User rebinds, persisted: id -> combo
+        _shortcutPrefsLoaded: false, // Set by _loadShortcutPreferences, which may run before init()
+        _capturingShortcut: null,  // Shortcut id awaiting a new key combo from the panel
+
+        // Issue inspector filters
+        _inspector: {
+            status: 'new',   // Baselined (accepted) issues are hidden by default
+            impact: '',
+            search: '',
+            sortBy: 'impact',
+            groupBy: 'rule'
+        },
+        _inspectorSearchTimer: null,
 
         /**
          * Initialize the accessibility widget
@@ -43,10 +232,21 @@
                 return;
             }
 
+            if (!window.A11Y_I18N) {
+                console.warn('[A11Y] A11Y_I18N not available - widget text shows message keys. Load a11y-i18n.js first.');
+            }
+
             this._createWidget();
             this._bindEvents();
             this._setupKeyboardShortcuts();
             this._setupPageChangeHandler();
+            this._renderHistory();
+            this._renderRemediationStatus();
+            this._renderProfileOptions();
+            this._updateProfileActions();
+            this._renderVoiceOptions();
+            this._renderLayers();
+            this._renderSystemStatus();
 
             this._initialized = true;
             console.log('[A11Y] Accessibility Widget initialized');
@@ -92,6 +292,11 @@
 
             // Apply saved position
             this._loadPosition();
+
+            // One Tab stop per button group
+            $(this._widgetElement).find('[data-a11y-roving]').each(function() {
+                A11Y_CORE._updateRovingTabindex(this);
+            });
         },
 
         /**
@@ -100,10 +305,12 @@
          */
         _generateWidgetHTML: function() {
             return [
-                '<div id="a11y-widget" class="a11y-widget a11y-widget--closed a11y-widget--right" role="complementary" aria-label="Accessibility Controls">',
+                '<div id="a11y-widget" class="a11y-widget a11y-widget--closed a11y-widget--right" role="complementary"' +
+                    this._getLanguageAttributes() +
+                    ' data-a11y-i18n-attr="aria-label=widget.label" aria-label="' + tHtml('widget.label') + '">',
 
                 // Trigger button
-                '  <button id="a11y-trigger" class="a11y-trigger" aria-label="Open Accessibility Menu" aria-expanded="false" aria-controls="a11y-panel">',
+                '  <button id="a11y-trigger" class="a11y-trigger" aria-label="' + tHtml('trigger.open') + '" aria-expanded="false" aria-controls="a11y-panel">',
                 '    <svg viewBox="0 0 24 24" width="24" height="24" aria-hidden="true">',
                 '      <circle cx="12" cy="4" r="2" fill="currentColor"/>',
                 '      <path d="M19 13v-2c-1.54.02-3.09-.75-4.07-1.83l-1.29-1.43c-.17-.19-.38-.34-.61-.45-.01 0-.01-.01-.02-.01H13c-.35-.2-.75-.3-1.19-.26C10.76 7.11 10 8.04 10 9.09V15c0 1.1.9 2 2 2h5v5h2v-5.5c0-1.1-.9-2-2-2h-3v-3.45c1.29 1.07 3.25 1.94 5 1.95zm-6.17 5c-.41 1.16-1.52 2-2.83 2-1.66 0-3-1.34-3-3 0-1.31.84-2.41 2-2.83V12.1c-2.28.46-4 2.48-4 4.9 0 2.76 2.24 5 5 5 2.42 0 4.44-1.72 4.9-4h-2.07z" fill="currentColor"/>',
@@ -111,125 +318,62 @@
                 '  </button>',
 
                 // Panel
-                '  <div id="a11y-panel" class="a11y-panel" role="dialog" aria-label="Accessibility Options" aria-hidden="true">',
+                '  <div id="a11y-panel" class="a11y-panel" role="dialog" data-a11y-i18n-attr="aria-label=panel.label" aria-label="' + tHtml('panel.label') + '" aria-hidden="true" tabindex="-1" inert>',
 
                 // Header
                 '    <div class="a11y-panel__header">',
-                '      <h2 id="a11y-panel-title">Accessibility</h2>',
-                '      <button class="a11y-panel__close" aria-label="Close accessibility menu">&times;</button>',
+                '      <h2 id="a11y-panel-title" data-a11y-i18n="panel.title">' + tHtml('panel.title') + '</h2>',
+                '      <button class="a11y-panel__close" data-a11y-i18n-attr="aria-label=panel.close" aria-label="' + tHtml('panel.close') + '">&times;</button>',
                 '    </div>',
 
                 // Content
                 '    <div class="a11y-panel__content">',
 
-                // Profiles Section
-                '      <section class="a11y-section">',
-                '        <h3>Quick Profiles</h3>',
-                '        <div class="a11y-profiles">',
-                '          <select id="a11y-profile-select" class="a11y-select" aria-label="Select accessibility profile">',
-                '            <option value="">-- Select Profile --</option>',
-                '            <option value="low-vision">Low Vision</option>',
-                '            <option value="color-blind">Color Blind Friendly</option>',
-                '            <option value="light-sensitive">Light Sensitive</option>',
-                '            <option value="motor-impaired">Motor Accessibility</option>',
-                '            <option value="dyslexia">Dyslexia Friendly</option>',
-                '            <option value="adhd-friendly">ADHD Friendly</option>',
-                '            <option value="seizure-safe">Seizure Safe</option>',
-                '            <option value="screen-reader">Screen Reader Optimized</option>',
-                '            <option value="senior-friendly">Senior Friendly</option>',
-                '          </select>',
-                '          <button id="a11y-profile-reset" class="a11y-btn a11y-btn--secondary">Reset</button>',
-                '        </div>',
-                '      </section>',
-
-                // Font Size Section
-                '      <section class="a11y-section">',
-                '        <h3>Text Size</h3>',
-                '        <div class="a11y-control-group">',
-                '          <button id="a11y-font-decrease" class="a11y-btn" aria-label="Decrease text size">A-</button>',
-                '          <span id="a11y-font-value" class="a11y-value" aria-live="polite">100%</span>',
-                '          <button id="a11y-font-increase" class="a11y-btn" aria-label="Increase text size">A+</button>',
-                '        </div>',
-                '      </section>',
+                // Layers the settings come from (filled in by _renderLayers)
+                '      <div id="a11y-layers" class="a11y-layers" hidden>',
+                '        <h3 id="a11y-layers-title" class="a11y-layers__title" data-a11y-i18n="layers.label">' + tHtml('layers.label') + '</h3>',
+                '        <ul id="a11y-layers-list" class="a11y-layers__list" aria-labelledby="a11y-layers-title"></ul>',
+                '      </div>',
 
-                // Contrast Section
-                '      <section class="a11y-section">',
-                '        <h3>Contrast</h3>',
-                '        <div class="a11y-control-group a11y-contrast-buttons">',
-                '          <button id="a11y-contrast-none" class="a11y-btn a11y-btn--active" data-mode="none">Normal</button>',
-                '          <button id="a11y-contrast-dark" class="a11y-btn" data-mode="dark">Dark</button>',
-                '          <button id="a11y-contrast-light" class="a11y-btn" data-mode="light">Light</button>',
-                '          <button id="a11y-contrast-invert" class="a11y-btn" data-mode="invert">Invert</button>',
-                '        </div>',
-                '      </section>',
+                // Forced colors notice (filled in by _renderSystemStatus)
+                '      <p id="a11y-system-status" class="a11y-system-status" role="status" hidden></p>',
 
-                // Features Section
-                '      <section class="a11y-section">',
-                '        <h3>Features</h3>',
-                '        <div class="a11y-toggles">',
-                '          <label class="a11y-toggle">',
-                '            <input type="checkbox" id="a11y-toggle-animations">',
-                '            <span>Stop Animations</span>',
-                '          </label>',
-                '          <label class="a11y-toggle">',
-                '            <input type="checkbox" id="a11y-toggle-reading-guide">',
-                '            <span>Reading Guide</span>',
-                '          </label>',
-                '          <label class="a11y-toggle">',
-                '            <input type="checkbox" id="a11y-toggle-focus">',
-                '            <span>Focus Highlight</span>',
-                '          </label>',
-                '          <label class="a11y-toggle">',
-                '            <input type="checkbox" id="a11y-toggle-links">',
-                '            <span>Highlight Links</span>',
-                '          </label>',
-                '        </div>',
-                '      </section>',
+                // Language Section
+                this._generateLanguageHTML(),
 
-                // Spacing Section
-                '      <section class="a11y-section">',
-                '        <h3>Spacing</h3>',
-                '        <div class="a11y-slider-group">',
-                '          <label for="a11y-line-height">Line Height</label>',
-                '          <input type="range" id="a11y-line-height" min="1" max="2" step="0.1" value="1">',
-                '        </div>',
-                '        <div class="a11y-slider-group">',
-                '          <label for="a11y-letter-spacing">Letter Spacing</label>',
-                '          <input type="range" id="a11y-letter-spacing" min="0" max="5" step="0.5" value="0">',
-                '        </div>',
-                '      </section>',
+                // Settings Sections (see _getPanelSchema)
+                this._generateSettingsHTML(),
 
-                // Cursor Section
-                '      <section class="a11y-section">',
-                '        <h3>Cursor</h3>',
-                '        <div class="a11y-control-group">',
-                '          <button id="a11y-cursor-default" class="a11y-btn a11y-btn--active" data-cursor="default">Default</button>',
-                '          <button id="a11y-cursor-large" class="a11y-btn" data-cursor="large">Large</button>',
-                '          <button id="a11y-cursor-xlarge" class="a11y-btn" data-cursor="xlarge">X-Large</button>',
-                '        </div>',
-                '      </section>',
+                // Keyboard Shortcuts Section (collapsed by default)
+                this._generateShortcutsHTML(),
 
                 // Developer Tools Section (collapsed by default)
                 '      <section class="a11y-section a11y-section--dev">',
                 '        <h3>',
                 '          <button class="a11y-section__toggle" aria-expanded="false">',
-                '            Developer Tools',
+                '            <span data-a11y-i18n="dev.heading">' + tHtml('dev.heading') + '</span>',
                 '            <span class="a11y-section__arrow">&#9660;</span>',
                 '          </button>',
                 '        </h3>',
                 '        <div class="a11y-section__content" hidden>',
-                '          <button id="a11y-scan" class="a11y-btn a11y-btn--full">Run Accessibility Scan</button>',
+                '          <button id="a11y-scan" class="a11y-btn a11y-btn--full">' + tHtml('scan.run') + '</button>',
                 '          <label class="a11y-toggle">',
                 '            <input type="checkbox" id="a11y-toggle-dev-mode">',
-                '            <span>Developer Mode (Highlight Issues)</span>',
+                '            <span data-a11y-i18n="dev.developerMode">' + tHtml('dev.developerMode') + '</span>',
                 '          </label>',
+                this._generateRemediationHTML(),
+                this._generateHistoryHTML(),
                 '          <div id="a11y-scan-results" class="a11y-scan-results" hidden>',
                 '            <div class="a11y-scan-summary" aria-live="polite" aria-atomic="true"></div>',
-                '            <div class="a11y-scan-actions">',
-                '              <button id="a11y-export-csv" class="a11y-btn a11y-btn--small">Export CSV</button>',
-                '              <button id="a11y-export-json" class="a11y-btn a11y-btn--small">Export JSON</button>',
+                '            <div id="a11y-export-actions" class="a11y-scan-actions" role="group" data-a11y-i18n-attr="aria-label=export.group" aria-label="' + tHtml('export.group') + '"></div>',
+                '            <div class="a11y-scan-actions a11y-baseline-actions">',
+                '              <button id="a11y-baseline-export" class="a11y-btn a11y-btn--small" data-a11y-i18n="baseline.export">' + tHtml('baseline.export') + '</button>',
+                '              <button id="a11y-baseline-import" class="a11y-btn a11y-btn--small" data-a11y-i18n="baseline.import">' + tHtml('baseline.import') + '</button>',
+                '              <input type="file" id="a11y-baseline-file" accept=".json,application/json" hidden>',
                 '            </div>',
+                this._generateInspectorHTML(),
                 '          </div>',
+                this._generateCrawlHTML(),
                 '        </div>',
                 '      </section>',
 
@@ -237,10 +381,10 @@
 
                 // Footer
                 '    <div class="a11y-panel__footer">',
-                '      <button id="a11y-reset-all" class="a11y-btn a11y-btn--secondary a11y-btn--full">Reset All Settings</button>',
+                '      <button id="a11y-reset-all" class="a11y-btn a11y-btn--secondary a11y-btn--full" data-a11y-i18n="footer.resetAll">' + tHtml('footer.resetAll') + '</button>',
                 '      <div class="a11y-panel__position">',
-                '        <button id="a11y-position-left" class="a11y-btn a11y-btn--small" aria-label="Move widget to left">&#8592;</button>',
-                '        <button id="a11y-position-right" class="a11y-btn a11y-btn--small" aria-label="Move widget to right">&#8594;</button>',
+                '        <button id="a11y-position-left" class="a11y-btn a11y-btn--small" data-a11y-i18n-attr="aria-label=position.left" aria-label="' + tHtml('position.left') + '">&#8592;</button>',
+                '        <button id="a11y-position-right" class="a11y-btn a11y-btn--small" data-a11y-i18n-attr="aria-label=position.right" aria-label="' + tHtml('position.right') + '">&#8594;</button>',
                 '      </div>',
                 '    </div>',
 
@@ -249,313 +393,2366 @@
             ].join('\n');
         },
 
+        // ==================== PANEL SCHEMA ====================
+
         /**
-         * Bind event handlers
+         * Describe the settings sections of the panel. Options come from
+         * A11Y_CONFIG.validValues and profiles from A11Y_PROFILES.getProfiles(),
+         * so new values and profiles appear without changes here.
+         *
+         * Section: { id, heading, feature, available, className, controls | render }
+         *   - feature: A11Y_CONFIG.features flag; false hides the section
+         *   - available: function; false hides the section (e.g. no browser support)
+         *   - render: function returning the section content HTML, for controls
+         *     with their own bindings
+         * Control: { type, id, setting, setter, label, feature, options, min, max, step }
+         *   - type: 'toggle', 'select', 'range', 'color', 'buttons' or 'html'
+         *   - setter: A11Y_STYLES method called with the new value; controls
+         *     whose setter A11Y_STYLES lacks are left out
+         *   - options: [{ value, label, group }], labels are message keys
+         *
          * @private
+         * @returns {object[]} Sections, in panel order
          */
-        _bindEvents: function() {
+        _getPanelSchema: function() {
             var self = this;
-            var $widget = $(this._widgetElement);
-
-            // Toggle panel
-            $widget.on('click', '#a11y-trigger', function() {
-                self.togglePanel();
-            });
-
-            // Close button
-            $widget.on('click', '.a11y-panel__close', function() {
-                self.closePanel();
-            });
-
-            // Profile selection
-            $widget.on('change', '#a11y-profile-select', function() {
-                var profileId = this.value;
-                if (profileId && window.A11Y_PROFILES) {
-                    window.A11Y_PROFILES.applyProfile(profileId);
-                    self._updateUI();
-                }
-            });
-
-            // Profile reset
-            $widget.on('click', '#a11y-profile-reset', function() {
-                if (window.A11Y_PROFILES) {
-                    window.A11Y_PROFILES.deactivateProfile();
-                    $('#a11y-profile-select').val('');
-                    self._updateUI();
-                }
-            });
-
-            // Font size controls
-            $widget.on('click', '#a11y-font-decrease', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.decreaseFontSize();
-                    self._updateFontDisplay();
-                }
-            });
-
-            $widget.on('click', '#a11y-font-increase', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.increaseFontSize();
-                    self._updateFontDisplay();
-                }
-            });
+            var magnifier = CONFIG.magnifier || {};
+            var readingGuide = CONFIG.readingGuide || {};
 
-            // Contrast buttons
-            $widget.on('click', '.a11y-contrast-buttons .a11y-btn', function() {
-                var mode = $(this).data('mode');
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setHighContrast(mode);
-                    self._updateContrastButtons(mode);
+            return [
+                {
+                    id: 'profiles',
+                    heading: 'profiles.heading',
+                    feature: 'profiles',
+                    available: function() { return !!window.A11Y_PROFILES; },
+                    render: function() { return self._generateProfilesHTML(); }
+                },
+                {
+                    id: 'fontSize',
+                    heading: 'fontSize.heading',
+                    feature: 'fontScaling',
+                    render: function() { return self._generateFontSizeHTML(); }
+                },
+                {
+                    id: 'fontFamily',
+                    heading: 'fontFamily.heading',
+                    feature: 'fontFamily',
+                    controls: [{
+                        type: 'select',
+                        id: 'a11y-font-family',
+                        setting: 'fontFamily',
+                        setter: 'setFontFamily',
+                        options: getValueOptions('fontFamilies', 'fontFamily')
+                    }]
+                },
+                {
+                    id: 'contrast',
+                    heading: 'contrast.heading',
+                    feature: 'highContrast',
+                    controls: [{
+                        type: 'buttons',
+                        id: 'a11y-contrast',
+                        className: 'a11y-contrast-buttons',
+                        setting: 'contrastMode',
+                        setter: 'setHighContrast',
+                        options: getValueOptions('contrastModes', 'contrast')
+                    }]
+                },
+                {
+                    id: 'colorVision',
+                    heading: 'colorVision.heading',
+                    feature: 'colorVision',
+                    controls: [{
+                        type: 'select',
+                        id: 'a11y-color-filter',
+                        setting: 'colorFilter',
+                        setter: 'setColorFilter',
+                        options: getValueOptions('colorFilters', 'colorVision').map(function(option) {
+                            if (option.value !== 'none') {
+                                option.group = option.value.indexOf('simulate-') === 0 ?
+                                    'colorVision.simulation' : 'colorVision.correction';
+                            }
+                            return option;
+                        })
+                    }]
+                },
+                {
+                    id: 'features',
+                    heading: 'features.heading',
+                    controls: [
+                        { type: 'toggle', id: 'a11y-toggle-animations', setting: 'stopAnimations', setter: 'setStopAnimations', label: 'features.stopAnimations', feature: 'stopAnimations' },
+                        { type: 'toggle', id: 'a11y-toggle-reading-guide', setting: 'readingGuide', setter: 'setReadingGuide', label: 'features.readingGuide', feature: 'readingGuide' },
+                        { type: 'toggle', id: 'a11y-toggle-focus', setting: 'focusHighlight', setter: 'setFocusHighlight', label: 'features.focusHighlight', feature: 'focusHighlight' },
+                        { type: 'toggle', id: 'a11y-toggle-links', setting: 'linkHighlight', setter: 'setLinkHighlight', label: 'features.linkHighlight', feature: 'linkHighlight' }
+                    ]
+                },
+                {
+                    id: 'readingGuide',
+                    heading: 'readingGuide.heading',
+                    feature: 'readingGuide',
+                    controls: [
+                        { type: 'select', id: 'a11y-reading-guide-mode', setting: 'readingGuideMode', setter: 'setReadingGuideMode', label: 'readingGuide.mode', options: getValueOptions('readingGuideModes', 'readingGuide') },
+                        { type: 'range', id: 'a11y-reading-guide-height', setting: 'readingGuideHeight', setter: 'setReadingGuideHeight', label: 'readingGuide.height', min: readingGuide.minHeight || 20, max: readingGuide.maxHeight || 200, step: 10 },
+                        { type: 'color', id: 'a11y-reading-guide-color', setting: 'readingGuideColor', setter: 'setReadingGuideColor', label: 'readingGuide.color' },
+                        { type: 'range', id: 'a11y-reading-guide-opacity', setting: 'readingGuideOpacity', setter: 'setReadingGuideOpacity', label: 'readingGuide.opacity', min: 0.1, max: 0.9, step: 0.1 }
+                    ]
+                },
+                {
+                    id: 'magnifier',
+                    heading: 'magnifier.heading',
+                    feature: 'magnifier',
+                    className: 'a11y-section--magnifier',
+                    available: function() { return !!document.body.attachShadow; },
+                    controls: [
+                        { type: 'toggle', id: 'a11y-toggle-magnifier', setting: 'magnifier', setter: 'setMagnifier', label: 'magnifier.enable' },
+                        { type: 'select', id: 'a11y-magnifier-mode', setting: 'magnifierMode', setter: 'setMagnifierMode', label: 'magnifier.mode', options: getValueOptions('magnifierModes', 'magnifier') },
+                        { type: 'range', id: 'a11y-magnifier-zoom', setting: 'magnifierZoom', setter: 'setMagnifierZoom', label: 'magnifier.zoom', min: magnifier.minZoom || 2, max: magnifier.maxZoom || 6, step: 0.5 }
+                    ]
+                },
+                {
+                    id: 'speech',
+                    heading: 'speech.heading',
+                    feature: 'textToSpeech',
+                    className: 'a11y-section--speech',
+                    // Voices are added by _renderVoiceOptions
+                    available: function() { return self._isSpeechAvailable(); },
+                    controls: [
+                        { type: 'toggle', id: 'a11y-toggle-read-aloud', setting: 'readAloud', setter: 'setReadAloud', label: 'speech.clickToSpeak' },
+                        { type: 'html', render: function() { return self._generateSpeechButtonsHTML(); } },
+                        { type: 'select', id: 'a11y-speech-voice', setting: 'speechVoice', setter: 'setSpeechVoice', label: 'speech.voice', options: [{ value: '', label: 'speech.defaultVoice' }] },
+                        { type: 'range', id: 'a11y-speech-rate', setting: 'speechRate', setter: 'setSpeechRate', label: 'speech.rate', min: 0.5, max: 2, step: 0.1 },
+                        { type: 'range', id: 'a11y-speech-pitch', setting: 'speechPitch', setter: 'setSpeechPitch', label: 'speech.pitch', min: 0.5, max: 2, step: 0.1 }
+                    ]
+                },
+                {
+                    id: 'spacing',
+                    heading: 'spacing.heading',
+                    feature: 'spacing',
+                    controls: [
+                        { type: 'range', id: 'a11y-line-height', setting: 'lineHeight', setter: 'setLineHeight', label: 'spacing.lineHeight', min: 1, max: 2, step: 0.1 },
+                        { type: 'range', id: 'a11y-letter-spacing', setting: 'letterSpacing', setter: 'setLetterSpacing', label: 'spacing.letterSpacing', min: 0, max: 5, step: 0.5 },
+                        { type: 'range', id: 'a11y-word-spacing', setting: 'wordSpacing', setter: 'setWordSpacing', label: 'spacing.wordSpacing', min: 0, max: 20, step: 1 }
+                    ]
+                },
+                {
+                    id: 'cursor',
+                    heading: 'cursor.heading',
+                    feature: 'cursorSize',
+                    controls: [{
+                        type: 'buttons',
+                        id: 'a11y-cursor',
+                        className: 'a11y-cursor-buttons',
+                        label: 'cursor.group',
+                        setting: 'cursorSize',
+                        setter: 'setCursorSize',
+                        options: getValueOptions('cursorSizes', 'cursor')
+                    }]
                 }
-            });
+            ];
+        },
 
-            // Feature toggles
-            $widget.on('change', '#a11y-toggle-animations', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setStopAnimations(this.checked);
-                }
-            });
+        /**
+         * Generate the settings sections from the panel schema, and index
+         * their controls for binding and syncing
+         * @private
+         */
+        _generateSettingsHTML: function() {
+            var self = this;
+            this._panelControls = {};
 
-            $widget.on('change', '#a11y-toggle-reading-guide', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setReadingGuide(this.checked);
+            return this._getPanelSchema().filter(isSchemaEntryShown).map(function(section) {
+                var controls = (section.controls || []).filter(function(control) {
+                    return isSchemaEntryShown(control) && self._hasSetter(control);
+                });
+                if (!section.render && !controls.length) {
+                    return '';
                 }
-            });
 
-            $widget.on('change', '#a11y-toggle-focus', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setFocusHighlight(this.checked);
-                }
-            });
+                controls.forEach(function(control) {
+                    if (control.id) {
+                        self._panelControls[control.id] = control;
+                    }
+                });
 
-            $widget.on('change', '#a11y-toggle-links', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setLinkHighlight(this.checked);
-                }
-            });
+                // A lone select is labelled by the section heading
+                var single = controls.length === 1 && controls[0].type === 'select' && !controls[0].label;
+                var heading = single ?
+                    '        <h3><label for="' + controls[0].id + '" data-a11y-i18n="' + section.heading + '">' + tHtml(section.heading) + '</label></h3>' :
+                    '        <h3 data-a11y-i18n="' + section.heading + '">' + tHtml(section.heading) + '</h3>';
+
+                return [
+                    '      <section class="a11y-section' + (section.className ? ' ' + section.className : '') + '" data-a11y-section="' + section.id + '">',
+                    heading,
+                    section.render ? section.render() : self._generateControlsHTML(controls, section),
+                    '      </section>'
+                ].join('\n');
+            }).join('\n');
+        },
 
-            // Spacing sliders
-            $widget.on('input', '#a11y-line-height', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setLineHeight(parseFloat(this.value));
-                }
-            });
+        /**
+         * Rebuild the settings sections in place, after A11Y_CONFIG.features
+         * changed. Bindings are delegated from the widget, so they carry over.
+         * @private
+         */
+        _renderSettingsSections: function() {
+            var $widget = $(this._widgetElement);
+            var $sections = $widget.find('[data-a11y-section]');
+            var hadFocus = $sections.has(document.activeElement).length > 0;
 
-            $widget.on('input', '#a11y-letter-spacing', function() {
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setLetterSpacing(parseFloat(this.value));
-                }
-            });
+            $widget.find('.a11y-section--shortcuts, .a11y-section--dev').first().before(this._generateSettingsHTML());
+            $sections.remove();
+            this._profileFormMode = null;
 
-            // Cursor buttons
-            $widget.on('click', '[data-cursor]', function() {
-                var size = $(this).data('cursor');
-                if (window.A11Y_STYLES) {
-                    window.A11Y_STYLES.setCursorSize(size);
-                    $('[data-cursor]').removeClass('a11y-btn--active');
-                    $(this).addClass('a11y-btn--active');
-                }
+            $widget.find('[data-a11y-section] [data-a11y-roving]').each(function() {
+                A11Y_CORE._updateRovingTabindex(this);
             });
+            this._renderProfileOptions();
 
-            // Developer section toggle
-            $widget.on('click', '.a11y-section__toggle', function() {
-                var expanded = $(this).attr('aria-expanded') === 'true';
-                $(this).attr('aria-expanded', !expanded);
-                $(this).closest('.a11y-section').find('.a11y-section__content').prop('hidden', expanded);
-            });
+            if (hadFocus) {
+                $('#a11y-panel').trigger('focus');
+            }
+        },
 
-            // Run scan
-            $widget.on('click', '#a11y-scan', function() {
-                self._runScan();
-            });
+        /**
+         * Check that A11Y_STYLES has a control's setter (always true without A11Y_STYLES)
+         * @private
+         */
+        _hasSetter: function(control) {
+            return !control.setter || !window.A11Y_STYLES || typeof window.A11Y_STYLES[control.setter] === 'function';
+        },
 
-            // Developer mode toggle
-            $widget.on('change', '#a11y-toggle-dev-mode', function() {
-                if (window.A11Y_SCANNER) {
-                    window.A11Y_SCANNER.setDeveloperMode(this.checked);
+        /**
+         * Generate the HTML of a section's controls. Consecutive toggles share
+         * one toggle list.
+         * @private
+         */
+        _generateControlsHTML: function(controls, section) {
+            var html = [];
+            var inToggles = false;
+
+            controls.forEach(function(control) {
+                if (control.type === 'toggle' && !inToggles) {
+                    html.push('        <div class="a11y-toggles">');
+                    inToggles = true;
+                } else if (control.type !== 'toggle' && inToggles) {
+                    html.push('        </div>');
+                    inToggles = false;
                 }
-            });
 
-            // Export buttons
-            $widget.on('click', '#a11y-export-csv', function() {
-                if (window.A11Y_SCANNER) {
-                    window.A11Y_SCANNER.downloadCSV();
+                switch (control.type) {
+                    case 'toggle':
+                        html.push(
+                            '          <label class="a11y-toggle">',
+                            '            <input type="checkbox" id="' + control.id + '" data-a11y-control="' + control.id + '">',
+                            '            <span data-a11y-i18n="' + control.label + '">' + tHtml(control.label) + '</span>',
+                            '          </label>'
+                        );
+                        break;
+
+                    case 'buttons':
+                        var groupLabel = control.label || section.heading;
+                        html.push(
+                            '        <div id="' + control.id + '" class="a11y-control-group ' + (control.className || '') + '" role="group" data-a11y-control="' + control.id + '" data-a11y-i18n-attr="aria-label=' + groupLabel + '" aria-label="' + tHtml(groupLabel) + '" data-a11y-roving>',
+                            control.options.map(function(option, index) {
+                                return '          <button id="' + control.id + '-' + escapeHtml(option.value) + '" class="a11y-btn' + (index ? '' : ' a11y-btn--active') + '" data-value="' + escapeHtml(option.value) + '" aria-pressed="' + (index ? 'false' : 'true') + '"' + optionLabelHtml(option) + '</button>';
+                            }).join('\n'),
+                            '        </div>'
+                        );
+                        break;
+
+                    case 'select':
+                        html.push(control.label ? '        <div class="a11y-slider-group">' : '        <div class="a11y-control-group">');
+                        if (control.label) {
+                            html.push('          <label for="' + control.id + '" data-a11y-i18n="' + control.label + '">' + tHtml(control.label) + '</label>');
+                        }
+                        html.push(
+                            '          <select id="' + control.id + '" class="a11y-select" data-a11y-control="' + control.id + '">',
+                            generateOptionsHTML(control.options),
+                            '          </select>',
+                            '        </div>'
+                        );
+                        break;
+
+                    case 'range':
+                    case 'color':
+                        html.push(
+                            '        <div class="a11y-slider-group">',
+                            '          <label for="' + control.id + '" data-a11y-i18n="' + control.label + '">' + tHtml(control.label) + '</label>',
+                            control.type === 'range' ?
+                                '          <input type="range" id="' + control.id + '" data-a11y-control="' + control.id + '" min="' + control.min + '" max="' + control.max + '" step="' + control.step + '" value="' + control.min + '">' :
+                                '          <input type="color" id="' + control.id + '" data-a11y-control="' + control.id + '">',
+                            '        </div>'
+                        );
+                        break;
+
+                    case 'html':
+                        html.push(control.render());
+                        break;
                 }
             });
 
-            $widget.on('click', '#a11y-export-json', function() {
-                if (window.A11Y_SCANNER) {
-                    var json = window.A11Y_SCANNER.exportToJSON();
-                    var blob = new Blob([json], { type: 'application/json' });
-                    var link = document.createElement('a');
-                    link.href = URL.createObjectURL(blob);
-                    link.download = 'a11y-scan-' + new Date().toISOString().split('T')[0] + '.json';
-                    link.click();
-                }
-            });
+            if (inToggles) {
+                html.push('        </div>');
+            }
 
-            // Reset all
-            $widget.on('click', '#a11y-reset-all', function() {
-                self.resetAll();
-            });
+            return html.join('\n');
+        },
 
-            // Position buttons
-            $widget.on('click', '#a11y-position-left', function() {
-                self.setPosition('left');
-            });
+        /**
+         * Apply a panel control's new value through its A11Y_STYLES setter
+         * @private
+         */
+        _onControlChange: function(control, element) {
+            var styles = window.A11Y_STYLES;
+            if (!styles) {
+                return;
+            }
 
-            $widget.on('click', '#a11y-position-right', function() {
-                self.setPosition('right');
-            });
+            var value;
+            switch (control.type) {
+                case 'toggle':
+                    value = element.checked;
+                    break;
+                case 'range':
+                    value = parseFloat(element.value);
+                    break;
+                case 'buttons':
+                    value = element.getAttribute('data-value');
+                    break;
+                default:
+                    value = element.value;
+            }
 
-            // Close on escape
-            $(document).on('keydown', function(e) {
-                if (e.key === 'Escape' && self._panelOpen) {
-                    self.closePanel();
-                }
-            });
+            styles[control.setter](value);
 
-            // Close when clicking outside
-            $(document).on('click', function(e) {
-                if (self._panelOpen && !$(e.target).closest('#a11y-widget').length) {
-                    self.closePanel();
-                }
-            });
+            // Setters clamp values and may change related settings
+            this._syncControls(styles.getSettings());
         },
 
         /**
-         * Setup keyboard shortcuts
+         * Show the current settings in the schema controls, and disable the
+         * controls of settings locked by the institution
          * @private
          */
-        _setupKeyboardShortcuts: function() {
+        _syncControls: function(settings) {
             var self = this;
+            var styles = window.A11Y_STYLES;
 
-            $(document).on('keydown', function(e) {
-                // Alt + A: Toggle widget
-                if (e.altKey && e.key === 'a') {
-                    e.preventDefault();
-                    self.togglePanel();
-                }
-
-                // Alt + +: Increase font
-                if (e.altKey && (e.key === '+' || e.key === '=')) {
-                    e.preventDefault();
-                    if (window.A11Y_STYLES) {
-                        window.A11Y_STYLES.increaseFontSize();
-                        self._updateFontDisplay();
-                    }
-                }
+            Object.keys(this._panelControls).forEach(function(id) {
+                var control = self._panelControls[id];
+                var element = document.getElementById(id);
+                var value = settings[control.setting];
 
-                // Alt + -: Decrease font
-                if (e.altKey && e.key === '-') {
-                    e.preventDefault();
-                    if (window.A11Y_STYLES) {
-                        window.A11Y_STYLES.decreaseFontSize();
-                        self._updateFontDisplay();
-                    }
+                if (!element || value === undefined) {
+                    return;
                 }
 
-                // Alt + 0: Reset font
-                if (e.altKey && e.key === '0') {
-                    e.preventDefault();
-                    if (window.A11Y_STYLES) {
-                        window.A11Y_STYLES.resetFontSize();
-                        self._updateFontDisplay();
-                    }
+                var locked = !!(styles && styles.isLocked(control.setting));
+                if (control.type === 'buttons') {
+                    $(element).find('.a11y-btn').prop('disabled', locked);
+                } else {
+                    element.disabled = locked;
                 }
 
-                // Alt + C: Toggle contrast
-                if (e.altKey && e.key === 'c') {
-                    e.preventDefault();
-                    if (window.A11Y_STYLES) {
-                        window.A11Y_STYLES.toggleContrast();
-                        self._updateContrastButtons(window.A11Y_STYLES.getContrastMode());
-                    }
+                if (control.type === 'toggle') {
+                    element.checked = Boolean(value);
+                } else if (control.type === 'buttons') {
+                    self._updateButtonGroup(element, value);
+                } else if (element.value !== String(value)) {
+                    $(element).val(value);
                 }
+            });
+        },
 
-                // Alt + R: Toggle reading guide
-                if (e.altKey && e.key === 'r') {
-                    e.preventDefault();
-                    if (window.A11Y_STYLES) {
-                        window.A11Y_STYLES.toggleReadingGuide();
-                        var settings = window.A11Y_STYLES.getSettings();
-                        $('#a11y-toggle-reading-guide').prop('checked', settings.readingGuide);
-                    }
+        /**
+         * Mark the button for a value as pressed in a button group
+         * @private
+         */
+        _updateButtonGroup: function(group, value) {
+            $(group).find('.a11y-btn').each(function() {
+                var pressed = this.getAttribute('data-value') === String(value);
+                $(this).toggleClass('a11y-btn--active', pressed).attr('aria-pressed', String(pressed));
+            });
+            this._updateRovingTabindex(group);
+        },
+
+        /**
+         * Generate the profile list; options are added by _renderProfileOptions
+         * @private
+         */
+        _generateProfilesHTML: function() {
+            return [
+                '        <div class="a11y-profiles">',
+                '          <select id="a11y-profile-select" class="a11y-select" data-a11y-i18n-attr="aria-label=profiles.select" aria-label="' + tHtml('profiles.select') + '">',
+                '            <option value="" data-a11y-i18n="profiles.placeholder">' + tHtml('profiles.placeholder') + '</option>',
+                '          </select>',
+                '          <button id="a11y-profile-reset" class="a11y-btn a11y-btn--secondary" data-a11y-i18n="profiles.reset">' + tHtml('profiles.reset') + '</button>',
+                '        </div>',
+                '        <div class="a11y-scan-actions a11y-profile-actions">',
+                '          <button id="a11y-profile-save" class="a11y-btn a11y-btn--small" data-a11y-i18n="profiles.saveCurrent">' + tHtml('profiles.saveCurrent') + '</button>',
+                '          <button id="a11y-profile-import" class="a11y-btn a11y-btn--small" data-a11y-i18n="profiles.import">' + tHtml('profiles.import') + '</button>',
+                '        </div>',
+                // Actions on the active custom profile (shown by _updateProfileActions)
+                '        <div id="a11y-profile-custom" class="a11y-scan-actions a11y-profile-actions" role="group" data-a11y-i18n-attr="aria-label=profiles.customActions" aria-label="' + tHtml('profiles.customActions') + '" hidden>',
+                '          <button class="a11y-btn a11y-btn--small" data-profile-action="rename" data-a11y-i18n="profiles.rename">' + tHtml('profiles.rename') + '</button>',
+                '          <button class="a11y-btn a11y-btn--small" data-profile-action="update" data-a11y-i18n="profiles.update">' + tHtml('profiles.update') + '</button>',
+                '          <button class="a11y-btn a11y-btn--small" data-profile-action="share" data-a11y-i18n="profiles.share">' + tHtml('profiles.share') + '</button>',
+                '          <button class="a11y-btn a11y-btn--small" data-profile-action="delete" data-a11y-i18n="profiles.delete">' + tHtml('profiles.delete') + '</button>',
+                '        </div>',
+                // Name, code and confirmation form (see _openProfileForm)
+                '        <div id="a11y-profile-form" class="a11y-profile-form" hidden>',
+                '          <label id="a11y-profile-form-label" for="a11y-profile-name" class="a11y-profile-form__label"></label>',
+                '          <input type="text" id="a11y-profile-name" class="a11y-input a11y-profile-form__field" maxlength="60" autocomplete="off">',
+                '          <textarea id="a11y-profile-code" class="a11y-input a11y-profile-form__field a11y-profile-form__code" rows="3" spellcheck="false" dir="ltr"></textarea>',
+                '          <div class="a11y-scan-actions">',
+                '            <button id="a11y-profile-form-submit" class="a11y-btn a11y-btn--small"></button>',
+                '            <button id="a11y-profile-file-choose" class="a11y-btn a11y-btn--small" data-a11y-i18n="profiles.chooseFile">' + tHtml('profiles.chooseFile') + '</button>',
+                '            <button id="a11y-profile-download" class="a11y-btn a11y-btn--small" data-a11y-i18n="profiles.download">' + tHtml('profiles.download') + '</button>',
+                '            <button id="a11y-profile-form-cancel" class="a11y-btn a11y-btn--small a11y-btn--secondary" data-a11y-i18n="profiles.cancel">' + tHtml('profiles.cancel') + '</button>',
+                '          </div>',
+                '          <input type="file" id="a11y-profile-file" accept=".json,application/json" hidden>',
+                '        </div>',
+                '        <div id="a11y-profile-status" class="a11y-profile-status" role="status" aria-live="polite"></div>'
+            ].join('\n');
+        },
+
+        /**
+         * Open the profile form for an action on the active custom profile, or
+         * to save or import a profile
+         * @private
+         * @param {string} mode - 'save', 'import', 'rename', 'share' or 'delete'
+         */
+        _openProfileForm: function(mode) {
+            var profiles = window.A11Y_PROFILES;
+            var active = profiles && profiles.getActiveProfile();
+            var forms = {
+                save: { label: 'profiles.nameLabel', submit: 'profiles.save', field: 'name' },
+                rename: { label: 'profiles.nameLabel', submit: 'profiles.rename', field: 'name' },
+                import: { label: 'profiles.codeLabel', submit: 'profiles.import', field: 'code' },
+                share: { label: 'profiles.shareLabel', submit: 'profiles.copy', field: 'code' },
+                delete: { label: 'profiles.deleteConfirm', submit: 'profiles.delete' }
+            };
+            var form = forms[mode];
+
+            if (!profiles || !form) {
+                return;
+            }
+
+            this._profileFormMode = mode;
+            var $label = $('#a11y-profile-form-label');
+            var params = active ? { name: profiles.getProfileName(active.id) } : {};
+
+            // The delete question names the profile, so it is not relocalized
+            if (mode === 'delete') {
+                $label.removeAttr('data-a11y-i18n');
+            } else {
+                $label.attr('data-a11y-i18n', form.label);
+            }
+            $label.text(t(form.label, params))
+                .attr('for', form.field === 'name' ? 'a11y-profile-name' : 'a11y-profile-code');
+
+            $('#a11y-profile-form-submit').attr('data-a11y-i18n', form.submit).text(t(form.submit));
+            $('#a11y-profile-name').prop('hidden', form.field !== 'name')
+                .val(mode === 'rename' && active ? params.name : '');
+            $('#a11y-profile-code').prop('hidden', form.field !== 'code')
+                .prop('readOnly', mode === 'share')
+                .val(mode === 'share' && active ? profiles.exportProfileCode(active.id) : '');
+            $('#a11y-profile-file-choose').prop('hidden', mode !== 'import');
+            $('#a11y-profile-download').prop('hidden', mode !== 'share');
+            $('#a11y-profile-form').prop('hidden', false);
+            this._setProfileStatus('');
+
+            var field = form.field === 'name' ? '#a11y-profile-name' : (form.field ? '#a11y-profile-code' : '#a11y-profile-form-submit');
+            $(field).trigger('focus');
+            if (mode === 'share') {
+                $(field).trigger('select');
+            }
+        },
+
+        /**
+         * Close the profile form
+         * @private
+         * @param {boolean} [restoreFocus] - Move focus back to the button that opened it
+         */
+        _closeProfileForm: function(restoreFocus) {
+            var mode = this._profileFormMode;
+
+            $('#a11y-profile-form').prop('hidden', true);
+            this._profileFormMode = null;
+
+            if (restoreFocus) {
+                var $opener = mode === 'save' || mode === 'import' ?
+                    $('#a11y-profile-' + mode) : $('#a11y-profile-custom [data-profile-action="' + mode + '"]');
+                ($opener.is(':visible') ? $opener : $('#a11y-profile-select')).trigger('focus');
+            }
+        },
+
+        /**
+         * Carry out the profile form's action
+         * @private
+         */
+        _submitProfileForm: function() {
+            var profiles = window.A11Y_PROFILES;
+            var active = profiles && profiles.getActiveProfile();
+            var mode = this._profileFormMode;
+            var name = $.trim($('#a11y-profile-name').val());
+
+            if (!profiles || !mode) {
+                return;
+            }
+
+            if ((mode === 'save' || mode === 'rename') && !name) {
+                this._setProfileStatus(t('profiles.nameRequired'));
+                $('#a11y-profile-name').trigger('focus');
+                return;
+            }
+
+            switch (mode) {
+                case 'save':
+                    var id = profiles.saveCurrentAsProfile(name);
+                    if (id) {
+                        this._setProfileStatus(t('profiles.saved', { name: profiles.getProfileName(id) }));
+                    }
+                    break;
+
+                case 'rename':
+                    if (active && profiles.renameCustomProfile(active.id, name)) {
+                        this._setProfileStatus(t('profiles.renamed', { name: profiles.getProfileName(active.id) }));
+                    }
+                    break;
+
+                case 'import':
+                    this._importProfile($('#a11y-profile-code').val());
+                    return;
+
+                case 'share':
+                    this._copyProfileCode();
+                    return;
+
+                case 'delete':
+                    if (active && profiles.deleteCustomProfile(active.id)) {
+                        this._setProfileStatus(t('profiles.deleted', { name: active.name }));
+                    }
+                    break;
+            }
+
+            this._closeProfileForm(false);
+            this._updateUI();
+            $('#a11y-profile-select').trigger('focus');
+        },
+
+        /**
+         * Import a profile from a code or JSON and apply it
+         * @private
+         */
+        _importProfile: function(text) {
+            var profiles = window.A11Y_PROFILES;
+
+            try {
+                var id = profiles.importProfile(text);
+                profiles.applyProfile(id);
+                this._closeProfileForm(false);
+                this._updateUI();
+                this._setProfileStatus(t('profiles.imported', { name: profiles.getProfileName(id) }));
+                $('#a11y-profile-select').trigger('focus');
+            } catch (err) {
+                this._setProfileStatus(t('profiles.importFailed', { message: err.message }));
+            }
+        },
+
+        /**
+         * Copy the shared profile code to the clipboard
+         * @private
+         */
+        _copyProfileCode: function() {
+            var self = this;
+            var code = $('#a11y-profile-code').val();
+            var copied = function() {
+                self._setProfileStatus(t('profiles.copied'));
+            };
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(code).then(copied, function() {
+                    self._setProfileStatus(t('profiles.copyFailed'));
+                });
+                return;
+            }
+
+            // Older browsers: copy the selected text
+            $('#a11y-profile-code').trigger('focus').trigger('select');
+            try {
+                if (document.execCommand('copy')) {
+                    copied();
+                    return;
+                }
+            } catch (e) {
+                // Fall through to the manual copy message
+            }
+            this._setProfileStatus(t('profiles.copyFailed'));
+        },
+
+        /**
+         * Announce a profile status message
+         * @private
+         */
+        _setProfileStatus: function(message) {
+            $('#a11y-profile-status').text(message);
+        },
+
+        /**
+         * Show the custom profile actions while a custom profile is active
+         * @private
+         */
+        _updateProfileActions: function() {
+            var active = window.A11Y_PROFILES && window.A11Y_PROFILES.getActiveProfile();
+            var custom = !!(active && active.custom);
+
+            $('#a11y-profile-custom').prop('hidden', !custom);
+            if (!custom && this._profileFormMode && this._profileFormMode !== 'save' && this._profileFormMode !== 'import') {
+                this._closeProfileForm(false);
+            }
+        },
+
+        /**
+         * Fill the profile list from A11Y_PROFILES.getProfiles(): built-in
+         * profiles, then institution and custom profiles in their own groups
+         * @private
+         */
+        _renderProfileOptions: function() {
+            var select = document.getElementById('a11y-profile-select');
+            if (!select || !window.A11Y_PROFILES) {
+                return;
+            }
+
+            // Keep the placeholder option
+            while (select.lastChild !== select.options[0]) {
+                select.removeChild(select.lastChild);
+            }
+
+            var profiles = window.A11Y_PROFILES.getProfiles();
+            var groups = {
+                managed: { label: 'profiles.managed', element: null },
+                custom: { label: 'profiles.custom', element: null }
+            };
+
+            profiles.forEach(function(profile) {
+                var option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = getProfileName(profile.id);
+
+                var group = profile.managed ? groups.managed : (profile.custom ? groups.custom : null);
+                if (!group) {
+                    select.appendChild(option);
+                    return;
+                }
+                if (!group.element) {
+                    group.element = document.createElement('optgroup');
+                    group.element.label = t(group.label);
+                }
+                group.element.appendChild(option);
+            });
+
+            [groups.managed, groups.custom].forEach(function(group) {
+                if (group.element) {
+                    select.appendChild(group.element);
+                }
+            });
+
+            var active = window.A11Y_PROFILES.getActiveProfile();
+            select.value = active ? active.id : '';
+        },
+
+        /**
+         * Generate the font size stepper
+         * @private
+         */
+        _generateFontSizeHTML: function() {
+            return [
+                '        <div class="a11y-control-group">',
+                '          <button id="a11y-font-decrease" class="a11y-btn" data-a11y-i18n-attr="aria-label=fontSize.decrease" aria-label="' + tHtml('fontSize.decrease') + '">A-</button>',
+                '          <span id="a11y-font-value" class="a11y-value" aria-live="polite">100%</span>',
+                '          <button id="a11y-font-increase" class="a11y-btn" data-a11y-i18n-attr="aria-label=fontSize.increase" aria-label="' + tHtml('fontSize.increase') + '">A+</button>',
+                '        </div>'
+            ].join('\n');
+        },
+
+        /**
+         * Generate the read aloud buttons (bound in _bindEvents)
+         * @private
+         */
+        _generateSpeechButtonsHTML: function() {
+            return [
+                '        <div class="a11y-control-group a11y-speech-buttons" role="group" data-a11y-i18n-attr="aria-label=speech.controls" aria-label="' + tHtml('speech.controls') + '">',
+                '          <button id="a11y-speech-read-page" class="a11y-btn a11y-btn--small" data-a11y-i18n="speech.readPage">' + tHtml('speech.readPage') + '</button>',
+                '          <button id="a11y-speech-read-selection" class="a11y-btn a11y-btn--small" data-a11y-i18n="speech.readSelection">' + tHtml('speech.readSelection') + '</button>',
+                '          <button id="a11y-speech-pause" class="a11y-btn a11y-btn--small" aria-pressed="false" disabled data-a11y-i18n="speech.pause">' + tHtml('speech.pause') + '</button>',
+                '          <button id="a11y-speech-stop" class="a11y-btn a11y-btn--small" disabled data-a11y-i18n="speech.stop">' + tHtml('speech.stop') + '</button>',
+                '        </div>'
+            ].join('\n');
+        },
+
+        /**
+         * Get the lang and dir attributes for the widget root (A11Y_I18N locale)
+         * @private
+         */
+        _getLanguageAttributes: function() {
+            var i18n = window.A11Y_I18N;
+            if (!i18n) {
+                return '';
+            }
+
+            return ' lang="' + escapeHtml(i18n.getLocale()) + '" dir="' + i18n.getDirection() + '"';
+        },
+
+        /**
+         * Generate the language selector section (when A11Y_I18N has more than one locale)
+         * @private
+         */
+        _generateLanguageHTML: function() {
+            var i18n = window.A11Y_I18N;
+            if (!i18n || (CONFIG.i18n && CONFIG.i18n.userSelectable === false) || i18n.getLocales().length < 2) {
+                return '';
+            }
+
+            var saved = i18n.getSavedLocale() || '';
+
+            return [
+                '      <section class="a11y-section">',
+                '        <h3><label for="a11y-language-select" data-a11y-i18n="language.heading">' + tHtml('language.heading') + '</label></h3>',
+                '        <select id="a11y-language-select" class="a11y-select">',
+                '          <option value=""' + (saved ? '' : ' selected') + ' data-a11y-i18n="language.auto">' + tHtml('language.auto') + '</option>',
+                i18n.getLocales().map(function(locale) {
+                    // Each language is named in itself
+                    return '          <option value="' + escapeHtml(locale.locale) + '" lang="' + escapeHtml(locale.locale) + '"' +
+                        (locale.locale === saved ? ' selected' : '') + '>' + escapeHtml(locale.name) + '</option>';
+                }).join('\n'),
+                '        </select>',
+                '      </section>'
+            ].join('\n');
+        },
+
+        /**
+         * Generate keyboard shortcuts section HTML
+         * The shortcut list itself is rendered by _renderShortcutList
+         * @private
+         */
+        _generateShortcutsHTML: function() {
+            if (!this._isShortcutsFeatureEnabled()) {
+                return '';
+            }
+
+            return [
+                '      <section class="a11y-section a11y-section--shortcuts">',
+                '        <h3>',
+                '          <button class="a11y-section__toggle" aria-expanded="false">',
+                '            <span data-a11y-i18n="shortcuts.heading">' + tHtml('shortcuts.heading') + '</span>',
+                '            <span class="a11y-section__arrow">&#9660;</span>',
+                '          </button>',
+                '        </h3>',
+                '        <div class="a11y-section__content" hidden>',
+                '          <label class="a11y-toggle">',
+                '            <input type="checkbox" id="a11y-toggle-shortcuts">',
+                '            <span data-a11y-i18n="shortcuts.enable">' + tHtml('shortcuts.enable') + '</span>',
+                '          </label>',
+                '          <ul id="a11y-shortcut-list" class="a11y-shortcut-list" data-a11y-i18n-attr="aria-label=shortcuts.list" aria-label="' + tHtml('shortcuts.list') + '"></ul>',
+                '          <div id="a11y-shortcut-status" class="a11y-shortcut-status" aria-live="polite"></div>',
+                '          <button id="a11y-shortcuts-reset" class="a11y-btn a11y-btn--small" data-a11y-i18n="shortcuts.reset">' + tHtml('shortcuts.reset') + '</button>',
+                '        </div>',
+                '      </section>'
+            ].join('\n');
+        },
+
+        /**
+         * Check whether read aloud can be offered (A11Y_SPEECH, browser
+         * support and A11Y_CONFIG.features.textToSpeech)
+         * @private
+         */
+        _isSpeechAvailable: function() {
+            return !!window.A11Y_SPEECH && window.A11Y_SPEECH.isSupported() &&
+                !(CONFIG.features && CONFIG.features.textToSpeech === false);
+        },
+
+        /**
+         * Generate the runtime ARIA fixes toggle (when A11Y_REMEDIATION is loaded)
+         * @private
+         */
+        _generateRemediationHTML: function() {
+            if (!window.A11Y_REMEDIATION) {
+                return '';
+            }
+
+            return [
+                '          <label class="a11y-toggle">',
+                '            <input type="checkbox" id="a11y-toggle-remediation">',
+                '            <span data-a11y-i18n="remediation.toggle">' + tHtml('remediation.toggle') + '</span>',
+                '          </label>',
+                '          <div id="a11y-remediation-status" class="a11y-remediation-status" aria-live="polite"></div>'
+            ].join('\n');
+        },
+
+        /**
+         * Generate multi-page crawl HTML (target list, progress and results)
+         * The results are rendered by _renderCrawlReport
+         * @private
+         */
+        _generateCrawlHTML: function() {
+            return [
+                '          <div class="a11y-crawl">',
+                '            <label for="a11y-crawl-targets" class="a11y-crawl__label" data-a11y-i18n="crawl.label">' + tHtml('crawl.label') + '</label>',
+                '            <textarea id="a11y-crawl-targets" class="a11y-input a11y-crawl__targets" rows="4" spellcheck="false" dir="ltr"></textarea>',
+                '            <div class="a11y-scan-actions">',
+                '              <button id="a11y-crawl-start" class="a11y-btn a11y-btn--small" data-a11y-i18n="crawl.start">' + tHtml('crawl.start') + '</button>',
+                '              <button id="a11y-crawl-cancel" class="a11y-btn a11y-btn--small" data-a11y-i18n="crawl.cancel" hidden>' + tHtml('crawl.cancel') + '</button>',
+                '            </div>',
+                '            <progress id="a11y-crawl-progress" class="a11y-crawl__progress" max="1" value="0" data-a11y-i18n-attr="aria-label=crawl.progress" aria-label="' + tHtml('crawl.progress') + '" hidden></progress>',
+                '            <div id="a11y-crawl-status" class="a11y-crawl__status" role="status" aria-live="polite"></div>',
+                '            <div id="a11y-crawl-results"></div>',
+                '          </div>'
+            ].join('\n');
+        },
+
+        /**
+         * Generate scan history HTML (trend for the current page)
+         * The trend table is rendered by _renderHistory
+         * @private
+         */
+        _generateHistoryHTML: function() {
+            if (CONFIG.features && CONFIG.features.scanHistory === false) {
+                return '';
+            }
+
+            return [
+                '          <div id="a11y-scan-history" class="a11y-scan-history" hidden>',
+                '            <p id="a11y-history-change" class="a11y-scan-history__change" role="status" aria-live="polite"></p>',
+                '            <div id="a11y-history-trend"></div>',
+                '            <button id="a11y-history-clear" class="a11y-btn a11y-btn--small" data-a11y-i18n="history.clear">' + tHtml('history.clear') + '</button>',
+                '          </div>'
+            ].join('\n');
+        },
+
+        /**
+         * Generate issue inspector HTML (filters and list container)
+         * The issue list itself is rendered by _renderInspector
+         * @private
+         */
+        _generateInspectorHTML: function() {
+            return [
+                '            <div class="a11y-inspector">',
+                '              <div class="a11y-inspector__filters" role="group" data-a11y-i18n-attr="aria-label=inspector.filters" aria-label="' + tHtml('inspector.filters') + '">',
+                '                <label for="a11y-inspector-status-filter" data-a11y-i18n="inspector.status">' + tHtml('inspector.status') + '</label>',
+                '                <select id="a11y-inspector-status-filter" class="a11y-select">',
+                '                  <option value="new" data-a11y-i18n="inspector.status.new">' + tHtml('inspector.status.new') + '</option>',
+                '                  <option value="baselined" data-a11y-i18n="inspector.status.baselined">' + tHtml('inspector.status.baselined') + '</option>',
+                '                  <option value="" data-a11y-i18n="inspector.all">' + tHtml('inspector.all') + '</option>',
+                '                </select>',
+                '                <label for="a11y-inspector-impact" data-a11y-i18n="inspector.impact">' + tHtml('inspector.impact') + '</label>',
+                '                <select id="a11y-inspector-impact" class="a11y-select">',
+                '                  <option value="" data-a11y-i18n="inspector.all">' + tHtml('inspector.all') + '</option>',
+                '                  <option value="critical" data-a11y-i18n="impact.critical">' + tHtml('impact.critical') + '</option>',
+                '                  <option value="serious" data-a11y-i18n="impact.serious">' + tHtml('impact.serious') + '</option>',
+                '                  <option value="moderate" data-a11y-i18n="impact.moderate">' + tHtml('impact.moderate') + '</option>',
+                '                  <option value="minor" data-a11y-i18n="impact.minor">' + tHtml('impact.minor') + '</option>',
+                '                </select>',
+                '                <label for="a11y-inspector-group" data-a11y-i18n="inspector.groupBy">' + tHtml('inspector.groupBy') + '</label>',
+                '                <select id="a11y-inspector-group" class="a11y-select">',
+                '                  <option value="rule" data-a11y-i18n="inspector.groupBy.rule">' + tHtml('inspector.groupBy.rule') + '</option>',
+                '                  <option value="impact" data-a11y-i18n="inspector.groupBy.impact">' + tHtml('inspector.groupBy.impact') + '</option>',
+                '                  <option value="none" data-a11y-i18n="inspector.groupBy.none">' + tHtml('inspector.groupBy.none') + '</option>',
+                '                </select>',
+                '                <label for="a11y-inspector-sort" data-a11y-i18n="inspector.sortBy">' + tHtml('inspector.sortBy') + '</label>',
+                '                <select id="a11y-inspector-sort" class="a11y-select">',
+                '                  <option value="impact" data-a11y-i18n="inspector.sortBy.impact">' + tHtml('inspector.sortBy.impact') + '</option>',
+                '                  <option value="rule" data-a11y-i18n="inspector.sortBy.rule">' + tHtml('inspector.sortBy.rule') + '</option>',
+                '                  <option value="source" data-a11y-i18n="inspector.sortBy.source">' + tHtml('inspector.sortBy.source') + '</option>',
+                '                  <option value="selector" data-a11y-i18n="inspector.sortBy.selector">' + tHtml('inspector.sortBy.selector') + '</option>',
+                '                </select>',
+                '                <label for="a11y-inspector-search" data-a11y-i18n="inspector.search">' + tHtml('inspector.search') + '</label>',
+                '                <input type="search" id="a11y-inspector-search" class="a11y-input" data-a11y-i18n-attr="placeholder=inspector.searchPlaceholder" placeholder="' + tHtml('inspector.searchPlaceholder') + '">',
+                '              </div>',
+                '              <p id="a11y-inspector-count" class="a11y-inspector__count"></p>',
+                '              <div id="a11y-inspector-status" class="a11y-sr-only" role="status" aria-live="polite"></div>',
+                '              <div id="a11y-inspector-list" class="a11y-inspector__list" tabindex="-1"></div>',
+                '            </div>'
+            ].join('\n');
+        },
+
+        /**
+         * Bind event handlers
+         * @private
+         */
+        _bindEvents: function() {
+            var self = this;
+            var $widget = $(this._widgetElement);
+
+            // Toggle panel
+            $widget.on('click', '#a11y-trigger', function() {
+                self.togglePanel();
+            });
+
+            // Close button
+            $widget.on('click', '.a11y-panel__close', function() {
+                self.closePanel();
+            });
+
+            // Language selection ('' follows the PeopleSoft session language)
+            $widget.on('change', '#a11y-language-select', function() {
+                if (window.A11Y_I18N) {
+                    window.A11Y_I18N.setLocale(this.value || null);
                 }
+            });
+
+            document.addEventListener('a11y:localeChanged', function() {
+                self._relocalize();
+            });
+
+            // Profile selection: adds the profile on top of the active ones
+            $widget.on('change', '#a11y-profile-select', function() {
+                var profileId = this.value;
+                if (profileId && window.A11Y_PROFILES) {
+                    window.A11Y_PROFILES.applyProfile(profileId);
+                    self._updateUI();
+                }
+            });
+
+            // Profile reset
+            $widget.on('click', '#a11y-profile-reset', function() {
+                if (window.A11Y_PROFILES) {
+                    window.A11Y_PROFILES.deactivateProfile();
+                    $('#a11y-profile-select').val('');
+                    self._updateUI();
+                }
+            });
+
+            // Custom profiles
+            $widget.on('click', '#a11y-profile-save, #a11y-profile-import', function() {
+                self._openProfileForm(this.id === 'a11y-profile-save' ? 'save' : 'import');
+            });
+
+            $widget.on('click', '[data-profile-action]', function() {
+                var action = this.getAttribute('data-profile-action');
+                var profiles = window.A11Y_PROFILES;
+                var active = profiles && profiles.getActiveProfile();
+
+                if (action !== 'update') {
+                    self._openProfileForm(action);
+                } else if (active && profiles.updateCustomProfile(active.id, { settings: profiles.captureSettings() })) {
+                    // The profile now holds the user's changes
+                    window.A11Y_STYLES.clearOverrides();
+                    self._setProfileStatus(t('profiles.updated', { name: profiles.getProfileName(active.id) }));
+                }
+            });
+
+            $widget.on('click', '#a11y-profile-form-submit', function() {
+                self._submitProfileForm();
+            });
+
+            $widget.on('click', '#a11y-profile-form-cancel', function() {
+                self._closeProfileForm(true);
+            });
 
-                // Alt + S: Run scan
-                if (e.altKey && e.key === 's') {
+            $widget.on('keydown', '#a11y-profile-name', function(e) {
+                if (e.key === 'Enter') {
                     e.preventDefault();
-                    self._runScan();
+                    self._submitProfileForm();
+                }
+            });
+
+            $widget.on('click', '#a11y-profile-download', function() {
+                var active = window.A11Y_PROFILES && window.A11Y_PROFILES.getActiveProfile();
+                if (active) {
+                    window.A11Y_PROFILES.downloadProfile(active.id);
                 }
             });
+
+            $widget.on('click', '#a11y-profile-file-choose', function() {
+                $('#a11y-profile-file').trigger('click');
+            });
+
+            $widget.on('change', '#a11y-profile-file', function() {
+                var file = this.files && this.files[0];
+                var input = this;
+                if (!file || !window.A11Y_PROFILES) {
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function() {
+                    self._importProfile(reader.result);
+                    input.value = '';
+                };
+                reader.readAsText(file);
+            });
+
+            // Font size controls
+            $widget.on('click', '#a11y-font-decrease', function() {
+                if (window.A11Y_STYLES) {
+                    window.A11Y_STYLES.decreaseFontSize();
+                    self._updateFontDisplay();
+                }
+            });
+
+            $widget.on('click', '#a11y-font-increase', function() {
+                if (window.A11Y_STYLES) {
+                    window.A11Y_STYLES.increaseFontSize();
+                    self._updateFontDisplay();
+                }
+            });
+
+            // Settings controls (see _getPanelSchema)
+            $widget.on('change input', '[data-a11y-control]', function(e) {
+                var control = self._panelControls[this.getAttribute('data-a11y-control')];
+                var event = control && (control.type === 'range' || control.type === 'color') ? 'input' : 'change';
+                if (control && control.type !== 'buttons' && e.type === event) {
+                    self._onControlChange(control, this);
+                }
+            });
+
+            $widget.on('click', '[data-a11y-control] > .a11y-btn', function() {
+                var control = self._panelControls[this.parentNode.getAttribute('data-a11y-control')];
+                if (control) {
+                    self._onControlChange(control, this);
+                }
+            });
+
+            // Read aloud
+            $widget.on('click', '#a11y-speech-read-page, #a11y-speech-read-selection', function() {
+                if (!window.A11Y_SPEECH) {
+                    return;
+                }
+
+                // The modal panel covers the page and the word highlight
+                if (self.isModal()) {
+                    self.closePanel();
+                }
+
+                if (this.id === 'a11y-speech-read-page') {
+                    window.A11Y_SPEECH.readPage();
+                } else {
+                    window.A11Y_SPEECH.readSelection();
+                }
+            });
+
+            $widget.on('click', '#a11y-speech-pause', function() {
+                if (!window.A11Y_SPEECH) {
+                    return;
+                }
+
+                if (window.A11Y_SPEECH.isPaused()) {
+                    window.A11Y_SPEECH.resume();
+                } else {
+                    window.A11Y_SPEECH.pause();
+                }
+            });
+
+            $widget.on('click', '#a11y-speech-stop', function() {
+                if (window.A11Y_SPEECH) {
+                    window.A11Y_SPEECH.stop();
+                }
+            });
+
+            ['speechStarted', 'speechEnded', 'speechPaused', 'speechResumed'].forEach(function(name) {
+                document.addEventListener('a11y:' + name, function() {
+                    self._updateSpeechButtons();
+                });
+            });
+
+            document.addEventListener('a11y:voicesChanged', function() {
+                self._renderVoiceOptions();
+            });
+
+            document.addEventListener('a11y:systemPreferencesChanged', function() {
+                self._updateUI();
+            });
+
+            // Profiles applied or removed, settings changed or a layer dropped
+            document.addEventListener('a11y:layersChanged', function() {
+                self._updateUI();
+            });
+
+            $widget.on('click', '[data-layer-action]', function() {
+                self._onLayerAction(this);
+            });
+
+            // New institution configuration: features, defaults and locks may all have changed
+            document.addEventListener('a11y:adminConfigChanged', function() {
+                self._renderSettingsSections();
+                self._updateUI();
+            });
+
+            ['profileCreated', 'profileUpdated', 'profileDeleted', 'customProfilesLoaded', 'managedProfilesLoaded'].forEach(function(name) {
+                document.addEventListener('a11y:' + name, function() {
+                    self._renderProfileOptions();
+                    self._updateProfileActions();
+                });
+            });
+
+            // Developer section toggle
+            $widget.on('click', '.a11y-section__toggle', function() {
+                var expanded = $(this).attr('aria-expanded') === 'true';
+                $(this).attr('aria-expanded', !expanded);
+                $(this).closest('.a11y-section').find('.a11y-section__content').prop('hidden', expanded);
+            });
+
+            // Run scan
+            $widget.on('click', '#a11y-scan', function() {
+                self._runScan();
+            });
+
+            // Developer mode toggle
+            $widget.on('change', '#a11y-toggle-dev-mode', function() {
+                if (window.A11Y_SCANNER) {
+                    window.A11Y_SCANNER.setDeveloperMode(this.checked);
+                }
+            });
+
+            // Runtime ARIA fixes
+            $widget.on('change', '#a11y-toggle-remediation', function() {
+                if (!window.A11Y_REMEDIATION) {
+                    return;
+                }
+
+                if (this.checked) {
+                    window.A11Y_REMEDIATION.apply();
+                    self._renderRemediationStatus();
+                } else {
+                    window.A11Y_REMEDIATION.revert();
+                }
+            });
+
+            document.addEventListener('a11y:remediationApplied', function() {
+                self._renderRemediationStatus();
+            });
+
+            document.addEventListener('a11y:remediationReverted', function(e) {
+                self._renderRemediationStatus(e.detail.reverted);
+            });
+
+            // Issue inspector filters
+            $widget.on('change', '#a11y-inspector-status-filter', function() {
+                self._inspector.status = this.value;
+                self._renderInspector(true);
+            });
+
+            $widget.on('change', '#a11y-inspector-impact', function() {
+                self._inspector.impact = this.value;
+                self._renderInspector(true);
+            });
+
+            $widget.on('change', '#a11y-inspector-group', function() {
+                self._inspector.groupBy = this.value;
+                self._renderInspector(true);
+            });
+
+            $widget.on('change', '#a11y-inspector-sort', function() {
+                self._inspector.sortBy = this.value;
+                self._renderInspector(true);
+            });
+
+            // Search is debounced so each keystroke does not trigger an announcement
+            $widget.on('input', '#a11y-inspector-search', function() {
+                var value = this.value;
+                clearTimeout(self._inspectorSearchTimer);
+                self._inspectorSearchTimer = setTimeout(function() {
+                    self._inspector.search = value;
+                    self._renderInspector(true);
+                }, 400);
+            });
+
+            // Issue group and issue disclosure buttons
+            $widget.on('click', '.a11y-issue-group__toggle, .a11y-issue__toggle', function() {
+                var expanded = $(this).attr('aria-expanded') === 'true';
+                $(this).attr('aria-expanded', !expanded);
+                $('#' + $(this).attr('aria-controls')).prop('hidden', expanded);
+            });
+
+            // Locate issue on the page
+            $widget.on('click', '.a11y-issue__locate', function() {
+                self._locateIssue(parseInt($(this).attr('data-violation-index'), 10));
+            });
+
+            // Accept an issue into, or remove it from, the scan baseline
+            $widget.on('click', '.a11y-issue__accept', function() {
+                self._acceptIssue(parseInt($(this).attr('data-violation-index'), 10));
+            });
+
+            $widget.on('click', '.a11y-issue__unaccept', function() {
+                var results = window.A11Y_SCANNER && window.A11Y_SCANNER.getResults();
+                var violation = results && results.violations[parseInt($(this).attr('data-violation-index'), 10)];
+                if (violation && window.A11Y_SCANNER.removeFromBaseline(violation)) {
+                    self._setInspectorStatus(t('inspector.removed', { rule: violation.ruleId }));
+                    $('#a11y-inspector-list').trigger('focus');
+                }
+            });
+
+            // Baseline import/export
+            $widget.on('click', '#a11y-baseline-export', function() {
+                if (window.A11Y_SCANNER) {
+                    window.A11Y_SCANNER.downloadBaseline();
+                }
+            });
+
+            $widget.on('click', '#a11y-baseline-import', function() {
+                $('#a11y-baseline-file').trigger('click');
+            });
+
+            $widget.on('change', '#a11y-baseline-file', function() {
+                var file = this.files && this.files[0];
+                var input = this;
+                if (!file || !window.A11Y_SCANNER) {
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function() {
+                    try {
+                        var result = window.A11Y_SCANNER.importBaseline(reader.result);
+                        self._setInspectorStatus(t('baseline.imported', { count: result.imported }) +
+                            (result.skipped ? ', ' + t('baseline.skipped', { count: result.skipped }) : ''));
+                    } catch (err) {
+                        self._setInspectorStatus(t('baseline.importFailed', { message: err.message }));
+                    }
+                    input.value = '';
+                };
+                reader.readAsText(file);
+            });
+
+            // Export buttons (one per registered A11Y_SCANNER exporter)
+            $widget.on('click', '[data-exporter]', function() {
+                if (window.A11Y_SCANNER) {
+                    window.A11Y_SCANNER.downloadExport($(this).attr('data-exporter'));
+                }
+            });
+
+            document.addEventListener('a11y:exporterRegistered', function() {
+                self._renderExportButtons();
+            });
+            document.addEventListener('a11y:exporterUnregistered', function() {
+                self._renderExportButtons();
+            });
+
+            // Multi-page crawl
+            $widget.on('click', '#a11y-crawl-start', function() {
+                self._runCrawl();
+            });
+
+            $widget.on('click', '#a11y-crawl-cancel', function() {
+                if (window.A11Y_SCANNER) {
+                    window.A11Y_SCANNER.cancelCrawl();
+                    $('#a11y-crawl-status').text(t('crawl.cancelling'));
+                }
+            });
+
+            $widget.on('click', '[data-crawl-exporter]', function() {
+                if (window.A11Y_SCANNER) {
+                    window.A11Y_SCANNER.downloadExport($(this).attr('data-crawl-exporter'),
+                        window.A11Y_SCANNER.getCrawlReport());
+                }
+            });
+
+            document.addEventListener('a11y:crawlProgress', function(e) {
+                var detail = e.detail;
+                $('#a11y-crawl-progress').attr({ max: detail.total, value: detail.completed });
+                if (detail.status === 'loading') {
+                    $('#a11y-crawl-status').text(t('crawl.scanning', {
+                        index: detail.index + 1,
+                        total: detail.total,
+                        target: detail.target
+                    }));
+                }
+            });
+
+            // Scan history trend for the current page
+            $widget.on('click', '#a11y-history-clear', function() {
+                if (window.A11Y_SCANNER) {
+                    window.A11Y_SCANNER.clearHistory(window.A11Y_SCANNER.getPageKey());
+                }
+            });
+
+            document.addEventListener('a11y:historyUpdated', function() {
+                self._renderHistory();
+            });
+
+            // Reset all
+            $widget.on('click', '#a11y-reset-all', function() {
+                self.resetAll();
+            });
+
+            // Position buttons
+            $widget.on('click', '#a11y-position-left', function() {
+                self.setPosition('left');
+            });
+
+            $widget.on('click', '#a11y-position-right', function() {
+                self.setPosition('right');
+            });
+
+            // Keyboard shortcut settings
+            $widget.on('change', '#a11y-toggle-shortcuts', function() {
+                self.setShortcutsEnabled(this.checked);
+            });
+
+            $widget.on('click', '[data-shortcut-id]', function() {
+                self._startShortcutCapture($(this).data('shortcut-id'));
+            });
+
+            $widget.on('click', '#a11y-shortcuts-reset', function() {
+                self.resetShortcuts();
+                self._setShortcutStatus(t('shortcuts.restored'));
+            });
+
+            // Arrow keys move between the buttons of a group
+            $widget.on('keydown', '[data-a11y-roving] .a11y-btn', function(e) {
+                self._handleRovingKeydown(e, this);
+            });
+
+            // Keep Tab inside the modal panel
+            $widget.on('keydown', '#a11y-panel', function(e) {
+                if (e.key === 'Tab' && self._panelOpen && self.isModal()) {
+                    self._trapFocus(e);
+                }
+            });
+
+            // Focus reaching the page by other means (e.g. a script) returns to the panel
+            document.addEventListener('focusin', function(e) {
+                if (self._panelOpen && self.isModal() && !self._widgetElement.contains(e.target)) {
+                    self._focusFirst();
+                }
+            });
+
+            // Close on escape (unless Escape is cancelling a shortcut capture)
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape' && self._panelOpen && !self._capturingShortcut) {
+                    self.closePanel();
+                }
+            });
+
+            // Close when clicking outside, leaving focus where the click put it
+            $(document).on('click', function(e) {
+                if (self._panelOpen && !$(e.target).closest('#a11y-widget').length) {
+                    self.closePanel({ restoreFocus: false });
+                }
+            });
+
+            // Baseline changes alter which issues count as new
+            document.addEventListener('a11y:baselineChanged', function() {
+                if (window.A11Y_SCANNER && window.A11Y_SCANNER.getResults()) {
+                    self._renderScanSummary();
+                    self._renderInspector(false);
+                }
+            });
+
+            // Preferences restored from the server (A11Y_STORAGE remote adapter)
+            document.addEventListener('a11y:storageSynced', function(e) {
+                self._onStorageSynced((e.detail && e.detail.keys) || []);
+            });
+        },
+
+        /**
+         * Setup keyboard shortcuts from A11Y_CONFIG.shortcuts
+         * @private
+         */
+        _setupKeyboardShortcuts: function() {
+            var self = this;
+
+            if (!this._isShortcutsFeatureEnabled()) {
+                return;
+            }
+
+            this._loadShortcutPreferences();
+
+            var builtIns = this._getBuiltInShortcuts();
+            var configured = CONFIG.shortcuts || {};
+
+            Object.keys(builtIns).forEach(function(id) {
+                if (configured[id]) {
+                    self.registerShortcut(id, configured[id], builtIns[id].handler, {
+                        description: builtIns[id].description
+                    });
+                }
+            });
+
+            $(document).on('keydown', function(e) {
+                if (self._capturingShortcut) {
+                    self._handleShortcutCapture(e);
+                    return;
+                }
+
+                if (!self._shortcutsEnabled) {
+                    return;
+                }
+
+                var combo = self.eventToShortcut(e);
+                if (!combo) {
+                    return;
+                }
+
+                var shortcut = self._findShortcutByCombo(combo);
+                if (shortcut) {
+                    e.preventDefault();
+                    try {
+                        shortcut.handler(e);
+                    } catch (err) {
+                        console.error('[A11Y] Shortcut handler error (' + shortcut.id + '):', err);
+                    }
+                }
+            });
+
+            this._renderShortcutList();
+        },
+
+        /**
+         * Check if keyboard shortcuts are enabled in A11Y_CONFIG.features
+         * @private
+         */
+        _isShortcutsFeatureEnabled: function() {
+            return !CONFIG.features || CONFIG.features.keyboardShortcuts !== false;
+        },
+
+        /**
+         * Built-in shortcut actions, keyed by A11Y_CONFIG.shortcuts ids
+         * @private
+         */
+        _getBuiltInShortcuts: function() {
+            var self = this;
+
+            function withStyles(fn) {
+                return function() {
+                    if (window.A11Y_STYLES) {
+                        fn(window.A11Y_STYLES);
+                        self._updateUI();
+                    }
+                };
+            }
+
+            return {
+                toggleWidget: {
+                    description: t('shortcut.toggleWidget'),
+                    handler: function() { self.togglePanel(); }
+                },
+                increaseFontSize: {
+                    description: t('shortcut.increaseFontSize'),
+                    handler: withStyles(function(styles) { styles.increaseFontSize(); })
+                },
+                decreaseFontSize: {
+                    description: t('shortcut.decreaseFontSize'),
+                    handler: withStyles(function(styles) { styles.decreaseFontSize(); })
+                },
+                resetFontSize: {
+                    description: t('shortcut.resetFontSize'),
+                    handler: withStyles(function(styles) { styles.resetFontSize(); })
+                },
+                toggleHighContrast: {
+                    description: t('shortcut.toggleHighContrast'),
+                    handler: withStyles(function(styles) { styles.toggleContrast(); })
+                },
+                toggleAnimations: {
+                    description: t('shortcut.toggleAnimations'),
+                    handler: withStyles(function(styles) { styles.toggleAnimations(); })
+                },
+                toggleReadingGuide: {
+                    description: t('shortcut.toggleReadingGuide'),
+                    handler: withStyles(function(styles) { styles.toggleReadingGuide(); })
+                },
+                toggleMagnifier: {
+                    description: t('shortcut.toggleMagnifier'),
+                    handler: withStyles(function(styles) { styles.toggleMagnifier(); })
+                },
+                readSelection: {
+                    description: t('shortcut.readSelection'),
+                    handler: function() {
+                        if (window.A11Y_SPEECH) {
+                            window.A11Y_SPEECH.readSelection();
+                        }
+                    }
+                },
+                // The modal panel closes when reading starts, so reading must be stoppable without it
+                stopSpeech: {
+                    description: t('shortcut.stopSpeech'),
+                    handler: function() {
+                        if (window.A11Y_SPEECH) {
+                            window.A11Y_SPEECH.stop();
+                        }
+                    }
+                },
+                runAriaScanner: {
+                    description: t('shortcut.runAriaScanner'),
+                    handler: function() { self._runScan(); }
+                }
+            };
+        },
+
+        /**
+         * Parse a shortcut string such as "Alt+Plus" or "Ctrl+Shift+K"
+         * @param {string} combo - Shortcut string
+         * @returns {object|null} { ctrl, alt, shift, meta, key } or null if invalid
+         */
+        parseShortcut: function(combo) {
+            if (typeof combo !== 'string' || !combo.trim()) {
+                return null;
+            }
+
+            var parsed = { ctrl: false, alt: false, shift: false, meta: false, key: null };
+            // "Alt++" means Alt+Plus
+            var parts = combo.replace(/\+\+$/, '+Plus').split('+');
+
+            for (var i = 0; i < parts.length; i++) {
+                var part = parts[i].trim();
+                var lower = part.toLowerCase();
+
+                if (lower === 'ctrl' || lower === 'control') {
+                    parsed.ctrl = true;
+                } else if (lower === 'alt' || lower === 'option') {
+                    parsed.alt = true;
+                } else if (lower === 'shift') {
+                    parsed.shift = true;
+                } else if (lower === 'meta' || lower === 'cmd' || lower === 'command') {
+                    parsed.meta = true;
+                } else if (part && !parsed.key) {
+                    parsed.key = KEY_ALIASES[lower] || (part.length === 1 ? part.toUpperCase() : part);
+                } else {
+                    // Empty segment or second non-modifier key
+                    return null;
+                }
+            }
+
+            if (!parsed.key) {
+                return null;
+            }
+
+            // Require a modifier so plain typing in PeopleSoft fields is never captured
+            if (!parsed.ctrl && !parsed.alt && !parsed.meta && !/^F([1-9]|1[0-2])$/.test(parsed.key)) {
+                return null;
+            }
+
+            // Plus needs Shift on most layouts, so Shift is not significant for it
+            if (parsed.key === 'Plus') {
+                parsed.shift = false;
+            }
+
+            return parsed;
+        },
+
+        /**
+         * Format a parsed shortcut (or shortcut string) in canonical form
+         * @param {object|string} shortcut - Parsed shortcut or string
+         * @returns {string} Canonical string (e.g. "Ctrl+Shift+K") or '' if invalid
+         */
+        formatShortcut: function(shortcut) {
+            var parsed = typeof shortcut === 'string' ? this.parseShortcut(shortcut) : shortcut;
+            if (!parsed) {
+                return '';
+            }
+
+            var parts = [];
+            if (parsed.ctrl) parts.push('Ctrl');
+            if (parsed.alt) parts.push('Alt');
+            if (parsed.shift) parts.push('Shift');
+            if (parsed.meta) parts.push('Meta');
+            parts.push(parsed.key);
+
+            return parts.join('+');
+        },
+
+        /**
+         * Convert a keydown event to a canonical shortcut string
+         * Uses the physical key (event.code) first so Alt+letter works on
+         * layouts where Alt produces a different character
+         * @param {KeyboardEvent} e - Keydown event
+         * @returns {string|null} Canonical shortcut or null for modifier-only keys
+         */
+        eventToShortcut: function(e) {
+            var key = null;
+            var code = e.code || '';
+
+            if (/^Key[A-Z]$/.test(code)) {
+                key = code.charAt(3);
+            } else if (/^(Digit|Numpad)[0-9]$/.test(code)) {
+                key = code.charAt(code.length - 1);
+            } else if (CODE_KEYS[code]) {
+                key = CODE_KEYS[code];
+            } else if (/^F([1-9]|1[0-2])$/.test(code)) {
+                key = code;
+            } else if (e.key) {
+                if (MODIFIER_KEYS.indexOf(e.key) !== -1) {
+                    return null;
+                }
+                key = KEY_ALIASES[e.key.toLowerCase()] ||
+                    (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+            }
+
+            if (!key) {
+                return null;
+            }
+
+            return this.formatShortcut({
+                ctrl: e.ctrlKey,
+                alt: e.altKey,
+                shift: key === 'Plus' ? false : e.shiftKey,
+                meta: e.metaKey,
+                key: key
+            });
+        },
+
+        /**
+         * Find conflicts for a shortcut
+         * @param {string} combo - Shortcut string
+         * @param {string} [excludeId] - Shortcut id to ignore (the one being rebound)
+         * @returns {object[]} Conflicts: { type: 'peoplesoft'|'widget', id?, description }
+         */
+        getShortcutConflicts: function(combo, excludeId) {
+            var canonical = this.formatShortcut(combo);
+            var conflicts = [];
+            var reserved = CONFIG.reservedShortcuts || {};
+            var self = this;
+
+            Object.keys(reserved).forEach(function(reservedCombo) {
+                if (self.formatShortcut(reservedCombo) === canonical) {
+                    conflicts.push({ type: 'peoplesoft', description: reserved[reservedCombo] });
+                }
+            });
+
+            Object.keys(this._shortcuts).forEach(function(id) {
+                if (id !== excludeId && self._shortcuts[id].combo === canonical) {
+                    conflicts.push({ type: 'widget', id: id, description: self._shortcuts[id].description });
+                }
+            });
+
+            return conflicts;
+        },
+
+        /**
+         * Register a keyboard shortcut
+         * A saved user rebinding for the same id takes precedence over combo.
+         * Can be called before the widget initializes.
+         * @param {string} id - Unique shortcut identifier
+         * @param {string} combo - Shortcut string (e.g. "Alt+Shift+K")
+         * @param {function} handler - Called with the keydown event
+         * @param {object} [options] - { description }
+         * @returns {boolean} Success status (false when features.keyboardShortcuts is off)
+         */
+        registerShortcut: function(id, combo, handler, options) {
+            options = options || {};
+
+            if (!id || typeof handler !== 'function') {
+                console.error('[A11Y] registerShortcut requires an id and a handler function');
+                return false;
+            }
+
+            if (!this._isShortcutsFeatureEnabled()) {
+                console.warn('[A11Y] Shortcut ' + id + ' not registered: keyboard shortcuts are disabled');
+                return false;
+            }
+
+            if (!this._shortcutPrefsLoaded) {
+                this._loadShortcutPreferences();
+            }
+
+            var effective = this._customBindings[id] || combo;
+            var canonical = this.formatShortcut(effective);
+
+            if (!canonical) {
+                console.error('[A11Y] Invalid shortcut for ' + id + ':', effective);
+                return false;
+            }
+
+            var conflicts = this.getShortcutConflicts(canonical, id);
+            var widgetConflict = conflicts.filter(function(c) { return c.type === 'widget'; })[0];
+            var psftConflict = conflicts.filter(function(c) { return c.type === 'peoplesoft'; })[0];
+
+            if (widgetConflict) {
+                console.warn('[A11Y] Shortcut ' + canonical + ' for ' + id +
+                    ' is already used by ' + widgetConflict.id);
+                return false;
+            }
+
+            if (psftConflict) {
+                console.warn('[A11Y] Shortcut ' + canonical + ' for ' + id +
+                    ' overrides PeopleSoft hot key: ' + psftConflict.description);
+            }
+
+            this._shortcuts[id] = {
+                id: id,
+                combo: canonical,
+                defaultCombo: this.formatShortcut(combo) || canonical,
+                handler: handler,
+                description: options.description || id,
+                conflict: psftConflict ? psftConflict.description : null
+            };
+
+            this._renderShortcutList();
+            return true;
+        },
+
+        /**
+         * Remove a registered shortcut
+         * @param {string} id - Shortcut identifier
+         * @returns {boolean} True if a shortcut was removed
+         */
+        unregisterShortcut: function(id) {
+            if (!this._shortcuts[id]) {
+                return false;
+            }
+
+            delete this._shortcuts[id];
+            this._renderShortcutList();
+            return true;
+        },
+
+        /**
+         * Bind an existing shortcut to a new key combination and persist it
+         * Combos used by PeopleSoft or another widget shortcut are rejected.
+         * @param {string} id - Shortcut identifier
+         * @param {string} combo - New shortcut string
+         * @returns {object} { success, combo?, error? }
+         */
+        rebindShortcut: function(id, combo) {
+            var shortcut = this._shortcuts[id];
+            if (!shortcut) {
+                return { success: false, error: t('shortcuts.unknown', { id: id }) };
+            }
+
+            var canonical = this.formatShortcut(combo);
+            if (!canonical) {
+                return { success: false, error: t('shortcuts.invalid') };
+            }
+
+            var conflicts = this.getShortcutConflicts(canonical, id);
+            if (conflicts.length) {
+                var conflict = conflicts[0];
+                return {
+                    success: false,
+                    error: t(conflict.type === 'peoplesoft' ? 'shortcuts.usedByPeopleSoft' : 'shortcuts.usedByWidget', {
+                        combo: canonical,
+                        description: conflict.description
+                    })
+                };
+            }
+
+            shortcut.combo = canonical;
+            shortcut.conflict = null;
+
+            if (canonical === shortcut.defaultCombo) {
+                delete this._customBindings[id];
+            } else {
+                this._customBindings[id] = canonical;
+            }
+
+            this._saveShortcutPreferences();
+            this._renderShortcutList();
+
+            return { success: true, combo: canonical };
+        },
+
+        /**
+         * Restore all shortcuts to their registered defaults
+         */
+        resetShortcuts: function() {
+            var self = this;
+
+            this._customBindings = {};
+            Object.keys(this._shortcuts).forEach(function(id) {
+                var shortcut = self._shortcuts[id];
+                shortcut.combo = shortcut.defaultCombo;
+                var psftConflict = self.getShortcutConflicts(shortcut.combo, id).filter(function(c) {
+                    return c.type === 'peoplesoft';
+                })[0];
+                shortcut.conflict = psftConflict ? psftConflict.description : null;
+            });
+
+            this._saveShortcutPreferences();
+            this._renderShortcutList();
+        },
+
+        /**
+         * Get registered shortcuts
+         * @returns {object[]} Array of { id, combo, description, conflict }
+         */
+        getShortcuts: function() {
+            var self = this;
+            return Object.keys(this._shortcuts).map(function(id) {
+                var s = self._shortcuts[id];
+                return { id: s.id, combo: s.combo, description: s.description, conflict: s.conflict };
+            });
+        },
+
+        /**
+         * Enable/disable all keyboard shortcuts and persist the choice
+         * @param {boolean} enabled - True to enable
+         */
+        setShortcutsEnabled: function(enabled) {
+            this._shortcutsEnabled = Boolean(enabled);
+            this._saveShortcutPreferences();
+            $('#a11y-toggle-shortcuts').prop('checked', this._shortcutsEnabled);
+        },
+
+        /**
+         * Find the shortcut bound to a canonical combo
+         * @private
+         */
+        _findShortcutByCombo: function(combo) {
+            for (var id in this._shortcuts) {
+                if (this._shortcuts.hasOwnProperty(id) && this._shortcuts[id].combo === combo) {
+                    return this._shortcuts[id];
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Enter capture mode: the next key combination rebinds the shortcut
+         * @private
+         */
+        _startShortcutCapture: function(id) {
+            if (!this._shortcuts[id]) {
+                return;
+            }
+
+            this._capturingShortcut = id;
+
+            $('[data-shortcut-id]').attr('aria-pressed', 'false');
+            $('[data-shortcut-id="' + id + '"]')
+                .attr('aria-pressed', 'true')
+                .text(t('shortcuts.pressKeys'));
+
+            this._setShortcutStatus(t('shortcuts.capture', { description: this._shortcuts[id].description }));
+        },
+
+        /**
+         * Handle a keydown while capturing a new shortcut
+         * @private
+         */
+        _handleShortcutCapture: function(e) {
+            var id = this._capturingShortcut;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this._capturingShortcut = null;
+                this._renderShortcutList();
+                this._setShortcutStatus(t('shortcuts.cancelled'));
+                $('[data-shortcut-id="' + id + '"]').focus();
+                return;
+            }
+
+            var combo = this.eventToShortcut(e);
+            if (!combo) {
+                // Modifier on its own - wait for the rest of the combination
+                return;
+            }
+
+            // Keys that cannot be shortcuts (no modifier, not an F-key) keep their
+            // usual meaning, so Tab and Shift+Tab still move focus out of the list
+            if (!this.parseShortcut(combo)) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            var result = this.rebindShortcut(id, combo);
+            if (!result.success) {
+                // Stay in capture mode so the user can try another combination
+                this._setShortcutStatus(t('shortcuts.tryAgain', { error: result.error }));
+                return;
+            }
+
+            this._capturingShortcut = null;
+            this._renderShortcutList();
+            this._setShortcutStatus(t('shortcuts.changed', {
+                description: this._shortcuts[id].description,
+                combo: result.combo
+            }));
+            $('[data-shortcut-id="' + id + '"]').focus();
+        },
+
+        /**
+         * Render the shortcut list in the panel
+         * @private
+         */
+        _renderShortcutList: function() {
+            var list = document.getElementById('a11y-shortcut-list');
+            if (!list) {
+                return;
+            }
+
+            var self = this;
+            list.innerHTML = '';
+
+            Object.keys(this._shortcuts).forEach(function(id) {
+                var shortcut = self._shortcuts[id];
+                var item = document.createElement('li');
+                item.className = 'a11y-shortcut';
+
+                var label = document.createElement('span');
+                label.className = 'a11y-shortcut__label';
+                label.id = 'a11y-shortcut-label-' + id;
+                label.textContent = shortcut.description;
+                item.appendChild(label);
+
+                var button = document.createElement('button');
+                button.className = 'a11y-btn a11y-btn--small a11y-shortcut__key';
+                button.setAttribute('data-shortcut-id', id);
+                button.setAttribute('aria-pressed', 'false');
+                button.setAttribute('aria-describedby', label.id);
+                button.setAttribute('aria-label', t('shortcuts.change', { combo: shortcut.combo }));
+                button.textContent = shortcut.combo;
+                item.appendChild(button);
+
+                if (shortcut.conflict) {
+                    var warning = document.createElement('span');
+                    warning.className = 'a11y-shortcut__conflict';
+                    warning.textContent = t('shortcuts.overrides', { description: shortcut.conflict });
+                    item.appendChild(warning);
+                }
+
+                list.appendChild(item);
+            });
+
+            $('#a11y-toggle-shortcuts').prop('checked', this._shortcutsEnabled);
+        },
+
+        /**
+         * Announce a shortcut status message
+         * @private
+         */
+        _setShortcutStatus: function(message) {
+            $('#a11y-shortcut-status').text(message);
+        },
+
+        /**
+         * Save shortcut preferences
+         * @private
+         */
+        _saveShortcutPreferences: function() {
+            try {
+                this._getStorage().setItem(this._getShortcutsKey(), JSON.stringify({
+                    enabled: this._shortcutsEnabled,
+                    bindings: this._customBindings
+                }));
+            } catch (e) {
+                console.warn('[A11Y] Could not save shortcuts:', e);
+            }
+        },
+
+        /**
+         * Load shortcut preferences
+         * @private
+         */
+        _loadShortcutPreferences: function() {
+            var self = this;
+            var defaults = CONFIG.defaults || {};
+            this._shortcutsEnabled = defaults.keyboardShortcutsEnabled !== false;
+            this._customBindings = {};
+
+            try {
+                var saved = this._getStorage().getItem(this._getShortcutsKey());
+                if (saved) {
+                    var prefs = JSON.parse(saved);
+                    if (typeof prefs.enabled === 'boolean') {
+                        this._shortcutsEnabled = prefs.enabled;
+                    }
+                    if (prefs.bindings && typeof prefs.bindings === 'object') {
+                        this._customBindings = prefs.bindings;
+                    }
+                }
+            } catch (e) {
+                console.warn('[A11Y] Could not load shortcuts:', e);
+            }
+
+            this._shortcutPrefsLoaded = true;
+
+            // Shortcuts registered earlier follow the bindings just loaded
+            Object.keys(this._shortcuts).forEach(function(id) {
+                var shortcut = self._shortcuts[id];
+                var combo = self.formatShortcut(self._customBindings[id]) || shortcut.defaultCombo;
+                var conflicts = self.getShortcutConflicts(combo, id);
+
+                if (conflicts.some(function(c) { return c.type === 'widget'; })) {
+                    combo = shortcut.defaultCombo;
+                    conflicts = self.getShortcutConflicts(combo, id);
+                }
+
+                var psftConflict = conflicts.filter(function(c) { return c.type === 'peoplesoft'; })[0];
+                shortcut.combo = combo;
+                shortcut.conflict = psftConflict ? psftConflict.description : null;
+            });
+        },
+
+        /**
+         * Get the storage key for shortcut preferences
+         * @private
+         */
+        _getShortcutsKey: function() {
+            return (CONFIG.storage && CONFIG.storage.shortcutsKey) || 'a11y_shortcuts';
+        },
+
+        /**
+         * Get the preference store (A11Y_STORAGE when loaded, else localStorage)
+         * @private
+         */
+        _getStorage: function() {
+            return window.A11Y_STORAGE || localStorage;
+        },
+
+        /**
+         * Re-apply shortcut and position preferences after the server copy was merged in
+         * @private
+         */
+        _onStorageSynced: function(keys) {
+            if (keys.indexOf(this._getShortcutsKey()) !== -1) {
+                this._loadShortcutPreferences();
+                this._renderShortcutList();
+            }
+
+            if (keys.indexOf((CONFIG.storage && CONFIG.storage.positionKey) || 'a11y_widget_position') !== -1) {
+                this._loadPosition();
+            }
+
+            this._updateUI();
+        },
+
+        /**
+         * Setup page change handler
+         * @private
+         */
+        _setupPageChangeHandler: function() {
+            var self = this;
+
+            if (window.A11Y_PSFT) {
+                window.A11Y_PSFT.onPageChange(function(data) {
+                    // Re-apply styles after Ajax navigation
+                    self._updateUI();
+                    self._renderHistory();
+                });
+            }
+        },
+
+        /**
+         * Toggle panel open/closed
+         */
+        togglePanel: function() {
+            if (this._panelOpen) {
+                this.closePanel();
+            } else {
+                this.openPanel();
+            }
+        },
+
+        /**
+         * Check whether the panel opens as a modal dialog (A11Y_CONFIG.panel.modal)
+         * @returns {boolean} True if modal
+         */
+        isModal: function() {
+            return !(CONFIG.panel && CONFIG.panel.modal === false);
+        },
+
+        /**
+         * Open the panel
+         */
+        openPanel: function() {
+            if (this._panelOpen) {
+                this._focusFirst();
+                return;
+            }
+
+            this._returnFocus = this._getActiveElement();
+            this._panelOpen = true;
+
+            var $widget = $(this._widgetElement);
+            $widget.removeClass('a11y-widget--closed').addClass('a11y-widget--open');
+
+            var $trigger = $widget.find('#a11y-trigger');
+            $trigger.attr('aria-expanded', 'true');
+            $trigger.attr('aria-label', t('trigger.close'));
+
+            var $panel = $widget.find('#a11y-panel');
+            $panel.attr('aria-hidden', 'false').removeAttr('inert');
+
+            if (this.isModal()) {
+                $panel.attr('aria-modal', 'true');
+                this._setBackgroundInert(true);
+            } else {
+                $panel.removeAttr('aria-modal');
+            }
+
+            // Update UI to reflect current settings
+            this._updateUI();
+
+            this._focusFirst();
+        },
+
+        /**
+         * Close the panel and return focus to where it was before opening
+         * @param {object} [options]
+         * @param {boolean} [options.restoreFocus=true] - false leaves focus alone
+         *   (e.g. after a click elsewhere), unless it would be lost in the closed panel
+         */
+        closePanel: function(options) {
+            options = options || {};
+
+            if (!this._panelOpen) {
+                return;
+            }
+            this._panelOpen = false;
+
+            var active = document.activeElement;
+            var focusLost = !active || active === document.body || this._widgetElement.contains(active);
+
+            var $widget = $(this._widgetElement);
+            $widget.removeClass('a11y-widget--open').addClass('a11y-widget--closed');
+
+            var $trigger = $widget.find('#a11y-trigger');
+            $trigger.attr('aria-expanded', 'false');
+            $trigger.attr('aria-label', t('trigger.open'));
+
+            // The background must be interactive again before it can take focus
+            this._setBackgroundInert(false);
+
+            if (options.restoreFocus !== false || focusLost) {
+                this._restoreFocus();
+            }
+            this._returnFocus = null;
+
+            var $panel = $widget.find('#a11y-panel');
+            $panel.attr({ 'aria-hidden': 'true', inert: '' }).removeAttr('aria-modal');
+        },
+
+        /**
+         * Get the focused element, looking into same-origin frames such as
+         * the Classic target frame
+         * @private
+         */
+        _getActiveElement: function() {
+            var active = document.activeElement;
+
+            while (active && active.nodeName === 'IFRAME') {
+                var frameDoc = window.A11Y_PSFT ? window.A11Y_PSFT.getFrameDocument(active) : null;
+                if (!frameDoc || !frameDoc.activeElement || frameDoc.activeElement === frameDoc.body) {
+                    break;
+                }
+                active = frameDoc.activeElement;
+            }
+
+            return active === document.body ? null : active;
+        },
+
+        /**
+         * Focus the element focused before the panel opened, or the trigger
+         * if it is gone or can no longer take focus
+         * @private
+         */
+        _restoreFocus: function() {
+            var target = this._returnFocus;
+            var trigger = document.getElementById('a11y-trigger');
+
+            if (!target || target === trigger || !target.ownerDocument.contains(target) ||
+                target.disabled || $(target).closest('[inert], [hidden]').length) {
+                target = trigger;
+            }
+
+            try {
+                target.focus();
+            } catch (e) {
+                trigger.focus();
+            }
+        },
+
+        /**
+         * Get the elements in a container that Tab can reach
+         * @private
+         */
+        _getTabbable: function(container) {
+            return $(container).find(TABBABLE_SELECTOR).filter(function() {
+                return this.tabIndex >= 0 && !$(this).closest('[hidden], [inert]').length;
+            }).get();
+        },
+
+        /**
+         * Focus the first control in the panel, or the panel itself
+         * @private
+         */
+        _focusFirst: function() {
+            var panel = document.getElementById('a11y-panel');
+            var tabbable = this._getTabbable(panel);
+            (tabbable[0] || panel).focus();
+        },
+
+        /**
+         * Wrap Tab and Shift+Tab around the panel's first and last controls
+         * @private
+         */
+        _trapFocus: function(e) {
+            var panel = document.getElementById('a11y-panel');
+            var tabbable = this._getTabbable(panel);
+            var active = document.activeElement;
+
+            if (!tabbable.length) {
+                e.preventDefault();
+                panel.focus();
+                return;
+            }
+
+            var first = tabbable[0];
+            var last = tabbable[tabbable.length - 1];
+
+            if (e.shiftKey && (active === first || active === panel)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        /**
+         * Make everything outside the widget inert (and hidden from assistive
+         * technology where inert is unsupported), or undo it. Elements that
+         * were already inert are left alone.
+         * @private
+         */
+        _setBackgroundInert: function(inert) {
+            if (!inert) {
+                this._inertElements.forEach(function(item) {
+                    item.element.removeAttribute('inert');
+                    if (item.ariaHidden !== undefined) {
+                        if (item.ariaHidden === null) {
+                            item.element.removeAttribute('aria-hidden');
+                        } else {
+                            item.element.setAttribute('aria-hidden', item.ariaHidden);
+                        }
+                    }
+                });
+                this._inertElements = [];
+                return;
+            }
+
+            var self = this;
+            var supported = 'inert' in HTMLElement.prototype;
+
+            for (var node = this._widgetElement; node && node !== document.body; node = node.parentNode) {
+                $(node).siblings().each(function() {
+                    if (INERT_SKIP.test(this.nodeName) || this.hasAttribute('inert')) {
+                        return;
+                    }
+
+                    var item = { element: this };
+                    this.setAttribute('inert', '');
+                    if (!supported) {
+                        item.ariaHidden = this.getAttribute('aria-hidden');
+                        this.setAttribute('aria-hidden', 'true');
+                    }
+                    self._inertElements.push(item);
+                });
+            }
         },
 
         /**
-         * Setup page change handler
+         * Move focus between the buttons of a group with the arrow keys,
+         * Home and End
          * @private
          */
-        _setupPageChangeHandler: function() {
-            var self = this;
+        _handleRovingKeydown: function(e, button) {
+            var $buttons = $(button).closest('[data-a11y-roving]').find('.a11y-btn');
+            var index = $buttons.index(button);
+            var next;
+
+            // Left and right follow the reading direction
+            var rtl = $(button).closest('[dir]').attr('dir') === 'rtl';
+            var key = e.key;
+            if (rtl && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+                key = key === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+            }
 
-            if (window.A11Y_PSFT) {
-                window.A11Y_PSFT.onPageChange(function(data) {
-                    // Re-apply styles after Ajax navigation
-                    self._updateUI();
-                });
+            switch (key) {
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    next = (index + 1) % $buttons.length;
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    next = (index - 1 + $buttons.length) % $buttons.length;
+                    break;
+                case 'Home':
+                    next = 0;
+                    break;
+                case 'End':
+                    next = $buttons.length - 1;
+                    break;
+                default:
+                    return;
             }
+
+            e.preventDefault();
+            $buttons.attr('tabindex', '-1');
+            $buttons.eq(next).attr('tabindex', '0').trigger('focus');
         },
 
         /**
-         * Toggle panel open/closed
+         * Give the active button of a group (or the first) the group's Tab stop
+         * @private
          */
-        togglePanel: function() {
-            if (this._panelOpen) {
-                this.closePanel();
-            } else {
-                this.openPanel();
-            }
+        _updateRovingTabindex: function(group) {
+            var $buttons = $(group).find('.a11y-btn');
+            var $active = $buttons.filter('.a11y-btn--active');
+
+            $buttons.attr('tabindex', '-1');
+            ($active.length ? $active : $buttons).first().attr('tabindex', '0');
         },
 
         /**
-         * Open the panel
+         * Show the widget in the current A11Y_I18N locale. Text is replaced in
+         * place so panel state (open sections, scan results, form values,
+         * focus) is kept.
+         * @private
          */
-        openPanel: function() {
-            this._panelOpen = true;
-
+        _relocalize: function() {
+            var i18n = window.A11Y_I18N;
+            var self = this;
             var $widget = $(this._widgetElement);
-            $widget.removeClass('a11y-widget--closed').addClass('a11y-widget--open');
-
-            var $trigger = $widget.find('#a11y-trigger');
-            $trigger.attr('aria-expanded', 'true');
-            $trigger.attr('aria-label', 'Close Accessibility Menu');
-
-            var $panel = $widget.find('#a11y-panel');
-            $panel.attr('aria-hidden', 'false');
 
-            // Focus first focusable element
-            $panel.find('button, select, input').first().focus();
+            if (!i18n || !this._widgetElement) {
+                return;
+            }
 
-            // Update UI to reflect current settings
-            this._updateUI();
-        },
+            $widget.attr({ lang: i18n.getLocale(), dir: i18n.getDirection() });
 
-        /**
-         * Close the panel
-         */
-        closePanel: function() {
-            this._panelOpen = false;
+            $widget.find('[data-a11y-i18n]').addBack('[data-a11y-i18n]').each(function() {
+                this.textContent = t(this.getAttribute('data-a11y-i18n'));
+            });
 
-            var $widget = $(this._widgetElement);
-            $widget.removeClass('a11y-widget--open').addClass('a11y-widget--closed');
+            $widget.find('[data-a11y-i18n-attr]').addBack('[data-a11y-i18n-attr]').each(function() {
+                var parts = this.getAttribute('data-a11y-i18n-attr').split('=');
+                this.setAttribute(parts[0], t(parts[1]));
+            });
 
-            var $trigger = $widget.find('#a11y-trigger');
-            $trigger.attr('aria-expanded', 'false');
-            $trigger.attr('aria-label', 'Open Accessibility Menu');
-            $trigger.focus();
+            $widget.find('#a11y-trigger').attr('aria-label', t(this._panelOpen ? 'trigger.close' : 'trigger.open'));
+            $widget.find('#a11y-scan').text(t($widget.find('#a11y-scan').prop('disabled') ? 'scan.running' : 'scan.run'));
+            this._renderProfileOptions();
 
-            var $panel = $widget.find('#a11y-panel');
-            $panel.attr('aria-hidden', 'true');
+            // Built-in shortcut descriptions
+            var builtIns = this._getBuiltInShortcuts();
+            Object.keys(builtIns).forEach(function(id) {
+                if (self._shortcuts[id]) {
+                    self._shortcuts[id].description = builtIns[id].description;
+                }
+            });
+            this._capturingShortcut = null;
+            this._renderShortcutList();
+            this._setShortcutStatus('');
+
+            // Generated content
+            var scanner = window.A11Y_SCANNER;
+            if (scanner && scanner.getResults()) {
+                this._renderScanSummary();
+                this._renderExportButtons();
+                this._renderInspector(false);
+            }
+            if (scanner && scanner.getCrawlReport() && $('#a11y-crawl-results').children().length) {
+                this._renderCrawlReport(scanner.getCrawlReport());
+            }
+            this._renderHistory();
+            this._renderRemediationStatus();
+            this._renderLayers();
+            this._renderSystemStatus();
         },
 
         /**
@@ -567,30 +2764,25 @@
 
             var settings = window.A11Y_STYLES.getSettings();
 
+            // Settings controls
+            this._syncControls(settings);
+
             // Font size
             this._updateFontDisplay();
 
-            // Contrast
-            this._updateContrastButtons(settings.contrastMode);
-
-            // Toggles
-            $('#a11y-toggle-animations').prop('checked', settings.stopAnimations);
-            $('#a11y-toggle-reading-guide').prop('checked', settings.readingGuide);
-            $('#a11y-toggle-focus').prop('checked', settings.focusHighlight);
-            $('#a11y-toggle-links').prop('checked', settings.linkHighlight);
+            // Read aloud
+            this._renderVoiceOptions();
+            this._updateSpeechButtons();
 
-            // Sliders
-            $('#a11y-line-height').val(settings.lineHeight);
-            $('#a11y-letter-spacing').val(settings.letterSpacing);
-
-            // Cursor
-            $('[data-cursor]').removeClass('a11y-btn--active');
-            $('[data-cursor="' + settings.cursorSize + '"]').addClass('a11y-btn--active');
+            // Layers the settings come from, and the OS display settings
+            this._renderLayers();
+            this._renderSystemStatus();
 
             // Profile
             if (window.A11Y_PROFILES) {
                 var activeProfile = window.A11Y_PROFILES.getActiveProfile();
                 $('#a11y-profile-select').val(activeProfile ? activeProfile.id : '');
+                this._updateProfileActions();
             }
         },
 
@@ -603,15 +2795,57 @@
 
             var fontSize = window.A11Y_STYLES.getFontSize();
             $('#a11y-font-value').text(Math.round(fontSize * 100) + '%');
+            $('#a11y-font-decrease, #a11y-font-increase').prop('disabled', window.A11Y_STYLES.isLocked('fontSize'));
+        },
+
+        /**
+         * Fill the voice selector with the browser's voices, keeping the
+         * saved voice selected. Voices load asynchronously in some browsers.
+         * @private
+         */
+        _renderVoiceOptions: function() {
+            var select = document.getElementById('a11y-speech-voice');
+            if (!select || !window.A11Y_SPEECH) {
+                return;
+            }
+
+            var selected = window.A11Y_STYLES ? window.A11Y_STYLES.getSettings().speechVoice : select.value;
+            var voices = window.A11Y_SPEECH.getVoices().sort(function(a, b) {
+                return a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name);
+            });
+
+            // Keep the "Default voice" option
+            while (select.options.length > 1) {
+                select.removeChild(select.options[1]);
+            }
+
+            voices.forEach(function(voice) {
+                var option = document.createElement('option');
+                option.value = voice.voiceURI;
+                option.textContent = voice.name + ' (' + voice.lang + ')';
+                select.appendChild(option);
+            });
+
+            select.value = selected || '';
+            if (select.value !== (selected || '')) {
+                // Saved voice not installed on this device
+                select.value = '';
+            }
         },
 
         /**
-         * Update contrast button states
+         * Enable the pause and stop buttons while speaking
          * @private
          */
-        _updateContrastButtons: function(mode) {
-            $('.a11y-contrast-buttons .a11y-btn').removeClass('a11y-btn--active');
-            $('.a11y-contrast-buttons [data-mode="' + mode + '"]').addClass('a11y-btn--active');
+        _updateSpeechButtons: function() {
+            var speech = window.A11Y_SPEECH;
+            if (!speech) {
+                return;
+            }
+
+            $('#a11y-speech-pause').prop('disabled', !speech.isSpeaking())
+                .attr('aria-pressed', String(speech.isPaused()));
+            $('#a11y-speech-stop').prop('disabled', !speech.isSpeaking());
         },
 
         /**
@@ -624,36 +2858,699 @@
             var $summary = $results.find('.a11y-scan-summary');
             var $scanBtn = $('#a11y-scan');
 
-            $scanBtn.prop('disabled', true).text('Scanning...');
+            $scanBtn.prop('disabled', true).text(t('scan.running'));
 
             if (window.A11Y_SCANNER) {
                 window.A11Y_SCANNER.scan().then(function(results) {
-                    var summary = window.A11Y_SCANNER.getSummary();
-
-                    $summary.html([
-                        '<strong>Scan Complete</strong><br>',
-                        'Total Issues: ' + summary.total + '<br>',
-                        '<span style="color:#ff0000">Critical: ' + summary.critical + '</span> | ',
-                        '<span style="color:#ff6600">Serious: ' + summary.serious + '</span> | ',
-                        '<span style="color:#ffcc00">Moderate: ' + summary.moderate + '</span> | ',
-                        '<span style="color:#0066ff">Minor: ' + summary.minor + '</span>'
-                    ].join(''));
+                    self._renderScanSummary();
+                    self._renderExportButtons();
+                    self._renderInspector(false);
 
                     $results.prop('hidden', false);
-                    $scanBtn.prop('disabled', false).text('Run Accessibility Scan');
+                    $scanBtn.prop('disabled', false).text(t('scan.run'));
 
                     // Also log to console
                     window.A11Y_SCANNER.logResults();
                 }).catch(function(err) {
-                    $summary.html('<strong>Scan Error:</strong> ' + err.message);
+                    $summary.html('<strong>' + tHtml('scan.error') + '</strong> ' + escapeHtml(err.message));
                     $results.prop('hidden', false);
-                    $scanBtn.prop('disabled', false).text('Run Accessibility Scan');
+                    $scanBtn.prop('disabled', false).text(t('scan.run'));
                 });
             } else {
-                $summary.html('<strong>Error:</strong> Scanner not available');
+                $summary.html('<strong>' + tHtml('error') + '</strong> ' + tHtml('scan.unavailable'));
                 $results.prop('hidden', false);
-                $scanBtn.prop('disabled', false).text('Run Accessibility Scan');
+                $scanBtn.prop('disabled', false).text(t('scan.run'));
+            }
+        },
+
+        /**
+         * Crawl the pages listed in the crawl textarea
+         * @private
+         */
+        _runCrawl: function() {
+            var self = this;
+            var scanner = window.A11Y_SCANNER;
+            var targets = String($('#a11y-crawl-targets').val() || '').split('\n').map(function(line) {
+                return line.trim();
+            }).filter(Boolean);
+
+            if (!scanner) {
+                $('#a11y-crawl-status').text(t('scan.unavailable'));
+                return;
+            }
+            if (!targets.length) {
+                $('#a11y-crawl-status').text(t('crawl.noTargets'));
+                $('#a11y-crawl-targets').trigger('focus');
+                return;
+            }
+
+            $('#a11y-crawl-start').prop('disabled', true);
+            $('#a11y-crawl-cancel').prop('hidden', false);
+            $('#a11y-crawl-progress').attr({ max: targets.length, value: 0 }).prop('hidden', false);
+            $('#a11y-crawl-results').empty();
+
+            var finish = function() {
+                $('#a11y-crawl-start').prop('disabled', false);
+                $('#a11y-crawl-cancel').prop('hidden', true);
+                $('#a11y-crawl-progress').prop('hidden', true);
+            };
+
+            scanner.crawl(targets).then(function(report) {
+                finish();
+                self._renderCrawlReport(report);
+            }).catch(function(err) {
+                finish();
+                $('#a11y-crawl-status').text(t('crawl.error', { message: err.message }));
+            });
+        },
+
+        /**
+         * Render the per-page results of a crawl and its export buttons
+         * @private
+         */
+        _renderCrawlReport: function(report) {
+            var container = document.getElementById('a11y-crawl-results');
+            var summary = report.summary;
+            var total = report.violations.length;
+
+            $('#a11y-crawl-status').text(t(report.cancelled ? 'crawl.cancelled' : 'crawl.complete') + ' ' + [
+                t('crawl.pages', { scanned: summary.pagesScanned, count: summary.pages }),
+                t('crawl.issues', { count: total })
+            ].concat(summary.pagesFailed ? [t('crawl.failed', { count: summary.pagesFailed })] : []).join(', ') + '.');
+
+            var table = document.createElement('table');
+            table.className = 'a11y-history-table';
+
+            var caption = document.createElement('caption');
+            caption.textContent = t('crawl.caption');
+            table.appendChild(caption);
+
+            var head = table.createTHead().insertRow();
+            ['crawl.page', 'crawl.status', 'crawl.issuesColumn', 'crawl.new'].forEach(function(key) {
+                var th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = t(key);
+                head.appendChild(th);
+            });
+
+            var body = table.createTBody();
+            report.pages.forEach(function(page) {
+                var row = body.insertRow();
+                var name = document.createElement('th');
+                name.scope = 'row';
+                name.textContent = page.results ? page.component + '.' + page.page : page.target;
+                row.appendChild(name);
+
+                row.insertCell().textContent = t('crawl.status.' + page.status) + (page.error ? ': ' + page.error : '');
+                row.insertCell().textContent = page.summary ? page.summary.total : '-';
+                row.insertCell().textContent = page.summary ? page.summary.new : '-';
+            });
+
+            var actions = document.createElement('div');
+            actions.className = 'a11y-scan-actions';
+            actions.setAttribute('role', 'group');
+            actions.setAttribute('aria-label', t('crawl.export'));
+
+            window.A11Y_SCANNER.getExporters().forEach(function(exporter) {
+                var button = document.createElement('button');
+                button.className = 'a11y-btn a11y-btn--small';
+                button.setAttribute('data-crawl-exporter', exporter.id);
+                button.textContent = t('export.button', { label: exporter.label });
+                actions.appendChild(button);
+            });
+
+            container.innerHTML = '';
+            container.appendChild(table);
+            container.appendChild(actions);
+        },
+
+        /**
+         * Render the scan summary counters
+         * @private
+         */
+        _renderScanSummary: function() {
+            var summary = window.A11Y_SCANNER.getSummary();
+
+            var count = function(impact) {
+                return tHtml('scan.impactCount', { impact: t('impact.' + impact), count: summary[impact] });
+            };
+
+            $('#a11y-scan-results .a11y-scan-summary').html([
+                '<strong>' + tHtml('scan.complete') + '</strong><br>',
+                tHtml('scan.total', { count: summary.total }) + '<br>',
+                '<span style="color:#ff0000">' + count('critical') + '</span> | ',
+                '<span style="color:#ff6600">' + count('serious') + '</span> | ',
+                '<span style="color:#ffcc00">' + count('moderate') + '</span> | ',
+                '<span style="color:#0066ff">' + count('minor') + '</span><br>',
+                tHtml('scan.new', { count: summary.new }) + ' | ' + tHtml('scan.baselined', { count: summary.baselined })
+            ].join(''));
+        },
+
+        /**
+         * Say whether forced colors suspend contrast and color filters
+         * @private
+         */
+        _renderSystemStatus: function() {
+            var styles = window.A11Y_STYLES;
+            var status = document.getElementById('a11y-system-status');
+            if (!styles || !status) {
+                return;
+            }
+
+            var forced = styles.isForcedColors();
+            status.textContent = forced ? t('system.forcedColors') : '';
+            status.hidden = !forced;
+        },
+
+        /**
+         * List the layers the settings come from (A11Y_STYLES.getLayers):
+         * device settings, active profiles, the user's changes and settings
+         * locked by the institution, each with the settings it supplies and
+         * a button to drop it
+         * @private
+         */
+        _renderLayers: function() {
+            var styles = window.A11Y_STYLES;
+            var container = document.getElementById('a11y-layers');
+            var list = document.getElementById('a11y-layers-list');
+            if (!styles || !container || !list) {
+                return;
+            }
+
+            var schema = this._getPanelSchema();
+            var rows = [];
+
+            styles.getLayers().forEach(function(layer) {
+                // Ignored device settings are listed with what they would set
+                var keys = layer.enabled ? layer.keys : Object.keys(layer.settings);
+                var names = keys.map(function(key) {
+                    return t(getSettingLabel(schema, key));
+                }).join(', ');
+                var row = { type: layer.type, id: layer.id, settings: names, action: 'remove' };
+
+                if (layer.type === 'profile') {
+                    row.name = getProfileName(layer.id);
+                } else if (!names) {
+                    return;
+                } else if (layer.type === 'system') {
+                    row.name = t(layer.enabled ? 'layers.system' : 'layers.systemOff');
+                    row.action = layer.enabled ? 'remove' : 'use';
+                } else if (layer.type === 'user') {
+                    row.name = t('layers.user');
+                } else {
+                    row.name = t('layers.locked');
+                    row.action = null;
+                }
+                rows.push(row);
+            });
+
+            list.textContent = '';
+            rows.forEach(function(row) {
+                var item = document.createElement('li');
+                var text = document.createElement('span');
+                text.textContent = row.settings ? t('layers.row', { name: row.name, settings: row.settings }) : row.name;
+                item.appendChild(text);
+
+                if (row.action) {
+                    var button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'a11y-btn a11y-btn--small';
+                    button.setAttribute('data-layer-action', row.action);
+                    button.setAttribute('data-layer-type', row.type);
+                    if (row.id) {
+                        button.setAttribute('data-layer-id', row.id);
+                    }
+                    button.setAttribute('aria-label', t('layers.' + row.action + 'Label', { name: row.name }));
+                    button.textContent = t('layers.' + row.action);
+                    item.appendChild(button);
+                }
+
+                list.appendChild(item);
+            });
+
+            container.hidden = !rows.length;
+        },
+
+        /**
+         * Drop a settings layer, or use the device settings again
+         * @private
+         * @param {HTMLElement} button - Layer button (data-layer-action, -type, -id)
+         */
+        _onLayerAction: function(button) {
+            var styles = window.A11Y_STYLES;
+            var type = button.getAttribute('data-layer-type');
+            if (!styles) {
+                return;
+            }
+
+            if (type === 'system') {
+                styles.setSystemLayerEnabled(button.getAttribute('data-layer-action') === 'use');
+            } else if (type === 'profile' && window.A11Y_PROFILES) {
+                window.A11Y_PROFILES.removeProfile(button.getAttribute('data-layer-id'));
+            } else if (type === 'user') {
+                styles.clearOverrides();
+            }
+
+            this._updateUI();
+
+            // The row is gone or redrawn: keep focus in the list
+            var next = document.querySelector('#a11y-layers-list button');
+            (next || document.getElementById('a11y-panel')).focus();
+        },
+
+        /**
+         * Sync the ARIA fixes toggle and its status text
+         * @private
+         * @param {number} [reverted] - Number of changes just reverted
+         */
+        _renderRemediationStatus: function(reverted) {
+            var remediation = window.A11Y_REMEDIATION;
+            if (!remediation) {
+                return;
+            }
+
+            var active = remediation.isActive();
+            var count = active ? remediation.getLog().length : reverted;
+
+            $('#a11y-toggle-remediation').prop('checked', active);
+            $('#a11y-remediation-status').text(active ?
+                t('remediation.applied', { count: count }) :
+                (typeof reverted === 'number' ? t('remediation.reverted', { count: count }) : ''));
+        },
+
+        /**
+         * Render the scan history trend of the current page: the change since
+         * the previous scan and a table of recent scans
+         * @private
+         */
+        _renderHistory: function() {
+            var scanner = window.A11Y_SCANNER;
+            var container = document.getElementById('a11y-scan-history');
+            if (!container || !scanner || !scanner.isHistoryEnabled()) {
+                return;
+            }
+
+            var locale = window.A11Y_I18N ? window.A11Y_I18N.getLocale() : undefined;
+
+            scanner.getTrend().then(function(trend) {
+                var table = document.getElementById('a11y-history-trend');
+                table.innerHTML = '';
+                container.hidden = false;
+
+                if (!trend.length) {
+                    $('#a11y-history-change').text(t('history.none'));
+                    return;
+                }
+
+                var latest = trend[trend.length - 1];
+                $('#a11y-history-change').text(latest.changes ?
+                    t('history.change', {
+                        fixed: latest.changes.summary.fixed,
+                        new: latest.changes.summary.new,
+                        unchanged: latest.changes.summary.unchanged
+                    }) :
+                    t('history.first'));
+
+                var max = Math.max.apply(null, trend.map(function(entry) {
+                    return entry.record.summary.total;
+                })) || 1;
+
+                var el = document.createElement('table');
+                el.className = 'a11y-history-table';
+
+                var caption = document.createElement('caption');
+                caption.textContent = t('history.caption', { page: latest.record.component + '.' + latest.record.page });
+                el.appendChild(caption);
+
+                var head = el.createTHead().insertRow();
+                ['history.scanned', 'history.release', 'history.issues', 'history.changeColumn'].forEach(function(key) {
+                    var th = document.createElement('th');
+                    th.scope = 'col';
+                    th.textContent = t(key);
+                    head.appendChild(th);
+                });
+
+                var body = el.createTBody();
+
+                // Newest first
+                trend.slice().reverse().forEach(function(entry) {
+                    var record = entry.record;
+                    var row = body.insertRow();
+
+                    row.insertCell().textContent = new Date(record.timestamp).toLocaleString(locale);
+                    row.insertCell().textContent = [
+                        record.release,
+                        record.toolsRelease ? t('history.toolsRelease', { release: record.toolsRelease }) : ''
+                    ].filter(Boolean).join(', ') || '-';
+
+                    var issues = row.insertCell();
+                    var bar = document.createElement('span');
+                    bar.className = 'a11y-history-bar';
+                    bar.setAttribute('aria-hidden', 'true');
+                    bar.style.width = Math.round(record.summary.total / max * 100) + '%';
+                    issues.appendChild(document.createTextNode(t('history.issueCount', {
+                        total: record.summary.total,
+                        new: record.summary.new
+                    })));
+                    issues.appendChild(bar);
+
+                    row.insertCell().textContent = entry.changes ?
+                        t('history.changeCount', { fixed: entry.changes.summary.fixed, new: entry.changes.summary.new }) :
+                        '-';
+                });
+
+                table.appendChild(el);
+            }).catch(function(error) {
+                console.warn('[A11Y] Could not load scan history:', error && error.message);
+            });
+        },
+
+        /**
+         * Render an export button for each format registered with A11Y_SCANNER
+         * @private
+         */
+        _renderExportButtons: function() {
+            var container = document.getElementById('a11y-export-actions');
+            if (!container || !window.A11Y_SCANNER) {
+                return;
+            }
+
+            container.innerHTML = '';
+
+            window.A11Y_SCANNER.getExporters().forEach(function(exporter) {
+                var button = document.createElement('button');
+                button.id = 'a11y-export-' + exporter.id;
+                button.className = 'a11y-btn a11y-btn--small';
+                button.setAttribute('data-exporter', exporter.id);
+                button.textContent = t('export.button', { label: exporter.label });
+                container.appendChild(button);
+            });
+        },
+
+        /**
+         * Render the issue inspector list from the last scan and current filters
+         * @private
+         * @param {boolean} announce - Announce the result count to screen readers
+         */
+        _renderInspector: function(announce) {
+            var list = document.getElementById('a11y-inspector-list');
+            if (!list || !window.A11Y_SCANNER) {
+                return;
+            }
+
+            var scanner = window.A11Y_SCANNER;
+            var results = scanner.getResults();
+            var all = results ? results.violations : [];
+            var filter = this._inspector;
+            var violations = scanner.getViolations({
+                status: filter.status,
+                impact: filter.impact,
+                search: filter.search,
+                sortBy: filter.sortBy
+            });
+            var groups = scanner.groupViolations(violations, filter.groupBy);
+            var self = this;
+
+            list.innerHTML = '';
+
+            if (violations.length === 0) {
+                var empty = document.createElement('p');
+                empty.className = 'a11y-inspector__empty';
+                empty.textContent = t(all.length ? 'inspector.noMatches' : 'inspector.noIssues');
+                list.appendChild(empty);
+            } else if (filter.groupBy === 'none') {
+                list.appendChild(this._createIssueList(violations, all, 'a11y-issue-list-all'));
+            } else {
+                groups.forEach(function(group, groupIndex) {
+                    var listId = 'a11y-issue-group-' + groupIndex;
+                    // A single group has nothing to scan past, so start it open
+                    var open = groups.length === 1;
+
+                    var container = document.createElement('div');
+                    container.className = 'a11y-issue-group';
+
+                    var heading = document.createElement('h4');
+                    heading.className = 'a11y-issue-group__heading';
+
+                    var toggle = document.createElement('button');
+                    toggle.className = 'a11y-issue-group__toggle';
+                    toggle.setAttribute('aria-expanded', String(open));
+                    toggle.setAttribute('aria-controls', listId);
+                    toggle.textContent = (filter.groupBy === 'impact' ? t('impact.' + group.key) : group.label) +
+                        ' (' + group.violations.length + ')';
+                    heading.appendChild(toggle);
+                    container.appendChild(heading);
+
+                    var groupList = self._createIssueList(group.violations, all, listId);
+                    groupList.hidden = !open;
+                    container.appendChild(groupList);
+
+                    list.appendChild(container);
+                });
+            }
+
+            var count = t('inspector.count', { shown: violations.length, count: all.length });
+            $('#a11y-inspector-count').text(count);
+
+            if (announce) {
+                var filters = [];
+                if (filter.status) {
+                    filters.push(t('inspector.onlyStatus', { status: t('inspector.status.' + filter.status) }));
+                }
+                if (filter.impact) {
+                    filters.push(t('inspector.onlyImpact', { impact: t('impact.' + filter.impact) }));
+                }
+                if (filter.search) {
+                    filters.push(t('inspector.matching', { search: filter.search }));
+                }
+                if (filter.groupBy !== 'none') {
+                    filters.push(t('inspector.groupedBy', { group: t('inspector.groupBy.' + filter.groupBy) }));
+                }
+                this._setInspectorStatus([count].concat(filters).join(', '));
+            }
+        },
+
+        /**
+         * Build the list element for a set of violations
+         * @private
+         */
+        _createIssueList: function(violations, all, listId) {
+            var self = this;
+            var scanner = window.A11Y_SCANNER;
+            var list = document.createElement('ul');
+            list.className = 'a11y-issue-list';
+            list.id = listId;
+
+            violations.forEach(function(v) {
+                var index = all.indexOf(v);
+                var detailsId = 'a11y-issue-' + index;
+                var element = v.element;
+
+                var item = document.createElement('li');
+                item.className = 'a11y-issue a11y-issue--' + v.impact;
+
+                var toggle = document.createElement('button');
+                toggle.className = 'a11y-issue__toggle';
+                toggle.setAttribute('aria-expanded', 'false');
+                toggle.setAttribute('aria-controls', detailsId);
+
+                var impact = document.createElement('span');
+                impact.className = 'a11y-issue__impact';
+                impact.textContent = t('impact.' + v.impact);
+                toggle.appendChild(impact);
+
+                var rule = document.createElement('span');
+                rule.className = 'a11y-issue__rule';
+                rule.textContent = v.ruleId;
+                toggle.appendChild(rule);
+
+                if (v.baselineStatus === 'baselined' || v.baselineStatus === 'expired') {
+                    var badge = document.createElement('span');
+                    badge.className = 'a11y-issue__badge';
+                    badge.textContent = t(v.baselineStatus === 'expired' ? 'inspector.expired' : 'inspector.baselined');
+                    toggle.appendChild(badge);
+                }
+
+                var selector = document.createElement('code');
+                selector.className = 'a11y-issue__selector';
+                selector.textContent = element.selector;
+                toggle.appendChild(selector);
+
+                item.appendChild(toggle);
+
+                var details = document.createElement('div');
+                details.className = 'a11y-issue__details';
+                details.id = detailsId;
+                details.hidden = true;
+
+                var description = document.createElement('p');
+                description.textContent = v.description;
+                details.appendChild(description);
+
+                var fields = document.createElement('dl');
+                var addField = function(label, value, tag) {
+                    if (!value) {
+                        return;
+                    }
+                    var term = document.createElement('dt');
+                    term.textContent = label;
+                    var def = document.createElement('dd');
+                    var content = document.createElement(tag || 'span');
+                    content.textContent = value;
+                    def.appendChild(content);
+                    fields.appendChild(term);
+                    fields.appendChild(def);
+                };
+
+                addField(t('inspector.element'), element.selector, 'code');
+                if (element.framePath && element.framePath.length) {
+                    addField(t('inspector.frame'), element.framePath.join(' > '), 'code');
+                }
+                addField(t('inspector.html'), element.html, 'pre');
+                addField(t('inspector.wcag'), scanner.formatWcagCriteria(v.wcagCriteria).join(', '));
+                addField(t('inspector.fix'), v.suggestedFix);
+                addField(t('inspector.source'), v.source);
+                if (v.baseline) {
+                    var reason = v.baseline.reason || t('inspector.noReason');
+                    addField(t('inspector.baseline'), v.baseline.expires ?
+                        t('inspector.until', { reason: reason, date: v.baseline.expires }) : reason);
+                }
+                details.appendChild(fields);
+
+                if (v.baselineStatus !== 'baselined') {
+                    details.appendChild(self._createAcceptForm(index));
+                }
+
+                var actions = document.createElement('div');
+                actions.className = 'a11y-issue__actions';
+
+                var locate = document.createElement('button');
+                locate.className = 'a11y-btn a11y-btn--small a11y-issue__locate';
+                locate.setAttribute('data-violation-index', index);
+                locate.setAttribute('aria-label', t('inspector.locateLabel', { rule: v.ruleId }));
+                locate.textContent = t('inspector.locate');
+                actions.appendChild(locate);
+
+                if (v.helpUrl) {
+                    var help = document.createElement('a');
+                    help.href = v.helpUrl;
+                    help.target = '_blank';
+                    help.rel = 'noopener noreferrer';
+                    help.textContent = t('inspector.docs');
+                    actions.appendChild(help);
+                }
+
+                if (v.baselineStatus === 'baselined') {
+                    var unaccept = document.createElement('button');
+                    unaccept.className = 'a11y-btn a11y-btn--small a11y-issue__unaccept';
+                    unaccept.setAttribute('data-violation-index', index);
+                    unaccept.textContent = t('inspector.unaccept');
+                    actions.insertBefore(unaccept, locate.nextSibling);
+                }
+
+                details.appendChild(actions);
+                item.appendChild(details);
+                list.appendChild(item);
+            });
+
+            return list;
+        },
+
+        /**
+         * Build the reason/expiry fields for accepting an issue into the baseline
+         * @private
+         */
+        _createAcceptForm: function(index) {
+            var form = document.createElement('div');
+            form.className = 'a11y-issue__accept-form';
+
+            var reasonLabel = document.createElement('label');
+            reasonLabel.setAttribute('for', 'a11y-baseline-reason-' + index);
+            reasonLabel.textContent = t('inspector.reason');
+            form.appendChild(reasonLabel);
+
+            var reason = document.createElement('input');
+            reason.type = 'text';
+            reason.id = 'a11y-baseline-reason-' + index;
+            reason.className = 'a11y-input';
+            reason.placeholder = t('inspector.reasonPlaceholder');
+            form.appendChild(reason);
+
+            var expiresLabel = document.createElement('label');
+            expiresLabel.setAttribute('for', 'a11y-baseline-expires-' + index);
+            expiresLabel.textContent = t('inspector.expires');
+            form.appendChild(expiresLabel);
+
+            var expires = document.createElement('input');
+            expires.type = 'date';
+            expires.id = 'a11y-baseline-expires-' + index;
+            expires.className = 'a11y-input';
+            form.appendChild(expires);
+
+            var accept = document.createElement('button');
+            accept.className = 'a11y-btn a11y-btn--small a11y-issue__accept';
+            accept.setAttribute('data-violation-index', index);
+            accept.textContent = t('inspector.accept');
+            form.appendChild(accept);
+
+            return form;
+        },
+
+        /**
+         * Add an issue to the scan baseline using its accept form values
+         * @private
+         * @param {number} index - Index into the scan's violations
+         */
+        _acceptIssue: function(index) {
+            var results = window.A11Y_SCANNER && window.A11Y_SCANNER.getResults();
+            var violation = results && results.violations[index];
+
+            if (!violation) {
+                return;
+            }
+
+            var reason = String($('#a11y-baseline-reason-' + index).val() || '').trim();
+            if (!reason) {
+                this._setInspectorStatus(t('inspector.reasonRequired'));
+                $('#a11y-baseline-reason-' + index).trigger('focus');
+                return;
+            }
+
+            window.A11Y_SCANNER.addToBaseline(violation, {
+                reason: reason,
+                expires: $('#a11y-baseline-expires-' + index).val() || null
+            });
+
+            this._setInspectorStatus(t('inspector.accepted', { rule: violation.ruleId }));
+            $('#a11y-inspector-list').trigger('focus');
+        },
+
+        /**
+         * Scroll to and pulse the element for a violation
+         * @private
+         * @param {number} index - Index into the scan's violations
+         */
+        _locateIssue: function(index) {
+            var results = window.A11Y_SCANNER && window.A11Y_SCANNER.getResults();
+            var violation = results && results.violations[index];
+
+            if (!violation) {
+                return;
             }
+
+            if (window.A11Y_SCANNER.locate(violation)) {
+                this._setInspectorStatus(t('inspector.showing', { rule: violation.ruleId, selector: violation.element.selector }));
+            } else {
+                this._setInspectorStatus(t('inspector.notFound'));
+            }
+        },
+
+        /**
+         * Announce an inspector status message
+         * @private
+         */
+        _setInspectorStatus: function(message) {
+            $('#a11y-inspector-status').text(message);
         },
 
         /**
@@ -671,22 +3568,22 @@
         },
 
         /**
-         * Save position to localStorage
+         * Save position
          * @private
          */
         _savePosition: function() {
             try {
-                localStorage.setItem('a11y_widget_position', this._position);
+                this._getStorage().setItem('a11y_widget_position', this._position);
             } catch (e) {}
         },
 
         /**
-         * Load position from localStorage
+         * Load position
          * @private
          */
         _loadPosition: function() {
             try {
-                var position = localStorage.getItem('a11y_widget_position');
+                var position = this._getStorage().getItem('a11y_widget_position');
                 if (position === 'left' || position === 'right') {
                     this.setPosition(position);
                 }
@@ -0,0 +1,1313 @@
+/**
+ * A11Y_I18N_JS
+ * PeopleSoft Accessibility Widget - Localization
+ *
+ * This module provides the message catalogs for the widget UI:
+ * - Locale bundles (English, Spanish, French, Canadian French)
+ * - Detection from the PeopleSoft session language
+ * - Runtime switching, persisted with the user's preferences
+ * - Text direction for right-to-left languages
+ * - Plural forms (Intl.PluralRules) for counts
+ *
+ * Load after a11y-config.js and before the modules that display text.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+(function(global) {
+    'use strict';
+
+    var CONFIG = global.A11Y_CONFIG || {};
+
+    var LOG = global.A11Y_LOG || {
+        log: function() {},
+        warn: function() { console.warn.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); }
+    };
+
+    // Languages written right to left
+    var RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur', 'yi'];
+
+    /**
+     * Message bundles by locale.
+     * A message is a string with {name} placeholders, or a plural object
+     * keyed by Intl.PluralRules category ({ one: '...', other: '...' })
+     * chosen by params.count. A regional bundle (fr-CA) holds only what
+     * differs from its language bundle (fr); missing messages fall back
+     * to the language bundle, then to A11Y_CONFIG.i18n.fallbackLocale.
+     */
+    var BUNDLES = {
+        en: {
+            'language.name': 'English',
+
+            // Widget and panel
+            'widget.label': 'Accessibility Controls',
+            'trigger.open': 'Open Accessibility Menu',
+            'trigger.close': 'Close Accessibility Menu',
+            'panel.label': 'Accessibility Options',
+            'panel.title': 'Accessibility',
+            'panel.close': 'Close accessibility menu',
+            'language.heading': 'Language',
+            'language.auto': 'Automatic',
+            'footer.resetAll': 'Reset All Settings',
+            'position.left': 'Move widget to left',
+            'position.right': 'Move widget to right',
+
+            // Profiles
+            'profiles.heading': 'Quick Profiles',
+            'profiles.select': 'Select accessibility profile',
+            'profiles.placeholder': '-- Select Profile --',
+            'profiles.reset': 'Reset',
+            'profiles.custom': 'My Profiles',
+            'profiles.managed': 'Institution Profiles',
+            'profiles.saveCurrent': 'Save as Profile',
+            'profiles.import': 'Import Profile',
+            'profiles.customActions': 'My profile actions',
+            'profiles.rename': 'Rename',
+            'profiles.update': 'Update',
+            'profiles.share': 'Share',
+            'profiles.delete': 'Delete',
+            'profiles.save': 'Save',
+            'profiles.copy': 'Copy Code',
+            'profiles.chooseFile': 'Choose File',
+            'profiles.download': 'Download',
+            'profiles.cancel': 'Cancel',
+            'profiles.nameLabel': 'Profile name',
+            'profiles.codeLabel': 'Paste a profile code or JSON',
+            'profiles.shareLabel': 'Profile code to share',
+            'profiles.deleteConfirm': 'Delete the profile "{name}"?',
+            'profiles.nameRequired': 'Enter a name for the profile',
+            'profiles.saved': 'Profile "{name}" saved',
+            'profiles.renamed': 'Profile renamed to "{name}"',
+            'profiles.updated': 'Profile "{name}" updated with the current settings',
+            'profiles.deleted': 'Profile "{name}" deleted',
+            'profiles.imported': 'Profile "{name}" imported',
+            'profiles.importFailed': 'Profile import failed: {message}',
+            'profiles.copied': 'Profile code copied',
+            'profiles.copyFailed': 'Could not copy - select the code and copy it',
+            'profile.low-vision.name': 'Low Vision',
+            'profile.low-vision.description': 'Larger text, enhanced contrast, and improved focus visibility',
+            'profile.color-blind.name': 'Color Blind Friendly',
+            'profile.color-blind.description': 'Red-green color correction with links and focus marked without relying on color alone',
+            'profile.light-sensitive.name': 'Light Sensitive',
+            'profile.light-sensitive.description': 'Dark mode with reduced brightness',
+            'profile.motor-impaired.name': 'Motor Accessibility',
+            'profile.motor-impaired.description': 'Larger click targets and enhanced focus indicators',
+            'profile.dyslexia.name': 'Dyslexia Friendly',
+            'profile.dyslexia.description': 'Dyslexia-friendly font with optimized spacing, reading guide and click-to-speak',
+            'profile.adhd-friendly.name': 'ADHD Friendly',
+            'profile.adhd-friendly.description': 'Reduced distractions and animations, with a reading mask',
+            'profile.seizure-safe.name': 'Seizure Safe',
+            'profile.seizure-safe.description': 'Stops all animations and flashing content',
+            'profile.screen-reader.name': 'Screen Reader Optimized',
+            'profile.screen-reader.description': 'Enhanced structure and navigation for screen readers',
+            'profile.high-contrast-dark.name': 'High Contrast (Dark)',
+            'profile.high-contrast-dark.description': 'White text on black background',
+            'profile.high-contrast-light.name': 'High Contrast (Light)',
+            'profile.high-contrast-light.description': 'Black text on white background',
+            'profile.senior-friendly.name': 'Senior Friendly',
+            'profile.senior-friendly.description': 'Larger text, simplified navigation, enhanced visibility',
+            'skipLinks.main': 'Skip to main content',
+            'skipLinks.navigation': 'Skip to navigation',
+
+            // Display settings
+            'fontSize.heading': 'Text Size',
+            'fontSize.decrease': 'Decrease text size',
+            'fontSize.increase': 'Increase text size',
+            'fontFamily.heading': 'Font',
+            'fontFamily.default': 'Page default',
+            'fontFamily.dyslexic': 'Dyslexia-friendly',
+            'fontFamily.hyperlegible': 'Hyperlegible',
+            'fontFamily.monospace': 'Monospace',
+            'contrast.heading': 'Contrast',
+            'contrast.none': 'Normal',
+            'contrast.dark': 'Dark',
+            'contrast.light': 'Light',
+            'contrast.invert': 'Invert',
+            'contrast.yellow-black': 'Yellow on Black',
+            'contrast.black-yellow': 'Black on Yellow',
+            'colorVision.heading': 'Color Vision',
+            'colorVision.none': 'Off',
+            'colorVision.correction': 'Correction',
+            'colorVision.protanopia': 'Protanopia (red-blind)',
+            'colorVision.deuteranopia': 'Deuteranopia (green-blind)',
+            'colorVision.tritanopia': 'Tritanopia (blue-blind)',
+            'colorVision.simulation': 'Simulation (page review)',
+            'colorVision.simulate-protanopia': 'Simulate protanopia',
+            'colorVision.simulate-deuteranopia': 'Simulate deuteranopia',
+            'colorVision.simulate-tritanopia': 'Simulate tritanopia',
+            'colorVision.simulate-achromatopsia': 'Simulate achromatopsia',
+            'features.heading': 'Features',
+            'features.stopAnimations': 'Stop Animations',
+            'features.readingGuide': 'Reading Guide',
+            'features.focusHighlight': 'Focus Highlight',
+            'features.linkHighlight': 'Highlight Links',
+            'layers.label': 'Applied settings',
+            'layers.row': '{name}: {settings}',
+            'layers.system': 'Your device settings',
+            'layers.systemOff': 'Your device settings (not used)',
+            'layers.user': 'Your changes',
+            'layers.locked': 'Set by your institution',
+            'layers.remove': 'Remove',
+            'layers.removeLabel': 'Remove {name}',
+            'layers.use': 'Use',
+            'layers.useLabel': 'Use {name}',
+            'system.forcedColors': 'Your device\'s contrast theme is on, so the widget\'s contrast and color filters are paused.',
+            'readingGuide.heading': 'Reading Guide Style',
+            'readingGuide.mode': 'Style',
+            'readingGuide.bar': 'Guide bar',
+            'readingGuide.mask': 'Reading mask',
+            'readingGuide.height': 'Height',
+            'readingGuide.color': 'Color',
+            'readingGuide.opacity': 'Opacity',
+            'magnifier.heading': 'Magnifier',
+            'magnifier.enable': 'Show Magnifier',
+            'magnifier.mode': 'Style',
+            'magnifier.lens': 'Lens',
+            'magnifier.docked': 'Docked pane',
+            'magnifier.zoom': 'Magnification',
+            'speech.heading': 'Read Aloud',
+            'speech.clickToSpeak': 'Click to Speak',
+            'speech.controls': 'Read aloud controls',
+            'speech.readPage': 'Read Page',
+            'speech.readSelection': 'Read Selection',
+            'speech.pause': 'Pause',
+            'speech.stop': 'Stop',
+            'speech.voice': 'Voice',
+            'speech.defaultVoice': 'Default voice',
+            'speech.rate': 'Speed',
+            'speech.pitch': 'Pitch',
+            'spacing.heading': 'Spacing',
+            'spacing.lineHeight': 'Line Height',
+            'spacing.letterSpacing': 'Letter Spacing',
+            'spacing.wordSpacing': 'Word Spacing',
+            'cursor.heading': 'Cursor',
+            'cursor.group': 'Cursor size',
+            'cursor.default': 'Default',
+            'cursor.large': 'Large',
+            'cursor.xlarge': 'X-Large',
+
+            // Keyboard shortcuts
+            'shortcuts.heading': 'Keyboard Shortcuts',
+            'shortcuts.enable': 'Enable Keyboard Shortcuts',
+            'shortcuts.list': 'Keyboard shortcuts',
+            'shortcuts.reset': 'Restore Default Shortcuts',
+            'shortcuts.restored': 'Default shortcuts restored',
+            'shortcuts.change': 'Change shortcut, currently {combo}',
+            'shortcuts.overrides': 'Overrides PeopleSoft: {description}',
+            'shortcuts.pressKeys': 'Press keys...',
+            'shortcuts.capture': 'Press the new shortcut for "{description}", or Escape to cancel',
+            'shortcuts.cancelled': 'Shortcut change cancelled',
+            'shortcuts.changed': '{description} is now {combo}',
+            'shortcuts.tryAgain': '{error}. Try another combination or press Escape.',
+            'shortcuts.unknown': 'Unknown shortcut: {id}',
+            'shortcuts.invalid': 'Shortcuts need Ctrl, Alt or Meta plus a key',
+            'shortcuts.usedByPeopleSoft': '{combo} is used by PeopleSoft ({description})',
+            'shortcuts.usedByWidget': '{combo} is used by the widget ({description})',
+            'shortcut.toggleWidget': 'Toggle accessibility menu',
+            'shortcut.increaseFontSize': 'Increase text size',
+            'shortcut.decreaseFontSize': 'Decrease text size',
+            'shortcut.resetFontSize': 'Reset text size',
+            'shortcut.toggleHighContrast': 'Cycle contrast modes',
+            'shortcut.toggleAnimations': 'Stop or resume animations',
+            'shortcut.toggleReadingGuide': 'Toggle reading guide',
+            'shortcut.toggleMagnifier': 'Toggle magnifier',
+            'shortcut.readSelection': 'Read selection aloud',
+            'shortcut.stopSpeech': 'Stop reading aloud',
+            'shortcut.runAriaScanner': 'Run accessibility scan',
+
+            // Developer tools and scanning
+            'dev.heading': 'Developer Tools',
+            'dev.developerMode': 'Developer Mode (Highlight Issues)',
+            'scan.run': 'Run Accessibility Scan',
+            'scan.running': 'Scanning...',
+            'scan.complete': 'Scan Complete',
+            'scan.total': { one: '{count} issue found', other: '{count} issues found' },
+            'scan.impactCount': '{impact}: {count}',
+            'scan.new': 'New: {count}',
+            'scan.baselined': 'Baselined: {count}',
+            'scan.error': 'Scan Error:',
+            'scan.unavailable': 'Scanner not available',
+            'error': 'Error:',
+            'impact.critical': 'Critical',
+            'impact.serious': 'Serious',
+            'impact.moderate': 'Moderate',
+            'impact.minor': 'Minor',
+            'export.group': 'Export results',
+            'export.button': 'Export {label}',
+            'baseline.export': 'Export Baseline',
+            'baseline.import': 'Import Baseline',
+            'baseline.imported': { one: 'Baseline imported: {count} entry', other: 'Baseline imported: {count} entries' },
+            'baseline.skipped': '{count} skipped',
+            'baseline.importFailed': 'Baseline import failed: {message}',
+
+            // Runtime ARIA fixes
+            'remediation.toggle': 'Apply ARIA Fixes',
+            'remediation.applied': { one: '{count} fix applied', other: '{count} fixes applied' },
+            'remediation.reverted': { one: '{count} fix reverted', other: '{count} fixes reverted' },
+            'remediation.search': 'Search',
+            'remediation.returnToList': 'Return to List',
+            'remediation.viewDetail': 'View Detail',
+            'remediation.addRow': 'Add Row',
+            'remediation.deleteRow': 'Delete Row',
+            'remediation.insertRow': 'Insert Row',
+            'remediation.rowAction': '{action} {row}',
+            'remediation.lookUp': 'Look up',
+            'remediation.lookUpField': 'Look up {label}',
+            'remediation.selectDate': 'Select Date',
+            'remediation.chooseDateFor': 'Choose date for {label}',
+
+            // Scan history
+            'history.clear': 'Clear Page History',
+            'history.none': 'No scans recorded for this page yet',
+            'history.first': 'First recorded scan of this page',
+            'history.change': 'Since the previous scan: {fixed} fixed, {new} new, {unchanged} unchanged',
+            'history.caption': 'Recent scans of {page}',
+            'history.scanned': 'Scanned',
+            'history.release': 'Release',
+            'history.issues': 'Issues',
+            'history.changeColumn': 'Change',
+            'history.issueCount': '{total} ({new} new)',
+            'history.changeCount': '{fixed} fixed, {new} new',
+            'history.toolsRelease': 'PeopleTools {release}',
+
+            // Crawl
+            'crawl.label': 'Crawl pages (one per line: URL or MENU.COMPONENT.MARKET)',
+            'crawl.start': 'Start Crawl',
+            'crawl.cancel': 'Cancel Crawl',
+            'crawl.progress': 'Crawl progress',
+            'crawl.cancelling': 'Cancelling...',
+            'crawl.scanning': 'Scanning page {index} of {total}: {target}',
+            'crawl.noTargets': 'Enter at least one page to crawl',
+            'crawl.error': 'Crawl error: {message}',
+            'crawl.complete': 'Crawl complete.',
+            'crawl.cancelled': 'Crawl cancelled.',
+            'crawl.pages': { one: '{scanned} of {count} page scanned', other: '{scanned} of {count} pages scanned' },
+            'crawl.issues': { one: '{count} issue found', other: '{count} issues found' },
+            'crawl.failed': '{count} failed',
+            'crawl.caption': 'Crawl results by page',
+            'crawl.page': 'Page',
+            'crawl.status': 'Status',
+            'crawl.issuesColumn': 'Issues',
+            'crawl.new': 'New',
+            'crawl.export': 'Export crawl report',
+            'crawl.status.scanned': 'scanned',
+            'crawl.status.failed': 'failed',
+            'crawl.status.cancelled': 'cancelled',
+            'crawl.status.pending': 'pending',
+
+            // Issue inspector
+            'inspector.filters': 'Filter issues',
+            'inspector.status': 'Status',
+            'inspector.status.new': 'New',
+            'inspector.status.baselined': 'Baselined',
+            'inspector.all': 'All',
+            'inspector.impact': 'Impact',
+            'inspector.groupBy': 'Group by',
+            'inspector.groupBy.rule': 'Rule',
+            'inspector.groupBy.impact': 'Impact',
+            'inspector.groupBy.none': 'None',
+            'inspector.sortBy': 'Sort by',
+            'inspector.sortBy.impact': 'Impact',
+            'inspector.sortBy.rule': 'Rule',
+            'inspector.sortBy.source': 'Source',
+            'inspector.sortBy.selector': 'Element',
+            'inspector.search': 'Search',
+            'inspector.searchPlaceholder': 'Rule, element or text',
+            'inspector.noMatches': 'No issues match the current filters.',
+            'inspector.noIssues': 'No issues found.',
+            'inspector.count': { one: 'Showing {shown} of {count} issue', other: 'Showing {shown} of {count} issues' },
+            'inspector.onlyStatus': '{status} only',
+            'inspector.onlyImpact': 'impact {impact}',
+            'inspector.matching': 'matching "{search}"',
+            'inspector.groupedBy': 'grouped by {group}',
+            'inspector.baselined': 'baselined',
+            'inspector.expired': 'baseline expired',
+            'inspector.element': 'Element',
+            'inspector.frame': 'Frame',
+            'inspector.html': 'HTML',
+            'inspector.wcag': 'WCAG',
+            'inspector.fix': 'Fix',
+            'inspector.source': 'Source',
+            'inspector.baseline': 'Baseline',
+            'inspector.noReason': 'No reason given',
+            'inspector.until': '{reason} (until {date})',
+            'inspector.locate': 'Locate',
+            'inspector.locateLabel': 'Locate {rule} issue on page',
+            'inspector.docs': 'Rule documentation',
+            'inspector.unaccept': 'Remove from baseline',
+            'inspector.reason': 'Reason',
+            'inspector.reasonPlaceholder': 'e.g. Oracle-delivered page',
+            'inspector.expires': 'Expires',
+            'inspector.accept': 'Accept as known issue',
+            'inspector.reasonRequired': 'Enter a reason before accepting the issue',
+            'inspector.accepted': '{rule} issue accepted into baseline',
+            'inspector.removed': '{rule} issue removed from baseline',
+            'inspector.showing': 'Showing {rule} issue at {selector}',
+            'inspector.notFound': 'Element not found. The page may have changed since the scan.'
+        },
+
+        es: {
+            'language.name': 'Español',
+
+            'widget.label': 'Controles de accesibilidad',
+            'trigger.open': 'Abrir el menú de accesibilidad',
+            'trigger.close': 'Cerrar el menú de accesibilidad',
+            'panel.label': 'Opciones de accesibilidad',
+            'panel.title': 'Accesibilidad',
+            'panel.close': 'Cerrar el menú de accesibilidad',
+            'language.heading': 'Idioma',
+            'language.auto': 'Automático',
+            'footer.resetAll': 'Restablecer toda la configuración',
+            'position.left': 'Mover el widget a la izquierda',
+            'position.right': 'Mover el widget a la derecha',
+
+            'profiles.heading': 'Perfiles rápidos',
+            'profiles.select': 'Seleccionar perfil de accesibilidad',
+            'profiles.placeholder': '-- Seleccionar perfil --',
+            'profiles.reset': 'Restablecer',
+            'profiles.custom': 'Mis perfiles',
+            'profiles.managed': 'Perfiles de la institución',
+            'profiles.saveCurrent': 'Guardar como perfil',
+            'profiles.import': 'Importar perfil',
+            'profiles.customActions': 'Acciones de mi perfil',
+            'profiles.rename': 'Cambiar nombre',
+            'profiles.update': 'Actualizar',
+            'profiles.share': 'Compartir',
+            'profiles.delete': 'Eliminar',
+            'profiles.save': 'Guardar',
+            'profiles.copy': 'Copiar código',
+            'profiles.chooseFile': 'Elegir archivo',
+            'profiles.download': 'Descargar',
+            'profiles.cancel': 'Cancelar',
+            'profiles.nameLabel': 'Nombre del perfil',
+            'profiles.codeLabel': 'Pegue un código de perfil o JSON',
+            'profiles.shareLabel': 'Código del perfil para compartir',
+            'profiles.deleteConfirm': '¿Eliminar el perfil «{name}»?',
+            'profiles.nameRequired': 'Escriba un nombre para el perfil',
+            'profiles.saved': 'Perfil «{name}» guardado',
+            'profiles.renamed': 'Perfil renombrado a «{name}»',
+            'profiles.updated': 'Perfil «{name}» actualizado con la configuración actual',
+            'profiles.deleted': 'Perfil «{name}» eliminado',
+            'profiles.imported': 'Perfil «{name}» importado',
+            'profiles.importFailed': 'No se pudo importar el perfil: {message}',
+            'profiles.copied': 'Código del perfil copiado',
+            'profiles.copyFailed': 'No se pudo copiar: seleccione el código y cópielo',
+            'profile.low-vision.name': 'Baja visión',
+            'profile.low-vision.description': 'Texto más grande, contraste mejorado y foco más visible',
+            'profile.color-blind.name': 'Daltonismo',
+            'profile.color-blind.description': 'Corrección de color rojo-verde con enlaces y foco marcados sin depender solo del color',
+            'profile.light-sensitive.name': 'Sensibilidad a la luz',
+            'profile.light-sensitive.description': 'Modo oscuro con brillo reducido',
+            'profile.motor-impaired.name': 'Accesibilidad motriz',
+            'profile.motor-impaired.description': 'Áreas de clic más grandes e indicadores de foco mejorados',
+            'profile.dyslexia.name': 'Dislexia',
+            'profile.dyslexia.description': 'Fuente adaptada a la dislexia con espaciado optimizado, guía de lectura y lectura en voz alta al hacer clic',
+            'profile.adhd-friendly.name': 'TDAH',
+            'profile.adhd-friendly.description': 'Menos distracciones y animaciones, con máscara de lectura',
+            'profile.seizure-safe.name': 'Prevención de convulsiones',
+            'profile.seizure-safe.description': 'Detiene todas las animaciones y el contenido intermitente',
+            'profile.screen-reader.name': 'Optimizado para lector de pantalla',
+            'profile.screen-reader.description': 'Estructura y navegación mejoradas para lectores de pantalla',
+            'profile.high-contrast-dark.name': 'Alto contraste (oscuro)',
+            'profile.high-contrast-dark.description': 'Texto blanco sobre fondo negro',
+            'profile.high-contrast-light.name': 'Alto contraste (claro)',
+            'profile.high-contrast-light.description': 'Texto negro sobre fondo blanco',
+            'profile.senior-friendly.name': 'Personas mayores',
+            'profile.senior-friendly.description': 'Texto más grande, navegación simplificada y mejor visibilidad',
+            'skipLinks.main': 'Saltar al contenido principal',
+            'skipLinks.navigation': 'Saltar a la navegación',
+
+            'fontSize.heading': 'Tamaño del texto',
+            'fontSize.decrease': 'Reducir el tamaño del texto',
+            'fontSize.increase': 'Aumentar el tamaño del texto',
+            'fontFamily.heading': 'Fuente',
+            'fontFamily.default': 'Predeterminada de la página',
+            'fontFamily.dyslexic': 'Adaptada a la dislexia',
+            'fontFamily.hyperlegible': 'Hiperlegible',
+            'fontFamily.monospace': 'Monoespaciada',
+            'contrast.heading': 'Contraste',
+            'contrast.none': 'Normal',
+            'contrast.dark': 'Oscuro',
+            'contrast.light': 'Claro',
+            'contrast.invert': 'Invertido',
+            'contrast.yellow-black': 'Amarillo sobre negro',
+            'contrast.black-yellow': 'Negro sobre amarillo',
+            'colorVision.heading': 'Visión del color',
+            'colorVision.none': 'Desactivado',
+            'colorVision.correction': 'Corrección',
+            'colorVision.protanopia': 'Protanopía (rojo)',
+            'colorVision.deuteranopia': 'Deuteranopía (verde)',
+            'colorVision.tritanopia': 'Tritanopía (azul)',
+            'colorVision.simulation': 'Simulación (revisión de páginas)',
+            'colorVision.simulate-protanopia': 'Simular protanopía',
+            'colorVision.simulate-deuteranopia': 'Simular deuteranopía',
+            'colorVision.simulate-tritanopia': 'Simular tritanopía',
+            'colorVision.simulate-achromatopsia': 'Simular acromatopsia',
+            'features.heading': 'Funciones',
+            'features.stopAnimations': 'Detener animaciones',
+            'features.readingGuide': 'Guía de lectura',
+            'features.focusHighlight': 'Resaltar el foco',
+            'features.linkHighlight': 'Resaltar enlaces',
+            'layers.label': 'Ajustes aplicados',
+            'layers.row': '{name}: {settings}',
+            'layers.system': 'Configuración de su dispositivo',
+            'layers.systemOff': 'Configuración de su dispositivo (sin usar)',
+            'layers.user': 'Sus cambios',
+            'layers.locked': 'Establecido por su institución',
+            'layers.remove': 'Quitar',
+            'layers.removeLabel': 'Quitar {name}',
+            'layers.use': 'Usar',
+            'layers.useLabel': 'Usar {name}',
+            'system.forcedColors': 'El tema de contraste de su dispositivo está activado, por lo que el contraste y los filtros de color del widget están en pausa.',
+            'readingGuide.heading': 'Estilo de la guía de lectura',
+            'readingGuide.mode': 'Estilo',
+            'readingGuide.bar': 'Barra guía',
+            'readingGuide.mask': 'Máscara de lectura',
+            'readingGuide.height': 'Altura',
+            'readingGuide.color': 'Color',
+            'readingGuide.opacity': 'Opacidad',
+            'magnifier.heading': 'Lupa',
+            'magnifier.enable': 'Mostrar la lupa',
+            'magnifier.mode': 'Estilo',
+            'magnifier.lens': 'Lente',
+            'magnifier.docked': 'Panel fijo',
+            'magnifier.zoom': 'Aumento',
+            'speech.heading': 'Lectura en voz alta',
+            'speech.clickToSpeak': 'Leer al hacer clic',
+            'speech.controls': 'Controles de lectura en voz alta',
+            'speech.readPage': 'Leer la página',
+            'speech.readSelection': 'Leer la selección',
+            'speech.pause': 'Pausa',
+            'speech.stop': 'Detener',
+            'speech.voice': 'Voz',
+            'speech.defaultVoice': 'Voz predeterminada',
+            'speech.rate': 'Velocidad',
+            'speech.pitch': 'Tono',
+            'spacing.heading': 'Espaciado',
+            'spacing.lineHeight': 'Interlineado',
+            'spacing.letterSpacing': 'Espaciado entre letras',
+            'spacing.wordSpacing': 'Espaciado entre palabras',
+            'cursor.heading': 'Cursor',
+            'cursor.group': 'Tamaño del cursor',
+            'cursor.default': 'Predeterminado',
+            'cursor.large': 'Grande',
+            'cursor.xlarge': 'Muy grande',
+
+            'shortcuts.heading': 'Atajos de teclado',
+            'shortcuts.enable': 'Activar atajos de teclado',
+            'shortcuts.list': 'Atajos de teclado',
+            'shortcuts.reset': 'Restaurar atajos predeterminados',
+            'shortcuts.restored': 'Atajos predeterminados restaurados',
+            'shortcuts.change': 'Cambiar atajo, actualmente {combo}',
+            'shortcuts.overrides': 'Reemplaza a PeopleSoft: {description}',
+            'shortcuts.pressKeys': 'Pulse las teclas...',
+            'shortcuts.capture': 'Pulse el nuevo atajo para «{description}» o Escape para cancelar',
+            'shortcuts.cancelled': 'Cambio de atajo cancelado',
+            'shortcuts.changed': '{description} ahora es {combo}',
+            'shortcuts.tryAgain': '{error}. Pruebe otra combinación o pulse Escape.',
+            'shortcuts.unknown': 'Atajo desconocido: {id}',
+            'shortcuts.invalid': 'Los atajos necesitan Ctrl, Alt o Meta más una tecla',
+            'shortcuts.usedByPeopleSoft': 'PeopleSoft usa {combo} ({description})',
+            'shortcuts.usedByWidget': 'El widget usa {combo} ({description})',
+            'shortcut.toggleWidget': 'Abrir o cerrar el menú de accesibilidad',
+            'shortcut.increaseFontSize': 'Aumentar el tamaño del texto',
+            'shortcut.decreaseFontSize': 'Reducir el tamaño del texto',
+            'shortcut.resetFontSize': 'Restablecer el tamaño del texto',
+            'shortcut.toggleHighContrast': 'Cambiar el modo de contraste',
+            'shortcut.toggleAnimations': 'Detener o reanudar animaciones',
+            'shortcut.toggleReadingGuide': 'Activar o desactivar la guía de lectura',
+            'shortcut.toggleMagnifier': 'Activar o desactivar la lupa',
+            'shortcut.readSelection': 'Leer la selección en voz alta',
+            'shortcut.stopSpeech': 'Detener la lectura en voz alta',
+            'shortcut.runAriaScanner': 'Ejecutar análisis de accesibilidad',
+
+            'dev.heading': 'Herramientas de desarrollo',
+            'dev.developerMode': 'Modo desarrollador (resaltar problemas)',
+            'scan.run': 'Ejecutar análisis de accesibilidad',
+            'scan.running': 'Analizando...',
+            'scan.complete': 'Análisis completado',
+            'scan.total': { one: '{count} problema encontrado', other: '{count} problemas encontrados' },
+            'scan.new': 'Nuevos: {count}',
+            'scan.baselined': 'En la línea base: {count}',
+            'scan.error': 'Error del análisis:',
+            'scan.unavailable': 'El analizador no está disponible',
+            'error': 'Error:',
+            'impact.critical': 'Crítico',
+            'impact.serious': 'Grave',
+            'impact.moderate': 'Moderado',
+            'impact.minor': 'Menor',
+            'export.group': 'Exportar resultados',
+            'export.button': 'Exportar {label}',
+            'baseline.export': 'Exportar línea base',
+            'baseline.import': 'Importar línea base',
+            'baseline.imported': { one: 'Línea base importada: {count} entrada', other: 'Línea base importada: {count} entradas' },
+            'baseline.skipped': '{count} omitidas',
+            'baseline.importFailed': 'No se pudo importar la línea base: {message}',
+
+            'remediation.toggle': 'Aplicar correcciones ARIA',
+            'remediation.applied': { one: '{count} corrección aplicada', other: '{count} correcciones aplicadas' },
+            'remediation.reverted': { one: '{count} corrección revertida', other: '{count} correcciones revertidas' },
+            'remediation.search': 'Buscar',
+            'remediation.returnToList': 'Volver a la lista',
+            'remediation.viewDetail': 'Ver detalle',
+            'remediation.addRow': 'Añadir fila',
+            'remediation.deleteRow': 'Eliminar fila',
+            'remediation.insertRow': 'Insertar fila',
+            'remediation.lookUp': 'Buscar valores',
+            'remediation.lookUpField': 'Buscar valores de {label}',
+            'remediation.selectDate': 'Seleccionar fecha',
+            'remediation.chooseDateFor': 'Elegir fecha de {label}',
+
+            'history.clear': 'Borrar el historial de la página',
+            'history.none': 'Todavía no hay análisis registrados para esta página',
+            'history.first': 'Primer análisis registrado de esta página',
+            'history.change': 'Desde el análisis anterior: {fixed} corregidos, {new} nuevos, {unchanged} sin cambios',
+            'history.caption': 'Análisis recientes de {page}',
+            'history.scanned': 'Analizado',
+            'history.release': 'Versión',
+            'history.issues': 'Problemas',
+            'history.changeColumn': 'Cambio',
+            'history.issueCount': '{total} ({new} nuevos)',
+            'history.changeCount': '{fixed} corregidos, {new} nuevos',
+
+            'crawl.label': 'Páginas que recorrer (una por línea: URL o MENÚ.COMPONENTE.MERCADO)',
+            'crawl.start': 'Iniciar recorrido',
+            'crawl.cancel': 'Cancelar recorrido',
+            'crawl.progress': 'Progreso del recorrido',
+            'crawl.cancelling': 'Cancelando...',
+            'crawl.scanning': 'Analizando la página {index} de {total}: {target}',
+            'crawl.noTargets': 'Introduzca al menos una página que recorrer',
+            'crawl.error': 'Error del recorrido: {message}',
+            'crawl.complete': 'Recorrido completado.',
+            'crawl.cancelled': 'Recorrido cancelado.',
+            'crawl.pages': { one: '{scanned} de {count} página analizada', other: '{scanned} de {count} páginas analizadas' },
+            'crawl.issues': { one: '{count} problema encontrado', other: '{count} problemas encontrados' },
+            'crawl.failed': '{count} con error',
+            'crawl.caption': 'Resultados del recorrido por página',
+            'crawl.page': 'Página',
+            'crawl.status': 'Estado',
+            'crawl.issuesColumn': 'Problemas',
+            'crawl.new': 'Nuevos',
+            'crawl.export': 'Exportar el informe del recorrido',
+            'crawl.status.scanned': 'analizada',
+            'crawl.status.failed': 'con error',
+            'crawl.status.cancelled': 'cancelada',
+            'crawl.status.pending': 'pendiente',
+
+            'inspector.filters': 'Filtrar problemas',
+            'inspector.status': 'Estado',
+            'inspector.status.new': 'Nuevos',
+            'inspector.status.baselined': 'En la línea base',
+            'inspector.all': 'Todos',
+            'inspector.impact': 'Impacto',
+            'inspector.groupBy': 'Agrupar por',
+            'inspector.groupBy.rule': 'Regla',
+            'inspector.groupBy.impact': 'Impacto',
+            'inspector.groupBy.none': 'Ninguno',
+            'inspector.sortBy': 'Ordenar por',
+            'inspector.sortBy.impact': 'Impacto',
+            'inspector.sortBy.rule': 'Regla',
+            'inspector.sortBy.source': 'Origen',
+            'inspector.sortBy.selector': 'Elemento',
+            'inspector.search': 'Buscar',
+            'inspector.searchPlaceholder': 'Regla, elemento o texto',
+            'inspector.noMatches': 'Ningún problema coincide con los filtros actuales.',
+            'inspector.noIssues': 'No se encontraron problemas.',
+            'inspector.count': { one: 'Mostrando {shown} de {count} problema', other: 'Mostrando {shown} de {count} problemas' },
+            'inspector.onlyStatus': 'solo {status}',
+            'inspector.onlyImpact': 'impacto {impact}',
+            'inspector.matching': 'que coinciden con «{search}»',
+            'inspector.groupedBy': 'agrupados por {group}',
+            'inspector.baselined': 'en la línea base',
+            'inspector.expired': 'línea base vencida',
+            'inspector.element': 'Elemento',
+            'inspector.frame': 'Marco',
+            'inspector.fix': 'Corrección',
+            'inspector.source': 'Origen',
+            'inspector.baseline': 'Línea base',
+            'inspector.noReason': 'Sin motivo',
+            'inspector.until': '{reason} (hasta {date})',
+            'inspector.locate': 'Localizar',
+            'inspector.locateLabel': 'Localizar el problema {rule} en la página',
+            'inspector.docs': 'Documentación de la regla',
+            'inspector.unaccept': 'Quitar de la línea base',
+            'inspector.reason': 'Motivo',
+            'inspector.reasonPlaceholder': 'p. ej., página entregada por Oracle',
+            'inspector.expires': 'Vence',
+            'inspector.accept': 'Aceptar como problema conocido',
+            'inspector.reasonRequired': 'Introduzca un motivo antes de aceptar el problema',
+            'inspector.accepted': 'Problema {rule} aceptado en la línea base',
+            'inspector.removed': 'Problema {rule} quitado de la línea base',
+            'inspector.showing': 'Mostrando el problema {rule} en {selector}',
+            'inspector.notFound': 'No se encontró el elemento. Es posible que la página haya cambiado desde el análisis.'
+        },
+
+        fr: {
+            'language.name': 'Français',
+
+            'widget.label': 'Commandes d\'accessibilité',
+            'trigger.open': 'Ouvrir le menu d\'accessibilité',
+            'trigger.close': 'Fermer le menu d\'accessibilité',
+            'panel.label': 'Options d\'accessibilité',
+            'panel.title': 'Accessibilité',
+            'panel.close': 'Fermer le menu d\'accessibilité',
+            'language.heading': 'Langue',
+            'language.auto': 'Automatique',
+            'footer.resetAll': 'Réinitialiser tous les paramètres',
+            'position.left': 'Déplacer le widget à gauche',
+            'position.right': 'Déplacer le widget à droite',
+
+            'profiles.heading': 'Profils rapides',
+            'profiles.select': 'Choisir un profil d\'accessibilité',
+            'profiles.placeholder': '-- Choisir un profil --',
+            'profiles.reset': 'Réinitialiser',
+            'profiles.custom': 'Mes profils',
+            'profiles.managed': 'Profils de l\'établissement',
+            'profiles.saveCurrent': 'Enregistrer comme profil',
+            'profiles.import': 'Importer un profil',
+            'profiles.customActions': 'Actions sur mon profil',
+            'profiles.rename': 'Renommer',
+            'profiles.update': 'Mettre à jour',
+            'profiles.share': 'Partager',
+            'profiles.delete': 'Supprimer',
+            'profiles.save': 'Enregistrer',
+            'profiles.copy': 'Copier le code',
+            'profiles.chooseFile': 'Choisir un fichier',
+            'profiles.download': 'Télécharger',
+            'profiles.cancel': 'Annuler',
+            'profiles.nameLabel': 'Nom du profil',
+            'profiles.codeLabel': 'Collez un code de profil ou du JSON',
+            'profiles.shareLabel': 'Code du profil à partager',
+            'profiles.deleteConfirm': 'Supprimer le profil « {name} » ?',
+            'profiles.nameRequired': 'Saisissez un nom pour le profil',
+            'profiles.saved': 'Profil « {name} » enregistré',
+            'profiles.renamed': 'Profil renommé « {name} »',
+            'profiles.updated': 'Profil « {name} » mis à jour avec les réglages actuels',
+            'profiles.deleted': 'Profil « {name} » supprimé',
+            'profiles.imported': 'Profil « {name} » importé',
+            'profiles.importFailed': 'Échec de l\'importation du profil : {message}',
+            'profiles.copied': 'Code du profil copié',
+            'profiles.copyFailed': 'Copie impossible : sélectionnez le code et copiez-le',
+            'profile.low-vision.name': 'Basse vision',
+            'profile.low-vision.description': 'Texte plus grand, contraste renforcé et focus plus visible',
+            'profile.color-blind.name': 'Daltonisme',
+            'profile.color-blind.description': 'Correction rouge-vert, liens et focus signalés autrement que par la couleur',
+            'profile.light-sensitive.name': 'Sensibilité à la lumière',
+            'profile.light-sensitive.description': 'Mode sombre à luminosité réduite',
+            'profile.motor-impaired.name': 'Accessibilité motrice',
+            'profile.motor-impaired.description': 'Zones de clic plus grandes et indicateurs de focus renforcés',
+            'profile.dyslexia.name': 'Dyslexie',
+            'profile.dyslexia.description': 'Police adaptée à la dyslexie, espacement optimisé, guide de lecture et lecture à voix haute au clic',
+            'profile.adhd-friendly.name': 'TDAH',
+            'profile.adhd-friendly.description': 'Moins de distractions et d\'animations, avec un masque de lecture',
+            'profile.seizure-safe.name': 'Prévention des crises',
+            'profile.seizure-safe.description': 'Arrête toutes les animations et le contenu clignotant',
+            'profile.screen-reader.name': 'Optimisé pour lecteur d\'écran',
+            'profile.screen-reader.description': 'Structure et navigation améliorées pour les lecteurs d\'écran',
+            'profile.high-contrast-dark.name': 'Contraste élevé (sombre)',
+            'profile.high-contrast-dark.description': 'Texte blanc sur fond noir',
+            'profile.high-contrast-light.name': 'Contraste élevé (clair)',
+            'profile.high-contrast-light.description': 'Texte noir sur fond blanc',
+            'profile.senior-friendly.name': 'Personnes âgées',
+            'profile.senior-friendly.description': 'Texte plus grand, navigation simplifiée et meilleure visibilité',
+            'skipLinks.main': 'Aller au contenu principal',
+            'skipLinks.navigation': 'Aller à la navigation',
+
+            'fontSize.heading': 'Taille du texte',
+            'fontSize.decrease': 'Réduire la taille du texte',
+            'fontSize.increase': 'Agrandir la taille du texte',
+            'fontFamily.heading': 'Police',
+            'fontFamily.default': 'Police de la page',
+            'fontFamily.dyslexic': 'Adaptée à la dyslexie',
+            'fontFamily.hyperlegible': 'Hyperlisible',
+            'fontFamily.monospace': 'Chasse fixe',
+            'contrast.heading': 'Contraste',
+            'contrast.none': 'Normal',
+            'contrast.dark': 'Sombre',
+            'contrast.light': 'Clair',
+            'contrast.invert': 'Inversé',
+            'contrast.yellow-black': 'Jaune sur noir',
+            'contrast.black-yellow': 'Noir sur jaune',
+            'colorVision.heading': 'Vision des couleurs',
+            'colorVision.none': 'Désactivé',
+            'colorVision.correction': 'Correction',
+            'colorVision.protanopia': 'Protanopie (rouge)',
+            'colorVision.deuteranopia': 'Deutéranopie (vert)',
+            'colorVision.tritanopia': 'Tritanopie (bleu)',
+            'colorVision.simulation': 'Simulation (révision des pages)',
+            'colorVision.simulate-protanopia': 'Simuler la protanopie',
+            'colorVision.simulate-deuteranopia': 'Simuler la deutéranopie',
+            'colorVision.simulate-tritanopia': 'Simuler la tritanopie',
+            'colorVision.simulate-achromatopsia': 'Simuler l\'achromatopsie',
+            'features.heading': 'Fonctions',
+            'features.stopAnimations': 'Arrêter les animations',
+            'features.readingGuide': 'Guide de lecture',
+            'features.focusHighlight': 'Mettre le focus en évidence',
+            'features.linkHighlight': 'Mettre les liens en évidence',
+            'layers.label': 'Réglages appliqués',
+            'layers.row': '{name} : {settings}',
+            'layers.system': 'Paramètres de votre appareil',
+            'layers.systemOff': 'Paramètres de votre appareil (non utilisés)',
+            'layers.user': 'Vos modifications',
+            'layers.locked': 'Défini par votre établissement',
+            'layers.remove': 'Retirer',
+            'layers.removeLabel': 'Retirer {name}',
+            'layers.use': 'Utiliser',
+            'layers.useLabel': 'Utiliser {name}',
+            'system.forcedColors': 'Le thème de contraste de votre appareil est activé : le contraste et les filtres de couleur du widget sont suspendus.',
+            'readingGuide.heading': 'Style du guide de lecture',
+            'readingGuide.mode': 'Style',
+            'readingGuide.bar': 'Barre de guidage',
+            'readingGuide.mask': 'Masque de lecture',
+            'readingGuide.height': 'Hauteur',
+            'readingGuide.color': 'Couleur',
+            'readingGuide.opacity': 'Opacité',
+            'magnifier.heading': 'Loupe',
+            'magnifier.enable': 'Afficher la loupe',
+            'magnifier.mode': 'Style',
+            'magnifier.lens': 'Lentille',
+            'magnifier.docked': 'Volet ancré',
+            'magnifier.zoom': 'Grossissement',
+            'speech.heading': 'Lecture à voix haute',
+            'speech.clickToSpeak': 'Lire au clic',
+            'speech.controls': 'Commandes de lecture à voix haute',
+            'speech.readPage': 'Lire la page',
+            'speech.readSelection': 'Lire la sélection',
+            'speech.pause': 'Pause',
+            'speech.stop': 'Arrêter',
+            'speech.voice': 'Voix',
+            'speech.defaultVoice': 'Voix par défaut',
+            'speech.rate': 'Vitesse',
+            'speech.pitch': 'Hauteur',
+            'spacing.heading': 'Espacement',
+            'spacing.lineHeight': 'Interligne',
+            'spacing.letterSpacing': 'Espacement des lettres',
+            'spacing.wordSpacing': 'Espacement des mots',
+            'cursor.heading': 'Curseur',
+            'cursor.group': 'Taille du curseur',
+            'cursor.default': 'Par défaut',
+            'cursor.large': 'Grand',
+            'cursor.xlarge': 'Très grand',
+
+            'shortcuts.heading': 'Raccourcis clavier',
+            'shortcuts.enable': 'Activer les raccourcis clavier',
+            'shortcuts.list': 'Raccourcis clavier',
+            'shortcuts.reset': 'Rétablir les raccourcis par défaut',
+            'shortcuts.restored': 'Raccourcis par défaut rétablis',
+            'shortcuts.change': 'Modifier le raccourci, actuellement {combo}',
+            'shortcuts.overrides': 'Remplace PeopleSoft : {description}',
+            'shortcuts.pressKeys': 'Appuyez sur les touches...',
+            'shortcuts.capture': 'Appuyez sur le nouveau raccourci pour « {description} », ou sur Échap pour annuler',
+            'shortcuts.cancelled': 'Modification du raccourci annulée',
+            'shortcuts.changed': '{description} : désormais {combo}',
+            'shortcuts.tryAgain': '{error}. Essayez une autre combinaison ou appuyez sur Échap.',
+            'shortcuts.unknown': 'Raccourci inconnu : {id}',
+            'shortcuts.invalid': 'Un raccourci doit combiner Ctrl, Alt ou Méta et une touche',
+            'shortcuts.usedByPeopleSoft': '{combo} est utilisé par PeopleSoft ({description})',
+            'shortcuts.usedByWidget': '{combo} est utilisé par le widget ({description})',
+            'shortcut.toggleWidget': 'Ouvrir ou fermer le menu d\'accessibilité',
+            'shortcut.increaseFontSize': 'Agrandir la taille du texte',
+            'shortcut.decreaseFontSize': 'Réduire la taille du texte',
+            'shortcut.resetFontSize': 'Rétablir la taille du texte',
+            'shortcut.toggleHighContrast': 'Changer de mode de contraste',
+            'shortcut.toggleAnimations': 'Arrêter ou reprendre les animations',
+            'shortcut.toggleReadingGuide': 'Activer ou désactiver le guide de lecture',
+            'shortcut.toggleMagnifier': 'Activer ou désactiver la loupe',
+            'shortcut.readSelection': 'Lire la sélection à voix haute',
+            'shortcut.stopSpeech': 'Arrêter la lecture à voix haute',
+            'shortcut.runAriaScanner': 'Lancer l\'analyse d\'accessibilité',
+
+            'dev.heading': 'Outils de développement',
+            'dev.developerMode': 'Mode développeur (signaler les problèmes)',
+            'scan.run': 'Lancer l\'analyse d\'accessibilité',
+            'scan.running': 'Analyse en cours...',
+            'scan.complete': 'Analyse terminée',
+            'scan.total': { one: '{count} problème détecté', other: '{count} problèmes détectés' },
+            'scan.impactCount': '{impact} : {count}',
+            'scan.new': 'Nouveaux : {count}',
+            'scan.baselined': 'Dans la référence : {count}',
+            'scan.error': 'Erreur d\'analyse :',
+            'scan.unavailable': 'L\'analyseur n\'est pas disponible',
+            'error': 'Erreur :',
+            'impact.critical': 'Critique',
+            'impact.serious': 'Grave',
+            'impact.moderate': 'Modéré',
+            'impact.minor': 'Mineur',
+            'export.group': 'Exporter les résultats',
+            'export.button': 'Exporter {label}',
+            'baseline.export': 'Exporter la référence',
+            'baseline.import': 'Importer une référence',
+            'baseline.imported': { one: 'Référence importée : {count} entrée', other: 'Référence importée : {count} entrées' },
+            'baseline.skipped': '{count} ignorées',
+            'baseline.importFailed': 'Échec de l\'importation de la référence : {message}',
+
+            'remediation.toggle': 'Appliquer les correctifs ARIA',
+            'remediation.applied': { one: '{count} correctif appliqué', other: '{count} correctifs appliqués' },
+            'remediation.reverted': { one: '{count} correctif annulé', other: '{count} correctifs annulés' },
+            'remediation.search': 'Rechercher',
+            'remediation.returnToList': 'Retour à la liste',
+            'remediation.viewDetail': 'Voir le détail',
+            'remediation.addRow': 'Ajouter une ligne',
+            'remediation.deleteRow': 'Supprimer la ligne',
+            'remediation.insertRow': 'Insérer une ligne',
+            'remediation.lookUp': 'Rechercher une valeur',
+            'remediation.lookUpField': 'Rechercher une valeur pour {label}',
+            'remediation.selectDate': 'Choisir une date',
+            'remediation.chooseDateFor': 'Choisir la date pour {label}',
+
+            'history.clear': 'Effacer l\'historique de la page',
+            'history.none': 'Aucune analyse enregistrée pour cette page',
+            'history.first': 'Première analyse enregistrée de cette page',
+            'history.change': 'Depuis l\'analyse précédente : {fixed} corrigés, {new} nouveaux, {unchanged} inchangés',
+            'history.caption': 'Analyses récentes de {page}',
+            'history.scanned': 'Analysée le',
+            'history.release': 'Version',
+            'history.issues': 'Problèmes',
+            'history.changeColumn': 'Évolution',
+            'history.issueCount': '{total} ({new} nouveaux)',
+            'history.changeCount': '{fixed} corrigés, {new} nouveaux',
+
+            'crawl.label': 'Pages à parcourir (une par ligne : URL ou MENU.COMPOSANT.MARCHÉ)',
+            'crawl.start': 'Lancer le parcours',
+            'crawl.cancel': 'Annuler le parcours',
+            'crawl.progress': 'Progression du parcours',
+            'crawl.cancelling': 'Annulation...',
+            'crawl.scanning': 'Analyse de la page {index} sur {total} : {target}',
+            'crawl.noTargets': 'Indiquez au moins une page à parcourir',
+            'crawl.error': 'Erreur de parcours : {message}',
+            'crawl.complete': 'Parcours terminé.',
+            'crawl.cancelled': 'Parcours annulé.',
+            'crawl.pages': { one: 'Page analysée : {scanned} sur {count}', other: 'Pages analysées : {scanned} sur {count}' },
+            'crawl.issues': { one: '{count} problème détecté', other: '{count} problèmes détectés' },
+            'crawl.failed': '{count} en échec',
+            'crawl.caption': 'Résultats du parcours par page',
+            'crawl.page': 'Page',
+            'crawl.status': 'État',
+            'crawl.issuesColumn': 'Problèmes',
+            'crawl.new': 'Nouveaux',
+            'crawl.export': 'Exporter le rapport de parcours',
+            'crawl.status.scanned': 'analysée',
+            'crawl.status.failed': 'en échec',
+            'crawl.status.cancelled': 'annulée',
+            'crawl.status.pending': 'en attente',
+
+            'inspector.filters': 'Filtrer les problèmes',
+            'inspector.status': 'État',
+            'inspector.status.new': 'Nouveaux',
+            'inspector.status.baselined': 'Dans la référence',
+            'inspector.all': 'Tous',
+            'inspector.impact': 'Impact',
+            'inspector.groupBy': 'Regrouper par',
+            'inspector.groupBy.rule': 'Règle',
+            'inspector.groupBy.impact': 'Impact',
+            'inspector.groupBy.none': 'Aucun',
+            'inspector.sortBy': 'Trier par',
+            'inspector.sortBy.impact': 'Impact',
+            'inspector.sortBy.rule': 'Règle',
+            'inspector.sortBy.source': 'Source',
+            'inspector.sortBy.selector': 'Élément',
+            'inspector.search': 'Rechercher',
+            'inspector.searchPlaceholder': 'Règle, élément ou texte',
+            'inspector.noMatches': 'Aucun problème ne correspond aux filtres.',
+            'inspector.noIssues': 'Aucun problème détecté.',
+            'inspector.count': { one: 'Problèmes affichés : {shown} sur {count}', other: 'Problèmes affichés : {shown} sur {count}' },
+            'inspector.onlyStatus': '{status} seulement',
+            'inspector.onlyImpact': 'impact {impact}',
+            'inspector.matching': 'correspondant à « {search} »',
+            'inspector.groupedBy': 'regroupés par {group}',
+            'inspector.baselined': 'dans la référence',
+            'inspector.expired': 'référence expirée',
+            'inspector.element': 'Élément',
+            'inspector.frame': 'Cadre',
+            'inspector.fix': 'Correction',
+            'inspector.source': 'Source',
+            'inspector.baseline': 'Référence',
+            'inspector.noReason': 'Aucun motif indiqué',
+            'inspector.until': '{reason} (jusqu\'au {date})',
+            'inspector.locate': 'Localiser',
+            'inspector.locateLabel': 'Localiser le problème {rule} dans la page',
+            'inspector.docs': 'Documentation de la règle',
+            'inspector.unaccept': 'Retirer de la référence',
+            'inspector.reason': 'Motif',
+            'inspector.reasonPlaceholder': 'p. ex. page livrée par Oracle',
+            'inspector.expires': 'Expire le',
+            'inspector.accept': 'Accepter comme problème connu',
+            'inspector.reasonRequired': 'Indiquez un motif avant d\'accepter le problème',
+            'inspector.accepted': 'Problème {rule} ajouté à la référence',
+            'inspector.removed': 'Problème {rule} retiré de la référence',
+            'inspector.showing': 'Problème {rule} affiché à {selector}',
+            'inspector.notFound': 'Élément introuvable. La page a peut-être changé depuis l\'analyse.'
+        },
+
+        // Canadian French: only the terms that differ from fr
+        'fr-CA': {
+            'language.name': 'Français (Canada)',
+
+            // OQLF term for a widget
+            'position.left': 'Déplacer le gadget à gauche',
+            'position.right': 'Déplacer le gadget à droite',
+            'shortcuts.usedByWidget': '{combo} est utilisé par le gadget ({description})',
+            'system.forcedColors': 'Le thème de contraste de votre appareil est activé : le contraste et les filtres de couleur du gadget sont suspendus.'
+        }
+    };
+
+    /**
+     * Localization Module
+     */
+    var A11Y_I18N = {
+
+        // State
+        _locale: null,      // Resolved locale, detected on first use
+
+        /**
+         * Translate a message
+         * @param {string} key - Message key, e.g. 'scan.total'
+         * @param {object} [params] - Placeholder values; params.count selects the plural form
+         * @returns {string} Message in the current locale, or the key if no bundle has it
+         */
+        t: function(key, params) {
+            var locale = this.getLocale();
+            var message = this._lookup(key, locale);
+
+            if (message === undefined) {
+                LOG.log('Missing message: ' + key);
+                return key;
+            }
+
+            params = params || {};
+
+            if (typeof message === 'object') {
+                var form = this._pluralCategory(locale, params.count);
+                message = message[form] !== undefined ? message[form] : message.other;
+            }
+
+            return String(message).replace(/\{(\w+)\}/g, function(match, name) {
+                if (!params.hasOwnProperty(name)) {
+                    return match;
+                }
+                var value = params[name];
+                return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+            });
+        },
+
+        /**
+         * Check whether a message exists in the current locale or its fallbacks
+         * @param {string} key - Message key
+         * @returns {boolean} True if defined
+         */
+        has: function(key) {
+            return this._lookup(key, this.getLocale()) !== undefined;
+        },
+
+        /**
+         * Get the current locale, detecting it on first use
+         * @returns {string} Locale, e.g. 'fr-CA'
+         */
+        getLocale: function() {
+            if (!this._locale) {
+                this._locale = this.detectLocale();
+            }
+            return this._locale;
+        },
+
+        /**
+         * Detect the locale: the user's saved choice, then A11Y_CONFIG.i18n.locale
+         * unless 'auto', then the PeopleSoft session language (%LanguageCd
+         * metadata, then the page's lang attribute), then the fallback locale
+         * @returns {string} Locale with a bundle
+         */
+        detectLocale: function() {
+            var config = this._getConfig();
+            var candidates = [this._loadSavedLocale()];
+
+            if (config.locale && config.locale !== 'auto') {
+                candidates.push(config.locale);
+            }
+
+            if (global.A11Y_PSFT) {
+                var code = String(global.A11Y_PSFT.getLanguageCode() || '').toUpperCase();
+                candidates.push((config.languageCodes || {})[code]);
+                candidates.push(global.A11Y_PSFT.getPageLanguage());
+            } else {
+                candidates.push(document.documentElement.getAttribute('lang'));
+            }
+
+            for (var i = 0; i < candidates.length; i++) {
+                var locale = this.resolveLocale(candidates[i]);
+                if (locale) {
+                    return locale;
+                }
+            }
+
+            return this.resolveLocale(config.fallbackLocale) || 'en';
+        },
+
+        /**
+         * Find the bundle locale to use for a language tag: the tag itself,
+         * else its language ('es-MX' -> 'es')
+         * @param {string} tag - Language tag, e.g. 'fr_ca' or 'fr-CA'
+         * @returns {string|null} Locale with a bundle, or null
+         */
+        resolveLocale: function(tag) {
+            var normalized = this._normalize(tag);
+            if (!normalized) {
+                return null;
+            }
+
+            if (BUNDLES[normalized]) {
+                return normalized;
+            }
+
+            var language = normalized.split('-')[0];
+            return BUNDLES[language] ? language : null;
+        },
+
+        /**
+         * Switch the locale and remember the choice. Dispatches
+         * 'a11y:localeChanged' so the widget re-renders.
+         * @param {string|null} locale - Locale, or null/'auto' to follow PeopleSoft again
+         * @returns {string|boolean} Locale now in use, or false if it has no bundle
+         */
+        setLocale: function(locale) {
+            var auto = !locale || locale === 'auto';
+            var resolved = auto ? null : this.resolveLocale(locale);
+
+            if (!auto && !resolved) {
+                LOG.warn('No message bundle for locale: ' + locale);
+                return false;
+            }
+
+            this._saveLocale(resolved);
+            this._applyLocale(resolved || this.detectLocale());
+
+            return this._locale;
+        },
+
+        /**
+         * Get the locale the user chose in the panel
+         * @returns {string|null} Saved locale, or null when following PeopleSoft
+         */
+        getSavedLocale: function() {
+            return this._loadSavedLocale();
+        },
+
+        /**
+         * Get the locales with a bundle
+         * @returns {object[]} Array of { locale, name } (name in its own language)
+         */
+        getLocales: function() {
+            return Object.keys(BUNDLES).map(function(locale) {
+                return {
+                    locale: locale,
+                    name: BUNDLES[locale]['language.name'] || locale
+                };
+            });
+        },
+
+        /**
+         * Add a locale bundle, or add messages to an existing one
+         * @param {string} locale - Locale, e.g. 'ar' or 'es-MX'
+         * @param {object} messages - Messages by key (see BUNDLES)
+         * @returns {boolean} Success status
+         */
+        registerBundle: function(locale, messages) {
+            var normalized = this._normalize(locale);
+
+            if (!normalized || !messages || typeof messages !== 'object') {
+                LOG.warn('registerBundle requires a locale and a messages object');
+                return false;
+            }
+
+            var bundle = BUNDLES[normalized] || (BUNDLES[normalized] = {});
+            Object.keys(messages).forEach(function(key) {
+                bundle[key] = messages[key];
+            });
+
+            // The new bundle may suit the user better than the one detected
+            if (this._locale) {
+                this._applyLocale(this._loadSavedLocale() ? this._locale : this.detectLocale());
+            }
+
+            return true;
+        },
+
+        /**
+         * Check whether a locale is written right to left
+         * @param {string} [locale] - Locale (defaults to the current locale)
+         * @returns {boolean} True for right-to-left
+         */
+        isRTL: function(locale) {
+            var language = this._normalize(locale || this.getLocale()).split('-')[0];
+            return RTL_LANGUAGES.indexOf(language) !== -1;
+        },
+
+        /**
+         * Get the text direction of a locale
+         * @param {string} [locale] - Locale (defaults to the current locale)
+         * @returns {string} 'rtl' or 'ltr'
+         */
+        getDirection: function(locale) {
+            return this.isRTL(locale) ? 'rtl' : 'ltr';
+        },
+
+        /**
+         * Initialize: follow a locale choice restored from the server
+         */
+        init: function() {
+            var self = this;
+
+            document.addEventListener('a11y:storageSynced', function(e) {
+                var keys = (e.detail && e.detail.keys) || [];
+                if (keys.indexOf(self._getStorageKey()) !== -1) {
+                    self._applyLocale(self.detectLocale());
+                }
+            });
+        },
+
+        /**
+         * Use a locale, announcing the change
+         * @private
+         */
+        _applyLocale: function(locale) {
+            var previous = this._locale;
+            this._locale = locale;
+
+            if (previous && previous !== locale) {
+                LOG.log('Locale changed: ' + previous + ' -> ' + locale);
+                this._dispatchEvent('localeChanged', {
+                    locale: locale,
+                    previous: previous,
+                    direction: this.getDirection(locale)
+                });
+            }
+        },
+
+        /**
+         * Find a message in a locale, its language and the fallback locale
+         * @private
+         */
+        _lookup: function(key, locale) {
+            var chain = [locale, locale.split('-')[0], this._getConfig().fallbackLocale || 'en', 'en'];
+
+            for (var i = 0; i < chain.length; i++) {
+                var bundle = BUNDLES[chain[i]];
+                if (bundle && bundle.hasOwnProperty(key)) {
+                    return bundle[key];
+                }
+            }
+
+            return undefined;
+        },
+
+        /**
+         * Get the plural category of a count ('one', 'few', 'other', ...)
+         * @private
+         */
+        _pluralCategory: function(locale, count) {
+            if (typeof count !== 'number') {
+                return 'other';
+            }
+
+            if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+                try {
+                    return new Intl.PluralRules(locale).select(count);
+                } catch (e) {
+                    // Unsupported locale - fall through
+                }
+            }
+
+            return count === 1 ? 'one' : 'other';
+        },
+
+        /**
+         * Normalize a language tag: 'fr_ca' -> 'fr-CA'
+         * @private
+         */
+        _normalize: function(tag) {
+            if (!tag || typeof tag !== 'string') {
+                return '';
+            }
+
+            var parts = tag.trim().replace(/_/g, '-').split('-');
+            return parts.map(function(part, index) {
+                if (index === 0) {
+                    return part.toLowerCase();
+                }
+                return part.length === 2 ? part.toUpperCase() : part;
+            }).join('-');
+        },
+
+        /**
+         * Get the i18n configuration
+         * @private
+         */
+        _getConfig: function() {
+            return CONFIG.i18n || {};
+        },
+
+        /**
+         * Get the storage key for the locale choice
+         * @private
+         */
+        _getStorageKey: function() {
+            return (CONFIG.storage && CONFIG.storage.localeKey) || 'a11y_locale';
+        },
+
+        /**
+         * Get the preference store (A11Y_STORAGE when loaded, else localStorage)
+         * @private
+         */
+        _getStorage: function() {
+            return global.A11Y_STORAGE || global.localStorage;
+        },
+
+        /**
+         * Load the saved locale choice
+         * @private
+         */
+        _loadSavedLocale: function() {
+            try {
+                return this.resolveLocale(this._getStorage().getItem(this._getStorageKey()));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Save the locale choice, or clear it (null) to follow PeopleSoft
+         * @private
+         */
+        _saveLocale: function(locale) {
+            try {
+                if (locale) {
+                    this._getStorage().setItem(this._getStorageKey(), locale);
+                } else {
+                    this._getStorage().removeItem(this._getStorageKey());
+                }
+            } catch (e) {
+                LOG.warn('Could not save locale:', e);
+            }
+        },
+
+        /**
+         * Dispatch custom event
+         * @private
+         */
+        _dispatchEvent: function(eventName, detail) {
+            try {
+                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                document.dispatchEvent(event);
+            } catch (e) {
+                var evt = document.createEvent('CustomEvent');
+                evt.initCustomEvent('a11y:' + eventName, true, true, detail);
+                document.dispatchEvent(evt);
+            }
+        }
+    };
+
+    A11Y_I18N.init();
+
+    // Expose globally
+    global.A11Y_I18N = A11Y_I18N;
+
+})(window);
@@ -17,15 +17,180 @@
         return;
     }
 
-    var CONFIG = window.A11Y_CONFIG || { storage: { profileKey: 'a11y_profile' } };
+    var $ = a11yJQ;
+    var CONFIG = window.A11Y_CONFIG || { storage: { preferencesKey: 'a11y_prefs', profileKey: 'a11y_profile', customProfilesKey: 'a11y_custom_profiles' } };
+
+    // Settings a custom profile can hold, with their types. The speech voice
+    // is left out: voices differ between devices.
+    var PROFILE_SETTINGS = {
+        fontSize: 'number',
+        fontFamily: 'string',
+        contrastMode: 'string',
+        colorFilter: 'string',
+        stopAnimations: 'boolean',
+        readingGuide: 'boolean',
+        readingGuideMode: 'string',
+        readingGuideHeight: 'number',
+        readingGuideColor: 'string',
+        readingGuideOpacity: 'number',
+        focusHighlight: 'boolean',
+        lineHeight: 'number',
+        letterSpacing: 'number',
+        wordSpacing: 'number',
+        cursorSize: 'string',
+        linkHighlight: 'boolean',
+        readAloud: 'boolean',
+        speechRate: 'number',
+        speechPitch: 'number',
+        magnifier: 'boolean',
+        magnifierZoom: 'number',
+        magnifierMode: 'string'
+    };
+
+    // Shared profile format version, and the prefix of profile codes
+    var PROFILE_EXPORT_VERSION = 1;
+    var PROFILE_CODE_PREFIX = 'A11Y1.';
+
+    var MAX_NAME_LENGTH = 60;
+
+    /**
+     * Encode text as URL-safe base64 (UTF-8)
+     * @param {string} text - Text
+     * @returns {string} Encoded text
+     */
+    function toBase64Url(text) {
+        return btoa(unescape(encodeURIComponent(text)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64 (UTF-8)
+     * @param {string} code - Encoded text
+     * @returns {string} Text
+     */
+    function fromBase64Url(code) {
+        var base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+        while (base64.length % 4) {
+            base64 += '=';
+        }
+        return decodeURIComponent(escape(atob(base64)));
+    }
+
+    // Mutations recorded while a profile hook runs (see A11Y_PROFILES._runHook)
+    var TRACKED_MUTATIONS = {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeOldValue: true,
+        characterData: true,
+        characterDataOldValue: true
+    };
+
+    /**
+     * Turn mutation records into undoable changes. Repeated changes of one
+     * attribute or text node are merged, and changes that ended where they
+     * started are dropped.
+     * @param {MutationRecord[]} records - Records, oldest first
+     * @returns {Array} Changes, oldest first
+     */
+    function toChanges(records) {
+        var changes = [];
+
+        records.forEach(function(record) {
+            if (record.type === 'childList') {
+                changes.push({
+                    type: 'childList',
+                    target: record.target,
+                    added: Array.prototype.slice.call(record.addedNodes),
+                    removed: Array.prototype.slice.call(record.removedNodes),
+                    nextSibling: record.nextSibling
+                });
+                return;
+            }
+
+            var merged = changes.some(function(change) {
+                return change.target === record.target && change.attribute === record.attributeName;
+            });
+            if (!merged) {
+                changes.push({
+                    type: record.type,
+                    target: record.target,
+                    attribute: record.attributeName,
+                    oldValue: record.oldValue
+                });
+            }
+        });
+
+        return changes.filter(function(change) {
+            if (change.type === 'attributes') {
+                change.newValue = change.target.getAttribute(change.attribute);
+            } else if (change.type === 'characterData') {
+                change.newValue = change.target.data;
+            } else {
+                return true;
+            }
+            return change.newValue !== change.oldValue;
+        });
+    }
+
+    /**
+     * Undo changes from toChanges, newest first. Nodes and values changed
+     * again since (by PeopleSoft or another script) are left alone.
+     * @param {Array} changes - Changes, oldest first
+     * @returns {number} Number of changes undone
+     */
+    function undoChanges(changes) {
+        var undone = 0;
+
+        for (var i = changes.length - 1; i >= 0; i--) {
+            var change = changes[i];
+            var target = change.target;
+
+            if (change.type === 'attributes') {
+                if (target.getAttribute(change.attribute) !== change.newValue) {
+                    continue;
+                }
+                if (change.oldValue === null) {
+                    target.removeAttribute(change.attribute);
+                } else {
+                    target.setAttribute(change.attribute, change.oldValue);
+                }
+            } else if (change.type === 'characterData') {
+                if (target.data !== change.newValue) {
+                    continue;
+                }
+                target.data = change.oldValue;
+            } else {
+                change.added.forEach(function(node) {
+                    if (node.parentNode === target) {
+                        target.removeChild(node);
+                    }
+                });
+                var next = change.nextSibling && change.nextSibling.parentNode === target ? change.nextSibling : null;
+                change.removed.forEach(function(node) {
+                    if (!node.parentNode) {
+                        target.insertBefore(node, next);
+                    }
+                });
+            }
+            undone++;
+        }
+
+        return undone;
+    }
 
     /**
      * Accessibility Profiles Module
      */
     var A11Y_PROFILES = {
 
-        // Currently active profile
-        _activeProfile: null,
+        // Active profiles' lifecycle state: id -> { profile, changes } (see _syncSessions)
+        _sessions: {},
+
+        // Removes the A11Y_PSFT page change callback
+        _pageChangeUnsubscribe: null,
+
+        _eventHandlers: {}, // Store event handlers for cleanup
 
         // Profile definitions
         profiles: {
@@ -41,6 +206,7 @@
                 icon: 'eye',
                 settings: {
                     fontSize: 1.5,
+                    fontFamily: 'hyperlegible',
                     contrastMode: 'none',
                     focusHighlight: true,
                     lineHeight: 1.3,
@@ -57,11 +223,11 @@
             'color-blind': {
                 id: 'color-blind',
                 name: 'Color Blind Friendly',
-                description: 'Enhanced contrast without relying on color alone',
+                description: 'Red-green color correction with links and focus marked without relying on color alone',
                 icon: 'palette',
                 settings: {
                     fontSize: 1.1,
-                    contrastMode: 'light',
+                    colorFilter: 'deuteranopia',
                     focusHighlight: true,
                     linkHighlight: true
                 }
@@ -106,15 +272,18 @@
             'dyslexia': {
                 id: 'dyslexia',
                 name: 'Dyslexia Friendly',
-                description: 'Improved readability with optimized spacing and reading guide',
+                description: 'Dyslexia-friendly font with optimized spacing, reading guide and click-to-speak',
                 icon: 'book',
                 settings: {
                     fontSize: 1.2,
+                    fontFamily: 'dyslexic',
                     lineHeight: 1.5,
                     letterSpacing: 2,
                     wordSpacing: 4,
                     readingGuide: true,
-                    contrastMode: 'none'
+                    contrastMode: 'none',
+                    readAloud: true,
+                    speechRate: 0.9
                 }
             },
 
@@ -125,12 +294,14 @@
             'adhd-friendly': {
                 id: 'adhd-friendly',
                 name: 'ADHD Friendly',
-                description: 'Reduced distractions and animations',
+                description: 'Reduced distractions and animations, with a reading mask',
                 icon: 'focus',
                 settings: {
                     stopAnimations: true,
                     focusHighlight: true,
-                    readingGuide: true
+                    readingGuide: true,
+                    readingGuideMode: 'mask',
+                    readingGuideHeight: 60
                 }
             },
 
@@ -162,12 +333,17 @@
                     stopAnimations: true,
                     focusHighlight: true
                 },
-                // Additional ARIA enhancements applied via callback
+                // Additional ARIA enhancements, undone when the profile is removed
                 onActivate: function() {
                     // Add skip links if not present
                     A11Y_PROFILES._ensureSkipLinks();
                     // Enhance landmark roles
                     A11Y_PROFILES._enhanceLandmarks();
+                },
+                // New page content needs its landmarks enhanced
+                onPageChange: function() {
+                    A11Y_PROFILES._ensureSkipLinks();
+                    A11Y_PROFILES._enhanceLandmarks();
                 }
             },
 
@@ -245,15 +421,92 @@
         },
 
         /**
-         * Get the currently active profile
+         * Get a profile's display name in the current locale (A11Y_I18N).
+         * Custom profiles keep the name they were created with; institution
+         * profiles may give a name per locale.
+         * @param {string} profileId - Profile identifier
+         * @returns {string} Name, or '' for an unknown profile
+         */
+        getProfileName: function(profileId) {
+            return this._translateField(profileId, 'name');
+        },
+
+        /**
+         * Get a profile's description in the current locale (A11Y_I18N)
+         * @param {string} profileId - Profile identifier
+         * @returns {string} Description, or '' for an unknown profile
+         */
+        getProfileDescription: function(profileId) {
+            return this._translateField(profileId, 'description');
+        },
+
+        /**
+         * Translate a built-in profile field, falling back to the definition
+         * @private
+         */
+        _translateField: function(profileId, field) {
+            var profile = this.profiles[profileId];
+            if (!profile) {
+                return '';
+            }
+
+            var i18n = window.A11Y_I18N;
+            var key = 'profile.' + profileId + '.' + field;
+            if (!profile.custom && !profile.managed && i18n && i18n.has(key)) {
+                return i18n.t(key);
+            }
+
+            var value = profile[field];
+            if (value && typeof value === 'object') {
+                // Institution profiles: { en: '...', 'fr-CA': '...' }
+                var locale = i18n ? i18n.getLocale() : 'en';
+                value = value[locale] || value[locale.split('-')[0]] || value.en ||
+                    value[Object.keys(value)[0]];
+            }
+
+            return value || '';
+        },
+
+        /**
+         * Get the active profiles, lowest layer first (A11Y_STYLES profile layers)
+         * @returns {object[]} Profile objects
+         */
+        getActiveProfiles: function() {
+            var self = this;
+            if (!window.A11Y_STYLES) {
+                return [];
+            }
+
+            return window.A11Y_STYLES.getProfileLayers().map(function(layer) {
+                return self.profiles[layer.id];
+            }).filter(Boolean);
+        },
+
+        /**
+         * Get the most recently applied active profile
          * @returns {object|null} Active profile or null
          */
         getActiveProfile: function() {
-            return this._activeProfile;
+            var active = this.getActiveProfiles();
+            return active.length ? active[active.length - 1] : null;
         },
 
         /**
-         * Apply a profile
+         * Check whether a profile is active
+         * @param {string} profileId - Profile identifier
+         * @returns {boolean}
+         */
+        isProfileActive: function(profileId) {
+            return this.getActiveProfiles().some(function(profile) {
+                return profile.id === profileId;
+            });
+        },
+
+        /**
+         * Apply a profile on top of the active ones. Where profiles set the
+         * same setting, the last applied wins; the user's own changes
+         * (A11Y_STYLES.getOverrides) stay on top. Applying an active profile
+         * moves it to the top.
          * @param {string} profileId - Profile identifier
          * @returns {boolean} Success status
          */
@@ -271,108 +524,286 @@
                 return false;
             }
 
-            // Reset current styles first
-            window.A11Y_STYLES.resetAll();
+            var ids = this._getActiveIds().filter(function(id) {
+                return id !== profileId;
+            });
+            ids.push(profileId);
+            this._setActiveProfiles(ids);
 
-            // Apply profile settings
-            var settings = profile.settings;
+            // Runs onActivate if the profile was not active
+            this._syncSessions();
 
-            if (settings.fontSize) {
-                window.A11Y_STYLES.setFontSize(settings.fontSize);
-            }
-            if (settings.contrastMode) {
-                window.A11Y_STYLES.setHighContrast(settings.contrastMode);
-            }
-            if (settings.stopAnimations) {
-                window.A11Y_STYLES.setStopAnimations(true);
-            }
-            if (settings.readingGuide) {
-                window.A11Y_STYLES.setReadingGuide(true);
-            }
-            if (settings.focusHighlight) {
-                window.A11Y_STYLES.setFocusHighlight(true);
-            }
-            if (settings.lineHeight) {
-                window.A11Y_STYLES.setLineHeight(settings.lineHeight);
-            }
-            if (settings.letterSpacing) {
-                window.A11Y_STYLES.setLetterSpacing(settings.letterSpacing);
-            }
-            if (settings.wordSpacing) {
-                window.A11Y_STYLES.setWordSpacing(settings.wordSpacing);
-            }
-            if (settings.cursorSize) {
-                window.A11Y_STYLES.setCursorSize(settings.cursorSize);
-            }
-            if (settings.linkHighlight) {
-                window.A11Y_STYLES.setLinkHighlight(true);
-            }
+            console.log('[A11Y] Profile applied:', this.getProfileName(profileId));
 
-            // Execute profile-specific callback if present
-            if (typeof profile.onActivate === 'function') {
-                profile.onActivate();
-            }
+            // Dispatch event
+            this._dispatchEvent('profileApplied', { profile: profile, profiles: this.getActiveProfiles() });
 
-            // Store active profile
-            this._activeProfile = profile;
-            this._saveActiveProfile(profileId);
+            return true;
+        },
 
-            console.log('[A11Y] Profile applied:', profile.name);
+        /**
+         * Remove one active profile; the others stay applied
+         * @param {string} profileId - Profile identifier
+         * @returns {boolean} True if the profile was active
+         */
+        removeProfile: function(profileId) {
+            var profile = this.profiles[profileId];
+            if (!profile || !this.isProfileActive(profileId)) {
+                return false;
+            }
 
-            // Dispatch event
-            this._dispatchEvent('profileApplied', { profile: profile });
+            this._setActiveProfiles(this._getActiveIds().filter(function(id) {
+                return id !== profileId;
+            }));
+            this._syncSessions();
 
+            this._dispatchEvent('profileDeactivated', { previousProfile: profile, profiles: this.getActiveProfiles() });
+            console.log('[A11Y] Profile removed:', this.getProfileName(profileId));
             return true;
         },
 
         /**
-         * Deactivate current profile
+         * Deactivate all active profiles. The user's own changes are kept.
          */
         deactivateProfile: function() {
-            if (window.A11Y_STYLES) {
-                window.A11Y_STYLES.resetAll();
-            }
+            var previousProfile = this.getActiveProfile();
 
-            var previousProfile = this._activeProfile;
-            this._activeProfile = null;
-            this._saveActiveProfile(null);
+            this._setActiveProfiles([]);
+            this._syncSessions();
 
             // Dispatch event
-            this._dispatchEvent('profileDeactivated', { previousProfile: previousProfile });
+            this._dispatchEvent('profileDeactivated', { previousProfile: previousProfile, profiles: [] });
 
             console.log('[A11Y] Profile deactivated');
         },
 
         /**
-         * Save active profile to localStorage
+         * Get the IDs of the active profiles, lowest layer first
          * @private
          */
-        _saveActiveProfile: function(profileId) {
-            try {
-                if (profileId) {
-                    localStorage.setItem(CONFIG.storage.profileKey, profileId);
-                } else {
-                    localStorage.removeItem(CONFIG.storage.profileKey);
+        _getActiveIds: function() {
+            return this.getActiveProfiles().map(function(profile) {
+                return profile.id;
+            });
+        },
+
+        /**
+         * Set the profile layers of A11Y_STYLES from profile IDs
+         * @private
+         */
+        _setActiveProfiles: function(ids) {
+            var self = this;
+            if (!window.A11Y_STYLES) {
+                return;
+            }
+
+            window.A11Y_STYLES.setProfileLayers(ids.filter(function(id) {
+                return self.profiles[id];
+            }).map(function(id) {
+                return { id: id, settings: self._getLayerSettings(self.profiles[id]) };
+            }));
+        },
+
+        /**
+         * Get the settings a profile supplies as a layer. Values that switch
+         * a feature off (false, 0, '', 'none', 'default') are left out, so a
+         * profile adds to the profiles below it rather than undoing them.
+         * @private
+         */
+        _getLayerSettings: function(profile) {
+            var settings = {};
+            Object.keys(profile.settings || {}).forEach(function(key) {
+                var value = profile.settings[key];
+                if (value && value !== 'none' && value !== 'default') {
+                    settings[key] = value;
                 }
-            } catch (e) {
-                console.warn('[A11Y] Could not save profile:', e);
+            });
+            return settings;
+        },
+
+        /**
+         * Re-read the active profiles' settings after profile definitions
+         * changed. Profiles that no longer exist are removed.
+         * @private
+         * @returns {object[]} Removed profiles
+         */
+        _refreshActiveProfiles: function() {
+            var self = this;
+            if (!window.A11Y_STYLES) {
+                return [];
             }
+
+            var layers = window.A11Y_STYLES.getProfileLayers();
+            var removed = layers.filter(function(layer) {
+                return !self.profiles[layer.id];
+            });
+            var ids = layers.map(function(layer) {
+                return layer.id;
+            });
+
+            var changed = removed.length > 0 || layers.some(function(layer) {
+                return JSON.stringify(layer.settings) !== JSON.stringify(self._getLayerSettings(self.profiles[layer.id]));
+            });
+            if (changed) {
+                this._setActiveProfiles(ids);
+            }
+
+            return removed;
         },
 
         /**
-         * Load and apply saved profile
+         * Load the active profiles saved with the preferences (A11Y_STYLES)
+         * and run their lifecycle hooks. A profile saved on its own by
+         * earlier versions (A11Y_CONFIG.storage.profileKey) is taken over.
+         * @returns {boolean} True if a profile is active
          */
         loadSavedProfile: function() {
+            var storage = window.A11Y_STORAGE || localStorage;
+
             try {
-                var profileId = localStorage.getItem(CONFIG.storage.profileKey);
-                if (profileId && this.profiles[profileId]) {
-                    this.applyProfile(profileId);
-                    return true;
+                var profileId = storage.getItem(CONFIG.storage.profileKey);
+                if (profileId) {
+                    if (this.profiles[profileId] && window.A11Y_STYLES &&
+                            !window.A11Y_STYLES.getProfileLayers().length) {
+                        this._setActiveProfiles([profileId]);
+                    }
+                    storage.removeItem(CONFIG.storage.profileKey);
                 }
             } catch (e) {
                 console.warn('[A11Y] Could not load saved profile:', e);
             }
-            return false;
+
+            this._refreshActiveProfiles();
+            this._syncSessions();
+
+            return this.getActiveProfiles().length > 0;
+        },
+
+        /**
+         * Run the lifecycle hooks of profiles that became active or were
+         * removed since the last call (A11Y_STYLES profile layers).
+         * A profile may define:
+         * - onActivate(): when it becomes active, and on page load while active
+         * - onPageChange(data): after PeopleSoft page changes (A11Y_PSFT data);
+         *   onActivate runs instead when it is missing
+         * - onDeactivate(): when it is removed, before its DOM changes are undone
+         * DOM changes made by onActivate and onPageChange are recorded and
+         * undone automatically.
+         * @private
+         */
+        _syncSessions: function() {
+            var self = this;
+            var active = this._getActiveIds();
+
+            Object.keys(this._sessions).forEach(function(id) {
+                if (active.indexOf(id) === -1) {
+                    self._endSession(id);
+                }
+            });
+
+            active.forEach(function(id) {
+                if (!self._sessions[id]) {
+                    self._sessions[id] = { profile: self.profiles[id], changes: [] };
+                    self._runHook(id, 'onActivate');
+                }
+            });
+        },
+
+        /**
+         * Run a profile's onDeactivate hook and undo the DOM changes its
+         * other hooks made
+         * @private
+         */
+        _endSession: function(id) {
+            var session = this._sessions[id];
+            var profile = session.profile;
+            delete this._sessions[id];
+
+            if (typeof profile.onDeactivate === 'function') {
+                try {
+                    profile.onDeactivate.call(profile);
+                } catch (e) {
+                    console.error('[A11Y] Profile onDeactivate failed:', id, e);
+                }
+            }
+
+            var undone = undoChanges(session.changes);
+            if (undone) {
+                console.log('[A11Y] Profile changes undone:', id, undone);
+            }
+        },
+
+        /**
+         * Run a profile hook, recording the DOM changes it makes on this page
+         * and same-origin PeopleSoft frames so they can be undone
+         * @private
+         * @param {string} id - Active profile ID
+         * @param {string} name - 'onActivate' or 'onPageChange'
+         * @param {object} [data] - Hook argument
+         */
+        _runHook: function(id, name, data) {
+            var session = this._sessions[id];
+            var hook = session.profile[name];
+            if (typeof hook !== 'function') {
+                return;
+            }
+
+            var observer = window.MutationObserver ? new MutationObserver(function() {}) : null;
+            if (observer) {
+                this._getRoots().forEach(function(root) {
+                    observer.observe(root, TRACKED_MUTATIONS);
+                });
+            }
+
+            try {
+                hook.call(session.profile, data);
+            } catch (e) {
+                console.error('[A11Y] Profile ' + name + ' failed:', id, e);
+            }
+
+            if (observer) {
+                session.changes = session.changes.concat(toChanges(observer.takeRecords()));
+                observer.disconnect();
+            }
+        },
+
+        /**
+         * Re-run active profiles' hooks on new PeopleSoft page content:
+         * onPageChange, or onActivate when a profile has none
+         * @private
+         */
+        _onPageChange: function(data) {
+            Object.keys(this._sessions).forEach(function(id) {
+                var session = this._sessions[id];
+
+                // Content PeopleSoft replaced took the profile's changes with it
+                session.changes = session.changes.filter(function(change) {
+                    var target = change.target;
+                    return (target.ownerDocument || target).contains(target);
+                });
+
+                this._runHook(id, typeof session.profile.onPageChange === 'function' ? 'onPageChange' : 'onActivate', data);
+            }, this);
+        },
+
+        /**
+         * Documents profile hooks may change: this page and same-origin
+         * PeopleSoft frames
+         * @private
+         */
+        _getRoots: function() {
+            var roots = [document];
+
+            if (window.A11Y_PSFT) {
+                window.A11Y_PSFT.getContentFrames().forEach(function(frame) {
+                    var frameDoc = window.A11Y_PSFT.getFrameDocument(frame);
+                    if (frameDoc) {
+                        roots.push(frameDoc);
+                    }
+                });
+            }
+
+            return roots;
         },
 
         /**
@@ -389,37 +820,41 @@
 
             // Use createElement instead of innerHTML to avoid XSS patterns
             var skipLinks = [
-                { href: '#main-content', text: 'Skip to main content' },
-                { href: '#navigation', text: 'Skip to navigation' }
+                { href: '#main-content', key: 'skipLinks.main', text: 'Skip to main content' },
+                { href: '#navigation', key: 'skipLinks.navigation', text: 'Skip to navigation' }
             ];
 
             skipLinks.forEach(function(linkData) {
                 var link = document.createElement('a');
                 link.href = linkData.href;
                 link.className = 'a11y-skip-link';
-                link.textContent = linkData.text;
+                link.setAttribute('data-a11y-message', linkData.key);
+                link.textContent = window.A11Y_I18N ? window.A11Y_I18N.t(linkData.key) : linkData.text;
                 skipContainer.appendChild(link);
             });
 
-            // Add styles for skip links
-            var style = document.createElement('style');
-            style.textContent = [
-                '.a11y-skip-link {',
-                '  position: fixed;',
-                '  top: -100px;',
-                '  left: 10px;',
-                '  background: #000;',
-                '  color: #fff;',
-                '  padding: 10px 20px;',
-                '  z-index: 999999;',
-                '  text-decoration: none;',
-                '  font-weight: bold;',
-                '}',
-                '.a11y-skip-link:focus {',
-                '  top: 10px;',
-                '}'
-            ].join('\n');
-            document.head.appendChild(style);
+            // Add styles for skip links, unless left from an earlier page
+            if (!document.getElementById('a11y-skip-links-style')) {
+                var style = document.createElement('style');
+                style.id = 'a11y-skip-links-style';
+                style.textContent = [
+                    '.a11y-skip-link {',
+                    '  position: fixed;',
+                    '  top: -100px;',
+                    '  left: 10px;',
+                    '  background: #000;',
+                    '  color: #fff;',
+                    '  padding: 10px 20px;',
+                    '  z-index: 999999;',
+                    '  text-decoration: none;',
+                    '  font-weight: bold;',
+                    '}',
+                    '.a11y-skip-link:focus {',
+                    '  top: 10px;',
+                    '}'
+                ].join('\n');
+                document.head.appendChild(style);
+            }
 
             document.body.insertBefore(skipContainer, document.body.firstChild);
         },
@@ -450,9 +885,10 @@
         },
 
         /**
-         * Create a custom profile
+         * Create a custom profile. Custom profiles are saved with the user's
+         * preferences (A11Y_STORAGE).
          * @param {string} id - Profile ID
-         * @param {object} config - Profile configuration
+         * @param {object} config - Profile configuration: { name, description, settings }
          * @returns {boolean} Success status
          */
         createCustomProfile: function(id, config) {
@@ -466,18 +902,115 @@
                 return false;
             }
 
-            this.profiles[id] = {
-                id: id,
-                name: config.name,
-                description: config.description || '',
-                icon: config.icon || 'custom',
-                settings: config.settings,
-                custom: true
-            };
+            this.profiles[id] = this._createCustomEntry(id, config);
+            this._saveCustomProfiles();
+
+            this._dispatchEvent('profileCreated', { profile: this.profiles[id] });
+
+            return true;
+        },
+
+        /**
+         * Save the current settings (A11Y_STYLES) as a new custom profile and
+         * make it the only active profile
+         * @param {string} name - Profile name
+         * @param {string} [description] - Profile description
+         * @returns {string|null} New profile ID, or null without A11Y_STYLES or a name
+         */
+        saveCurrentAsProfile: function(name, description) {
+            name = String(name || '').trim();
+            if (!name || !window.A11Y_STYLES) {
+                return null;
+            }
+
+            var id = this._generateCustomId();
+            if (!this.createCustomProfile(id, {
+                name: name,
+                description: description,
+                settings: this.captureSettings()
+            })) {
+                return null;
+            }
+
+            // The new profile takes the place of the active profiles and the user's changes
+            this._setActiveProfiles([id]);
+            window.A11Y_STYLES.clearOverrides();
+            this._dispatchEvent('profileApplied', { profile: this.profiles[id], profiles: this.getActiveProfiles() });
+
+            return id;
+        },
+
+        /**
+         * Get the current settings (A11Y_STYLES) in profile form: only the
+         * settings that differ from the defaults
+         * @returns {object} Profile settings
+         */
+        captureSettings: function() {
+            var current = window.A11Y_STYLES ? window.A11Y_STYLES.getSettings() : {};
+            var guide = (CONFIG.readingGuide || {})[current.readingGuideMode] || {};
+            var defaults = $.extend({}, CONFIG.defaults, {
+                readingGuideColor: guide.color,
+                readingGuideOpacity: guide.opacity
+            });
+            var settings = {};
+
+            Object.keys(PROFILE_SETTINGS).forEach(function(key) {
+                // Profile layers leave out false, 0 and '' values
+                if (current[key] && current[key] !== defaults[key]) {
+                    settings[key] = current[key];
+                }
+            });
+
+            return settings;
+        },
+
+        /**
+         * Change a custom profile's name, description or settings. Changed
+         * settings apply at once when the profile is active.
+         * @param {string} id - Profile ID
+         * @param {object} changes - { name, description, settings }
+         * @returns {boolean} Success status
+         */
+        updateCustomProfile: function(id, changes) {
+            var profile = this.profiles[id];
+            if (!profile || !profile.custom) {
+                console.warn('[A11Y] Cannot update built-in profile:', id);
+                return false;
+            }
+
+            var updated = this._createCustomEntry(id, {
+                name: changes.name !== undefined ? changes.name : profile.name,
+                description: changes.description !== undefined ? changes.description : profile.description,
+                settings: changes.settings || profile.settings,
+                icon: profile.icon
+            });
+            if (!updated.name) {
+                return false;
+            }
+
+            // Keep the object, so references to the profile stay current
+            $.extend(profile, updated);
+            this._saveCustomProfiles();
+
+            if (changes.settings) {
+                this._refreshActiveProfiles();
+            }
+
+            this._dispatchEvent('profileUpdated', { profile: profile });
 
             return true;
         },
 
+        /**
+         * Rename a custom profile
+         * @param {string} id - Profile ID
+         * @param {string} name - New name
+         * @returns {boolean} Success status
+         */
+        renameCustomProfile: function(id, name) {
+            return this.updateCustomProfile(id, { name: name });
+        },
+
         /**
          * Delete a custom profile
          * @param {string} id - Profile ID
@@ -489,15 +1022,333 @@
                 return false;
             }
 
+            var profile = this.profiles[id];
+            this.removeProfile(id);
             delete this.profiles[id];
+            this._saveCustomProfiles();
 
-            if (this._activeProfile && this._activeProfile.id === id) {
-                this.deactivateProfile();
-            }
+            this._dispatchEvent('profileDeleted', { profile: profile });
 
             return true;
         },
 
+        /**
+         * Export a profile as compact JSON, for sharing
+         * @param {string} id - Profile ID
+         * @returns {string|null} JSON, or null for an unknown profile
+         */
+        exportProfile: function(id) {
+            var profile = this.profiles[id];
+            if (!profile) {
+                return null;
+            }
+
+            var data = {
+                version: PROFILE_EXPORT_VERSION,
+                name: this.getProfileName(id)
+            };
+            var description = this.getProfileDescription(id);
+            if (description) {
+                data.description = description;
+            }
+            data.settings = this._sanitizeSettings(profile.settings);
+
+            return JSON.stringify(data);
+        },
+
+        /**
+         * Export a profile as a code string that can be pasted into importProfile,
+         * e.g. in an email
+         * @param {string} id - Profile ID
+         * @returns {string|null} Code, or null for an unknown profile
+         */
+        exportProfileCode: function(id) {
+            var json = this.exportProfile(id);
+            return json ? PROFILE_CODE_PREFIX + toBase64Url(json) : null;
+        },
+
+        /**
+         * Download a profile as a JSON file
+         * @param {string} id - Profile ID
+         */
+        downloadProfile: function(id) {
+            var json = this.exportProfile(id);
+            if (!json) {
+                return;
+            }
+
+            var slug = this.getProfileName(id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            this._downloadFile(json, 'a11y-profile-' + (slug || 'custom') + '.json', 'application/json');
+        },
+
+        /**
+         * Import a profile exported by exportProfile or exportProfileCode as a
+         * new custom profile. A name already in use gets a number added.
+         * @param {string|object} data - Profile JSON, profile code or parsed object
+         * @returns {string} New profile ID
+         * @throws {Error} If the content is not a profile
+         */
+        importProfile: function(data) {
+            if (typeof data === 'string') {
+                var text = data.trim();
+                if (text.indexOf(PROFILE_CODE_PREFIX) === 0) {
+                    try {
+                        text = fromBase64Url(text.slice(PROFILE_CODE_PREFIX.length).replace(/\s+/g, ''));
+                    } catch (e) {
+                        throw new Error('Not a valid profile code');
+                    }
+                }
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    throw new Error('Not a profile code or profile JSON');
+                }
+            }
+
+            if (!data || typeof data.name !== 'string' || !data.name.trim() ||
+                !data.settings || typeof data.settings !== 'object') {
+                throw new Error('Not an A11Y profile: missing name or settings');
+            }
+            if (data.version > PROFILE_EXPORT_VERSION) {
+                throw new Error('Profile version ' + data.version + ' is not supported');
+            }
+
+            var settings = this._sanitizeSettings(data.settings);
+            if (!Object.keys(settings).length) {
+                throw new Error('Profile has no settings');
+            }
+
+            var id = this._generateCustomId();
+            this.createCustomProfile(id, {
+                name: this._getUniqueName(data.name),
+                description: typeof data.description === 'string' ? data.description : '',
+                settings: settings
+            });
+
+            return id;
+        },
+
+        /**
+         * Build a custom profile entry, trimming the name and keeping only
+         * known settings
+         * @private
+         */
+        _createCustomEntry: function(id, config) {
+            return {
+                id: id,
+                name: String(config.name || '').trim().slice(0, MAX_NAME_LENGTH),
+                description: String(config.description || ''),
+                icon: config.icon || 'custom',
+                settings: this._sanitizeSettings(config.settings),
+                custom: true
+            };
+        },
+
+        /**
+         * Keep the profile settings of the right type (A11Y_STYLES validates
+         * the values when the profile is applied)
+         * @private
+         */
+        _sanitizeSettings: function(settings) {
+            var clean = {};
+
+            Object.keys(PROFILE_SETTINGS).forEach(function(key) {
+                if (settings && typeof settings[key] === PROFILE_SETTINGS[key] &&
+                    (typeof settings[key] !== 'number' || isFinite(settings[key]))) {
+                    clean[key] = settings[key];
+                }
+            });
+
+            return clean;
+        },
+
+        /**
+         * Generate an unused custom profile ID
+         * @private
+         */
+        _generateCustomId: function() {
+            var base = 'custom-' + Date.now().toString(36);
+            var id = base;
+            var n = 1;
+
+            while (this.profiles[id]) {
+                id = base + '-' + (n++);
+            }
+            return id;
+        },
+
+        /**
+         * Add a number to a profile name already in use: "Exams" -> "Exams (2)"
+         * @private
+         */
+        _getUniqueName: function(name) {
+            var self = this;
+            var base = name.trim().slice(0, MAX_NAME_LENGTH);
+            var taken = function(candidate) {
+                return self.getProfiles().some(function(profile) {
+                    return self.getProfileName(profile.id) === candidate;
+                });
+            };
+
+            var unique = base;
+            for (var n = 2; taken(unique); n++) {
+                unique = base + ' (' + n + ')';
+            }
+            return unique;
+        },
+
+        /**
+         * Get the custom profiles storage key
+         * @private
+         */
+        _getCustomProfilesKey: function() {
+            return (CONFIG.storage && CONFIG.storage.customProfilesKey) || 'a11y_custom_profiles';
+        },
+
+        /**
+         * Save custom profiles via A11Y_STORAGE (falls back to localStorage)
+         * @private
+         */
+        _saveCustomProfiles: function() {
+            var storage = window.A11Y_STORAGE || localStorage;
+            var self = this;
+            var custom = {};
+
+            Object.keys(this.profiles).forEach(function(id) {
+                var profile = self.profiles[id];
+                if (profile.custom) {
+                    custom[id] = {
+                        name: profile.name,
+                        description: profile.description,
+                        settings: profile.settings
+                    };
+                }
+            });
+
+            try {
+                if (Object.keys(custom).length) {
+                    storage.setItem(this._getCustomProfilesKey(), JSON.stringify(custom));
+                } else {
+                    storage.removeItem(this._getCustomProfilesKey());
+                }
+            } catch (e) {
+                console.warn('[A11Y] Could not save custom profiles:', e);
+            }
+        },
+
+        /**
+         * Load saved custom profiles, replacing those in memory
+         * @private
+         */
+        _loadCustomProfiles: function() {
+            var storage = window.A11Y_STORAGE || localStorage;
+            var self = this;
+            var saved;
+
+            try {
+                saved = JSON.parse(storage.getItem(this._getCustomProfilesKey()) || '{}') || {};
+            } catch (e) {
+                console.warn('[A11Y] Could not load custom profiles:', e);
+                return;
+            }
+
+            Object.keys(this.profiles).forEach(function(id) {
+                if (self.profiles[id].custom) {
+                    delete self.profiles[id];
+                }
+            });
+
+            Object.keys(saved).forEach(function(id) {
+                var entry = saved[id];
+                // Saved IDs never replace a built-in profile
+                if (!self.profiles[id] && entry && entry.name && entry.settings) {
+                    self.profiles[id] = self._createCustomEntry(id, entry);
+                }
+            });
+
+            this._dispatchEvent('customProfilesLoaded', {});
+        },
+
+        /**
+         * Load the institution profiles from A11Y_ADMIN, replacing those in
+         * memory. They are listed with the built-in profiles but cannot be
+         * edited or deleted.
+         * @private
+         */
+        _loadManagedProfiles: function() {
+            var self = this;
+            var managed = window.A11Y_ADMIN ? window.A11Y_ADMIN.getProfiles() : {};
+
+            Object.keys(this.profiles).forEach(function(id) {
+                if (self.profiles[id].managed) {
+                    delete self.profiles[id];
+                }
+            });
+
+            Object.keys(managed).forEach(function(id) {
+                var entry = managed[id];
+                if (self.profiles[id]) {
+                    console.warn('[A11Y] Institution profile skipped, ID in use:', id);
+                    return;
+                }
+                self.profiles[id] = {
+                    id: id,
+                    name: entry.name,
+                    description: entry.description || '',
+                    icon: 'institution',
+                    settings: self._sanitizeSettings(entry.settings),
+                    managed: true
+                };
+            });
+
+            this._dispatchEvent('managedProfilesLoaded', {});
+        },
+
+        /**
+         * Reload institution profiles after A11Y_ADMIN applied a new
+         * configuration. Active ones that changed are re-applied; withdrawn
+         * ones are removed.
+         * @private
+         */
+        _onAdminConfigChanged: function() {
+            var previous = this.getActiveProfiles();
+
+            this._loadManagedProfiles();
+
+            var removed = this._refreshActiveProfiles();
+            this._syncSessions();
+            previous.forEach(function(profile) {
+                var withdrawn = removed.some(function(layer) {
+                    return layer.id === profile.id;
+                });
+                if (withdrawn) {
+                    this._dispatchEvent('profileDeactivated', { previousProfile: profile, profiles: this.getActiveProfiles() });
+                }
+            }, this);
+        },
+
+        /**
+         * Trigger a browser download
+         * @private
+         */
+        _downloadFile: function(content, filename, mimeType) {
+            var blob = new window.Blob([content], { type: mimeType });
+            var link = document.createElement('a');
+            var url = window.URL.createObjectURL(blob);
+
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(function() {
+                window.URL.revokeObjectURL(url);
+            }, 0);
+        },
+
         /**
          * Dispatch custom event
          * @private
@@ -519,9 +1370,76 @@
          * Initialize the profiles module
          */
         init: function() {
-            // Load saved profile on init
+            var self = this;
+
+            // Load institution and custom profiles, then the active ones (which may be among them)
+            this._loadManagedProfiles();
+            this._loadCustomProfiles();
             this.loadSavedProfile();
+
+            this._eventHandlers.adminConfigChanged = function() {
+                self._onAdminConfigChanged();
+            };
+            document.addEventListener('a11y:adminConfigChanged', this._eventHandlers.adminConfigChanged);
+
+            // Profiles removed through A11Y_STYLES (resetAll, a synced copy) end their session too
+            this._eventHandlers.layersChanged = function() {
+                self._syncSessions();
+            };
+            document.addEventListener('a11y:layersChanged', this._eventHandlers.layersChanged);
+
+            if (window.A11Y_PSFT) {
+                this._pageChangeUnsubscribe = window.A11Y_PSFT.onPageChange(function(data) {
+                    self._onPageChange(data);
+                });
+            }
+
+            // Pick up profiles created and chosen on another device once the server
+            // copy is merged (A11Y_STYLES has re-read the active ones by then)
+            this._eventHandlers.storageSynced = function(e) {
+                var keys = (e.detail && e.detail.keys) || [];
+                if (keys.indexOf(self._getCustomProfilesKey()) !== -1) {
+                    self._loadCustomProfiles();
+                }
+                if (keys.indexOf(self._getCustomProfilesKey()) !== -1 ||
+                        keys.indexOf(CONFIG.storage.preferencesKey) !== -1 ||
+                        keys.indexOf(CONFIG.storage.profileKey) !== -1) {
+                    self.loadSavedProfile();
+                }
+            };
+            document.addEventListener('a11y:storageSynced', this._eventHandlers.storageSynced);
+
+            // Skip links follow the widget language
+            this._eventHandlers.localeChanged = function() {
+                var links = document.querySelectorAll('#a11y-skip-links [data-a11y-message]');
+                Array.prototype.forEach.call(links, function(link) {
+                    link.textContent = window.A11Y_I18N.t(link.getAttribute('data-a11y-message'));
+                });
+            };
+            document.addEventListener('a11y:localeChanged', this._eventHandlers.localeChanged);
+
             console.log('[A11Y] Profiles module initialized');
+        },
+
+        /**
+         * End all profile sessions (undoing their DOM changes) and remove listeners
+         */
+        destroy: function() {
+            var self = this;
+
+            if (this._pageChangeUnsubscribe) {
+                this._pageChangeUnsubscribe();
+                this._pageChangeUnsubscribe = null;
+            }
+
+            Object.keys(this._eventHandlers).forEach(function(name) {
+                document.removeEventListener('a11y:' + name, self._eventHandlers[name]);
+            });
+            this._eventHandlers = {};
+
+            Object.keys(this._sessions).forEach(function(id) {
+                self._endSession(id);
+            });
         }
     };
 
@@ -54,39 +54,56 @@
 
         /**
          * Detect if current page is using Fluid UI
+         * @param {Document} [doc] - Document to check (defaults to this page)
          * @returns {boolean} True if Fluid UI
          */
-        isFluid: function() {
-            return document.querySelector('.ps_apps-fluid') !== null ||
-                   document.querySelector('#PTNUI_LAND_REC') !== null ||
-                   document.querySelector('.psc_body-fluid') !== null;
+        isFluid: function(doc) {
+            doc = doc || document;
+            return doc.querySelector('.ps_apps-fluid') !== null ||
+                   doc.querySelector('#PTNUI_LAND_REC') !== null ||
+                   doc.querySelector('.psc_body-fluid') !== null;
         },
 
         /**
          * Detect if current page is using Classic Plus
+         * @param {Document} [doc] - Document to check (defaults to this page)
          * @returns {boolean} True if Classic Plus
          */
-        isClassicPlus: function() {
-            return document.querySelector('.ps_classic-plus') !== null ||
-                   document.querySelector('#pthdr2container') !== null;
+        isClassicPlus: function(doc) {
+            doc = doc || document;
+            return doc.querySelector('.ps_classic-plus') !== null ||
+                   doc.querySelector('#pthdr2container') !== null;
         },
 
         /**
          * Get current UI mode as string
+         * @param {Document} [doc] - Document to check (defaults to this page)
          * @returns {string} 'fluid', 'classic-plus', or 'classic'
          */
-        getUIMode: function() {
-            if (this.isFluid()) return 'fluid';
-            if (this.isClassicPlus()) return 'classic-plus';
+        getUIMode: function(doc) {
+            if (this.isFluid(doc)) return 'fluid';
+            if (this.isClassicPlus(doc)) return 'classic-plus';
             return 'classic';
         },
 
         /**
          * Get current page/component information from PT metadata
+         * @param {Document} [doc] - Document to read (defaults to this page,
+         *     falling back to the Classic target frame)
          * @returns {object|null} Page info object or null
          */
-        getPageInfo: function() {
-            var pageInfo = document.getElementById('pt_pageinfo_win0');
+        getPageInfo: function(doc) {
+            var ownPage = !doc || doc === document;
+            doc = doc || document;
+
+            var pageInfo = doc.getElementById('pt_pageinfo_win0');
+
+            // Classic: the component runs in the target frame, not the portal page
+            if (!pageInfo && ownPage) {
+                var frame = document.getElementById('ptifrmtgtframe');
+                var frameDoc = frame ? this.getFrameDocument(frame) : null;
+                pageInfo = frameDoc ? frameDoc.getElementById('pt_pageinfo_win0') : null;
+            }
 
             if (pageInfo) {
                 return {
@@ -97,10 +114,14 @@
                     portal: pageInfo.getAttribute('portal') || '',
                     node: pageInfo.getAttribute('node') || '',
                     action: pageInfo.getAttribute('action') || '',
-                    uiMode: this.getUIMode()
+                    uiMode: this.getUIMode(ownPage ? null : doc)
                 };
             }
 
+            if (!ownPage) {
+                return null;
+            }
+
             // Try alternative sources
             var component = this._getMetaContent('component');
             var page = this._getMetaContent('page');
@@ -121,6 +142,60 @@
             return null;
         },
 
+        /**
+         * Get the signed-in user's OPRID
+         * Read from the portal's #pt_envinfo element, falling back to a meta tag
+         * @returns {string} OPRID or '' if unknown
+         */
+        getUserId: function() {
+            var envInfo = document.getElementById('pt_envinfo');
+            if (envInfo && envInfo.getAttribute('user')) {
+                return envInfo.getAttribute('user');
+            }
+
+            return this._getMetaContent('oprid') || '';
+        },
+
+        /**
+         * Get the PeopleTools release, e.g. '8.60'
+         * Read from the portal's #pt_envinfo element
+         * @returns {string} Release or '' if unknown
+         */
+        getToolsRelease: function() {
+            var envInfo = document.getElementById('pt_envinfo');
+            return (envInfo && envInfo.getAttribute('toolsrel')) || '';
+        },
+
+        /**
+         * Get the session language code (%LanguageCd), e.g. 'CFR'
+         * Read from a LanguageCd meta tag, which the branding header can output
+         * @returns {string} Language code or '' if unknown
+         */
+        getLanguageCode: function() {
+            return this._getMetaContent('LanguageCd') || '';
+        },
+
+        /**
+         * Get the language of the content page, e.g. 'fr-CA'
+         * PeopleTools sets the lang attribute from the session language; the
+         * Classic target frame is checked before the portal page
+         * @returns {string} Language tag or '' if unknown
+         */
+        getPageLanguage: function() {
+            var container = this.getContentContainer();
+            var docs = [container && container.ownerDocument, document];
+
+            for (var i = 0; i < docs.length; i++) {
+                var root = docs[i] && docs[i].documentElement;
+                var lang = root && (root.getAttribute('lang') || root.getAttribute('xml:lang'));
+                if (lang) {
+                    return lang;
+                }
+            }
+
+            return '';
+        },
+
         /**
          * Get meta tag content
          * @private
@@ -299,15 +374,11 @@
 
             this._processingObserver = new MutationObserver(function(mutations) {
                 mutations.forEach(function(mutation) {
-                    if (mutation.attributeName === 'style') {
-                        var isVisible = processingEl.style.visibility !== 'hidden' &&
-                                       processingEl.style.display !== 'none';
-                        if (!isVisible) {
-                            // Processing complete, trigger page change check
-                            setTimeout(function() {
-                                self._onPageChange();
-                            }, 50);
-                        }
+                    if (mutation.attributeName === 'style' && !self.isProcessing()) {
+                        // Processing complete, trigger page change check
+                        setTimeout(function() {
+                            self._onPageChange();
+                        }, 50);
                     }
                 });
             });
@@ -315,6 +386,91 @@
             this._processingObserver.observe(processingEl, { attributes: true });
         },
 
+        /**
+         * Check whether PeopleSoft's processing indicator (processing_win0) is showing
+         * @param {Document} [doc] - Document to check (defaults to this page)
+         * @returns {boolean} True while a request is being processed
+         */
+        isProcessing: function(doc) {
+            var processingEl = (doc || document).getElementById('processing_win0');
+
+            if (!processingEl) {
+                return false;
+            }
+
+            return processingEl.style.visibility !== 'hidden' &&
+                   processingEl.style.display !== 'none';
+        },
+
+        /**
+         * Wait until PeopleSoft has finished processing in a document
+         * Watches processing_win0 the same way as the page change hook.
+         * @param {Document} [doc] - Document to watch (defaults to this page)
+         * @param {number} [timeout] - Milliseconds before giving up (default 30000)
+         * @returns {Promise} Resolves when idle, rejects on timeout
+         */
+        waitForIdle: function(doc, timeout) {
+            var self = this;
+            doc = doc || document;
+            timeout = timeout || 30000;
+
+            return new Promise(function(resolve, reject) {
+                if (!self.isProcessing(doc)) {
+                    resolve();
+                    return;
+                }
+
+                var observer = new MutationObserver(function() {
+                    if (!self.isProcessing(doc)) {
+                        clearTimeout(timer);
+                        observer.disconnect();
+                        // Same settle delay as the page change hook
+                        setTimeout(resolve, 50);
+                    }
+                });
+
+                var timer = setTimeout(function() {
+                    observer.disconnect();
+                    reject(new Error('PeopleSoft processing did not finish within ' + timeout + 'ms'));
+                }, timeout);
+
+                observer.observe(doc.getElementById('processing_win0'), { attributes: true });
+            });
+        },
+
+        /**
+         * Build the URL of a Classic component from its content reference.
+         * Site, portal and node default to those of the current page, and the
+         * psc servlet is used so the component loads without the portal header.
+         * @param {object} ref - { menu, component, market, page, query, site, portal, node }
+         * @returns {string} URL, e.g. /psc/ps/EMPLOYEE/HRMS/c/MENU.COMPONENT.GBL?Page=PAGE
+         */
+        getContentUrl: function(ref) {
+            var match = /^\/ps[pc]\/([^\/]+)\/([^\/]+)\/([^\/]+)\//.exec(window.location.pathname) || [];
+            var site = ref.site || match[1];
+            var portal = ref.portal || match[2];
+            var node = ref.node || match[3];
+
+            if (!site || !portal || !node) {
+                throw new Error('Cannot determine the PeopleSoft site, portal and node from ' + window.location.pathname);
+            }
+            if (!ref.menu || !ref.component) {
+                throw new Error('A content reference needs a menu and a component');
+            }
+
+            var params = [];
+            if (ref.page) {
+                params.push('Page=' + encodeURIComponent(ref.page));
+            }
+            if (ref.query) {
+                params.push(String(ref.query).replace(/^\?/, ''));
+            }
+
+            return '/psc/' + site + '/' + portal + '/' + node + '/c/' +
+                ref.menu + '.' + ref.component + '.' + (ref.market || 'GBL') +
+                (params.length ? '?' + params.join('&') : '');
+        },
+
         /**
          * Get the main content container element
          * @returns {HTMLElement} Content container
@@ -328,13 +484,42 @@
 
             // Classic mode - check for iframe
             var iframe = document.getElementById('ptifrmtgtframe');
-            if (iframe && iframe.contentDocument) {
-                return iframe.contentDocument.body;
+            var frameDoc = iframe ? this.getFrameDocument(iframe) : null;
+            if (frameDoc && frameDoc.body) {
+                return frameDoc.body;
             }
 
             return document.getElementById('ptpgltbody') || document.body;
         },
 
+        /**
+         * Get the document of a frame element if it is same-origin
+         * @param {HTMLIFrameElement} frame - Frame element
+         * @returns {Document|null} Frame document or null if inaccessible
+         */
+        getFrameDocument: function(frame) {
+            try {
+                var doc = frame.contentDocument;
+                return doc && doc.documentElement ? doc : null;
+            } catch (e) {
+                // Cross-origin frame
+                return null;
+            }
+        },
+
+        /**
+         * Get all PeopleSoft content frames (target frame, modal frames,
+         * pagelet iframes) present in the top document
+         * @returns {HTMLIFrameElement[]} Frame elements
+         */
+        getContentFrames: function() {
+            var config = window.A11Y_CONFIG;
+            var selector = (config && config.selectors && config.selectors.common.contentFrames) ||
+                '#ptifrmtgtframe, iframe[id^="ptModFrame_"]';
+
+            return Array.prototype.slice.call(document.querySelectorAll(selector));
+        },
+
         /**
          * Execute function in the correct document context
          * @param {function} fn - Function to execute
@@ -0,0 +1,534 @@
+/**
+ * A11Y_REMEDIATION_JS
+ * PeopleSoft Accessibility Widget - Runtime ARIA Remediation
+ *
+ * This module patches PeopleSoft markup that fails the scanner's
+ * PeopleSoft rules with safe ARIA fixes:
+ * - Accessible names for prompt, calendar and grid action icons
+ * - scope on grid header cells
+ * - aria-required on required fields
+ * - aria-describedby linking validation errors to their fields
+ *
+ * Remediation is opt-in (A11Y_CONFIG.remediation.enabled). Fixes are
+ * re-applied after PeopleSoft page changes, every attribute written is
+ * logged, and revert() restores the original markup.
+ *
+ * Requires A11Y_SCANNER (rule selectors and checks).
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+(function(a11yJQ) {
+    'use strict';
+
+    // Ensure dependencies are available
+    if (typeof a11yJQ === 'undefined') {
+        console.error('[A11Y] a11yJQ not available. Load a11y-jquery-noconflict.js first.');
+        return;
+    }
+
+    var CONFIG = window.A11Y_CONFIG || { remediation: { enabled: false, rules: [] } };
+
+    var LOG = window.A11Y_LOG || {
+        log: function() {},
+        info: function() { console.log.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        warn: function() { console.warn.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        error: function() { console.error.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); }
+    };
+
+    // Message keys (A11Y_I18N) for PeopleSoft toolbar buttons, by ID fragment
+    var TOOLBAR_NAMES = {
+        ICSearch: 'remediation.search',
+        ICList: 'remediation.returnToList',
+        ICDetail: 'remediation.viewDetail'
+    };
+
+    // Message keys for grid row buttons, by action in the ID (RECORD$add$0)
+    var GRID_ACTION_NAMES = {
+        add: 'remediation.addRow',
+        delete: 'remediation.deleteRow',
+        new: 'remediation.insertRow'
+    };
+
+    // English names, used when A11Y_I18N is not loaded
+    var DEFAULT_NAMES = {
+        'remediation.search': 'Search',
+        'remediation.returnToList': 'Return to List',
+        'remediation.viewDetail': 'View Detail',
+        'remediation.addRow': 'Add Row',
+        'remediation.deleteRow': 'Delete Row',
+        'remediation.insertRow': 'Insert Row',
+        'remediation.rowAction': '{action} {row}',
+        'remediation.lookUp': 'Look up',
+        'remediation.lookUpField': 'Look up {label}',
+        'remediation.selectDate': 'Select Date',
+        'remediation.chooseDateFor': 'Choose date for {label}'
+    };
+
+    /**
+     * Get an accessible name in the widget language
+     * @param {string} key - Message key
+     * @param {object} [params] - Placeholder values
+     * @returns {string} Name
+     */
+    function message(key, params) {
+        if (window.A11Y_I18N) {
+            return window.A11Y_I18N.t(key, params);
+        }
+
+        return DEFAULT_NAMES[key].replace(/\{(\w+)\}/g, function(match, name) {
+            return params && params.hasOwnProperty(name) ? String(params[name]) : match;
+        });
+    }
+
+    /**
+     * Get an element's text with whitespace collapsed
+     * @param {Element} el - Element
+     * @returns {string} Text
+     */
+    function getText(el) {
+        return el ? String(el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Get the visible label of a form field
+     * @param {Document} doc - Document containing the field
+     * @param {string} fieldId - Field ID
+     * @returns {string} Label text or '' if none found
+     */
+    function getFieldLabel(doc, fieldId) {
+        if (!fieldId) {
+            return '';
+        }
+
+        // Compare htmlFor directly: PeopleSoft IDs contain $ and need no escaping this way
+        var labels = doc.getElementsByTagName('label');
+        for (var i = 0; i < labels.length; i++) {
+            if (labels[i].htmlFor === fieldId && getText(labels[i])) {
+                return getText(labels[i]).replace(/[:*]+$/, '').trim();
+            }
+        }
+
+        var field = doc.getElementById(fieldId);
+        return field ? (field.getAttribute('aria-label') || field.getAttribute('title') || '') : '';
+    }
+
+    /**
+     * Get the 1-based grid row from a PeopleSoft ID suffix ($0 -> 1)
+     * @param {string} id - Element ID
+     * @returns {number|null} Row number
+     */
+    function getRowNumber(id) {
+        var match = /\$(\d+)$/.exec(id || '');
+        return match ? parseInt(match[1], 10) + 1 : null;
+    }
+
+    /**
+     * Check whether a $prompt anchor is a lookup rather than a calendar.
+     * PeopleSoft uses FIELD$prompt for both; the image tells them apart.
+     * @param {Element} anchor - Prompt anchor
+     * @returns {boolean} True for a lookup prompt
+     */
+    function isLookupPrompt(anchor) {
+        return !!(anchor && anchor.querySelector('img.PTPROMPT, img[src*="PROMPT"], img[src*="LOOKUP"]'));
+    }
+
+    /**
+     * Name an icon: alt on an image, aria-label on anything else
+     * @returns {object} Planned change
+     */
+    function nameIcon(el, name) {
+        return {
+            element: el,
+            attribute: el.tagName === 'IMG' ? 'alt' : 'aria-label',
+            value: name
+        };
+    }
+
+    /**
+     * Fixes per scanner rule. Each returns the attribute changes to make for
+     * an element that fails the rule: [{ element, attribute, value }]
+     */
+    var FIXES = {
+        'psft-prompt-icon': function(el) {
+            var anchor = el.tagName === 'A' ? el : el.closest('a');
+            var id = (anchor && anchor.id) || el.id || '';
+            var image = el.tagName === 'A' ? el.querySelector('img[alt]:not([alt=""])') : null;
+
+            var name = image ? image.getAttribute('alt') : '';
+            Object.keys(TOOLBAR_NAMES).forEach(function(fragment) {
+                if (!name && id.indexOf(fragment) !== -1) {
+                    name = message(TOOLBAR_NAMES[fragment]);
+                }
+            });
+
+            if (!name) {
+                var label = getFieldLabel(el.ownerDocument, id.replace(/\$prompt$/, ''));
+                name = label ? message('remediation.lookUpField', { label: label }) : message('remediation.lookUp');
+            }
+
+            return [nameIcon(el, name)];
+        },
+
+        'psft-calendar-icon': function(el) {
+            var anchor = el.tagName === 'A' ? el : el.closest('a');
+            var id = (anchor && anchor.id) || el.id || '';
+            var label = getFieldLabel(el.ownerDocument, id.replace(/\$prompt$/, ''));
+
+            if (isLookupPrompt(anchor)) {
+                return [nameIcon(el, label ?
+                    message('remediation.lookUpField', { label: label }) : message('remediation.lookUp'))];
+            }
+
+            return [nameIcon(el, label ?
+                message('remediation.chooseDateFor', { label: label }) : message('remediation.selectDate'))];
+        },
+
+        'psft-grid-actions': function(el) {
+            var match = /\$(add|delete|new)\$/.exec(el.id);
+            if (!match) {
+                return [];
+            }
+
+            var row = getRowNumber(el.id);
+            var action = message(GRID_ACTION_NAMES[match[1]]);
+            return [{
+                element: el,
+                attribute: 'aria-label',
+                value: row ? message('remediation.rowAction', { action: action, row: row }) : action
+            }];
+        },
+
+        'psft-grid-headers': function(table) {
+            var changes = [];
+
+            // table.rows skips nested grids, which are checked on their own
+            Array.prototype.forEach.call(table.rows, function(row, rowIndex) {
+                var inHead = row.parentNode.tagName === 'THEAD';
+
+                Array.prototype.forEach.call(row.cells, function(cell) {
+                    if (cell.tagName === 'TH' && !cell.hasAttribute('scope')) {
+                        changes.push({
+                            element: cell,
+                            attribute: 'scope',
+                            value: inHead || rowIndex === 0 ? 'col' : 'row'
+                        });
+                    }
+                });
+            });
+
+            return changes;
+        },
+
+        'psft-required-field': function(label) {
+            var field = label.ownerDocument.getElementById(label.getAttribute('for'));
+            return field ? [{ element: field, attribute: 'aria-required', value: 'true' }] : [];
+        },
+
+        'psft-error-message': function(el, remediation) {
+            // The field is the invalid control, or else the first control
+            // next to the message
+            var container = el.parentNode;
+            var field = container && (
+                container.querySelector('[aria-invalid="true"]') ||
+                container.querySelector('input:not([type="hidden"]), select, textarea')
+            );
+
+            if (!field) {
+                return [];
+            }
+
+            var changes = [];
+            var id = el.id;
+
+            if (!id) {
+                id = remediation._generateId('a11y-error-', el.ownerDocument);
+                changes.push({ element: el, attribute: 'id', value: id });
+            }
+
+            var describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            if (describedBy.indexOf(id) === -1) {
+                describedBy.push(id);
+                changes.push({ element: field, attribute: 'aria-describedby', value: describedBy.join(' ') });
+            }
+
+            return changes;
+        }
+    };
+
+    /**
+     * Remediation Module
+     */
+    var A11Y_REMEDIATION = {
+
+        // State
+        _initialized: false,
+        _active: false,
+        _log: [],               // Applied changes, oldest first
+        _nextId: 1,
+        _unsubscribe: null,     // Removes the A11Y_PSFT page change callback
+
+        /**
+         * Initialize: re-apply on page changes, and apply now if enabled in config
+         */
+        init: function() {
+            var self = this;
+
+            if (this._initialized) {
+                return;
+            }
+
+            if (window.A11Y_PSFT) {
+                this._unsubscribe = window.A11Y_PSFT.onPageChange(function() {
+                    if (self._active) {
+                        self.apply();
+                    }
+                });
+            }
+
+            // Names already written are in the old language: write them again
+            document.addEventListener('a11y:localeChanged', function() {
+                if (self._active) {
+                    self.revert();
+                    self.apply();
+                }
+            });
+
+            this._initialized = true;
+
+            if (CONFIG.remediation && CONFIG.remediation.enabled) {
+                this.apply();
+            }
+
+            LOG.log('Remediation initialized' + (this._active ? ' (active)' : ''));
+        },
+
+        /**
+         * Check whether fixes are applied (and re-applied on page changes)
+         * @returns {boolean} True if active
+         */
+        isActive: function() {
+            return this._active;
+        },
+
+        /**
+         * Get the rule IDs remediated, from A11Y_CONFIG.remediation.rules
+         * @returns {Array} Rule IDs that have a fix
+         */
+        getRules: function() {
+            var rules = (CONFIG.remediation && CONFIG.remediation.rules) || Object.keys(FIXES);
+
+            return rules.filter(function(ruleId) {
+                return FIXES.hasOwnProperty(ruleId);
+            });
+        },
+
+        /**
+         * Fix the elements on the page (and same-origin frames) that fail the
+         * remediated rules. Safe to call repeatedly: fixed elements pass.
+         * @param {object} [options] - { rules: [...] } to override the configured rules
+         * @returns {Array} Changes made by this call
+         */
+        apply: function(options) {
+            var self = this;
+            var scanner = window.A11Y_SCANNER;
+            options = options || {};
+
+            if (!scanner) {
+                LOG.warn('Remediation requires A11Y_SCANNER. Load a11y-aria-scanner.js first.');
+                return [];
+            }
+
+            var ruleIds = options.rules || this.getRules();
+            var roots = this._getRoots();
+            var changes = [];
+
+            this._active = true;
+            this._pruneLog();
+
+            scanner.getPsftRules().forEach(function(rule) {
+                if (ruleIds.indexOf(rule.id) === -1 || !FIXES[rule.id]) {
+                    return;
+                }
+
+                roots.forEach(function(root) {
+                    Array.prototype.forEach.call(root.querySelectorAll(rule.selector), function(el) {
+                        if (rule.check(el)) {
+                            return;
+                        }
+
+                        FIXES[rule.id](el, self).forEach(function(fix) {
+                            var change = self._setAttribute(rule.id, fix.element, fix.attribute, fix.value);
+                            if (change) {
+                                changes.push(change);
+                            }
+                        });
+                    });
+                });
+            });
+
+            if (changes.length) {
+                LOG.info('Remediation applied ' + changes.length + ' fixes');
+                this._dispatchEvent('remediationApplied', { changes: changes, total: this._log.length });
+            }
+
+            return changes;
+        },
+
+        /**
+         * Undo every logged change and stop re-applying on page changes.
+         * Attributes changed again since (by PeopleSoft or the user) are left alone.
+         * @returns {number} Number of changes reverted
+         */
+        revert: function() {
+            var reverted = 0;
+
+            for (var i = this._log.length - 1; i >= 0; i--) {
+                var change = this._log[i];
+
+                if (change.element.getAttribute(change.attribute) !== change.newValue) {
+                    continue;
+                }
+
+                if (change.oldValue === null) {
+                    change.element.removeAttribute(change.attribute);
+                } else {
+                    change.element.setAttribute(change.attribute, change.oldValue);
+                }
+                reverted++;
+            }
+
+            this._log = [];
+            this._active = false;
+
+            LOG.info('Remediation reverted ' + reverted + ' changes');
+            this._dispatchEvent('remediationReverted', { reverted: reverted });
+
+            return reverted;
+        },
+
+        /**
+         * Get the changes currently applied
+         * @returns {Array} [{ ruleId, element, selector, attribute, oldValue, newValue, timestamp }]
+         */
+        getLog: function() {
+            return this._log.slice();
+        },
+
+        /**
+         * Set an attribute and log the change
+         * @private
+         * @returns {object|null} Logged change, or null if the value was already set
+         */
+        _setAttribute: function(ruleId, el, attribute, value) {
+            var oldValue = el.getAttribute(attribute);
+
+            if (oldValue === value) {
+                return null;
+            }
+
+            el.setAttribute(attribute, value);
+
+            var change = {
+                ruleId: ruleId,
+                element: el,
+                selector: el.id ? '#' + el.id : el.tagName.toLowerCase(),
+                attribute: attribute,
+                oldValue: oldValue,
+                newValue: value,
+                timestamp: new Date().toISOString()
+            };
+
+            this._log.push(change);
+            LOG.log('Remediation [' + ruleId + '] ' + change.selector + ': ' + attribute + '="' + value + '"');
+
+            return change;
+        },
+
+        /**
+         * Drop logged changes whose element PeopleSoft has since removed
+         * @private
+         */
+        _pruneLog: function() {
+            this._log = this._log.filter(function(change) {
+                return change.element.ownerDocument.contains(change.element);
+            });
+        },
+
+        /**
+         * Generate an ID not yet used in a document
+         * @private
+         */
+        _generateId: function(prefix, doc) {
+            var id;
+            do {
+                id = prefix + this._nextId++;
+            } while (doc.getElementById(id));
+            return id;
+        },
+
+        /**
+         * Documents to remediate: this page and same-origin PeopleSoft frames
+         * @private
+         */
+        _getRoots: function() {
+            var roots = [document];
+
+            if (window.A11Y_PSFT) {
+                window.A11Y_PSFT.getContentFrames().forEach(function(frame) {
+                    var frameDoc = window.A11Y_PSFT.getFrameDocument(frame);
+                    if (frameDoc) {
+                        roots.push(frameDoc);
+                    }
+                });
+            }
+
+            return roots;
+        },
+
+        /**
+         * Dispatch custom event
+         * @private
+         */
+        _dispatchEvent: function(eventName, detail) {
+            try {
+                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                document.dispatchEvent(event);
+            } catch (e) {
+                var evt = document.createEvent('CustomEvent');
+                evt.initCustomEvent('a11y:' + eventName, true, true, detail);
+                document.dispatchEvent(evt);
+            }
+        },
+
+        /**
+         * Revert all fixes and stop listening for page changes
+         */
+        destroy: function() {
+            if (this._log.length) {
+                this.revert();
+            }
+
+            if (this._unsubscribe) {
+                this._unsubscribe();
+                this._unsubscribe = null;
+            }
+
+            this._active = false;
+            this._initialized = false;
+        }
+    };
+
+    // Initialize on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            A11Y_REMEDIATION.init();
+        });
+    } else {
+        A11Y_REMEDIATION.init();
+    }
+
+    // Expose globally
+    window.A11Y_REMEDIATION = A11Y_REMEDIATION;
+
+})(window.a11yJQ);
@@ -0,0 +1,945 @@
+/**
+ * A11Y_SPEECH_JS
+ * PeopleSoft Accessibility Widget - Read Aloud (Web Speech API)
+ *
+ * This module reads PeopleSoft content aloud with speechSynthesis:
+ * - Click-to-speak on fields, labels and grid cells, including inside
+ *   same-origin PeopleSoft frames
+ * - Read the current text selection
+ * - Read the whole page (A11Y_PSFT.getContentContainer) in reading order
+ * - Word highlighting driven by the speech boundary events
+ *
+ * Settings (readAloud, speechRate, speechPitch, speechVoice) are kept in
+ * A11Y_STYLES so they persist with the other preferences and profiles can
+ * enable them; A11Y_STYLES passes changes on through configure().
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+(function(a11yJQ) {
+    'use strict';
+
+    // Ensure dependencies are available
+    if (typeof a11yJQ === 'undefined') {
+        console.error('[A11Y] a11yJQ not available. Load a11y-jquery-noconflict.js first.');
+        return;
+    }
+
+    var CONFIG = window.A11Y_CONFIG || { speech: {} };
+    var SPEECH_CONFIG = CONFIG.speech || {};
+
+    var LOG = window.A11Y_LOG || {
+        log: function() {},
+        info: function() { console.log.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        warn: function() { console.warn.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        error: function() { console.error.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); }
+    };
+
+    // Elements spoken by click-to-speak (nearest match to the click target)
+    var CLICK_SELECTOR = SPEECH_CONFIG.clickSelector || [
+        'label', 'input', 'select', 'textarea', 'button', 'a',
+        'td', 'th', '[role="gridcell"]', '[role="columnheader"]', '[role="rowheader"]',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li'
+    ].join(', ');
+
+    // Never read, nor anything inside them
+    var SKIP_TAGS = /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|SVG|IFRAME|OBJECT|CANVAS)$/;
+
+    // Elements that start a new utterance when reading the page
+    var BLOCK_TAGS = /^(P|DIV|LI|DT|DD|TD|TH|TR|TABLE|H[1-6]|SECTION|ARTICLE|HEADER|FOOTER|NAV|FORM|FIELDSET|LEGEND|UL|OL|DL|BLOCKQUOTE|PRE|LABEL|CAPTION|BUTTON)$/;
+
+    var FORM_FIELD_TAGS = /^(INPUT|SELECT|TEXTAREA)$/;
+
+    // Input types whose value is never read
+    var SILENT_INPUT_TYPES = /^(password|hidden|file|checkbox|radio|image)$/;
+
+    // Longest utterance built from page text; some engines stop long utterances early
+    var MAX_SEGMENT_LENGTH = SPEECH_CONFIG.maxSegmentLength || 300;
+
+    /**
+     * Check whether an element is hidden from readers
+     * @param {Element} el - Element
+     * @returns {boolean} True if hidden
+     */
+    function isHidden(el) {
+        if (el.hidden || el.getAttribute('aria-hidden') === 'true') {
+            return true;
+        }
+
+        var view = el.ownerDocument.defaultView;
+        var style = view && view.getComputedStyle ? view.getComputedStyle(el) : null;
+        return !!style && (style.display === 'none' || style.visibility === 'hidden');
+    }
+
+    /**
+     * Check whether a node belongs to the widget itself
+     * @param {Node} node - Node
+     * @returns {boolean} True for widget markup
+     */
+    function isWidgetNode(node) {
+        var el = node.nodeType === 1 ? node : node.parentNode;
+        return !!(el && el.closest && el.closest('#a11y-widget, [data-a11y="true"]'));
+    }
+
+    /**
+     * Get the label of a form field: <label>, aria-label or title
+     * @param {Element} field - Form field
+     * @returns {string} Label text or ''
+     */
+    function getFieldLabel(field) {
+        var labels = field.labels ? Array.prototype.slice.call(field.labels) : [];
+        var text = labels.map(function(label) {
+            return label.textContent;
+        }).join(' ');
+
+        text = text || field.getAttribute('aria-label') || field.getAttribute('title') || '';
+        return text.replace(/\s+/g, ' ').replace(/[:*]+\s*$/, '').trim();
+    }
+
+    /**
+     * Get the value of a form field as it should be read
+     * @param {Element} field - Form field
+     * @returns {string} Value or '' if it is not read
+     */
+    function getFieldValue(field) {
+        if (field.tagName === 'SELECT') {
+            var option = field.options[field.selectedIndex];
+            return option ? option.text.trim() : '';
+        }
+
+        if (field.tagName === 'INPUT' && SILENT_INPUT_TYPES.test(field.type)) {
+            return '';
+        }
+
+        return String(field.value || '').trim();
+    }
+
+    /**
+     * Get the nearest block ancestor of a node
+     * @param {Node} node - Node
+     * @param {Element} root - Stop here
+     * @returns {Element} Block element
+     */
+    function getBlock(node, root) {
+        var el = node.nodeType === 1 ? node : node.parentNode;
+        while (el && el !== root && !BLOCK_TAGS.test(el.tagName)) {
+            el = el.parentNode;
+        }
+        return el || root;
+    }
+
+    /**
+     * Build utterance segments from the readable content of an element.
+     * Each segment keeps a map from its text back to the DOM (parts) so
+     * boundary events can be turned into highlight ranges. Whitespace is
+     * replaced one for one, so text offsets stay those of the text nodes.
+     * @param {Element} root - Element to read
+     * @param {object} [options]
+     * @param {Range} [options.range] - Only read text inside this range
+     * @param {boolean} [options.split=true] - Start a new segment at each block
+     * @returns {object[]} Segments: { text, doc, block, parts: [{ start, end, node, offset } | { start, end, element }] }
+     */
+    function buildSegments(root, options) {
+        options = options || {};
+
+        var doc = root.ownerDocument || root;
+        var range = options.range || null;
+        var split = options.split !== false;
+        var segments = [];
+        var current = null;
+
+        function append(text, part, block) {
+            if (!current || (split && (current.block !== block || current.text.length >= MAX_SEGMENT_LENGTH))) {
+                current = { text: '', doc: doc, block: block, parts: [] };
+                segments.push(current);
+            } else {
+                current.text += ' ';
+            }
+
+            part.start = current.text.length;
+            part.end = part.start + text.length;
+            current.text += text;
+            current.parts.push(part);
+        }
+
+        var walker = doc.createTreeWalker(root, 5 /* SHOW_ELEMENT | SHOW_TEXT */, {
+            acceptNode: function(node) {
+                if (node.nodeType === 3) {
+                    return /\S/.test(node.data) ? 1 /* ACCEPT */ : 3 /* SKIP */;
+                }
+                if (SKIP_TAGS.test(node.tagName.toUpperCase()) || isWidgetNode(node) || isHidden(node)) {
+                    return 2; // REJECT (skips the subtree)
+                }
+                return FORM_FIELD_TAGS.test(node.tagName) ? 1 : 3;
+            }
+        });
+
+        var node = root.nodeType === 3 ? root : walker.nextNode();
+        while (node) {
+            if (!range || range.intersectsNode(node)) {
+                var block = getBlock(node, root);
+
+                if (node.nodeType === 3) {
+                    var start = 0;
+                    var end = node.data.length;
+                    if (range && node === range.startContainer) {
+                        start = range.startOffset;
+                    }
+                    if (range && node === range.endContainer) {
+                        end = range.endOffset;
+                    }
+
+                    var text = node.data.slice(start, end).replace(/\s/g, ' ');
+                    if (/\S/.test(text)) {
+                        append(text, { node: node, offset: start }, block);
+                    }
+                } else {
+                    // Form fields have no text nodes: read their current value
+                    var value = getFieldValue(node);
+                    if (value) {
+                        append(value, { element: node }, block);
+                    }
+                }
+            }
+
+            node = root.nodeType === 3 ? null : walker.nextNode();
+        }
+
+        return segments;
+    }
+
+    /**
+     * Read Aloud Module
+     */
+    var A11Y_SPEECH = {
+
+        // State
+        _initialized: false,
+        _enabled: false,          // Click-to-speak
+        _rate: 1,
+        _pitch: 1,
+        _voiceURI: '',
+        _queue: [],               // Segments still to speak
+        _segment: null,           // Segment being spoken
+        _utterance: null,
+        _generation: 0,           // Bumped on stop() so callbacks of cancelled utterances are ignored
+        _paused: false,
+        _lastSelection: null,     // Last non-empty selection outside the widget: Range
+        _highlights: [],          // Word highlight elements, one per document used
+        _frames: [],              // Attached PeopleSoft frames: { frame, doc, onLoad }
+        _eventHandlers: {},
+        _pageChangeUnsubscribe: null,
+
+        /**
+         * Initialize the read aloud module
+         */
+        init: function() {
+            if (this._initialized) {
+                return;
+            }
+
+            if (!this.isSupported()) {
+                LOG.info('Speech synthesis not supported - read aloud unavailable');
+                return;
+            }
+
+            var self = this;
+
+            this._eventHandlers.click = this._onClick.bind(this);
+            this._eventHandlers.selectionchange = this._onSelectionChange.bind(this);
+            this._addDocumentListeners(document);
+            this._setupFrames();
+
+            this._eventHandlers.voiceschanged = function() {
+                self._dispatchEvent('voicesChanged', { voices: self.getVoices() });
+            };
+            if (window.speechSynthesis.addEventListener) {
+                window.speechSynthesis.addEventListener('voiceschanged', this._eventHandlers.voiceschanged);
+            }
+
+            // Settings restored by A11Y_STYLES before this module loaded
+            if (window.A11Y_STYLES) {
+                this.configure(window.A11Y_STYLES.getSettings());
+            }
+
+            this._initialized = true;
+            LOG.info('Speech module initialized');
+        },
+
+        /**
+         * Check whether the browser supports speech synthesis
+         * @returns {boolean} True if supported
+         */
+        isSupported: function() {
+            return typeof window.speechSynthesis !== 'undefined' &&
+                typeof window.SpeechSynthesisUtterance === 'function';
+        },
+
+        /**
+         * Apply read aloud settings (called by A11Y_STYLES)
+         * @param {object} settings - { readAloud, speechRate, speechPitch, speechVoice }
+         * @returns {object} this - for chaining
+         */
+        configure: function(settings) {
+            settings = settings || {};
+
+            this._rate = parseFloat(settings.speechRate) || 1;
+            this._pitch = parseFloat(settings.speechPitch) || 1;
+            this._voiceURI = settings.speechVoice || '';
+
+            var enabled = Boolean(settings.readAloud);
+            if (enabled !== this._enabled) {
+                this._enabled = enabled;
+                if (!enabled) {
+                    this.stop();
+                }
+                LOG.log('Click-to-speak ' + (enabled ? 'enabled' : 'disabled'));
+            }
+
+            return this;
+        },
+
+        /**
+         * Check whether click-to-speak is on
+         * @returns {boolean} True if enabled
+         */
+        isEnabled: function() {
+            return this._enabled;
+        },
+
+        /**
+         * Get the available voices
+         * @returns {object[]} Voices: { voiceURI, name, lang, default }
+         */
+        getVoices: function() {
+            if (!this.isSupported()) {
+                return [];
+            }
+
+            return window.speechSynthesis.getVoices().map(function(voice) {
+                return { voiceURI: voice.voiceURI, name: voice.name, lang: voice.lang, default: voice.default };
+            });
+        },
+
+        // ==================== READING ====================
+
+        /**
+         * Speak plain text (no highlighting)
+         * @param {string} text - Text to speak
+         * @param {object} [options]
+         * @param {string} [options.lang] - Language of the text
+         * @returns {boolean} True if speech started
+         */
+        speak: function(text, options) {
+            text = String(text || '').trim();
+            if (!text) {
+                return false;
+            }
+
+            return this._start([{
+                text: text,
+                doc: document,
+                block: null,
+                parts: [],
+                lang: options && options.lang
+            }], 'text');
+        },
+
+        /**
+         * Read an element: a form field's label and value, or its text
+         * @param {Element} el - Element to read
+         * @returns {boolean} True if speech started
+         */
+        speakElement: function(el) {
+            if (!el) {
+                return false;
+            }
+
+            var segments;
+
+            if (FORM_FIELD_TAGS.test(el.tagName)) {
+                var label = getFieldLabel(el);
+                var value = getFieldValue(el);
+                var text = [label, value].filter(Boolean).join(': ');
+
+                segments = text ? [{
+                    text: text,
+                    doc: el.ownerDocument,
+                    block: el,
+                    parts: [{ start: 0, end: text.length, element: el }]
+                }] : [];
+            } else {
+                segments = buildSegments(el, { split: false });
+            }
+
+            return this._start(segments, 'element');
+        },
+
+        /**
+         * Read the selected text. When the selection was lost (e.g. by
+         * clicking a panel button) the last selection is read instead.
+         * @returns {boolean} True if speech started
+         */
+        readSelection: function() {
+            var range = this._getSelectionRange() || this._lastSelection;
+
+            if (!range || range.collapsed || !range.startContainer.ownerDocument.contains(range.startContainer)) {
+                LOG.log('Nothing selected to read');
+                return false;
+            }
+
+            var root = range.commonAncestorContainer;
+            return this._start(buildSegments(root, { range: range }), 'selection');
+        },
+
+        /**
+         * Read the PeopleSoft content container in reading order
+         * @returns {boolean} True if speech started
+         */
+        readPage: function() {
+            var container = window.A11Y_PSFT ? window.A11Y_PSFT.getContentContainer() : document.body;
+            return this._start(buildSegments(container), 'page');
+        },
+
+        /**
+         * Pause speech
+         * @returns {object} this - for chaining
+         */
+        pause: function() {
+            if (this.isSpeaking() && !this._paused) {
+                window.speechSynthesis.pause();
+                this._paused = true;
+                this._dispatchEvent('speechPaused', {});
+            }
+            return this;
+        },
+
+        /**
+         * Resume paused speech
+         * @returns {object} this - for chaining
+         */
+        resume: function() {
+            if (this._paused) {
+                window.speechSynthesis.resume();
+                this._paused = false;
+                this._dispatchEvent('speechResumed', {});
+            }
+            return this;
+        },
+
+        /**
+         * Stop speech and clear the highlight
+         * @returns {object} this - for chaining
+         */
+        stop: function() {
+            var wasSpeaking = this.isSpeaking();
+
+            this._generation++;
+            this._queue = [];
+            this._segment = null;
+            this._utterance = null;
+            this._paused = false;
+
+            if (this.isSupported()) {
+                window.speechSynthesis.cancel();
+            }
+            this._clearHighlight();
+
+            if (wasSpeaking) {
+                this._dispatchEvent('speechEnded', { completed: false });
+            }
+            return this;
+        },
+
+        /**
+         * Check whether speech is in progress (including paused)
+         * @returns {boolean} True while speaking
+         */
+        isSpeaking: function() {
+            return !!this._segment;
+        },
+
+        /**
+         * Check whether speech is paused
+         * @returns {boolean} True if paused
+         */
+        isPaused: function() {
+            return this._paused;
+        },
+
+        /**
+         * Replace anything being spoken with new segments
+         * @private
+         */
+        _start: function(segments, source) {
+            if (!this.isSupported()) {
+                return false;
+            }
+
+            this.stop();
+
+            if (!segments.length) {
+                LOG.log('Nothing to read');
+                return false;
+            }
+
+            this._queue = segments.slice();
+            this._speakNext(this._generation);
+            this._dispatchEvent('speechStarted', { source: source, segments: segments.length });
+            return true;
+        },
+
+        /**
+         * Speak the next queued segment
+         * @private
+         */
+        _speakNext: function(generation) {
+            var self = this;
+            var segment = this._queue.shift();
+
+            this._clearHighlight();
+
+            if (!segment) {
+                this._segment = null;
+                this._utterance = null;
+                this._paused = false;
+                this._dispatchEvent('speechEnded', { completed: true });
+                return;
+            }
+
+            this._segment = segment;
+
+            if (segment.block && segment.block.scrollIntoView) {
+                try {
+                    segment.block.scrollIntoView({ block: 'nearest' });
+                } catch (e) {
+                    // Element removed by PeopleSoft meanwhile
+                }
+            }
+
+            var utterance = new window.SpeechSynthesisUtterance(segment.text);
+            utterance.rate = this._rate;
+            utterance.pitch = this._pitch;
+            utterance.lang = segment.lang || this._getLanguage(segment.doc);
+
+            var voice = this._findVoice();
+            if (voice) {
+                utterance.voice = voice;
+                utterance.lang = voice.lang;
+            }
+
+            utterance.onboundary = function(e) {
+                if (generation === self._generation && e.name !== 'sentence') {
+                    self._highlightWord(segment, e.charIndex, e.charLength);
+                }
+            };
+            utterance.onend = function() {
+                if (generation === self._generation) {
+                    self._speakNext(generation);
+                }
+            };
+            utterance.onerror = function(e) {
+                if (generation !== self._generation) {
+                    return;
+                }
+                if (e.error !== 'interrupted' && e.error !== 'canceled') {
+                    LOG.warn('Speech error:', e.error);
+                }
+                self._speakNext(generation);
+            };
+
+            this._utterance = utterance;
+            window.speechSynthesis.speak(utterance);
+        },
+
+        /**
+         * Get the selected voice, if it is still available
+         * @private
+         */
+        _findVoice: function() {
+            if (!this._voiceURI) {
+                return null;
+            }
+
+            var voices = window.speechSynthesis.getVoices();
+            for (var i = 0; i < voices.length; i++) {
+                if (voices[i].voiceURI === this._voiceURI) {
+                    return voices[i];
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Language of the content being read: the document's lang, else the widget locale
+         * @private
+         */
+        _getLanguage: function(doc) {
+            var lang = doc && doc.documentElement && doc.documentElement.getAttribute('lang');
+            if (lang) {
+                return lang;
+            }
+            return window.A11Y_I18N ? window.A11Y_I18N.getLocale() : (document.documentElement.lang || '');
+        },
+
+        // ==================== HIGHLIGHTING ====================
+
+        /**
+         * Highlight the word starting at charIndex in the segment text
+         * @private
+         */
+        _highlightWord: function(segment, charIndex, charLength) {
+            var part = null;
+            for (var i = 0; i < segment.parts.length; i++) {
+                if (charIndex >= segment.parts[i].start && charIndex < segment.parts[i].end) {
+                    part = segment.parts[i];
+                    break;
+                }
+            }
+
+            if (!part) {
+                return;
+            }
+
+            var rect;
+
+            try {
+                if (part.element) {
+                    rect = part.element.getBoundingClientRect();
+                } else {
+                    // charLength is missing in some browsers: take the word up to the next space
+                    var length = charLength || ((/^\S+/.exec(segment.text.slice(charIndex)) || [''])[0].length);
+                    var start = part.offset + charIndex - part.start;
+                    var end = Math.min(part.offset + (part.end - part.start), start + length);
+
+                    var range = segment.doc.createRange();
+                    range.setStart(part.node, start);
+                    range.setEnd(part.node, end);
+                    rect = range.getBoundingClientRect();
+                }
+            } catch (e) {
+                // Node removed or changed by PeopleSoft since the segment was built
+                return;
+            }
+
+            this._showHighlight(segment.doc, rect);
+        },
+
+        /**
+         * Place the highlight box for a document over a rectangle
+         * @private
+         */
+        _showHighlight: function(doc, rect) {
+            var highlight = this._getHighlight(doc);
+
+            this._highlights.forEach(function(el) {
+                if (el !== highlight) {
+                    el.style.display = 'none';
+                }
+            });
+
+            if (!rect || (!rect.width && !rect.height)) {
+                highlight.style.display = 'none';
+                return;
+            }
+
+            highlight.style.top = (rect.top - 2) + 'px';
+            highlight.style.left = (rect.left - 2) + 'px';
+            highlight.style.width = (rect.width + 4) + 'px';
+            highlight.style.height = (rect.height + 4) + 'px';
+            highlight.style.display = 'block';
+        },
+
+        /**
+         * Get (or create) the highlight box of a document. Styled inline
+         * because frame documents do not load the widget stylesheet.
+         * @private
+         */
+        _getHighlight: function(doc) {
+            for (var i = 0; i < this._highlights.length; i++) {
+                if (this._highlights[i].ownerDocument === doc && doc.contains(this._highlights[i])) {
+                    return this._highlights[i];
+                }
+            }
+
+            var highlight = doc.createElement('div');
+            highlight.className = 'a11y-speech-highlight';
+            highlight.setAttribute('data-a11y', 'true');
+            highlight.setAttribute('aria-hidden', 'true');
+            highlight.style.cssText = [
+                'position: fixed',
+                'display: none',
+                'pointer-events: none',
+                'z-index: ' + ((CONFIG.zIndex && CONFIG.zIndex.readingGuide) || 999998),
+                'background: ' + (SPEECH_CONFIG.highlightColor || 'rgba(255, 213, 0, 0.45)'),
+                'outline: 2px solid #b38600',
+                'border-radius: 2px'
+            ].join('; ');
+            doc.body.appendChild(highlight);
+
+            // Drop boxes of unloaded frame documents
+            this._highlights = this._highlights.filter(function(el) {
+                try {
+                    return el.ownerDocument.contains(el);
+                } catch (e) {
+                    return false;
+                }
+            });
+            this._highlights.push(highlight);
+
+            return highlight;
+        },
+
+        /**
+         * Hide all highlight boxes
+         * @private
+         */
+        _clearHighlight: function() {
+            this._highlights.forEach(function(el) {
+                el.style.display = 'none';
+            });
+        },
+
+        // ==================== DOCUMENT LISTENERS ====================
+
+        /**
+         * Click-to-speak: read the nearest field, label or cell
+         * @private
+         */
+        _onClick: function(e) {
+            if (!this._enabled || !e.target || e.target.nodeType !== 1 || isWidgetNode(e.target)) {
+                return;
+            }
+
+            // A click that ends a text selection is for "read selection"
+            var selection = this._getSelectionRange(e.target.ownerDocument);
+            if (selection && !selection.collapsed) {
+                return;
+            }
+
+            var target = e.target.closest(CLICK_SELECTOR);
+            if (target && !isHidden(target)) {
+                this.speakElement(target);
+            }
+        },
+
+        /**
+         * Remember the last selection outside the widget
+         * @private
+         */
+        _onSelectionChange: function(e) {
+            var range = this._getSelectionRange(e.target.nodeType === 9 ? e.target : document);
+            if (range && !range.collapsed && !isWidgetNode(range.commonAncestorContainer)) {
+                this._lastSelection = range.cloneRange();
+            }
+        },
+
+        /**
+         * Get the selection range of a document, or of the first document
+         * (top or frame) with a non-empty selection
+         * @private
+         */
+        _getSelectionRange: function(doc) {
+            var docs = doc ? [doc] : [document].concat(this._frames.map(function(entry) {
+                return entry.doc;
+            }).filter(Boolean));
+
+            for (var i = 0; i < docs.length; i++) {
+                try {
+                    var selection = docs[i].getSelection ? docs[i].getSelection() : null;
+                    if (selection && selection.rangeCount && !selection.isCollapsed) {
+                        var range = selection.getRangeAt(0);
+                        if (!isWidgetNode(range.commonAncestorContainer)) {
+                            return range;
+                        }
+                    }
+                } catch (e) {
+                    // Frame document unloaded
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Listen for clicks and selection changes in a document
+         * @private
+         */
+        _addDocumentListeners: function(doc) {
+            doc.addEventListener('click', this._eventHandlers.click, true);
+            doc.addEventListener('selectionchange', this._eventHandlers.selectionchange);
+        },
+
+        /**
+         * Stop listening in a document
+         * @private
+         */
+        _removeDocumentListeners: function(doc) {
+            try {
+                doc.removeEventListener('click', this._eventHandlers.click, true);
+                doc.removeEventListener('selectionchange', this._eventHandlers.selectionchange);
+            } catch (e) {
+                // Document already unloaded
+            }
+        },
+
+        /**
+         * Follow PeopleSoft content frames, as A11Y_STYLES does for styles
+         * @private
+         */
+        _setupFrames: function() {
+            var self = this;
+
+            this._syncFrames();
+
+            if (window.A11Y_PSFT) {
+                this._pageChangeUnsubscribe = window.A11Y_PSFT.onPageChange(function() {
+                    self._syncFrames();
+                });
+            }
+        },
+
+        /**
+         * Attach to new frames and drop frames removed from the page
+         * @private
+         */
+        _syncFrames: function() {
+            if (!window.A11Y_PSFT) {
+                return;
+            }
+
+            var self = this;
+            var frames = window.A11Y_PSFT.getContentFrames();
+
+            this._frames = this._frames.filter(function(entry) {
+                if (frames.indexOf(entry.frame) === -1) {
+                    self._detachFrame(entry);
+                    return false;
+                }
+                return true;
+            });
+
+            frames.forEach(function(frame) {
+                var entry = null;
+                for (var i = 0; i < self._frames.length; i++) {
+                    if (self._frames[i].frame === frame) {
+                        entry = self._frames[i];
+                    }
+                }
+
+                if (!entry) {
+                    entry = { frame: frame, doc: null, onLoad: null };
+                    entry.onLoad = function() {
+                        self._attachFrame(entry);
+                    };
+                    frame.addEventListener('load', entry.onLoad);
+                    self._frames.push(entry);
+                }
+                self._attachFrame(entry);
+            });
+        },
+
+        /**
+         * Listen in a frame's current document (again after a reload)
+         * @private
+         */
+        _attachFrame: function(entry) {
+            var doc = window.A11Y_PSFT.getFrameDocument(entry.frame);
+
+            if (!doc || doc === entry.doc) {
+                return;
+            }
+
+            if (entry.doc) {
+                this._removeDocumentListeners(entry.doc);
+            }
+
+            entry.doc = doc;
+            this._addDocumentListeners(doc);
+        },
+
+        /**
+         * Fully detach from a frame
+         * @private
+         */
+        _detachFrame: function(entry) {
+            if (entry.doc) {
+                this._removeDocumentListeners(entry.doc);
+            }
+            if (entry.onLoad) {
+                entry.frame.removeEventListener('load', entry.onLoad);
+            }
+            entry.doc = null;
+        },
+
+        /**
+         * Dispatch custom event
+         * @private
+         */
+        _dispatchEvent: function(eventName, detail) {
+            try {
+                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                document.dispatchEvent(event);
+            } catch (e) {
+                var evt = document.createEvent('CustomEvent');
+                evt.initCustomEvent('a11y:' + eventName, true, true, detail);
+                document.dispatchEvent(evt);
+            }
+        },
+
+        /**
+         * Destroy the module and clean up
+         */
+        destroy: function() {
+            var self = this;
+
+            this.stop();
+
+            this._removeDocumentListeners(document);
+            this._frames.forEach(function(entry) {
+                self._detachFrame(entry);
+            });
+            this._frames = [];
+
+            if (this._pageChangeUnsubscribe) {
+                this._pageChangeUnsubscribe();
+                this._pageChangeUnsubscribe = null;
+            }
+
+            if (this._eventHandlers.voiceschanged && window.speechSynthesis.removeEventListener) {
+                window.speechSynthesis.removeEventListener('voiceschanged', this._eventHandlers.voiceschanged);
+            }
+            this._eventHandlers = {};
+
+            this._highlights.forEach(function(el) {
+                try {
+                    if (el.parentNode) {
+                        el.parentNode.removeChild(el);
+                    }
+                } catch (e) {
+                    // Document already unloaded
+                }
+            });
+            this._highlights = [];
+
+            this._lastSelection = null;
+            this._enabled = false;
+            this._initialized = false;
+
+            LOG.log('Speech module destroyed');
+        }
+    };
+
+    // Initialize on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            A11Y_SPEECH.init();
+        });
+    } else {
+        A11Y_SPEECH.init();
+    }
+
+    // Expose globally
+    window.A11Y_SPEECH = A11Y_SPEECH;
+
+})(window.a11yJQ);
@@ -0,0 +1,677 @@
+/**
+ * A11Y_STORAGE_JS
+ * PeopleSoft Accessibility Widget - Preference Storage Adapters
+ *
+ * This module provides a pluggable storage layer for widget preferences:
+ * - localStorage and sessionStorage adapters for the local copy
+ * - Remote adapter that GETs/POSTs JSON to a WEBLIB iScript keyed by OPRID
+ * - Offline queueing of changes not yet accepted by the server
+ * - Merge-on-login (last write wins per key)
+ *
+ * Reads are always served synchronously from the local adapter so settings
+ * apply without waiting for the network. The remote copy is merged in by
+ * sync(), which dispatches 'a11y:storageSynced' with the keys that changed.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+(function(a11yJQ) {
+    'use strict';
+
+    // Ensure dependencies are available
+    if (typeof a11yJQ === 'undefined') {
+        console.error('[A11Y] a11yJQ not available. Load a11y-jquery-noconflict.js first.');
+        return;
+    }
+
+    var CONFIG = window.A11Y_CONFIG || {
+        storage: {
+            metaKey: 'a11y_storage_meta',
+            queueKey: 'a11y_sync_queue',
+            ownerKey: 'a11y_storage_owner',
+            adapter: 'local',
+            remote: { enabled: false }
+        }
+    };
+
+    var LOG = window.A11Y_LOG || {
+        log: function() {},
+        info: function() { console.log.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        warn: function() { console.warn.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); },
+        error: function() { console.error.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); }
+    };
+
+    /**
+     * Create an adapter over a Web Storage object
+     * @param {string} name - Adapter name
+     * @param {function} getStorage - Returns the Storage object (resolved lazily)
+     * @returns {object} Adapter with getItem/setItem/removeItem
+     */
+    function createWebStorageAdapter(name, getStorage) {
+        return {
+            name: name,
+
+            getItem: function(key) {
+                return getStorage().getItem(key);
+            },
+
+            setItem: function(key, value) {
+                getStorage().setItem(key, value);
+            },
+
+            removeItem: function(key) {
+                getStorage().removeItem(key);
+            }
+        };
+    }
+
+    /**
+     * Create the remote iScript adapter
+     * The iScript answers GET with { oprid, values } and accepts POST of the
+     * same shape, where values maps key -> { value, updatedAt }.
+     * @returns {object} Adapter with load/save returning Promises
+     */
+    function createRemoteAdapter() {
+        return {
+            name: 'remote',
+
+            /**
+             * Fetch the stored document for a user
+             * @param {string} oprid - User ID
+             * @returns {Promise} Resolves with { values } (empty when none stored)
+             */
+            load: function(oprid) {
+                return request('GET', buildUrl(oprid)).then(function(data) {
+                    return data && data.values ? data : { oprid: oprid, values: {} };
+                });
+            },
+
+            /**
+             * Store changed values for a user
+             * @param {string} oprid - User ID
+             * @param {object} values - key -> { value, updatedAt }
+             * @returns {Promise} Resolves when the server accepts the change
+             */
+            save: function(oprid, values) {
+                return request('POST', buildUrl(oprid), { oprid: oprid, values: values });
+            }
+        };
+    }
+
+    /**
+     * Build the iScript URL for a user
+     * @private
+     */
+    function buildUrl(oprid) {
+        var url = getRemoteConfig().url;
+        return url + (url.indexOf('?') === -1 ? '?' : '&') + 'OPRID=' + encodeURIComponent(oprid);
+    }
+
+    /**
+     * Get remote adapter configuration
+     * @private
+     */
+    function getRemoteConfig() {
+        return (CONFIG.storage && CONFIG.storage.remote) || { enabled: false };
+    }
+
+    /**
+     * Send a JSON request
+     * @private
+     * @returns {Promise} Resolves with parsed JSON (or null for empty responses)
+     */
+    function request(method, url, body) {
+        return new Promise(function(resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.open(method, url, true);
+            xhr.timeout = getRemoteConfig().timeout || 10000;
+            xhr.withCredentials = true;
+            xhr.setRequestHeader('Accept', 'application/json');
+            if (body) {
+                xhr.setRequestHeader('Content-Type', 'application/json');
+            }
+
+            xhr.onload = function() {
+                if (xhr.status === 204 || xhr.status === 404) {
+                    resolve(null);
+                    return;
+                }
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(new Error('Preference service returned HTTP ' + xhr.status));
+                    return;
+                }
+                try {
+                    resolve(xhr.responseText ? JSON.parse(xhr.responseText) : null);
+                } catch (e) {
+                    // PeopleSoft returns the sign-in page as HTML when the session expired
+                    reject(new Error('Preference service returned invalid JSON'));
+                }
+            };
+
+            xhr.onerror = function() {
+                reject(new Error('Preference service unreachable'));
+            };
+
+            xhr.ontimeout = function() {
+                reject(new Error('Preference service timed out'));
+            };
+
+            xhr.send(body ? JSON.stringify(body) : null);
+        });
+    }
+
+    /**
+     * Preference Storage Module
+     */
+    var A11Y_STORAGE = {
+
+        // State
+        _initialized: false,
+        _adapters: {},
+        _syncing: null,       // Pending sync() promise
+        _flushing: false,
+        _eventHandlers: {},   // Store event handlers for cleanup
+
+        /**
+         * Initialize the storage module and register the built-in adapters
+         */
+        init: function() {
+            if (this._initialized) {
+                return;
+            }
+
+            this.registerAdapter('local', createWebStorageAdapter('local', function() {
+                return window.localStorage;
+            }));
+            this.registerAdapter('session', createWebStorageAdapter('session', function() {
+                return window.sessionStorage;
+            }));
+            this.registerAdapter('remote', createRemoteAdapter());
+
+            this._initialized = true;
+
+            LOG.info('Storage module initialized - adapter: ' + this._getLocalAdapterName() +
+                (this.isRemoteEnabled() ? ' + remote' : ''));
+        },
+
+        /**
+         * Start server sync once the page (and its OPRID) is available
+         * @private
+         */
+        _startRemoteSync: function() {
+            var self = this;
+
+            if (!this.isRemoteEnabled()) {
+                return;
+            }
+
+            this._eventHandlers.online = function() {
+                self.flush();
+            };
+            window.addEventListener('online', this._eventHandlers.online);
+
+            this.sync();
+        },
+
+        /**
+         * Register (or replace) a storage adapter
+         * Local adapters implement getItem/setItem/removeItem;
+         * the remote adapter implements load(oprid)/save(oprid, values).
+         * @param {string} name - Adapter name
+         * @param {object} adapter - Adapter implementation
+         */
+        registerAdapter: function(name, adapter) {
+            this._adapters[name] = adapter;
+        },
+
+        /**
+         * Get a registered adapter
+         * @param {string} name - Adapter name
+         * @returns {object|null} Adapter or null
+         */
+        getAdapter: function(name) {
+            return this._adapters[name] || null;
+        },
+
+        /**
+         * Check whether server-side persistence is configured
+         * @returns {boolean} True if remote sync is enabled
+         */
+        isRemoteEnabled: function() {
+            var remote = getRemoteConfig();
+            return remote.enabled === true && Boolean(remote.url) && Boolean(this._adapters.remote);
+        },
+
+        /**
+         * Read a raw string value
+         * @param {string} key - Storage key
+         * @returns {string|null} Stored value or null
+         */
+        getItem: function(key) {
+            var adapter = this._getLocalAdapter();
+
+            try {
+                var value = adapter.getItem(key);
+                if (value === null && adapter.name !== 'session') {
+                    // Values that overflowed localStorage were written to sessionStorage
+                    value = this._adapters.session.getItem(key);
+                }
+                return value;
+            } catch (e) {
+                LOG.warn('Could not read ' + key + ':', e.message);
+                return null;
+            }
+        },
+
+        /**
+         * Write a raw string value locally and queue it for the server
+         * @param {string} key - Storage key
+         * @param {string} value - Value to store
+         * @returns {boolean} Success status
+         */
+        setItem: function(key, value) {
+            // Skip unchanged values so re-applying settings does not stamp them as new
+            if (this.getItem(key) === value) {
+                return true;
+            }
+
+            if (!this._writeLocal(key, value)) {
+                return false;
+            }
+
+            this._recordChange(key, value);
+            return true;
+        },
+
+        /**
+         * Remove a value locally and on the server
+         * @param {string} key - Storage key
+         */
+        removeItem: function(key) {
+            if (this.getItem(key) === null) {
+                return;
+            }
+
+            try {
+                this._getLocalAdapter().removeItem(key);
+                this._adapters.session.removeItem(key);
+            } catch (e) {
+                LOG.warn('Could not remove ' + key + ':', e.message);
+            }
+
+            this._recordChange(key, null);
+        },
+
+        /**
+         * Read and parse a JSON value
+         * @param {string} key - Storage key
+         * @returns {*} Parsed value or null
+         */
+        getJSON: function(key) {
+            var raw = this.getItem(key);
+            if (raw === null) {
+                return null;
+            }
+
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                LOG.warn('Stored value for ' + key + ' is not valid JSON');
+                return null;
+            }
+        },
+
+        /**
+         * Serialize and write a JSON value
+         * @param {string} key - Storage key
+         * @param {*} value - Value to store
+         * @returns {boolean} Success status
+         */
+        setJSON: function(key, value) {
+            return this.setItem(key, JSON.stringify(value));
+        },
+
+        /**
+         * Merge the server copy with the local copy.
+         * Called at startup; the newer value wins per key. If the local copy
+         * belongs to a different OPRID (shared kiosk), it is replaced by the
+         * server copy.
+         * @returns {Promise} Resolves with the list of keys changed locally
+         */
+        sync: function() {
+            var self = this;
+
+            if (!this.isRemoteEnabled()) {
+                return Promise.resolve([]);
+            }
+
+            if (this._syncing) {
+                return this._syncing;
+            }
+
+            var oprid = this._getUserId();
+            if (!oprid) {
+                LOG.warn('Remote preferences skipped: OPRID not available on this page');
+                return Promise.resolve([]);
+            }
+
+            this._claimLocalCopy(oprid);
+
+            this._syncing = this._adapters.remote.load(oprid)
+                .then(function(doc) {
+                    var changed = self._mergeRemote(doc.values || {});
+                    self._syncing = null;
+
+                    if (changed.length) {
+                        LOG.info('Preferences restored from server:', changed.join(', '));
+                        self._dispatchEvent('storageSynced', { keys: changed, oprid: oprid });
+                    }
+
+                    return self.flush().then(function() {
+                        return changed;
+                    });
+                })
+                .catch(function(error) {
+                    self._syncing = null;
+                    LOG.warn('Could not load preferences from server:', error.message);
+                    return [];
+                });
+
+            return this._syncing;
+        },
+
+        /**
+         * Send queued changes to the server
+         * Failed sends stay queued and are retried on the next sync or when
+         * the browser comes back online.
+         * @returns {Promise} Resolves when the queue has been sent (or kept)
+         */
+        flush: function() {
+            var self = this;
+            var oprid = this._getUserId();
+            var queue = this._readInternal(this._getKey('queueKey')) || {};
+            var keys = Object.keys(queue);
+
+            if (!this.isRemoteEnabled() || !oprid || !keys.length || this._flushing) {
+                return Promise.resolve();
+            }
+
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return Promise.resolve();
+            }
+
+            this._flushing = true;
+
+            return this._adapters.remote.save(oprid, queue)
+                .then(function() {
+                    // Only drop entries that were not changed again while sending
+                    var current = self._readInternal(self._getKey('queueKey')) || {};
+                    keys.forEach(function(key) {
+                        if (current[key] && current[key].updatedAt === queue[key].updatedAt) {
+                            delete current[key];
+                        }
+                    });
+                    self._writeInternal(self._getKey('queueKey'), current);
+                    self._flushing = false;
+                    LOG.log('Synced preferences to server:', keys.join(', '));
+                })
+                .catch(function(error) {
+                    self._flushing = false;
+                    LOG.warn('Preferences queued for later sync:', error.message);
+                });
+        },
+
+        /**
+         * Get the number of changes waiting for the server
+         * @returns {number} Queued change count
+         */
+        getPendingCount: function() {
+            return Object.keys(this._readInternal(this._getKey('queueKey')) || {}).length;
+        },
+
+        /**
+         * Write to the local adapter, falling back to sessionStorage on quota errors
+         * @private
+         */
+        _writeLocal: function(key, value) {
+            var adapter = this._getLocalAdapter();
+
+            try {
+                adapter.setItem(key, value);
+                return true;
+            } catch (e) {
+                if (e.name === 'QuotaExceededError' && adapter.name !== 'session') {
+                    LOG.warn('localStorage quota exceeded, trying sessionStorage');
+                    try {
+                        this._adapters.session.setItem(key, value);
+                        return true;
+                    } catch (e2) {
+                        LOG.warn('Could not save ' + key + ':', e2.message);
+                    }
+                } else {
+                    LOG.warn('Could not save ' + key + ':', e.message);
+                }
+            }
+
+            return false;
+        },
+
+        /**
+         * Stamp a change and queue it for the server
+         * @private
+         */
+        _recordChange: function(key, value) {
+            var now = new Date().toISOString();
+            var meta = this._readInternal(this._getKey('metaKey')) || {};
+            meta[key] = now;
+            this._writeInternal(this._getKey('metaKey'), meta);
+
+            if (!this.isRemoteEnabled() || this._getSyncKeys().indexOf(key) === -1) {
+                return;
+            }
+
+            var queue = this._readInternal(this._getKey('queueKey')) || {};
+            queue[key] = { value: value, updatedAt: now };
+            this._writeInternal(this._getKey('queueKey'), queue);
+
+            // Wait for the login merge before pushing, so stale values are not sent
+            if (!this._syncing) {
+                this.flush();
+            }
+        },
+
+        /**
+         * Apply server values that are newer than the local copy
+         * @private
+         * @returns {string[]} Keys changed locally
+         */
+        _mergeRemote: function(remoteValues) {
+            var self = this;
+            var meta = this._readInternal(this._getKey('metaKey')) || {};
+            var queue = this._readInternal(this._getKey('queueKey')) || {};
+            var syncKeys = this._getSyncKeys();
+            var changed = [];
+
+            Object.keys(remoteValues).forEach(function(key) {
+                var remote = remoteValues[key];
+                if (syncKeys.indexOf(key) === -1 || !remote) {
+                    return;
+                }
+
+                var localStamp = meta[key] || '';
+                if (localStamp && remote.updatedAt && localStamp >= remote.updatedAt) {
+                    // Local copy is newer - make sure it reaches the server
+                    if (!queue[key]) {
+                        queue[key] = { value: self.getItem(key), updatedAt: localStamp };
+                    }
+                    return;
+                }
+
+                var localValue = self.getItem(key);
+                if (remote.value === null || remote.value === undefined) {
+                    if (localValue !== null) {
+                        self._getLocalAdapter().removeItem(key);
+                        changed.push(key);
+                    }
+                } else if (localValue !== remote.value) {
+                    self._writeLocal(key, remote.value);
+                    changed.push(key);
+                }
+
+                meta[key] = remote.updatedAt || new Date().toISOString();
+                delete queue[key];
+            });
+
+            // Values the server has never seen are pushed up
+            syncKeys.forEach(function(key) {
+                if (!remoteValues[key] && !queue[key]) {
+                    var localValue = self.getItem(key);
+                    if (localValue !== null) {
+                        queue[key] = { value: localValue, updatedAt: meta[key] || new Date().toISOString() };
+                    }
+                }
+            });
+
+            this._writeInternal(this._getKey('metaKey'), meta);
+            this._writeInternal(this._getKey('queueKey'), queue);
+
+            return changed;
+        },
+
+        /**
+         * Make sure the local copy belongs to the signed-in user.
+         * On a shared machine the previous user's synced values are cleared
+         * so they are neither applied nor pushed to the new user's record.
+         * @private
+         */
+        _claimLocalCopy: function(oprid) {
+            var ownerKey = this._getKey('ownerKey');
+            var owner = this._readInternal(ownerKey);
+
+            if (owner && owner !== oprid) {
+                var adapter = this._getLocalAdapter();
+                this._getSyncKeys().forEach(function(key) {
+                    try {
+                        adapter.removeItem(key);
+                    } catch (e) {
+                        // Ignore
+                    }
+                });
+                this._writeInternal(this._getKey('metaKey'), {});
+                this._writeInternal(this._getKey('queueKey'), {});
+                LOG.info('Local preferences belonged to another user and were cleared');
+            }
+
+            this._writeInternal(ownerKey, oprid);
+        },
+
+        /**
+         * Read internal bookkeeping (never synced)
+         * @private
+         */
+        _readInternal: function(key) {
+            try {
+                var raw = this._getLocalAdapter().getItem(key);
+                return raw ? JSON.parse(raw) : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Write internal bookkeeping (never synced)
+         * @private
+         */
+        _writeInternal: function(key, value) {
+            try {
+                this._getLocalAdapter().setItem(key, JSON.stringify(value));
+            } catch (e) {
+                LOG.warn('Could not save ' + key + ':', e.message);
+            }
+        },
+
+        /**
+         * Get the configured local adapter
+         * @private
+         */
+        _getLocalAdapter: function() {
+            return this._adapters[this._getLocalAdapterName()] || this._adapters.local;
+        },
+
+        /**
+         * @private
+         */
+        _getLocalAdapterName: function() {
+            return (CONFIG.storage && CONFIG.storage.adapter) || 'local';
+        },
+
+        /**
+         * @private
+         */
+        _getSyncKeys: function() {
+            return getRemoteConfig().syncKeys || [];
+        },
+
+        /**
+         * Get a storage key from config with a fallback
+         * @private
+         */
+        _getKey: function(name) {
+            var fallbacks = {
+                metaKey: 'a11y_storage_meta',
+                queueKey: 'a11y_sync_queue',
+                ownerKey: 'a11y_storage_owner'
+            };
+            return (CONFIG.storage && CONFIG.storage[name]) || fallbacks[name];
+        },
+
+        /**
+         * @private
+         */
+        _getUserId: function() {
+            return window.A11Y_PSFT ? window.A11Y_PSFT.getUserId() : '';
+        },
+
+        /**
+         * Dispatch custom event
+         * @private
+         */
+        _dispatchEvent: function(eventName, detail) {
+            try {
+                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                document.dispatchEvent(event);
+            } catch (e) {
+                var evt = document.createEvent('CustomEvent');
+                evt.initCustomEvent('a11y:' + eventName, true, true, detail);
+                document.dispatchEvent(evt);
+            }
+        },
+
+        /**
+         * Destroy the module and clean up
+         */
+        destroy: function() {
+            if (this._eventHandlers.online) {
+                window.removeEventListener('online', this._eventHandlers.online);
+            }
+            this._eventHandlers = {};
+            this._initialized = false;
+        }
+    };
+
+    // Adapters are needed synchronously by modules loaded after this one
+    A11Y_STORAGE.init();
+
+    // Remote sync needs the OPRID from the page, so wait for DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            A11Y_STORAGE._startRemoteSync();
+        });
+    } else {
+        A11Y_STORAGE._startRemoteSync();
+    }
+
+    // Expose globally
+    window.A11Y_STORAGE = A11Y_STORAGE;
+
+})(window.a11yJQ);
@@ -4,10 +4,17 @@
  *
  * This module provides runtime CSS manipulation with support for:
  * - Font size scaling
+ * - Font family substitution (dyslexia-friendly, hyperlegible, monospace)
  * - High contrast modes
+ * - Color vision deficiency correction and simulation filters
  * - Animation stopping
  * - Reading guide
  * - Focus highlighting
+ * - Read aloud settings (applied by A11Y_SPEECH)
+ * - Mirroring into same-origin PeopleSoft frames (Classic target frame,
+ *   modal frames, pagelet iframes)
+ * - Layered settings: defaults, OS preferences, stacked profiles, the
+ *   user's own changes and administrator-locked settings
  * - User preference persistence via localStorage
  *
  * @version 1.0.1
@@ -47,6 +54,501 @@
         error: function() { console.error.apply(console, ['[A11Y]'].concat(Array.prototype.slice.call(arguments))); }
     };
 
+    var COLOR_FILTER_MODES = ['none', 'protanopia', 'deuteranopia', 'tritanopia',
+        'simulate-protanopia', 'simulate-deuteranopia', 'simulate-tritanopia', 'simulate-achromatopsia'];
+
+    /**
+     * Color vision deficiency simulation matrices (3x3, row-major), applied in
+     * linearRGB. Dichromat values from Machado, Oliveira & Fernandes (2009)
+     * at severity 1.0; achromatopsia uses Rec. 709 luminance.
+     */
+    var CVD_SIMULATION = {
+        protanopia: [
+            0.152286, 1.052583, -0.204868,
+            0.114503, 0.786281, 0.099216,
+            -0.003882, -0.048116, 1.051998
+        ],
+        deuteranopia: [
+            0.367322, 0.860646, -0.227968,
+            0.280085, 0.672501, 0.047413,
+            -0.011820, 0.042940, 0.968881
+        ],
+        tritanopia: [
+            1.255528, -0.076749, -0.178779,
+            -0.078411, 0.930809, 0.147602,
+            0.004733, 0.691367, 0.303900
+        ],
+        achromatopsia: [
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722
+        ]
+    };
+
+    /**
+     * Daltonization error-shift matrices: where the color difference a user
+     * cannot perceive is redistributed to channels they can
+     */
+    var CVD_ERROR_SHIFT = {
+        protanopia: [0, 0, 0, 0.7, 1, 0, 0.7, 0, 1],
+        deuteranopia: [0, 0, 0, 0.7, 1, 0, 0.7, 0, 1],
+        tritanopia: [1, 0, 0.7, 0, 1, 0.7, 0, 0, 0]
+    };
+
+    // Rules that only apply to the top document. The color filter on the top
+    // document already covers the frames it contains; mirroring it into them
+    // would filter frame content twice.
+    var TOP_DOCUMENT_RULES = ['colorFilter'];
+
+    // Rules suspended while the OS forces its own colors (forced-colors: active).
+    // Their filters and colors would fight the user's contrast theme.
+    var FORCED_COLORS_SUSPENDED_RULES = ['contrast', 'colorFilter'];
+
+    // OS accessibility preferences (see A11Y_STYLES.getSystemPreferences)
+    var SYSTEM_MEDIA_QUERIES = {
+        reducedMotion: '(prefers-reduced-motion: reduce)',
+        moreContrast: '(prefers-contrast: more)',
+        forcedColors: '(forced-colors: active)',
+        darkScheme: '(prefers-color-scheme: dark)',
+        invertedColors: '(inverted-colors: inverted)'
+    };
+
+    // Built-in value of each setting, which applies no styles. The reading
+    // guide color and opacity follow the guide mode (_getReadingGuideDefaults).
+    var SETTING_DEFAULTS = {
+        fontSize: 1.0,
+        fontFamily: 'default',
+        contrastMode: 'none',
+        colorFilter: 'none',
+        stopAnimations: false,
+        readingGuide: false,
+        readingGuideMode: 'bar',
+        readingGuideHeight: 30,
+        focusHighlight: false,
+        lineHeight: 1.0,
+        letterSpacing: 0,
+        wordSpacing: 0,
+        cursorSize: 'default',
+        linkHighlight: false,
+        readAloud: false,
+        speechRate: 1.0,
+        speechPitch: 1.0,
+        speechVoice: '',
+        magnifier: false,
+        magnifierZoom: 2,
+        magnifierMode: 'lens'
+    };
+
+    // Setter of each setting, in the order the resolved layers are applied
+    // (see A11Y_STYLES._applyLayers)
+    var SETTING_SETTERS = {
+        fontSize: 'setFontSize',
+        fontFamily: 'setFontFamily',
+        contrastMode: 'setHighContrast',
+        colorFilter: 'setColorFilter',
+        stopAnimations: 'setStopAnimations',
+        readingGuide: 'setReadingGuide',
+        readingGuideMode: 'setReadingGuideMode',
+        readingGuideHeight: 'setReadingGuideHeight',
+        readingGuideColor: 'setReadingGuideColor',
+        readingGuideOpacity: 'setReadingGuideOpacity',
+        focusHighlight: 'setFocusHighlight',
+        lineHeight: 'setLineHeight',
+        letterSpacing: 'setLetterSpacing',
+        wordSpacing: 'setWordSpacing',
+        cursorSize: 'setCursorSize',
+        linkHighlight: 'setLinkHighlight',
+        readAloud: 'setReadAloud',
+        speechRate: 'setSpeechRate',
+        speechPitch: 'setSpeechPitch',
+        speechVoice: 'setSpeechVoice',
+        magnifier: 'setMagnifier',
+        magnifierZoom: 'setMagnifierZoom',
+        magnifierMode: 'setMagnifierMode'
+    };
+
+    // Font family stacks, used when A11Y_CONFIG.fonts does not set one
+    var FONT_STACKS = {
+        dyslexic: '"OpenDyslexic", "Comic Sans MS", Verdana, sans-serif',
+        hyperlegible: '"Atkinson Hyperlegible", Verdana, Tahoma, sans-serif',
+        monospace: 'Consolas, "Liberation Mono", Menlo, "Courier New", monospace'
+    };
+
+    // ============================================================
+    // FONT EMBED PLACEHOLDER
+    // ============================================================
+    /* === BEGIN FONT EMBED === */
+    // PRODUCTION: Paste base64-encoded WOFF2 font files here so the fonts
+    // load without a web server path (A11Y_CONFIG.fonts.<family>.url):
+    //   base64 -w0 OpenDyslexic-Regular.woff2
+    //   base64 -w0 AtkinsonHyperlegible-Regular.woff2
+    //
+    // OpenDyslexic: https://opendyslexic.org (SIL Open Font License)
+    // Atkinson Hyperlegible: https://www.brailleinstitute.org/freefont (SIL Open Font License)
+    var EMBEDDED_FONTS = {
+        dyslexic: '',
+        hyperlegible: ''
+    };
+    /* === END FONT EMBED === */
+    // ============================================================
+
+    /**
+     * Multiply two 3x3 row-major matrices
+     * @private
+     */
+    function multiply3(a, b) {
+        var result = [];
+        for (var row = 0; row < 3; row++) {
+            for (var col = 0; col < 3; col++) {
+                result.push(
+                    a[row * 3] * b[col] +
+                    a[row * 3 + 1] * b[3 + col] +
+                    a[row * 3 + 2] * b[6 + col]
+                );
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Build a daltonization matrix: I + E(I - S)
+     * @private
+     */
+    function daltonize(type) {
+        var simulation = CVD_SIMULATION[type];
+        var identity = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        var lost = identity.map(function(value, i) {
+            return value - simulation[i];
+        });
+        var shift = multiply3(CVD_ERROR_SHIFT[type], lost);
+
+        return identity.map(function(value, i) {
+            return value + shift[i];
+        });
+    }
+
+    /**
+     * Get the 3x3 matrix for a color filter mode
+     * @private
+     */
+    function getColorFilterMatrix(mode) {
+        if (mode.indexOf('simulate-') === 0) {
+            return CVD_SIMULATION[mode.substring('simulate-'.length)];
+        }
+        return daltonize(mode);
+    }
+
+    /**
+     * Format a 3x3 matrix as an feColorMatrix values attribute (alpha untouched)
+     * @private
+     */
+    function toFeColorMatrixValues(m) {
+        var round = function(n) {
+            return Math.round(n * 1e6) / 1e6;
+        };
+        return [
+            [round(m[0]), round(m[1]), round(m[2]), 0, 0].join(' '),
+            [round(m[3]), round(m[4]), round(m[5]), 0, 0].join(' '),
+            [round(m[6]), round(m[7]), round(m[8]), 0, 0].join(' '),
+            '0 0 0 1 0'
+        ].join(' ');
+    }
+
+    /**
+     * Convert a #rrggbb color to rgba() with the given alpha
+     * @private
+     */
+    function toRgba(hex, alpha) {
+        var value = parseInt(hex.slice(1), 16);
+        return 'rgba(' + [(value >> 16) & 255, (value >> 8) & 255, value & 255, alpha].join(', ') + ')';
+    }
+
+    /**
+     * Copy a settings object
+     * @private
+     */
+    function copySettings(settings) {
+        var copy = {};
+        Object.keys(settings || {}).forEach(function(key) {
+            copy[key] = settings[key];
+        });
+        return copy;
+    }
+
+    /**
+     * Copy the known settings (SETTING_SETTERS) of an object, e.g. saved
+     * layers or a profile's settings
+     * @private
+     */
+    function pickSettings(settings) {
+        var picked = {};
+        if (settings && typeof settings === 'object') {
+            Object.keys(settings).forEach(function(key) {
+                var value = settings[key];
+                if (SETTING_SETTERS.hasOwnProperty(key) && value !== null && typeof value !== 'object') {
+                    picked[key] = value;
+                }
+            });
+        }
+        return picked;
+    }
+
+    // Computed styles copied to the mirror element that locates the text caret
+    var CARET_MIRROR_PROPERTIES = [
+        'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+        'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'lineHeight', 'fontFamily',
+        'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize'
+    ];
+
+    // Attributes removed from the magnifier's copy besides on* handlers (see disarmCopy)
+    var COPY_REMOVED_ATTRIBUTES = ['autofocus', 'autoplay'];
+
+    // Same-origin frames cloned into the magnifier, counting the top document
+    var MAGNIFIER_MAX_FRAME_DEPTH = 3;
+
+    /**
+     * Check whether an element belongs to the widget (or another widget element)
+     * @private
+     */
+    function isWidgetElement(el) {
+        return !!(el && el.closest && el.closest('#a11y-widget, [data-a11y]'));
+    }
+
+    /**
+     * Check whether a mutation only touched widget elements (magnifier,
+     * reading guide, caret mirror), so the magnified copy need not be rebuilt
+     * @private
+     */
+    function isWidgetMutation(mutation) {
+        var target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentNode;
+        if (isWidgetElement(target)) {
+            return true;
+        }
+        if (mutation.type !== 'childList') {
+            return false;
+        }
+
+        var nodes = Array.prototype.slice.call(mutation.addedNodes)
+            .concat(Array.prototype.slice.call(mutation.removedNodes));
+        return nodes.length > 0 && nodes.every(function(node) {
+            return node.nodeType === 1 && node.hasAttribute('data-a11y');
+        });
+    }
+
+    /**
+     * Convert a point in a frame's viewport to the top window's viewport
+     * @private
+     */
+    function toTopViewport(doc, x, y) {
+        var win = doc.defaultView;
+
+        try {
+            while (win && win !== window && win.frameElement) {
+                var frame = win.frameElement;
+                var rect = frame.getBoundingClientRect();
+                x += rect.left + frame.clientLeft;
+                y += rect.top + frame.clientTop;
+                win = win.parent;
+            }
+        } catch (e) {
+            // Cross-origin parent: keep the point as is
+        }
+
+        return { x: x, y: y };
+    }
+
+    /**
+     * Locate the text caret of an input or textarea by laying out a hidden
+     * copy of the field's text up to the caret
+     * @private
+     * @returns {object|null} { x, y } in the field's viewport, or null without a caret
+     */
+    function getFieldCaret(field) {
+        var position;
+        try {
+            position = field.selectionEnd;
+        } catch (e) {
+            // Input types without a text selection (number, email in some browsers)
+            return null;
+        }
+        if (typeof position !== 'number') {
+            return null;
+        }
+
+        var doc = field.ownerDocument;
+        var style = doc.defaultView.getComputedStyle(field);
+        var mirror = doc.createElement('div');
+        var marker = doc.createElement('span');
+
+        CARET_MIRROR_PROPERTIES.forEach(function(property) {
+            mirror.style[property] = style[property];
+        });
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.top = '0';
+        mirror.style.left = '-9999px';
+        mirror.style.whiteSpace = field.tagName === 'TEXTAREA' ? 'pre-wrap' : 'pre';
+        mirror.setAttribute('data-a11y', 'true');
+
+        var text = String(field.value || '').slice(0, position);
+        mirror.textContent = field.type === 'password' ? text.replace(/./g, '•') : text;
+        marker.textContent = '.';
+        mirror.appendChild(marker);
+        doc.body.appendChild(mirror);
+
+        var rect = field.getBoundingClientRect();
+        var caret = {
+            x: rect.left + marker.offsetLeft - field.scrollLeft,
+            y: rect.top + marker.offsetTop - field.scrollTop + marker.offsetHeight / 2
+        };
+
+        doc.body.removeChild(mirror);
+        return caret;
+    }
+
+    /**
+     * Remove inline event handlers (on*), autofocus and autoplay from a
+     * copied subtree, so the copy does not run page code or act on its own
+     * each time the magnifier rebuilds it
+     * @private
+     */
+    function disarmCopy(root) {
+        var elements = [root].concat(Array.prototype.slice.call(root.querySelectorAll('*')));
+
+        elements.forEach(function(el) {
+            for (var i = el.attributes.length - 1; i >= 0; i--) {
+                var name = el.attributes[i].name.toLowerCase();
+                if (name.indexOf('on') === 0 || COPY_REMOVED_ATTRIBUTES.indexOf(name) !== -1) {
+                    el.removeAttribute(el.attributes[i].name);
+                }
+            }
+        });
+    }
+
+    /**
+     * Copy form field state, which lives in properties rather than attributes
+     * @private
+     */
+    function copyFormState(source, copy) {
+        var fields = source.querySelectorAll('input, textarea, select');
+        var copies = copy.querySelectorAll('input, textarea, select');
+
+        for (var i = 0; i < fields.length && i < copies.length; i++) {
+            var field = fields[i];
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                copies[i].checked = field.checked;
+            } else if (field.tagName === 'SELECT') {
+                copies[i].selectedIndex = field.selectedIndex;
+            } else if (field.type !== 'file') {
+                copies[i].value = field.value;
+            }
+        }
+    }
+
+    /**
+     * Clone a document for the magnifier: its stylesheets and body, without
+     * scripts or widget elements. Frames are replaced by blocks of the same
+     * size holding a clone of their document (same-origin) or nothing, so
+     * the clone never loads PeopleSoft pages or media.
+     * @private
+     * @param {Document} doc - Document to clone
+     * @param {number} depth - Frame nesting depth (top document = 1)
+     * @returns {Element} Cloned html element
+     */
+    function cloneDocumentView(doc, depth) {
+        var html = doc.documentElement.cloneNode(false);
+        var head = document.createElement('head');
+        var body = doc.body.cloneNode(true);
+
+        // Before the copies' images start loading
+        disarmCopy(html);
+        disarmCopy(body);
+
+        Array.prototype.forEach.call(doc.head.querySelectorAll('link[rel~="stylesheet"], style'), function(el) {
+            var copy = el.cloneNode(true);
+            if (el.href) {
+                // Resolve against the source document, not the top page
+                copy.href = el.href;
+            }
+            head.appendChild(copy);
+        });
+
+        // Page filters (contrast, color vision) already apply to the magnifier itself
+        var reset = document.createElement('style');
+        reset.textContent = 'html, body > * { filter: none !important; }';
+        head.appendChild(reset);
+
+        copyFormState(doc.body, body);
+
+        var images = doc.body.querySelectorAll('img');
+        var imageCopies = body.querySelectorAll('img');
+        for (var i = 0; i < images.length && i < imageCopies.length; i++) {
+            if (images[i].src) {
+                imageCopies[i].src = images[i].src;
+            }
+        }
+
+        var embedded = doc.body.querySelectorAll('iframe, frame, video, audio, object, embed');
+        var embeddedCopies = body.querySelectorAll('iframe, frame, video, audio, object, embed');
+        for (var j = 0; j < embedded.length && j < embeddedCopies.length; j++) {
+            embeddedCopies[j].parentNode.replaceChild(
+                createEmbeddedPlaceholder(embedded[j], depth), embeddedCopies[j]);
+        }
+
+        Array.prototype.forEach.call(body.querySelectorAll('script, #a11y-widget, [data-a11y]'), function(el) {
+            if (el.parentNode) {
+                el.parentNode.removeChild(el);
+            }
+        });
+
+        html.appendChild(head);
+        html.appendChild(body);
+        return html;
+    }
+
+    /**
+     * Build the stand-in for a frame or media element in the magnifier clone
+     * @private
+     */
+    function createEmbeddedPlaceholder(original, depth) {
+        var view = original.ownerDocument.defaultView;
+        var style = view.getComputedStyle(original);
+        var placeholder = document.createElement('div');
+
+        placeholder.id = original.id;
+        placeholder.className = original.className;
+        placeholder.style.cssText = original.style.cssText;
+        placeholder.style.display = style.display === 'inline' ? 'inline-block' : style.display;
+        placeholder.style.width = original.offsetWidth + 'px';
+        placeholder.style.height = original.offsetHeight + 'px';
+        placeholder.style.overflow = 'hidden';
+
+        var frameDoc = null;
+        if (/^i?frame$/i.test(original.tagName) && depth < MAGNIFIER_MAX_FRAME_DEPTH) {
+            try {
+                frameDoc = original.contentDocument;
+            } catch (e) {
+                // Cross-origin frame
+            }
+        }
+
+        if (frameDoc && frameDoc.body && placeholder.attachShadow) {
+            var frameWindow = frameDoc.defaultView;
+            var content = document.createElement('div');
+            content.style.cssText = [
+                'width: ' + frameDoc.documentElement.clientWidth + 'px',
+                'margin: ' + original.clientTop + 'px 0 0 ' + original.clientLeft + 'px',
+                'transform: translate(' + (-frameWindow.scrollX || 0) + 'px, ' + (-frameWindow.scrollY || 0) + 'px)'
+            ].join('; ');
+            content.appendChild(cloneDocumentView(frameDoc, depth + 1));
+            placeholder.attachShadow({ mode: 'open' }).appendChild(content);
+        }
+
+        return placeholder;
+    }
+
     /**
      * Dynamic Style Injection Module
      */
@@ -56,19 +558,46 @@
         _initialized: false,
         _styleElement: null,
         _readingGuideElement: null,
+        _readingMaskElements: null, // Shades above and below the band in reading mask mode
+        _readingGuideY: null,       // Center of the guide, top window viewport coordinates
+        _magnifier: null,   // Magnifier state while enabled: { host, viewport, point, observer, ... }
+        _colorFilterElement: null, // Hidden SVG holding the feColorMatrix filter
         _currentRules: {},
+        _frameCss: '',      // Rules mirrored into frames (excludes TOP_DOCUMENT_RULES)
         _eventHandlers: {}, // Store event handlers for cleanup
+        _frames: [],        // Attached PeopleSoft frames: { frame, doc, styleElement, handlers, onLoad }
+        _pageChangeUnsubscribe: null,
+        _suspendSave: false,  // True while restoring saved preferences
+        _applyingLayers: false, // True while _applyLayers sets the resolved values
+        _systemQueries: {},   // MediaQueryLists of SYSTEM_MEDIA_QUERIES
+        // Layers settings come from (see getLayers): whether the OS preferences
+        // apply, stacked profiles { id, settings } and the user's own changes
+        _layers: { system: true, profiles: [], overrides: {} },
+        _resolved: null,      // Last _resolveLayers() result: { values, sources }
         _settings: {
             fontSize: 1.0,
+            fontFamily: 'default',
             contrastMode: 'none',
+            colorFilter: 'none',
             stopAnimations: false,
             readingGuide: false,
+            readingGuideMode: 'bar',
+            readingGuideHeight: 30,
+            readingGuideColor: '#ffff00',
+            readingGuideOpacity: 0.3,
             focusHighlight: false,
             lineHeight: 1.0,
             letterSpacing: 0,
             wordSpacing: 0,
             cursorSize: 'default',
-            linkHighlight: false
+            linkHighlight: false,
+            readAloud: false,
+            speechRate: 1.0,
+            speechPitch: 1.0,
+            speechVoice: '',
+            magnifier: false,
+            magnifierZoom: 2,
+            magnifierMode: 'lens'
         },
 
         /**
@@ -81,8 +610,17 @@
 
             this._createStyleElement();
             this._createReadingGuide();
+            this._setupSystemPreferences();
             this._loadSavedPreferences();
             this._setupFocusHighlight();
+            this._setupPointTracking();
+            this._setupFrameMirroring();
+
+            this._eventHandlers.storageSynced = this._onStorageSynced.bind(this);
+            document.addEventListener('a11y:storageSynced', this._eventHandlers.storageSynced);
+
+            this._eventHandlers.adminConfigChanged = this._onAdminConfigChanged.bind(this);
+            document.addEventListener('a11y:adminConfigChanged', this._eventHandlers.adminConfigChanged);
 
             this._initialized = true;
             LOG.info('Styles module initialized');
@@ -106,44 +644,188 @@
         },
 
         /**
-         * Create reading guide element
+         * Create reading guide elements: the bar, and the two shades of the
+         * reading mask
          * @private
          */
         _createReadingGuide: function() {
             // Remove existing if present
-            var existing = document.getElementById('a11y-reading-guide');
-            if (existing) {
-                existing.parentNode.removeChild(existing);
+            ['a11y-reading-guide', 'a11y-reading-mask-top', 'a11y-reading-mask-bottom'].forEach(function(id) {
+                var existing = document.getElementById(id);
+                if (existing) {
+                    existing.parentNode.removeChild(existing);
+                }
+            });
+
+            var zIndex = CONFIG.zIndex.readingGuide || 999998;
+
+            function createLayer(id) {
+                var element = document.createElement('div');
+                element.id = id;
+                element.setAttribute('data-a11y', 'true');
+                element.setAttribute('aria-hidden', 'true');
+                element.style.cssText = [
+                    'position: fixed',
+                    'left: 0',
+                    'width: 100%',
+                    'pointer-events: none',
+                    'z-index: ' + zIndex,
+                    'display: none'
+                ].join(';');
+                document.body.appendChild(element);
+                return element;
             }
 
-            this._readingGuideElement = document.createElement('div');
-            this._readingGuideElement.id = 'a11y-reading-guide';
-            this._readingGuideElement.setAttribute('aria-hidden', 'true');
-            this._readingGuideElement.style.cssText = [
-                'position: fixed',
-                'left: 0',
-                'width: 100%',
-                'height: 30px',
-                'background: rgba(255, 255, 0, 0.3)',
-                'pointer-events: none',
-                'z-index: ' + (CONFIG.zIndex.readingGuide || 999998),
-                'display: none',
-                'border-top: 2px solid #ff0',
-                'border-bottom: 2px solid #ff0'
-            ].join(';');
-
-            document.body.appendChild(this._readingGuideElement);
+            this._readingGuideElement = createLayer('a11y-reading-guide');
+            this._readingMaskElements = {
+                top: createLayer('a11y-reading-mask-top'),
+                bottom: createLayer('a11y-reading-mask-bottom')
+            };
+            this._readingMaskElements.top.style.top = '0';
+            this._readingMaskElements.bottom.style.bottom = '0';
 
             // Track mouse movement for reading guide (with passive listener)
             var self = this;
             this._eventHandlers.mousemove = function(e) {
-                if (self._settings.readingGuide && self._readingGuideElement) {
-                    self._readingGuideElement.style.top = (e.clientY - 15) + 'px';
-                }
+                self._followPoint(document, e.clientX, e.clientY, e.target);
             };
             document.addEventListener('mousemove', this._eventHandlers.mousemove, { passive: true });
         },
 
+        /**
+         * Show the bar or the mask with the current color, opacity and height
+         * @private
+         */
+        _renderReadingGuide: function() {
+            var bar = this._readingGuideElement;
+            var mask = this._readingMaskElements;
+            if (!bar || !mask) {
+                return;
+            }
+
+            var settings = this._settings;
+            var isMask = settings.readingGuideMode === 'mask';
+            var fill = toRgba(settings.readingGuideColor, settings.readingGuideOpacity);
+
+            bar.style.display = settings.readingGuide && !isMask ? 'block' : 'none';
+            bar.style.height = settings.readingGuideHeight + 'px';
+            bar.style.background = fill;
+            bar.style.borderTop = bar.style.borderBottom = '2px solid ' + settings.readingGuideColor;
+
+            mask.top.style.display = mask.bottom.style.display = settings.readingGuide && isMask ? 'block' : 'none';
+            mask.top.style.background = mask.bottom.style.background = fill;
+
+            if (this._readingGuideY === null) {
+                this._readingGuideY = Math.round(window.innerHeight / 3);
+            }
+            this._moveReadingGuide(this._readingGuideY);
+        },
+
+        /**
+         * Position the reading guide around a viewport Y coordinate
+         * @private
+         * @param {number} clientY - Y coordinate relative to the top window
+         */
+        _moveReadingGuide: function(clientY) {
+            if (!this._settings.readingGuide || !this._readingGuideElement) {
+                return;
+            }
+
+            var half = this._settings.readingGuideHeight / 2;
+            this._readingGuideY = clientY;
+
+            if (this._settings.readingGuideMode === 'mask') {
+                this._readingMaskElements.top.style.height = Math.max(0, clientY - half) + 'px';
+                this._readingMaskElements.bottom.style.top = (clientY + half) + 'px';
+            } else {
+                this._readingGuideElement.style.top = (clientY - half) + 'px';
+            }
+        },
+
+        /**
+         * Move the reading guide and magnifier to a point in a document's viewport
+         * @private
+         * @param {Document} doc - Document the coordinates belong to
+         * @param {number} x - X coordinate in that document's viewport
+         * @param {number} y - Y coordinate in that document's viewport
+         * @param {Element} [target] - Element at the point
+         */
+        _followPoint: function(doc, x, y, target) {
+            var point = toTopViewport(doc, x, y);
+            this._moveReadingGuide(point.y);
+            this._moveMagnifier(point, target);
+        },
+
+        /**
+         * Check whether anything follows the pointer, focus and caret
+         * @private
+         */
+        _isFollowing: function() {
+            return this._settings.readingGuide || !!this._magnifier;
+        },
+
+        /**
+         * Follow keyboard focus: the caret in text fields, otherwise the
+         * start of the focused element
+         * @private
+         */
+        _followFocus: function(element) {
+            if (!this._isFollowing() || !element || !element.getBoundingClientRect) {
+                return;
+            }
+
+            var caret = /^(INPUT|TEXTAREA)$/.test(element.tagName) ? getFieldCaret(element) : null;
+            if (caret) {
+                this._followPoint(element.ownerDocument, caret.x, caret.y, element);
+                return;
+            }
+
+            // Keep the start of wide or tall elements (grids, text areas) in view
+            var rect = element.getBoundingClientRect();
+            var halfWidth = rect.width / 2;
+            var halfHeight = this._settings.readingGuide ? this._settings.readingGuideHeight / 2 : rect.height / 2;
+
+            if (this._magnifier) {
+                var size = this._getMagnifierSize();
+                halfWidth = size.width / (2 * this._settings.magnifierZoom);
+                halfHeight = Math.min(halfHeight, size.height / (2 * this._settings.magnifierZoom));
+            }
+
+            this._followPoint(element.ownerDocument, rect.left + Math.min(rect.width / 2, halfWidth),
+                rect.top + Math.min(rect.height / 2, halfHeight), element);
+        },
+
+        /**
+         * Follow the text caret of a document: in the focused field, or a
+         * collapsed selection (e.g. in a rich text editor)
+         * @private
+         */
+        _followCaret: function(doc) {
+            var active = doc.activeElement;
+
+            if (active && /^(INPUT|TEXTAREA)$/.test(active.tagName)) {
+                this._followFocus(active);
+                return;
+            }
+
+            var selection = doc.getSelection ? doc.getSelection() : null;
+            if (!selection || !selection.rangeCount || !selection.isCollapsed) {
+                return;
+            }
+
+            // Only an editable area has a caret; other collapsed selections are just clicks
+            var container = selection.anchorNode && (selection.anchorNode.nodeType === 1 ?
+                selection.anchorNode : selection.anchorNode.parentNode);
+            if (!container || !container.isContentEditable) {
+                return;
+            }
+
+            var rects = selection.getRangeAt(0).getClientRects();
+            if (rects.length) {
+                this._followPoint(doc, rects[0].left, rects[0].top + rects[0].height / 2, container);
+            }
+        },
+
         /**
          * Setup focus highlight tracking
          * @private
@@ -155,6 +837,7 @@
                 if (self._settings.focusHighlight && e.target) {
                     self._highlightElement(e.target);
                 }
+                self._followFocus(e.target);
             };
 
             this._eventHandlers.focusout = function(e) {
@@ -167,61 +850,257 @@
             document.addEventListener('focusout', this._eventHandlers.focusout);
         },
 
+        // ==================== FRAME MIRRORING ====================
+
         /**
-         * Highlight focused element
+         * Attach to PeopleSoft frames now and whenever the page changes
          * @private
          */
-        _highlightElement: function(element) {
-            if (element && element.setAttribute) {
-                element.setAttribute('data-a11y-focus', 'true');
+        _setupFrameMirroring: function() {
+            var self = this;
+
+            this._syncFrames();
+
+            if (window.A11Y_PSFT) {
+                this._pageChangeUnsubscribe = window.A11Y_PSFT.onPageChange(function() {
+                    self._syncFrames();
+                });
             }
         },
 
         /**
-         * Remove highlight from element
+         * Attach new frames and drop entries for frames removed from the page
          * @private
          */
-        _removeHighlight: function(element) {
-            if (element && element.removeAttribute) {
-                element.removeAttribute('data-a11y-focus');
+        _syncFrames: function() {
+            if (!window.A11Y_PSFT) {
+                return;
             }
-        },
 
-        // ==================== FONT SIZE ====================
+            var self = this;
+            var frames = window.A11Y_PSFT.getContentFrames();
+
+            // Detach frames that are no longer in the document
+            this._frames = this._frames.filter(function(entry) {
+                if (frames.indexOf(entry.frame) === -1) {
+                    self._detachFrame(entry);
+                    return false;
+                }
+                return true;
+            });
+
+            frames.forEach(function(frame) {
+                var entry = self._getFrameEntry(frame);
+                if (!entry) {
+                    entry = { frame: frame, doc: null, styleElement: null, handlers: null, onLoad: null };
+                    entry.onLoad = function() {
+                        self._injectIntoFrame(entry);
+                    };
+                    frame.addEventListener('load', entry.onLoad);
+                    self._frames.push(entry);
+                }
+                self._injectIntoFrame(entry);
+            });
+        },
 
         /**
-         * Set font size scale
-         * @param {number} scale - Scale factor (1.0 = 100%)
-         * @returns {object} this - for chaining
+         * Find the tracked entry for a frame element
+         * @private
          */
-        setFontSize: function(scale) {
-            // Validate and clamp
-            if (typeof scale !== 'number' || isNaN(scale)) {
-                LOG.warn('Invalid font size scale:', scale);
-                scale = CONFIG.defaults.fontSize;
+        _getFrameEntry: function(frame) {
+            for (var i = 0; i < this._frames.length; i++) {
+                if (this._frames[i].frame === frame) {
+                    return this._frames[i];
+                }
             }
+            return null;
+        },
 
-            var min = CONFIG.defaults.fontSizeMin || 0.5;
-            var max = CONFIG.defaults.fontSizeMax || 3.0;
-            scale = Math.max(min, Math.min(max, scale));
+        /**
+         * Inject the style element and listeners into a frame's current document.
+         * Called again on frame reload, when PeopleSoft replaces the document.
+         * @private
+         */
+        _injectIntoFrame: function(entry) {
+            var doc = window.A11Y_PSFT.getFrameDocument(entry.frame);
 
-            this._settings.fontSize = scale;
+            if (!doc || !doc.head) {
+                return;
+            }
 
-            if (scale === 1.0) {
-                delete this._currentRules.fontSize;
-            } else {
-                this._currentRules.fontSize = [
-                    'html { font-size: ' + (scale * 100) + '% !important; }',
-                    'body, body * { font-size: inherit; }'
-                ].join('\n');
+            // Same document and style element still attached - just refresh rules
+            if (entry.doc === doc && entry.styleElement && entry.styleElement.parentNode) {
+                entry.styleElement.textContent = this._frameCss;
+                return;
             }
 
-            this._applyRules();
-            return this;
-        },
+            this._removeFrameListeners(entry);
 
-        /**
-         * Increase font size by step
+            var existing = doc.getElementById('a11y-dynamic-styles');
+            if (existing) {
+                existing.parentNode.removeChild(existing);
+            }
+
+            var styleElement = doc.createElement('style');
+            styleElement.id = 'a11y-dynamic-styles';
+            styleElement.setAttribute('data-a11y', 'true');
+            styleElement.textContent = this._frameCss;
+            doc.head.appendChild(styleElement);
+
+            entry.doc = doc;
+            entry.styleElement = styleElement;
+            this._addFrameListeners(entry);
+            this._observeMagnifierDocument(doc);
+            this._scheduleMagnifierRefresh();
+
+            LOG.log('Styles mirrored into frame:', entry.frame.id || entry.frame.name || '(unnamed)');
+        },
+
+        /**
+         * Attach reading guide, focus highlight and magnifier listeners to a frame document
+         * @private
+         */
+        _addFrameListeners: function(entry) {
+            var self = this;
+            var frame = entry.frame;
+
+            entry.handlers = {
+                // Frame coordinates are relative to the frame viewport
+                mousemove: function(e) {
+                    self._followPoint(entry.doc, e.clientX, e.clientY, e.target);
+                },
+                focusin: this._eventHandlers.focusin,
+                focusout: this._eventHandlers.focusout,
+                caret: this._eventHandlers.caret,
+                input: this._eventHandlers.input,
+                scroll: this._eventHandlers.scroll,
+                touch: this._eventHandlers.touch
+            };
+
+            entry.doc.addEventListener('mousemove', entry.handlers.mousemove, { passive: true });
+            entry.doc.addEventListener('focusin', entry.handlers.focusin);
+            entry.doc.addEventListener('focusout', entry.handlers.focusout);
+            this._addTrackingListeners(entry.doc, entry.handlers);
+        },
+
+        /**
+         * Remove listeners from a frame's previous document
+         * @private
+         */
+        _removeFrameListeners: function(entry) {
+            if (!entry.doc || !entry.handlers) {
+                return;
+            }
+
+            try {
+                entry.doc.removeEventListener('mousemove', entry.handlers.mousemove);
+                entry.doc.removeEventListener('focusin', entry.handlers.focusin);
+                entry.doc.removeEventListener('focusout', entry.handlers.focusout);
+                this._removeTrackingListeners(entry.doc, entry.handlers);
+            } catch (e) {
+                // Document already unloaded
+            }
+
+            entry.handlers = null;
+        },
+
+        /**
+         * Fully detach from a frame
+         * @private
+         */
+        _detachFrame: function(entry) {
+            this._removeFrameListeners(entry);
+
+            if (entry.onLoad) {
+                entry.frame.removeEventListener('load', entry.onLoad);
+            }
+
+            try {
+                if (entry.styleElement && entry.styleElement.parentNode) {
+                    entry.styleElement.parentNode.removeChild(entry.styleElement);
+                }
+            } catch (e) {
+                // Document already unloaded
+            }
+
+            entry.doc = null;
+            entry.styleElement = null;
+        },
+
+        /**
+         * Run a function against the top document and every attached frame document
+         * @private
+         * @param {function} fn - Called with (doc)
+         */
+        _forEachDocument: function(fn) {
+            fn(document);
+
+            this._frames.forEach(function(entry) {
+                if (entry.doc) {
+                    try {
+                        fn(entry.doc);
+                    } catch (e) {
+                        LOG.warn('Frame document not accessible:', e.message);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Highlight focused element
+         * @private
+         */
+        _highlightElement: function(element) {
+            if (element && element.setAttribute) {
+                element.setAttribute('data-a11y-focus', 'true');
+            }
+        },
+
+        /**
+         * Remove highlight from element
+         * @private
+         */
+        _removeHighlight: function(element) {
+            if (element && element.removeAttribute) {
+                element.removeAttribute('data-a11y-focus');
+            }
+        },
+
+        // ==================== FONT SIZE ====================
+
+        /**
+         * Set font size scale
+         * @param {number} scale - Scale factor (1.0 = 100%)
+         * @returns {object} this - for chaining
+         */
+        setFontSize: function(scale) {
+            // Validate and clamp
+            if (typeof scale !== 'number' || isNaN(scale)) {
+                LOG.warn('Invalid font size scale:', scale);
+                scale = CONFIG.defaults.fontSize;
+            }
+
+            var min = CONFIG.defaults.fontSizeMin || 0.5;
+            var max = CONFIG.defaults.fontSizeMax || 3.0;
+            scale = Math.max(min, Math.min(max, scale));
+
+            this._settings.fontSize = scale;
+
+            if (scale === 1.0) {
+                delete this._currentRules.fontSize;
+            } else {
+                this._currentRules.fontSize = [
+                    'html { font-size: ' + (scale * 100) + '% !important; }',
+                    'body, body * { font-size: inherit; }'
+                ].join('\n');
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Increase font size by step
          * @param {number} step - Step amount (default from config)
          * @returns {object} this - for chaining
          */
@@ -256,6 +1135,86 @@
             return this._settings.fontSize;
         },
 
+        // ==================== FONT FAMILY ====================
+
+        /**
+         * Replace the PeopleSoft font stacks (Fluid and Classic) with a more
+         * readable family. Icon fonts (A11Y_CONFIG.fonts.iconSelectors) keep theirs.
+         * @param {string} family - 'default', 'dyslexic', 'hyperlegible', 'monospace'
+         * @returns {object} this - for chaining
+         */
+        setFontFamily: function(family) {
+            var validFamilies = CONFIG.validValues.fontFamilies || ['default', 'dyslexic', 'hyperlegible', 'monospace'];
+            if (validFamilies.indexOf(family) === -1) {
+                LOG.warn('Invalid font family:', family, '- defaulting to default');
+                family = 'default';
+            }
+
+            this._settings.fontFamily = family;
+
+            if (family === 'default') {
+                delete this._currentRules.fontFamily;
+            } else {
+                var fonts = CONFIG.fonts || {};
+                var options = fonts[family] || {};
+                var iconSelectors = fonts.iconSelectors || '.fa, [class^="fa-"], [class*=" fa-"], .material-icons, [data-icon]';
+                var fontFace = this._getFontFace(family);
+                var stack = (fontFace ? '"A11Y ' + family + '", ' : '') + (options.stack || FONT_STACKS[family]);
+
+                this._currentRules.fontFamily = [
+                    fontFace,
+                    'body, body *:not(' + iconSelectors + ') {',
+                    '  font-family: ' + stack + ' !important;',
+                    '}'
+                ].join('\n');
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Get current font family
+         * @returns {string} Font family setting
+         */
+        getFontFamily: function() {
+            return this._settings.fontFamily;
+        },
+
+        /**
+         * Build the @font-face rule for a font family from the embedded font
+         * or A11Y_CONFIG.fonts.<family>.url. Without either, the font is only
+         * used if it is installed on the device.
+         * @private
+         */
+        _getFontFace: function(family) {
+            var options = (CONFIG.fonts && CONFIG.fonts[family]) || {};
+            var src;
+
+            if (EMBEDDED_FONTS[family]) {
+                src = 'url("data:font/woff2;base64,' + EMBEDDED_FONTS[family] + '") format("woff2")';
+            } else if (options.url) {
+                // Absolute, so frame documents on other paths load the same file
+                var url = options.url;
+                try {
+                    url = new URL(url, document.baseURI).href;
+                } catch (e) {
+                    // Keep the configured URL
+                }
+                src = 'url("' + url.replace(/"/g, '%22') + '")' + (/\.woff2(\?|#|$)/i.test(url) ? ' format("woff2")' : '');
+            } else {
+                return '';
+            }
+
+            return [
+                '@font-face {',
+                '  font-family: "A11Y ' + family + '";',
+                '  src: ' + src + ';',
+                '  font-display: swap;',
+                '}'
+            ].join('\n');
+        },
+
         // ==================== HIGH CONTRAST ====================
 
         /**
@@ -354,6 +1313,87 @@
             return this.setHighContrast(modes[nextIndex]);
         },
 
+        // ==================== COLOR VISION ====================
+
+        /**
+         * Set color vision filter
+         * Correction modes ('protanopia', 'deuteranopia', 'tritanopia') daltonize
+         * the page for users with that deficiency. 'simulate-*' modes show the page
+         * as such a user would see it, for reviewing color-only information.
+         * The widget itself is never filtered.
+         * @param {string} mode - 'none', a correction mode or a 'simulate-*' mode
+         * @returns {object} this - for chaining
+         */
+        setColorFilter: function(mode) {
+            var validModes = CONFIG.validValues.colorFilters || COLOR_FILTER_MODES;
+
+            if (validModes.indexOf(mode) === -1 || COLOR_FILTER_MODES.indexOf(mode) === -1) {
+                LOG.warn('Invalid color filter:', mode, '- defaulting to none');
+                mode = 'none';
+            }
+
+            this._settings.colorFilter = mode;
+
+            if (mode === 'none') {
+                delete this._currentRules.colorFilter;
+            } else {
+                this._ensureColorFilterElement();
+                this._colorFilterElement.querySelector('feColorMatrix')
+                    .setAttribute('values', toFeColorMatrixValues(getColorFilterMatrix(mode)));
+
+                // Filter each top-level page element rather than <html> so the
+                // widget and reading guide keep their own colors
+                this._currentRules.colorFilter = [
+                    'body > *:not(#a11y-widget):not(#a11y-reading-guide):not(#a11y-color-filters) {',
+                    '  filter: url(#a11y-color-filter) !important;',
+                    '}'
+                ].join('\n');
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Get current color vision filter
+         * @returns {string} Current mode
+         */
+        getColorFilter: function() {
+            return this._settings.colorFilter;
+        },
+
+        /**
+         * Create the hidden SVG that holds the color matrix filter
+         * @private
+         */
+        _ensureColorFilterElement: function() {
+            if (this._colorFilterElement && this._colorFilterElement.parentNode) {
+                return;
+            }
+
+            var svgNS = 'http://www.w3.org/2000/svg';
+            var svg = document.createElementNS(svgNS, 'svg');
+            svg.setAttribute('id', 'a11y-color-filters');
+            svg.setAttribute('aria-hidden', 'true');
+            svg.setAttribute('focusable', 'false');
+            svg.setAttribute('data-a11y', 'true');
+            svg.setAttribute('style', 'position: absolute; width: 0; height: 0; overflow: hidden;');
+
+            var filter = document.createElementNS(svgNS, 'filter');
+            filter.setAttribute('id', 'a11y-color-filter');
+            filter.setAttribute('color-interpolation-filters', 'linearRGB');
+
+            var matrix = document.createElementNS(svgNS, 'feColorMatrix');
+            matrix.setAttribute('type', 'matrix');
+            matrix.setAttribute('values', '1 0 0 0 0 0 1 0 0 0 0 0 1 0 0 0 0 0 1 0');
+
+            filter.appendChild(matrix);
+            svg.appendChild(filter);
+            document.body.appendChild(svg);
+
+            this._colorFilterElement = svg;
+        },
+
         // ==================== ANIMATIONS ====================
 
         /**
@@ -375,14 +1415,16 @@
                 ].join('\n');
 
                 // Pause videos safely
-                try {
-                    var videos = document.querySelectorAll('video');
-                    for (var i = 0; i < videos.length; i++) {
-                        videos[i].pause();
+                this._forEachDocument(function(doc) {
+                    try {
+                        var videos = doc.querySelectorAll('video');
+                        for (var i = 0; i < videos.length; i++) {
+                            videos[i].pause();
+                        }
+                    } catch (e) {
+                        LOG.warn('Could not pause videos:', e.message);
                     }
-                } catch (e) {
-                    LOG.warn('Could not pause videos:', e.message);
-                }
+                });
             } else {
                 delete this._currentRules.animations;
             }
@@ -392,204 +1434,1163 @@
         },
 
         /**
-         * Toggle animation stopping
-         * @returns {object} this - for chaining
+         * Toggle animation stopping
+         * @returns {object} this - for chaining
+         */
+        toggleAnimations: function() {
+            return this.setStopAnimations(!this._settings.stopAnimations);
+        },
+
+        // ==================== READING GUIDE ====================
+
+        /**
+         * Enable/disable reading guide
+         * @param {boolean} enabled - True to enable
+         * @returns {object} this - for chaining
+         */
+        setReadingGuide: function(enabled) {
+            this._settings.readingGuide = Boolean(enabled);
+            this._renderReadingGuide();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Toggle reading guide
+         * @returns {object} this - for chaining
+         */
+        toggleReadingGuide: function() {
+            return this.setReadingGuide(!this._settings.readingGuide);
+        },
+
+        /**
+         * Set reading guide style. Color and opacity left at the old style's
+         * defaults change to the new style's (A11Y_CONFIG.readingGuide).
+         * @param {string} mode - 'bar' (a tinted band) or 'mask' (dims all but the band)
+         * @returns {object} this - for chaining
+         */
+        setReadingGuideMode: function(mode) {
+            var validModes = CONFIG.validValues.readingGuideModes || ['bar', 'mask'];
+            if (validModes.indexOf(mode) === -1) {
+                LOG.warn('Invalid reading guide mode:', mode, '- defaulting to bar');
+                mode = 'bar';
+            }
+
+            var settings = this._settings;
+            var oldDefaults = this._getReadingGuideDefaults(settings.readingGuideMode);
+            var newDefaults = this._getReadingGuideDefaults(mode);
+
+            if (settings.readingGuideColor === oldDefaults.color && !this.isLocked('readingGuideColor')) {
+                settings.readingGuideColor = newDefaults.color;
+            }
+            if (settings.readingGuideOpacity === oldDefaults.opacity && !this.isLocked('readingGuideOpacity')) {
+                settings.readingGuideOpacity = newDefaults.opacity;
+            }
+
+            settings.readingGuideMode = mode;
+            this._renderReadingGuide();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Set the height of the reading guide band
+         * @param {number} height - Pixels (A11Y_CONFIG.readingGuide.minHeight - maxHeight)
+         * @returns {object} this - for chaining
+         */
+        setReadingGuideHeight: function(height) {
+            var options = CONFIG.readingGuide || {};
+            if (typeof height !== 'number' || isNaN(height)) {
+                height = CONFIG.defaults.readingGuideHeight || 30;
+            }
+
+            this._settings.readingGuideHeight = Math.round(
+                Math.max(options.minHeight || 20, Math.min(options.maxHeight || 200, height)));
+            this._renderReadingGuide();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Set the reading guide color: the band color, or the shade of the mask
+         * @param {string} color - Hex color, e.g. '#ffff00'
+         * @returns {object} this - for chaining
+         */
+        setReadingGuideColor: function(color) {
+            if (!/^#[0-9a-f]{6}$/i.test(color)) {
+                LOG.warn('Invalid reading guide color:', color);
+                color = this._getReadingGuideDefaults(this._settings.readingGuideMode).color;
+            }
+
+            this._settings.readingGuideColor = color.toLowerCase();
+            this._renderReadingGuide();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Set the reading guide opacity
+         * @param {number} opacity - 0.1 - 0.9
+         * @returns {object} this - for chaining
+         */
+        setReadingGuideOpacity: function(opacity) {
+            if (typeof opacity !== 'number' || isNaN(opacity)) {
+                opacity = this._getReadingGuideDefaults(this._settings.readingGuideMode).opacity;
+            }
+
+            this._settings.readingGuideOpacity = Math.round(Math.max(0.1, Math.min(0.9, opacity)) * 100) / 100;
+            this._renderReadingGuide();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Get the default color and opacity of a reading guide style
+         * @private
+         */
+        _getReadingGuideDefaults: function(mode) {
+            var options = CONFIG.readingGuide || {};
+            var fallback = mode === 'mask' ? { color: '#000000', opacity: 0.6 } : { color: '#ffff00', opacity: 0.3 };
+            var defaults = options[mode] || {};
+
+            return {
+                color: defaults.color || fallback.color,
+                opacity: defaults.opacity || fallback.opacity
+            };
+        },
+
+        // ==================== FOCUS HIGHLIGHT ====================
+
+        /**
+         * Enable/disable focus highlighting
+         * @param {boolean} enabled - True to enable
+         * @returns {object} this - for chaining
+         */
+        setFocusHighlight: function(enabled) {
+            this._settings.focusHighlight = Boolean(enabled);
+
+            if (enabled) {
+                this._currentRules.focusHighlight = [
+                    '[data-a11y-focus="true"] {',
+                    '  outline: 3px solid #ff6600 !important;',
+                    '  outline-offset: 2px !important;',
+                    '  box-shadow: 0 0 10px 3px rgba(255, 102, 0, 0.5) !important;',
+                    '}',
+                    '*:focus {',
+                    '  outline: 3px solid #0066ff !important;',
+                    '  outline-offset: 2px !important;',
+                    '}'
+                ].join('\n');
+            } else {
+                delete this._currentRules.focusHighlight;
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Toggle focus highlighting
+         * @returns {object} this - for chaining
+         */
+        toggleFocusHighlight: function() {
+            return this.setFocusHighlight(!this._settings.focusHighlight);
+        },
+
+        // ==================== ADDITIONAL FEATURES ====================
+
+        /**
+         * Set line height
+         * @param {number} scale - Scale factor (1.0 = normal)
+         * @returns {object} this - for chaining
+         */
+        setLineHeight: function(scale) {
+            if (typeof scale !== 'number' || isNaN(scale)) {
+                scale = 1.0;
+            }
+            scale = Math.max(1.0, Math.min(3.0, scale));
+            this._settings.lineHeight = scale;
+
+            if (scale === 1.0) {
+                delete this._currentRules.lineHeight;
+            } else {
+                this._currentRules.lineHeight =
+                    'body, body * { line-height: ' + (scale * 1.5) + ' !important; }';
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Set letter spacing
+         * @param {number} pixels - Extra spacing in pixels
+         * @returns {object} this - for chaining
+         */
+        setLetterSpacing: function(pixels) {
+            if (typeof pixels !== 'number' || isNaN(pixels)) {
+                pixels = 0;
+            }
+            pixels = Math.max(0, Math.min(10, pixels));
+            this._settings.letterSpacing = pixels;
+
+            if (pixels === 0) {
+                delete this._currentRules.letterSpacing;
+            } else {
+                this._currentRules.letterSpacing =
+                    'body, body * { letter-spacing: ' + pixels + 'px !important; }';
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Set word spacing
+         * @param {number} pixels - Extra spacing in pixels
+         * @returns {object} this - for chaining
+         */
+        setWordSpacing: function(pixels) {
+            if (typeof pixels !== 'number' || isNaN(pixels)) {
+                pixels = 0;
+            }
+            pixels = Math.max(0, Math.min(20, pixels));
+            this._settings.wordSpacing = pixels;
+
+            if (pixels === 0) {
+                delete this._currentRules.wordSpacing;
+            } else {
+                this._currentRules.wordSpacing =
+                    'body, body * { word-spacing: ' + pixels + 'px !important; }';
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Set cursor size
+         * @param {string} size - 'default', 'large', 'xlarge'
+         * @returns {object} this - for chaining
+         */
+        setCursorSize: function(size) {
+            // Validate size
+            var validSizes = CONFIG.validValues.cursorSizes || ['default', 'large', 'xlarge'];
+            if (validSizes.indexOf(size) === -1) {
+                LOG.warn('Invalid cursor size:', size, '- defaulting to default');
+                size = 'default';
+            }
+
+            this._settings.cursorSize = size;
+
+            var cursors = {
+                'default': '',
+                'large': [
+                    'body, body * {',
+                    '  cursor: url("data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'32\' height=\'32\'%3E%3Cpath d=\'M0 0 L0 24 L6 18 L12 28 L16 26 L10 16 L18 16 Z\' fill=\'black\' stroke=\'white\'/%3E%3C/svg%3E") 0 0, auto !important;',
+                    '}'
+                ].join('\n'),
+                'xlarge': [
+                    'body, body * {',
+                    '  cursor: url("data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'48\' height=\'48\'%3E%3Cpath d=\'M0 0 L0 36 L9 27 L18 42 L24 39 L15 24 L27 24 Z\' fill=\'black\' stroke=\'white\' stroke-width=\'2\'/%3E%3C/svg%3E") 0 0, auto !important;',
+                    '}'
+                ].join('\n')
+            };
+
+            this._currentRules.cursor = cursors[size] || '';
+            this._applyRules();
+            return this;
+        },
+
+        /**
+         * Highlight all links
+         * @param {boolean} enabled - True to enable
+         * @returns {object} this - for chaining
+         */
+        setLinkHighlight: function(enabled) {
+            this._settings.linkHighlight = Boolean(enabled);
+
+            if (enabled) {
+                this._currentRules.linkHighlight = [
+                    'a, a * {',
+                    '  background-color: #ffff00 !important;',
+                    '  color: #0000ff !important;',
+                    '  text-decoration: underline !important;',
+                    '  padding: 2px !important;',
+                    '}'
+                ].join('\n');
+            } else {
+                delete this._currentRules.linkHighlight;
+            }
+
+            this._applyRules();
+            return this;
+        },
+
+        // ==================== READ ALOUD ====================
+
+        /**
+         * Enable/disable read aloud (click-to-speak)
+         * @param {boolean} enabled - True to enable
+         * @returns {object} this - for chaining
+         */
+        setReadAloud: function(enabled) {
+            this._settings.readAloud = Boolean(enabled);
+            this._applySpeech();
+            return this;
+        },
+
+        /**
+         * Toggle read aloud
+         * @returns {object} this - for chaining
+         */
+        toggleReadAloud: function() {
+            return this.setReadAloud(!this._settings.readAloud);
+        },
+
+        /**
+         * Set speech rate
+         * @param {number} rate - Rate (0.5 - 2, 1.0 = normal)
+         * @returns {object} this - for chaining
+         */
+        setSpeechRate: function(rate) {
+            this._settings.speechRate = Math.max(0.5, Math.min(2, parseFloat(rate) || 1));
+            this._applySpeech();
+            return this;
+        },
+
+        /**
+         * Set speech pitch
+         * @param {number} pitch - Pitch (0.5 - 2, 1.0 = normal)
+         * @returns {object} this - for chaining
+         */
+        setSpeechPitch: function(pitch) {
+            this._settings.speechPitch = Math.max(0.5, Math.min(2, parseFloat(pitch) || 1));
+            this._applySpeech();
+            return this;
+        },
+
+        /**
+         * Set speech voice
+         * @param {string} voiceURI - SpeechSynthesisVoice.voiceURI, or '' for the browser default
+         * @returns {object} this - for chaining
+         */
+        setSpeechVoice: function(voiceURI) {
+            this._settings.speechVoice = voiceURI || '';
+            this._applySpeech();
+            return this;
+        },
+
+        /**
+         * Pass read aloud settings to A11Y_SPEECH and save them. They add no
+         * CSS, so _applyRules does not save them.
+         * @private
+         */
+        _applySpeech: function() {
+            if (window.A11Y_SPEECH) {
+                window.A11Y_SPEECH.configure(this._settings);
+            }
+
+            this._saveSettings();
+        },
+
+        // ==================== MAGNIFIER ====================
+
+        /**
+         * Show/hide the magnifier. It shows a magnified copy of the page
+         * around the mouse pointer, keyboard focus or text caret, in a lens
+         * or a pane docked to the top (or bottom) of the window.
+         * @param {boolean} enabled - True to enable
+         * @returns {object} this - for chaining
+         */
+        setMagnifier: function(enabled) {
+            this._settings.magnifier = Boolean(enabled);
+
+            if (enabled) {
+                this._createMagnifier();
+            } else {
+                this._removeMagnifier();
+            }
+
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Toggle the magnifier
+         * @returns {object} this - for chaining
+         */
+        toggleMagnifier: function() {
+            return this.setMagnifier(!this._settings.magnifier);
+        },
+
+        /**
+         * Set magnification
+         * @param {number} zoom - Zoom factor (A11Y_CONFIG.magnifier.minZoom - maxZoom, 2 - 6 by default)
+         * @returns {object} this - for chaining
+         */
+        setMagnifierZoom: function(zoom) {
+            var options = CONFIG.magnifier || {};
+            if (typeof zoom !== 'number' || isNaN(zoom)) {
+                zoom = CONFIG.defaults.magnifierZoom || 2;
+            }
+
+            this._settings.magnifierZoom = Math.max(options.minZoom || 2, Math.min(options.maxZoom || 6, zoom));
+            this._updateMagnifierView();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Set magnifier style
+         * @param {string} mode - 'lens' or 'docked'
+         * @returns {object} this - for chaining
+         */
+        setMagnifierMode: function(mode) {
+            var validModes = CONFIG.validValues.magnifierModes || ['lens', 'docked'];
+            if (validModes.indexOf(mode) === -1) {
+                LOG.warn('Invalid magnifier mode:', mode, '- defaulting to lens');
+                mode = 'lens';
+            }
+
+            this._settings.magnifierMode = mode;
+            this._updateMagnifierView();
+            this._saveSettings();
+            return this;
+        },
+
+        /**
+         * Listen for caret movement, typing, touch and scrolling in the top
+         * document, for the reading guide and magnifier. Pointer and focus
+         * tracking share the mousemove and focus highlight listeners.
+         * @private
+         */
+        _setupPointTracking: function() {
+            var self = this;
+
+            this._eventHandlers.caret = function(e) {
+                if (self._isFollowing()) {
+                    self._followCaret(e.target.nodeType === 9 ? e.target : e.target.ownerDocument);
+                }
+            };
+            this._eventHandlers.input = function(e) {
+                if (self._isFollowing()) {
+                    self._scheduleMagnifierRefresh();
+                    self._followCaret(e.target.ownerDocument);
+                }
+            };
+            this._eventHandlers.touch = function(e) {
+                var touch = e.touches && e.touches[0];
+                if (touch && self._isFollowing()) {
+                    self._followPoint(e.target.ownerDocument || document, touch.clientX, touch.clientY, e.target);
+                }
+            };
+            this._eventHandlers.scroll = function(e) {
+                if (!self._magnifier) {
+                    return;
+                }
+                // Top window scrolling only moves the view; other scrolling changes the copy
+                if (e.target === document || e.target === window) {
+                    self._updateMagnifierView();
+                } else {
+                    self._scheduleMagnifierRefresh();
+                }
+            };
+
+            this._addTrackingListeners(document, this._eventHandlers);
+        },
+
+        /**
+         * Add the caret, input, touch and scroll listeners to a document
+         * @private
+         */
+        _addTrackingListeners: function(doc, handlers) {
+            doc.addEventListener('keyup', handlers.caret);
+            doc.addEventListener('selectionchange', handlers.caret);
+            doc.addEventListener('input', handlers.input, true);
+            doc.addEventListener('touchstart', handlers.touch, { passive: true });
+            doc.addEventListener('touchmove', handlers.touch, { passive: true });
+            doc.addEventListener('scroll', handlers.scroll, { capture: true, passive: true });
+        },
+
+        /**
+         * Remove the tracking listeners from a document
+         * @private
+         */
+        _removeTrackingListeners: function(doc, handlers) {
+            doc.removeEventListener('keyup', handlers.caret);
+            doc.removeEventListener('selectionchange', handlers.caret);
+            doc.removeEventListener('input', handlers.input, true);
+            doc.removeEventListener('touchstart', handlers.touch);
+            doc.removeEventListener('touchmove', handlers.touch);
+            doc.removeEventListener('scroll', handlers.scroll, { capture: true });
+        },
+
+        /**
+         * Create the magnifier element and start following page changes
+         * @private
+         */
+        _createMagnifier: function() {
+            if (this._magnifier) {
+                return;
+            }
+
+            var host = document.createElement('div');
+            if (!host.attachShadow) {
+                LOG.warn('Magnifier needs Shadow DOM support');
+                return;
+            }
+
+            var self = this;
+
+            host.id = 'a11y-magnifier';
+            host.setAttribute('data-a11y', 'true');
+            host.setAttribute('aria-hidden', 'true');
+            host.style.cssText = [
+                'position: fixed',
+                'display: none',
+                'overflow: hidden',
+                'pointer-events: none',
+                'background: #fff',
+                'border: 3px solid #0066cc',
+                'box-shadow: 0 4px 16px rgba(0, 0, 0, 0.35)',
+                'z-index: ' + (CONFIG.zIndex.magnifier || 999995)
+            ].join(';');
+
+            // The copy lives in a shadow root so its styles and IDs stay apart from the page
+            var viewport = document.createElement('div');
+            viewport.setAttribute('inert', '');
+            viewport.style.cssText = 'position: absolute; top: 0; left: 0; transform-origin: 0 0;';
+            host.attachShadow({ mode: 'open' }).appendChild(viewport);
+            document.body.appendChild(host);
+
+            this._magnifier = {
+                host: host,
+                viewport: viewport,
+                point: null,          // Followed point, top window viewport coordinates
+                hidden: false,        // Pointer or focus is in the widget
+                stale: true,          // Copy needs rebuilding
+                refreshTimer: null,
+                observer: new MutationObserver(function(mutations) {
+                    if (!mutations.every(isWidgetMutation)) {
+                        self._scheduleMagnifierRefresh();
+                    }
+                })
+            };
+
+            this._forEachDocument(function(doc) {
+                self._observeMagnifierDocument(doc);
+            });
+
+            LOG.log('Magnifier enabled');
+        },
+
+        /**
+         * Watch a document for changes to copy into the magnifier
+         * @private
+         */
+        _observeMagnifierDocument: function(doc) {
+            if (this._magnifier && doc.body) {
+                this._magnifier.observer.observe(doc.body, {
+                    childList: true,
+                    subtree: true,
+                    attributes: true,
+                    characterData: true
+                });
+            }
+        },
+
+        /**
+         * Remove the magnifier
+         * @private
+         */
+        _removeMagnifier: function() {
+            var magnifier = this._magnifier;
+            if (!magnifier) {
+                return;
+            }
+
+            magnifier.observer.disconnect();
+            clearTimeout(magnifier.refreshTimer);
+            if (magnifier.host.parentNode) {
+                magnifier.host.parentNode.removeChild(magnifier.host);
+            }
+
+            this._magnifier = null;
+            LOG.log('Magnifier disabled');
+        },
+
+        /**
+         * Rebuild the magnified copy after the page changed. Throttled, so a
+         * page that changes constantly still refreshes.
+         * @private
+         */
+        _scheduleMagnifierRefresh: function() {
+            var magnifier = this._magnifier;
+            if (!magnifier) {
+                return;
+            }
+
+            magnifier.stale = true;
+            if (magnifier.refreshTimer) {
+                return;
+            }
+
+            var self = this;
+            var delay = (CONFIG.magnifier && CONFIG.magnifier.refreshDelay) || 300;
+            magnifier.refreshTimer = setTimeout(function() {
+                magnifier.refreshTimer = null;
+                if (self._magnifier === magnifier) {
+                    self._updateMagnifierView();
+                }
+            }, delay);
+        },
+
+        /**
+         * Rebuild the magnified copy of the page (and its frames)
+         * @private
+         */
+        _refreshMagnifier: function() {
+            var magnifier = this._magnifier;
+            var viewport = magnifier.viewport;
+
+            while (viewport.firstChild) {
+                viewport.removeChild(viewport.firstChild);
+            }
+
+            try {
+                viewport.appendChild(cloneDocumentView(document, 1));
+            } catch (e) {
+                LOG.warn('Could not copy the page into the magnifier:', e.message);
+            }
+
+            magnifier.stale = false;
+        },
+
+        /**
+         * Center the magnifier on a point
+         * @private
+         * @param {object} point - { x, y } in top window viewport coordinates
+         * @param {Element} [target] - Element at the point; hides the magnifier over the widget
+         */
+        _moveMagnifier: function(point, target) {
+            if (!this._magnifier) {
+                return;
+            }
+
+            this._magnifier.hidden = isWidgetElement(target);
+            this._magnifier.point = point;
+            this._updateMagnifierView();
+        },
+
+        /**
+         * Get the magnifier size for the current mode
+         * @private
+         */
+        _getMagnifierSize: function() {
+            var options = CONFIG.magnifier || {};
+
+            if (this._settings.magnifierMode === 'docked') {
+                return {
+                    width: document.documentElement.clientWidth,
+                    height: Math.round(window.innerHeight * (options.dockHeight || 0.33))
+                };
+            }
+
+            return {
+                width: Math.min(options.lensWidth || 360, document.documentElement.clientWidth),
+                height: Math.min(options.lensHeight || 200, window.innerHeight)
+            };
+        },
+
+        /**
+         * Place the magnifier and its magnified copy around the followed point
+         * @private
+         */
+        _updateMagnifierView: function() {
+            var magnifier = this._magnifier;
+            if (!magnifier) {
+                return;
+            }
+
+            var host = magnifier.host;
+            if (!magnifier.point || magnifier.hidden) {
+                host.style.display = 'none';
+                return;
+            }
+
+            if (magnifier.stale) {
+                this._refreshMagnifier();
+            }
+
+            var zoom = this._settings.magnifierZoom;
+            var size = this._getMagnifierSize();
+            var point = magnifier.point;
+            var viewWidth = document.documentElement.clientWidth;
+            var viewHeight = window.innerHeight;
+            var left, top;
+
+            if (this._settings.magnifierMode === 'docked') {
+                left = 0;
+                // Dock at the bottom while the followed point is under the top pane
+                top = point.y < size.height + 20 ? viewHeight - size.height : 0;
+                host.style.borderRadius = '0';
+            } else {
+                left = Math.max(0, Math.min(viewWidth - size.width, point.x - size.width / 2));
+                top = Math.max(0, Math.min(viewHeight - size.height, point.y - size.height / 2));
+                host.style.borderRadius = '8px';
+            }
+
+            host.style.left = left + 'px';
+            host.style.top = top + 'px';
+            host.style.width = size.width + 'px';
+            host.style.height = size.height + 'px';
+            host.style.boxSizing = 'border-box';
+            host.style.display = 'block';
+
+            // Page coordinates of the point, centered in the magnifier
+            var pageX = point.x + window.pageXOffset;
+            var pageY = point.y + window.pageYOffset;
+            var viewport = magnifier.viewport;
+            viewport.style.width = viewWidth + 'px';
+            viewport.style.transform = 'translate(' + (size.width / 2 - pageX * zoom) + 'px, ' +
+                (size.height / 2 - pageY * zoom) + 'px) scale(' + zoom + ')';
+        },
+
+        // ==================== SYSTEM PREFERENCES ====================
+
+        /**
+         * Watch the OS accessibility media queries. They make up the system
+         * layer (see _resolveLayers), so settings no profile or user choice
+         * sets follow them when they change.
+         * @private
+         */
+        _setupSystemPreferences: function() {
+            if (!window.matchMedia || (CONFIG.features && CONFIG.features.systemPreferences === false)) {
+                return;
+            }
+
+            var self = this;
+            this._eventHandlers.systemChange = function() {
+                self._onSystemChange();
+            };
+
+            Object.keys(SYSTEM_MEDIA_QUERIES).forEach(function(name) {
+                var query = window.matchMedia(SYSTEM_MEDIA_QUERIES[name]);
+                if (query.addEventListener) {
+                    query.addEventListener('change', self._eventHandlers.systemChange);
+                } else if (query.addListener) {
+                    query.addListener(self._eventHandlers.systemChange);
+                }
+                self._systemQueries[name] = query;
+            });
+        },
+
+        /**
+         * Check whether an OS media query matches
+         * @private
+         */
+        _matchesSystem: function(name) {
+            var query = this._systemQueries[name];
+            return !!(query && query.matches);
+        },
+
+        /**
+         * Get the settings the OS accessibility preferences ask for
+         * @returns {object} e.g. { stopAnimations: true, contrastMode: 'dark' }
+         */
+        getSystemPreferences: function() {
+            var prefs = {};
+
+            if (this._matchesSystem('reducedMotion')) {
+                prefs.stopAnimations = true;
+            }
+            // Forced colors already set the page colors
+            if (this._matchesSystem('moreContrast') && !this._matchesSystem('forcedColors')) {
+                prefs.contrastMode = this._matchesSystem('darkScheme') ? 'dark' : 'light';
+            }
+
+            // Locked settings do not follow the OS
+            Object.keys(prefs).forEach(function(key) {
+                if (this.isLocked(key)) {
+                    delete prefs[key];
+                }
+            }, this);
+
+            return prefs;
+        },
+
+        /**
+         * Get the settings currently taken from the OS preferences
+         * @returns {Array} Setting names, e.g. ['stopAnimations']
+         */
+        getSystemSettings: function() {
+            return this._getLayerKeys('system');
+        },
+
+        /**
+         * Check whether the OS forces its own colors (e.g. Windows contrast
+         * themes). Contrast modes and color filters are suspended meanwhile.
+         * @returns {boolean}
+         */
+        isForcedColors: function() {
+            return this._matchesSystem('forcedColors');
+        },
+
+        /**
+         * Follow a change of OS preferences through the system layer
+         * @private
+         */
+        _onSystemChange: function() {
+            this._applyLayers();
+
+            // Suspends or restores contrast and color filters for forced colors
+            this._applyRules();
+            this._notifySystemChange();
+        },
+
+        /**
+         * Tell the panel which settings come from the OS preferences
+         * @private
+         */
+        _notifySystemChange: function() {
+            this._dispatchEvent('systemPreferencesChanged', {
+                preferences: this.getSystemPreferences(),
+                settings: this.getSystemSettings(),
+                forcedColors: this.isForcedColors()
+            });
+        },
+
+        // ==================== SETTING LAYERS ====================
+
+        /**
+         * Get the layers settings are taken from, lowest first: the system
+         * layer (OS preferences), the stacked profiles, the user's own
+         * changes and the settings locked by the administrator. The defaults
+         * (A11Y_CONFIG.defaults) sit below them and are not listed.
+         * @returns {Array} { type: 'system'|'profile'|'user'|'locked', id, enabled,
+         *     settings, keys } where keys are the settings the layer supplies
+         */
+        getLayers: function() {
+            return this._getLayerStack(this._layers.overrides).filter(function(layer) {
+                return layer.type !== 'base';
+            }).map(function(layer) {
+                return {
+                    type: layer.type,
+                    id: layer.id,
+                    enabled: layer.enabled !== false,
+                    settings: copySettings(layer.settings),
+                    keys: this._getLayerKeys(layer.type, layer.id)
+                };
+            }, this);
+        },
+
+        /**
+         * Get the layer a setting's current value comes from
+         * @param {string} key - Setting name, e.g. 'fontSize'
+         * @returns {object|null} { type: 'base'|'system'|'profile'|'user'|'locked', id }
+         */
+        getSettingSource: function(key) {
+            var source = this._resolved && this._resolved.sources[key];
+            return source ? { type: source.type, id: source.id } : null;
+        },
+
+        /**
+         * Get the stacked profile layers, lowest first
+         * @returns {Array} { id, settings }
          */
-        toggleAnimations: function() {
-            return this.setStopAnimations(!this._settings.stopAnimations);
+        getProfileLayers: function() {
+            return this._layers.profiles.map(function(layer) {
+                return { id: layer.id, settings: copySettings(layer.settings) };
+            });
         },
 
-        // ==================== READING GUIDE ====================
-
         /**
-         * Enable/disable reading guide
-         * @param {boolean} enabled - True to enable
+         * Replace the stacked profile layers (see A11Y_PROFILES). A setting
+         * defined by several profiles takes the value of the last one; the
+         * user's own changes stay on top.
+         * @param {Array} layers - { id, settings }, lowest first
          * @returns {object} this - for chaining
          */
-        setReadingGuide: function(enabled) {
-            this._settings.readingGuide = Boolean(enabled);
-
-            if (this._readingGuideElement) {
-                this._readingGuideElement.style.display = enabled ? 'block' : 'none';
-            }
-
+        setProfileLayers: function(layers) {
+            this._layers.profiles = (layers || []).filter(function(layer) {
+                return layer && typeof layer.id === 'string' && layer.settings && typeof layer.settings === 'object';
+            }).map(function(layer) {
+                return { id: layer.id, settings: pickSettings(layer.settings) };
+            });
+
+            this._applyLayers();
             return this;
         },
 
         /**
-         * Toggle reading guide
-         * @returns {object} this - for chaining
+         * Get the user's own changes, which override the layers below
+         * @returns {object} Setting -> value
          */
-        toggleReadingGuide: function() {
-            return this.setReadingGuide(!this._settings.readingGuide);
+        getOverrides: function() {
+            return copySettings(this._layers.overrides);
         },
 
-        // ==================== FOCUS HIGHLIGHT ====================
-
         /**
-         * Enable/disable focus highlighting
-         * @param {boolean} enabled - True to enable
+         * Drop the user's own change of one setting, or of all settings, so
+         * the value comes from the layers below again
+         * @param {string} [key] - Setting name; all when omitted
          * @returns {object} this - for chaining
          */
-        setFocusHighlight: function(enabled) {
-            this._settings.focusHighlight = Boolean(enabled);
-
-            if (enabled) {
-                this._currentRules.focusHighlight = [
-                    '[data-a11y-focus="true"] {',
-                    '  outline: 3px solid #ff6600 !important;',
-                    '  outline-offset: 2px !important;',
-                    '  box-shadow: 0 0 10px 3px rgba(255, 102, 0, 0.5) !important;',
-                    '}',
-                    '*:focus {',
-                    '  outline: 3px solid #0066ff !important;',
-                    '  outline-offset: 2px !important;',
-                    '}'
-                ].join('\n');
+        clearOverrides: function(key) {
+            if (key) {
+                delete this._layers.overrides[key];
             } else {
-                delete this._currentRules.focusHighlight;
+                this._layers.overrides = {};
             }
 
-            this._applyRules();
+            this._applyLayers();
             return this;
         },
 
         /**
-         * Toggle focus highlighting
+         * Check whether settings follow the OS preferences
+         * @returns {boolean}
+         */
+        isSystemLayerEnabled: function() {
+            return this._layers.system;
+        },
+
+        /**
+         * Use or ignore the OS preferences
+         * @param {boolean} enabled - False to ignore them
          * @returns {object} this - for chaining
          */
-        toggleFocusHighlight: function() {
-            return this.setFocusHighlight(!this._settings.focusHighlight);
+        setSystemLayerEnabled: function(enabled) {
+            this._layers.system = Boolean(enabled);
+            this._applyLayers();
+            this._notifySystemChange();
+            return this;
         },
 
-        // ==================== ADDITIONAL FEATURES ====================
+        /**
+         * Build the layer stack, lowest first
+         * @private
+         * @param {object} overrides - The user layer
+         */
+        _getLayerStack: function(overrides) {
+            var base = copySettings(SETTING_DEFAULTS);
+            Object.keys(CONFIG.defaults || {}).forEach(function(key) {
+                if (SETTING_SETTERS.hasOwnProperty(key)) {
+                    base[key] = CONFIG.defaults[key];
+                }
+            });
+
+            var locked = {};
+            this.getLockedSettings().forEach(function(key) {
+                locked[key] = CONFIG.locked[key];
+            });
+
+            return [
+                { type: 'base', settings: base },
+                { type: 'system', enabled: this._layers.system, settings: this.getSystemPreferences() }
+            ].concat(this._layers.profiles.map(function(layer) {
+                return { type: 'profile', id: layer.id, settings: layer.settings };
+            }), [
+                { type: 'user', settings: overrides },
+                { type: 'locked', settings: locked }
+            ]);
+        },
 
         /**
-         * Set line height
-         * @param {number} scale - Scale factor (1.0 = normal)
-         * @returns {object} this - for chaining
+         * Work out each setting's value: the highest layer that sets it wins
+         * @private
+         * @param {object} overrides - The user layer
+         * @returns {object} { values, sources } keyed by setting
          */
-        setLineHeight: function(scale) {
-            if (typeof scale !== 'number' || isNaN(scale)) {
-                scale = 1.0;
-            }
-            scale = Math.max(1.0, Math.min(3.0, scale));
-            this._settings.lineHeight = scale;
+        _resolveLayers: function(overrides) {
+            var values = {};
+            var sources = {};
 
-            if (scale === 1.0) {
-                delete this._currentRules.lineHeight;
-            } else {
-                this._currentRules.lineHeight =
-                    'body, body * { line-height: ' + (scale * 1.5) + ' !important; }';
+            this._getLayerStack(overrides).forEach(function(layer) {
+                if (layer.enabled === false) {
+                    return;
+                }
+                Object.keys(layer.settings).forEach(function(key) {
+                    if (SETTING_SETTERS.hasOwnProperty(key)) {
+                        values[key] = layer.settings[key];
+                        sources[key] = { type: layer.type, id: layer.id };
+                    }
+                });
+            });
+
+            // A guide color and opacity no layer sets follow the guide mode
+            var guideDefaults = this._getReadingGuideDefaults(values.readingGuideMode);
+            if (!sources.readingGuideColor) {
+                values.readingGuideColor = guideDefaults.color;
+                sources.readingGuideColor = { type: 'base' };
+            }
+            if (!sources.readingGuideOpacity) {
+                values.readingGuideOpacity = guideDefaults.opacity;
+                sources.readingGuideOpacity = { type: 'base' };
             }
 
-            this._applyRules();
-            return this;
+            return { values: values, sources: sources };
         },
 
         /**
-         * Set letter spacing
-         * @param {number} pixels - Extra spacing in pixels
-         * @returns {object} this - for chaining
+         * Apply the resolved layers through the setters, and save
+         * @private
          */
-        setLetterSpacing: function(pixels) {
-            if (typeof pixels !== 'number' || isNaN(pixels)) {
-                pixels = 0;
-            }
-            pixels = Math.max(0, Math.min(10, pixels));
-            this._settings.letterSpacing = pixels;
+        _applyLayers: function() {
+            var resolved = this._resolveLayers(this._layers.overrides);
+
+            // In setter order, so the guide mode is set before its color
+            this._applyingLayers = true;
+            Object.keys(SETTING_SETTERS).forEach(function(key) {
+                if (this._settings[key] !== resolved.values[key]) {
+                    this[SETTING_SETTERS[key]](resolved.values[key]);
+                }
+            }, this);
+            this._applyingLayers = false;
 
-            if (pixels === 0) {
-                delete this._currentRules.letterSpacing;
-            } else {
-                this._currentRules.letterSpacing =
-                    'body, body * { letter-spacing: ' + pixels + 'px !important; }';
-            }
+            // Setters validate and clamp: remember the values they applied
+            Object.keys(SETTING_SETTERS).forEach(function(key) {
+                resolved.values[key] = this._settings[key];
+            }, this);
+            this._resolved = resolved;
 
-            this._applyRules();
-            return this;
+            this._saveSettings();
+            this._notifyLayersChange();
         },
 
         /**
-         * Set word spacing
-         * @param {number} pixels - Extra spacing in pixels
-         * @returns {object} this - for chaining
+         * Record settings changed through the setters as the user's own
+         * changes. A change back to the value of the layers below drops the
+         * override instead.
+         * @private
+         * @returns {boolean} True if the user layer changed
          */
-        setWordSpacing: function(pixels) {
-            if (typeof pixels !== 'number' || isNaN(pixels)) {
-                pixels = 0;
+        _captureOverrides: function() {
+            var resolved = this._resolved;
+            if (!resolved) {
+                return false;
             }
-            pixels = Math.max(0, Math.min(20, pixels));
-            this._settings.wordSpacing = pixels;
 
-            if (pixels === 0) {
-                delete this._currentRules.wordSpacing;
-            } else {
-                this._currentRules.wordSpacing =
-                    'body, body * { word-spacing: ' + pixels + 'px !important; }';
+            var overrides = copySettings(this._layers.overrides);
+            var changed = Object.keys(SETTING_SETTERS).filter(function(key) {
+                return this._settings[key] !== resolved.values[key];
+            }, this);
+
+            if (!changed.length) {
+                return false;
             }
 
-            this._applyRules();
-            return this;
+            changed.forEach(function(key) {
+                overrides[key] = this._settings[key];
+            }, this);
+            changed.forEach(function(key) {
+                var below = copySettings(overrides);
+                delete below[key];
+                if (this._resolveLayers(below).values[key] === overrides[key]) {
+                    delete overrides[key];
+                }
+            }, this);
+
+            this._layers.overrides = overrides;
+            this._resolved = this._resolveLayers(overrides);
+            Object.keys(SETTING_SETTERS).forEach(function(key) {
+                this._resolved.values[key] = this._settings[key];
+            }, this);
+            return true;
         },
 
         /**
-         * Set cursor size
-         * @param {string} size - 'default', 'large', 'xlarge'
-         * @returns {object} this - for chaining
+         * Get the settings a layer supplies
+         * @private
          */
-        setCursorSize: function(size) {
-            // Validate size
-            var validSizes = CONFIG.validValues.cursorSizes || ['default', 'large', 'xlarge'];
-            if (validSizes.indexOf(size) === -1) {
-                LOG.warn('Invalid cursor size:', size, '- defaulting to default');
-                size = 'default';
-            }
+        _getLayerKeys: function(type, id) {
+            var sources = this._resolved ? this._resolved.sources : {};
+            return Object.keys(SETTING_SETTERS).filter(function(key) {
+                return sources[key] && sources[key].type === type && sources[key].id === id;
+            });
+        },
 
-            this._settings.cursorSize = size;
+        /**
+         * Tell the panel and A11Y_PROFILES that the layers changed
+         * @private
+         */
+        _notifyLayersChange: function() {
+            this._dispatchEvent('layersChanged', {
+                profiles: this._layers.profiles.map(function(layer) {
+                    return layer.id;
+                }),
+                overrides: Object.keys(this._layers.overrides)
+            });
+        },
 
-            var cursors = {
-                'default': '',
-                'large': [
-                    'body, body * {',
-                    '  cursor: url("data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'32\' height=\'32\'%3E%3Cpath d=\'M0 0 L0 24 L6 18 L12 28 L16 26 L10 16 L18 16 Z\' fill=\'black\' stroke=\'white\'/%3E%3C/svg%3E") 0 0, auto !important;',
-                    '}'
-                ].join('\n'),
-                'xlarge': [
-                    'body, body * {',
-                    '  cursor: url("data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'48\' height=\'48\'%3E%3Cpath d=\'M0 0 L0 36 L9 27 L18 42 L24 39 L15 24 L27 24 Z\' fill=\'black\' stroke=\'white\' stroke-width=\'2\'/%3E%3C/svg%3E") 0 0, auto !important;',
-                    '}'
-                ].join('\n')
-            };
+        /**
+         * Read the layers from saved preferences. Preferences saved before
+         * layers existed become user changes, except the settings that were
+         * following the OS.
+         * @private
+         */
+        _readLayers: function(prefs) {
+            var layers = { system: true, profiles: [], overrides: {} };
+            var saved = prefs && prefs.layers;
+
+            if (saved && typeof saved === 'object') {
+                layers.system = saved.system !== false;
+                layers.profiles = Array.isArray(saved.profiles) ? saved.profiles.filter(function(layer) {
+                    return layer && typeof layer.id === 'string' && layer.settings && typeof layer.settings === 'object';
+                }).map(function(layer) {
+                    return { id: layer.id, settings: pickSettings(layer.settings) };
+                }) : [];
+                layers.overrides = pickSettings(saved.overrides);
+                return layers;
+            }
 
-            this._currentRules.cursor = cursors[size] || '';
-            this._applyRules();
-            return this;
+            if (prefs && typeof prefs === 'object') {
+                var following = Array.isArray(prefs.systemSettings) ? prefs.systemSettings : [];
+                var below = this._resolveLayers({}).values;
+                Object.keys(pickSettings(prefs)).forEach(function(key) {
+                    if (following.indexOf(key) === -1 && prefs[key] !== below[key]) {
+                        layers.overrides[key] = prefs[key];
+                    }
+                });
+            }
+
+            return layers;
         },
 
         /**
-         * Highlight all links
-         * @param {boolean} enabled - True to enable
-         * @returns {object} this - for chaining
+         * Dispatch a custom event
+         * @private
          */
-        setLinkHighlight: function(enabled) {
-            this._settings.linkHighlight = Boolean(enabled);
+        _dispatchEvent: function(eventName, detail) {
+            try {
+                var event = new CustomEvent('a11y:' + eventName, { detail: detail });
+                document.dispatchEvent(event);
+            } catch (e) {
+                var evt = document.createEvent('CustomEvent');
+                evt.initCustomEvent('a11y:' + eventName, true, true, detail);
+                document.dispatchEvent(evt);
+            }
+        },
 
-            if (enabled) {
-                this._currentRules.linkHighlight = [
-                    'a, a * {',
-                    '  background-color: #ffff00 !important;',
-                    '  color: #0000ff !important;',
-                    '  text-decoration: underline !important;',
-                    '  padding: 2px !important;',
-                    '}'
-                ].join('\n');
-            } else {
-                delete this._currentRules.linkHighlight;
+        /**
+         * Record a change made through the setters as the user's own, and
+         * save settings unless saved preferences are being restored
+         * @private
+         */
+        _saveSettings: function() {
+            if (this._applyingLayers) {
+                return;
             }
 
-            this._applyRules();
-            return this;
+            // The panel lists the settings each layer supplies
+            var keys = Object.keys(this._layers.overrides).join();
+            if (this._captureOverrides() && Object.keys(this._layers.overrides).join() !== keys) {
+                this._notifyLayersChange();
+            }
+            if (!this._suspendSave) {
+                this._savePreferences();
+            }
         },
 
         // ==================== CORE METHODS ====================
@@ -606,31 +2607,78 @@
 
             // Object.values polyfill for compatibility
             var rules = this._currentRules;
+            var suspended = this._getSuspendedRules();
             var values = [];
             for (var key in rules) {
-                if (rules.hasOwnProperty(key) && rules[key]) {
+                if (rules.hasOwnProperty(key) && rules[key] && suspended.indexOf(key) === -1) {
                     values.push(rules[key]);
                 }
             }
 
             var css = values.join('\n\n');
             this._styleElement.textContent = css;
-            this._savePreferences();
+
+            var frameValues = [];
+            for (var frameKey in rules) {
+                if (rules.hasOwnProperty(frameKey) && rules[frameKey] &&
+                        TOP_DOCUMENT_RULES.indexOf(frameKey) === -1 && suspended.indexOf(frameKey) === -1) {
+                    frameValues.push(rules[frameKey]);
+                }
+            }
+            var frameCss = this._frameCss = frameValues.join('\n\n');
+
+            // Mirror into PeopleSoft frames
+            this._frames.forEach(function(entry) {
+                if (entry.styleElement) {
+                    try {
+                        entry.styleElement.textContent = frameCss;
+                    } catch (e) {
+                        // Frame document unloaded, re-injected on next load
+                    }
+                }
+            });
+
+            // The magnifier copies the restyled page
+            this._scheduleMagnifierRefresh();
+            this._saveSettings();
+        },
+
+        /**
+         * Get the rules the OS display settings suspend: contrast and color
+         * filters under forced colors, and the invert mode when the OS already
+         * inverts colors
+         * @private
+         */
+        _getSuspendedRules: function() {
+            if (this.isForcedColors()) {
+                return FORCED_COLORS_SUSPENDED_RULES;
+            }
+            if (this._settings.contrastMode === 'invert' && this._matchesSystem('invertedColors')) {
+                return ['contrast'];
+            }
+            return [];
         },
 
         /**
-         * Save preferences to localStorage
+         * Save preferences via A11Y_STORAGE (falls back to localStorage)
          * @private
          */
         _savePreferences: function() {
+            var data = this._getPreferencesToSave();
+
+            if (window.A11Y_STORAGE) {
+                window.A11Y_STORAGE.setJSON(CONFIG.storage.preferencesKey, data);
+                return;
+            }
+
             try {
-                var prefs = JSON.stringify(this._settings);
+                var prefs = JSON.stringify(data);
                 localStorage.setItem(CONFIG.storage.preferencesKey, prefs);
             } catch (e) {
                 if (e.name === 'QuotaExceededError') {
                     LOG.warn('localStorage quota exceeded, trying sessionStorage');
                     try {
-                        sessionStorage.setItem(CONFIG.storage.preferencesKey, JSON.stringify(this._settings));
+                        sessionStorage.setItem(CONFIG.storage.preferencesKey, JSON.stringify(data));
                     } catch (e2) {
                         LOG.warn('Could not save preferences:', e2.message);
                     }
@@ -641,63 +2689,82 @@
         },
 
         /**
-         * Load saved preferences from localStorage
+         * Get the preferences to save: the current settings and the layers
+         * they come from. The layers are what is restored; locked settings
+         * are left out, so the user's own value comes back if the
+         * institution lifts the lock.
+         * @private
+         */
+        _getPreferencesToSave: function() {
+            var prefs = copySettings(this._settings);
+            this.getLockedSettings().forEach(function(key) {
+                delete prefs[key];
+            });
+
+            prefs.layers = {
+                system: this._layers.system,
+                profiles: this.getProfileLayers(),
+                overrides: this.getOverrides()
+            };
+            return prefs;
+        },
+
+        /**
+         * Load saved preferences via A11Y_STORAGE (falls back to localStorage)
+         * and apply their layers. Saving is suspended while loading so
+         * restoring settings does not mark them as changed.
          * @private
          */
         _loadSavedPreferences: function() {
+            var prefs = null;
+
             try {
-                var saved = localStorage.getItem(CONFIG.storage.preferencesKey);
-                if (!saved) {
-                    saved = sessionStorage.getItem(CONFIG.storage.preferencesKey);
+                var saved;
+                if (window.A11Y_STORAGE) {
+                    saved = window.A11Y_STORAGE.getItem(CONFIG.storage.preferencesKey);
+                } else {
+                    saved = localStorage.getItem(CONFIG.storage.preferencesKey);
+                    if (!saved) {
+                        saved = sessionStorage.getItem(CONFIG.storage.preferencesKey);
+                    }
                 }
                 if (saved) {
-                    var prefs = JSON.parse(saved);
-                    this._applyPreferences(prefs);
+                    prefs = JSON.parse(saved);
                 }
             } catch (e) {
                 LOG.warn('Could not load preferences:', e.message);
             }
+
+            this._suspendSave = true;
+            this._layers = this._readLayers(prefs);
+            this._applyLayers();
+            this._suspendSave = false;
         },
 
         /**
-         * Apply a preferences object
+         * Re-apply preferences after the server copy was merged in
          * @private
          */
-        _applyPreferences: function(prefs) {
-            if (!prefs || typeof prefs !== 'object') {
+        _onStorageSynced: function(e) {
+            var keys = (e.detail && e.detail.keys) || [];
+            if (keys.indexOf(CONFIG.storage.preferencesKey) === -1) {
                 return;
             }
 
-            if (prefs.fontSize && prefs.fontSize !== 1.0) {
-                this.setFontSize(prefs.fontSize);
-            }
-            if (prefs.contrastMode && prefs.contrastMode !== 'none') {
-                this.setHighContrast(prefs.contrastMode);
-            }
-            if (prefs.stopAnimations) {
-                this.setStopAnimations(true);
-            }
-            if (prefs.readingGuide) {
-                this.setReadingGuide(true);
-            }
-            if (prefs.focusHighlight) {
-                this.setFocusHighlight(true);
-            }
-            if (prefs.lineHeight && prefs.lineHeight !== 1.0) {
-                this.setLineHeight(prefs.lineHeight);
-            }
-            if (prefs.letterSpacing) {
-                this.setLetterSpacing(prefs.letterSpacing);
-            }
-            if (prefs.wordSpacing) {
-                this.setWordSpacing(prefs.wordSpacing);
-            }
-            if (prefs.cursorSize && prefs.cursorSize !== 'default') {
-                this.setCursorSize(prefs.cursorSize);
-            }
-            if (prefs.linkHighlight) {
-                this.setLinkHighlight(true);
-            }
+            this._loadSavedPreferences();
+            this._notifySystemChange();
+            LOG.log('Preferences re-applied from server copy');
+        },
+
+        /**
+         * Re-apply the layers with the administrator's defaults and locked
+         * settings (A11Y_ADMIN)
+         * @private
+         */
+        _onAdminConfigChanged: function() {
+            this._applyLayers();
+            this._notifySystemChange();
+            LOG.log('Preferences re-applied with the administrator configuration');
         },
 
         /**
@@ -705,39 +2772,53 @@
          * @returns {object} Current settings (copy)
          */
         getSettings: function() {
-            var copy = {};
-            for (var key in this._settings) {
-                if (this._settings.hasOwnProperty(key)) {
-                    copy[key] = this._settings[key];
-                }
-            }
-            return copy;
+            return copySettings(this._settings);
         },
 
         /**
-         * Reset all styles to default
-         * @returns {object} this - for chaining
+         * Check whether the administrator locked a setting (A11Y_CONFIG.locked,
+         * see A11Y_ADMIN). Setters leave locked settings at their locked value.
+         * @param {string} key - Setting name, e.g. 'fontFamily'
+         * @returns {boolean} True if locked
          */
-        resetAll: function() {
-            this._settings = {
-                fontSize: CONFIG.defaults.fontSize || 1.0,
-                contrastMode: CONFIG.defaults.contrastMode || 'none',
-                stopAnimations: false,
-                readingGuide: false,
-                focusHighlight: false,
-                lineHeight: CONFIG.defaults.lineHeight || 1.0,
-                letterSpacing: CONFIG.defaults.letterSpacing || 0,
-                wordSpacing: CONFIG.defaults.wordSpacing || 0,
-                cursorSize: CONFIG.defaults.cursorSize || 'default',
-                linkHighlight: false
-            };
-            this._currentRules = {};
-            this._applyRules();
+        isLocked: function(key) {
+            return !!CONFIG.locked && SETTING_SETTERS.hasOwnProperty(key) &&
+                Object.prototype.hasOwnProperty.call(CONFIG.locked, key);
+        },
+
+        /**
+         * Get the settings locked by the administrator
+         * @returns {Array} Setting names
+         */
+        getLockedSettings: function() {
+            return Object.keys(SETTING_SETTERS).filter(this.isLocked, this);
+        },
 
-            if (this._readingGuideElement) {
-                this._readingGuideElement.style.display = 'none';
+        /**
+         * Check a setter call against the locks: true (and the call is
+         * dropped) when the setting is locked, except while the layers are
+         * applied
+         * @private
+         */
+        _rejectLocked: function(key) {
+            if (this._applyingLayers || !this.isLocked(key)) {
+                return false;
             }
 
+            LOG.log('Setting locked by the administrator:', key);
+            return true;
+        },
+
+        /**
+         * Reset all styles to default: drop the profiles and the user's own
+         * changes and follow the OS preferences again, as on first run.
+         * Locked settings keep their locked values.
+         * @returns {object} this - for chaining
+         */
+        resetAll: function() {
+            this._layers = { system: true, profiles: [], overrides: {} };
+            this._applyLayers();
+            this._notifySystemChange();
             return this;
         },
 
@@ -755,7 +2836,39 @@
             if (this._eventHandlers.focusout) {
                 document.removeEventListener('focusout', this._eventHandlers.focusout);
             }
+            if (this._eventHandlers.caret) {
+                this._removeTrackingListeners(document, this._eventHandlers);
+            }
+            if (this._eventHandlers.adminConfigChanged) {
+                document.removeEventListener('a11y:adminConfigChanged', this._eventHandlers.adminConfigChanged);
+            }
+            if (this._eventHandlers.storageSynced) {
+                document.removeEventListener('a11y:storageSynced', this._eventHandlers.storageSynced);
+            }
+            var systemChange = this._eventHandlers.systemChange;
+            Object.keys(this._systemQueries).forEach(function(name) {
+                var query = this._systemQueries[name];
+                if (query.removeEventListener) {
+                    query.removeEventListener('change', systemChange);
+                } else if (query.removeListener) {
+                    query.removeListener(systemChange);
+                }
+            }, this);
+            this._systemQueries = {};
             this._eventHandlers = {};
+            this._removeMagnifier();
+
+            // Detach from PeopleSoft frames
+            var self = this;
+            this._frames.forEach(function(entry) {
+                self._detachFrame(entry);
+            });
+            this._frames = [];
+
+            if (this._pageChangeUnsubscribe) {
+                this._pageChangeUnsubscribe();
+                this._pageChangeUnsubscribe = null;
+            }
 
             // Remove DOM elements
             if (this._styleElement && this._styleElement.parentNode) {
@@ -764,15 +2877,39 @@
             if (this._readingGuideElement && this._readingGuideElement.parentNode) {
                 this._readingGuideElement.parentNode.removeChild(this._readingGuideElement);
             }
+            if (this._readingMaskElements) {
+                [this._readingMaskElements.top, this._readingMaskElements.bottom].forEach(function(element) {
+                    if (element.parentNode) {
+                        element.parentNode.removeChild(element);
+                    }
+                });
+            }
+            if (this._colorFilterElement && this._colorFilterElement.parentNode) {
+                this._colorFilterElement.parentNode.removeChild(this._colorFilterElement);
+            }
 
             this._styleElement = null;
             this._readingGuideElement = null;
+            this._readingMaskElements = null;
+            this._colorFilterElement = null;
             this._initialized = false;
 
             LOG.log('Styles module destroyed');
         }
     };
 
+    // Every setter call (panel, shortcuts, profiles, script) passes the lock check first
+    Object.keys(SETTING_SETTERS).forEach(function(key) {
+        var setter = A11Y_STYLES[SETTING_SETTERS[key]];
+
+        A11Y_STYLES[SETTING_SETTERS[key]] = function() {
+            if (this._rejectLocked(key)) {
+                return this;
+            }
+            return setter.apply(this, arguments);
+        };
+    });
+
     // Initialize on DOM ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function() {
@@ -0,0 +1,428 @@
+/**
+ * Headless accessibility scan
+ * PeopleSoft Accessibility Widget - Command-line runner
+ *
+ * Runs A11Y_SCANNER (the PeopleSoft rules, plus axe-core when installed)
+ * in jsdom against saved PeopleSoft page HTML or pages served over HTTP,
+ * e.g. by tools/mock-iscript-server.js. No browser is needed, so it can
+ * gate a CI build.
+ *
+ * Requires jsdom. axe-core and jquery are optional:
+ *   npm install jsdom axe-core jquery
+ *   - axe-core: run the axe rules as well as the PeopleSoft rules
+ *   - jquery:   load a11y-psft-hooks.js, so results carry the component
+ *               and page names from pt_pageinfo_win0
+ *
+ * Usage:
+ *   node tools/a11y-scan-cli.js [options] <file.html|url>...
+ *
+ * Several pages are combined into one report, in the same form as a crawl.
+ * Run with --help for the options.
+ *
+ * Exit codes:
+ *   0  No violations at or above --fail-on (baselined issues are ignored)
+ *   1  Violations at or above --fail-on
+ *   2  Usage error, or a page could not be loaded or scanned
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var SRC = path.resolve(__dirname, '..', 'src', 'js');
+
+var IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+var EXIT_OK = 0;
+var EXIT_VIOLATIONS = 1;
+var EXIT_ERROR = 2;
+
+var USAGE = [
+    'Usage: node tools/a11y-scan-cli.js [options] <file.html|url>...',
+    '',
+    'Options:',
+    '  --format <id>       Export format: csv, json, sarif, junit or html (default: text summary)',
+    '  --output <file>     Write to a file instead of stdout',
+    '  --fail-on <impact>  Lowest impact that fails the run: critical, serious, moderate,',
+    '                      minor or none (default: serious)',
+    '  --rules <ids>       Only run these rules, comma-separated',
+    '  --tags <tags>       Only run rules with these tags, comma-separated (e.g. wcag2a,psft)',
+    '  --baseline <file>   Baseline exported from the widget; baselined issues do not fail the run',
+    '  --url <url>         Page URL assumed for HTML files (default: http://localhost/<file name>)',
+    '  --no-axe            Run the PeopleSoft rules only',
+    '  --verbose           Show the widget log on stderr',
+    '  --help              Show this help'
+].join('\n');
+
+/**
+ * Require an optional package
+ * @returns {*} The module, or null if it is not installed
+ */
+function optionalRequire(name) {
+    try {
+        return require(name);
+    } catch (e) {
+        if (e.code === 'MODULE_NOT_FOUND') {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Parse command-line arguments
+ * @throws {Error} On an unknown option or a missing value
+ */
+function parseArgs(argv) {
+    var options = {
+        format: null,
+        output: null,
+        failOn: 'serious',
+        runOnly: null,
+        baseline: null,
+        url: null,
+        axe: true,
+        verbose: false,
+        help: false,
+        inputs: []
+    };
+
+    var value = function(i) {
+        if (i + 1 >= argv.length || argv[i + 1].indexOf('--') === 0) {
+            throw new Error(argv[i] + ' needs a value');
+        }
+        return argv[i + 1];
+    };
+
+    var list = function(text) {
+        return text.split(',').map(function(item) {
+            return item.trim();
+        }).filter(Boolean);
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--format':
+                options.format = value(i++);
+                break;
+            case '--output':
+                options.output = value(i++);
+                break;
+            case '--fail-on':
+                options.failOn = value(i++);
+                if (options.failOn !== 'none' && IMPACT_ORDER.indexOf(options.failOn) === -1) {
+                    throw new Error('--fail-on must be one of ' + IMPACT_ORDER.join(', ') + ' or none');
+                }
+                break;
+            case '--rules':
+            case '--tags':
+                if (options.runOnly) {
+                    throw new Error('Use either --rules or --tags');
+                }
+                options.runOnly = { type: argv[i] === '--rules' ? 'rule' : 'tag', values: list(value(i++)) };
+                break;
+            case '--baseline':
+                options.baseline = value(i++);
+                break;
+            case '--url':
+                options.url = value(i++);
+                break;
+            case '--no-axe':
+                options.axe = false;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (argv[i].indexOf('--') === 0) {
+                    throw new Error('Unknown option ' + argv[i]);
+                }
+                options.inputs.push(argv[i]);
+        }
+    }
+
+    if (!options.help && !options.inputs.length) {
+        throw new Error('No pages given');
+    }
+
+    return options;
+}
+
+/**
+ * Send the page's console to stderr: errors always, the rest with --verbose
+ */
+function createVirtualConsole(jsdom, verbose) {
+    var virtualConsole = new jsdom.VirtualConsole();
+
+    ['log', 'info', 'warn', 'error'].forEach(function(method) {
+        virtualConsole.on(method, function() {
+            if (verbose || method === 'error') {
+                process.stderr.write(Array.prototype.join.call(arguments, ' ') + '\n');
+            }
+        });
+    });
+
+    virtualConsole.on('jsdomError', function(error) {
+        // Saved pages routinely contain CSS jsdom cannot parse
+        if (verbose) {
+            process.stderr.write('[jsdom] ' + error.message + '\n');
+        }
+    });
+
+    return virtualConsole;
+}
+
+/**
+ * Load a saved HTML file or a URL into jsdom. Page scripts are not run;
+ * the widget modules are evaluated into the window instead.
+ * @returns {Promise} Resolves with the JSDOM instance
+ */
+function loadPage(jsdom, input, options) {
+    var jsdomOptions = {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: createVirtualConsole(jsdom, options.verbose)
+    };
+
+    if (/^https?:\/\//i.test(input)) {
+        return jsdom.JSDOM.fromURL(input, jsdomOptions);
+    }
+
+    return new Promise(function(resolve) {
+        jsdomOptions.url = options.url || 'http://localhost/' + encodeURIComponent(path.basename(input));
+        resolve(new jsdom.JSDOM(fs.readFileSync(input, 'utf8'), jsdomOptions));
+    });
+}
+
+/**
+ * Load and scan one page
+ * @returns {Promise} Resolves with { page, scanner, window }, where page is
+ *   { target, url, status, error, results } as in a crawl report
+ */
+function scanPage(deps, input, options) {
+    var page = { target: input, url: '', status: 'failed', error: null, results: null };
+    var window = null;
+    var scanner = null;
+
+    return loadPage(deps.jsdom, input, options).then(function(dom) {
+        window = dom.window;
+        page.url = window.location.href;
+
+        window.eval(deps.sources.config);
+        if (deps.jquery) {
+            window.a11yJQ = deps.jquery(window);
+            window.eval(deps.sources.psftHooks);
+        }
+        if (options.axe && deps.axeSource) {
+            window.eval(deps.axeSource);
+        }
+
+        scanner = window.A11Y_SCANNER = deps.createScanner(window, { ENABLE_CDN_FALLBACK: false });
+
+        return new Promise(function(resolve) {
+            scanner.init(resolve);
+        });
+    }).then(function() {
+        if (deps.baseline) {
+            scanner.importBaseline(deps.baseline, { replace: true });
+        }
+
+        var scanOptions = { history: false };
+        if (options.runOnly) {
+            scanOptions.runOnly = options.runOnly;
+        }
+        return scanner.scan(scanOptions);
+    }).then(function(results) {
+        page.status = 'scanned';
+        page.results = results;
+        return { page: page, scanner: scanner, window: window };
+    }).catch(function(error) {
+        page.error = error.message;
+        return { page: page, scanner: scanner, window: window };
+    });
+}
+
+/**
+ * Check whether a violation fails the run
+ */
+function isFailing(violation, failOn) {
+    return failOn !== 'none' &&
+        violation.baselineStatus !== 'baselined' &&
+        IMPACT_ORDER.indexOf(violation.impact) !== -1 &&
+        IMPACT_ORDER.indexOf(violation.impact) <= IMPACT_ORDER.indexOf(failOn);
+}
+
+/**
+ * Format a plain-text summary of the scanned pages
+ */
+function formatSummary(pages, failOn, failing) {
+    var lines = [];
+
+    pages.forEach(function(page) {
+        if (page.status !== 'scanned') {
+            lines.push(page.target + ': failed - ' + page.error);
+            return;
+        }
+
+        var results = page.results;
+        var baselined = results.violations.filter(function(v) {
+            return v.baselineStatus === 'baselined';
+        }).length;
+        var counts = IMPACT_ORDER.filter(function(impact) {
+            return results.summary[impact];
+        }).map(function(impact) {
+            return results.summary[impact] + ' ' + impact;
+        });
+
+        lines.push(page.target + ' (' + results.component + ' / ' + results.page + '): ' +
+            results.violations.length + (results.violations.length === 1 ? ' violation' : ' violations') +
+            (counts.length ? ' (' + counts.join(', ') + ')' : '') +
+            (baselined ? ', ' + baselined + ' baselined' : ''));
+
+        results.violations.forEach(function(v) {
+            lines.push('  ' + (isFailing(v, failOn) ? 'x' : '-') + ' [' + v.impact.toUpperCase() + '] ' +
+                v.ruleId + '  ' + v.element.selector +
+                (v.baselineStatus === 'baselined' ? '  (baselined)' : ''));
+            lines.push('      ' + v.suggestedFix);
+        });
+    });
+
+    lines.push('');
+    lines.push(failOn === 'none' ? 'Not failing on violations (--fail-on none)' :
+        failing + (failing === 1 ? ' violation' : ' violations') + ' at or above ' + failOn);
+
+    return lines.join('\n');
+}
+
+/**
+ * Run the scan
+ * @returns {Promise} Resolves with the exit code
+ */
+function run(argv) {
+    var options;
+
+    try {
+        options = parseArgs(argv);
+    } catch (e) {
+        process.stderr.write(e.message + '\n\n' + USAGE + '\n');
+        return Promise.resolve(EXIT_ERROR);
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return Promise.resolve(EXIT_OK);
+    }
+
+    var jsdom = optionalRequire('jsdom');
+    if (!jsdom) {
+        process.stderr.write('jsdom is not installed: npm install jsdom\n');
+        return Promise.resolve(EXIT_ERROR);
+    }
+
+    var axeCore = options.axe ? optionalRequire('axe-core') : null;
+    if (options.axe && !axeCore) {
+        process.stderr.write('axe-core is not installed; running the PeopleSoft rules only\n');
+    }
+
+    var deps = {
+        jsdom: jsdom,
+        jquery: optionalRequire('jquery'),
+        axeSource: axeCore ? axeCore.source : null,
+        createScanner: require(path.join(SRC, 'a11y-aria-scanner.js')),
+        sources: {
+            config: fs.readFileSync(path.join(SRC, 'a11y-config.js'), 'utf8'),
+            psftHooks: fs.readFileSync(path.join(SRC, 'a11y-psft-hooks.js'), 'utf8')
+        },
+        baseline: null
+    };
+
+    try {
+        deps.baseline = options.baseline ? JSON.parse(fs.readFileSync(options.baseline, 'utf8')) : null;
+    } catch (e) {
+        process.stderr.write('Could not read baseline ' + options.baseline + ': ' + e.message + '\n');
+        return Promise.resolve(EXIT_ERROR);
+    }
+
+    var scanned = [];
+
+    var closeWindows = function() {
+        scanned.forEach(function(result) {
+            if (result.window) {
+                result.window.close();
+            }
+        });
+    };
+
+    // One page at a time, each in its own window
+    return options.inputs.reduce(function(previous, input) {
+        return previous.then(function() {
+            return scanPage(deps, input, options).then(function(result) {
+                scanned.push(result);
+            });
+        });
+    }, Promise.resolve()).then(function() {
+        var pages = scanned.map(function(result) {
+            return result.page;
+        });
+        var scanner = scanned.filter(function(result) {
+            return result.scanner;
+        }).map(function(result) {
+            return result.scanner;
+        })[0];
+
+        var failing = 0;
+        var failed = pages.filter(function(page) {
+            if (page.status !== 'scanned') {
+                process.stderr.write(page.target + ': ' + page.error + '\n');
+                return true;
+            }
+            failing += page.results.violations.filter(function(v) {
+                return isFailing(v, options.failOn);
+            }).length;
+            return false;
+        });
+
+        var content;
+        if (!options.format) {
+            content = formatSummary(pages, options.failOn, failing);
+        } else if (scanner) {
+            var known = scanner.getExporters().map(function(exporter) {
+                return exporter.id;
+            });
+            if (known.indexOf(options.format) === -1) {
+                throw new Error('Unknown format ' + options.format + '; available: ' + known.join(', '));
+            }
+            content = scanner.exportResults(options.format,
+                pages.length === 1 ? pages[0].results : scanner.combineResults(pages));
+        }
+
+        closeWindows();
+
+        if (content !== undefined) {
+            if (options.output) {
+                fs.writeFileSync(options.output, content);
+            } else {
+                process.stdout.write(content.replace(/\n?$/, '\n'));
+            }
+        }
+
+        if (failed.length) {
+            return EXIT_ERROR;
+        }
+        return failing ? EXIT_VIOLATIONS : EXIT_OK;
+    }).catch(function(error) {
+        closeWindows();
+        process.stderr.write(error.message + '\n');
+        return EXIT_ERROR;
+    });
+}
+
+run(process.argv.slice(2)).then(function(code) {
+    process.exitCode = code;
+});
@@ -0,0 +1,221 @@
+/**
+ * Mock PeopleSoft iScript preference endpoint
+ * PeopleSoft Accessibility Widget - Local development server
+ *
+ * Stands in for WEBLIB_A11Y.ISCRIPT1.FieldFormula.IScript_Preferences so the
+ * A11Y_STORAGE remote adapter can be exercised without a PeopleSoft instance,
+ * and for IScript_AdminConfig (A11Y_ADMIN), serving an institution
+ * configuration file. Also serves the repository files so test pages load
+ * from the same origin.
+ *
+ * Usage:
+ *   node tools/mock-iscript-server.js [port] [admin-config.json]
+ *
+ * Then set in a11y-config.js:
+ *   storage.remote = { enabled: true, url: '/iscript/preferences' }
+ *   admin = { enabled: true, url: '/iscript/admin-config' }
+ *
+ * The configuration file is read on every request, so edits show up on the
+ * widget's next refresh.
+ * Preferences are kept in memory per OPRID. Send POST /iscript/offline to
+ * toggle a simulated outage of the preference endpoint, or append ?offline=1
+ * to a single preference request to drop just that one.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+'use strict';
+
+var http = require('http');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var PORT = parseInt(process.argv[2], 10) || 8085;
+var ROOT = path.resolve(__dirname, '..');
+var ENDPOINT = '/iscript/preferences';
+var ADMIN_ENDPOINT = '/iscript/admin-config';
+var ADMIN_FILE = process.argv[3] ? path.resolve(process.argv[3]) : null;
+
+var CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+// OPRID -> { key: { value, updatedAt } }
+var store = {};
+var offline = false;
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a request body as JSON
+ */
+function readJSON(req, callback) {
+    var chunks = [];
+    req.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    req.on('end', function() {
+        try {
+            callback(null, JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch (e) {
+            callback(e);
+        }
+    });
+}
+
+/**
+ * Handle GET/POST against the preference endpoint
+ */
+function handlePreferences(req, res, query) {
+    var oprid = query.OPRID;
+
+    if (!oprid) {
+        sendJSON(res, 400, { error: 'OPRID is required' });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        if (!store[oprid]) {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        sendJSON(res, 200, { oprid: oprid, values: store[oprid] });
+        return;
+    }
+
+    if (req.method === 'POST') {
+        readJSON(req, function(err, body) {
+            if (err || !body.values) {
+                sendJSON(res, 400, { error: 'Expected { oprid, values }' });
+                return;
+            }
+
+            var current = store[oprid] = store[oprid] || {};
+
+            // Last write wins per key, same rule as the client merge
+            Object.keys(body.values).forEach(function(key) {
+                var incoming = body.values[key];
+                if (!current[key] || !current[key].updatedAt || incoming.updatedAt >= current[key].updatedAt) {
+                    current[key] = { value: incoming.value, updatedAt: incoming.updatedAt };
+                }
+            });
+
+            console.log('[mock-iscript] ' + oprid + ' saved: ' + Object.keys(body.values).join(', '));
+            sendJSON(res, 200, { oprid: oprid, values: current });
+        });
+        return;
+    }
+
+    sendJSON(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Serve the institution configuration file with an ETag
+ */
+function handleAdminConfig(req, res) {
+    if (!ADMIN_FILE) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    fs.readFile(ADMIN_FILE, function(err, data) {
+        if (err) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        var etag = '"' + crypto.createHash('sha1').update(data).digest('hex') + '"';
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { 'ETag': etag });
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': etag });
+        res.end(data);
+    });
+}
+
+/**
+ * Serve a file from the repository
+ */
+function serveStatic(res, pathname) {
+    var filePath;
+
+    try {
+        filePath = path.join(ROOT, decodeURIComponent(pathname));
+    } catch (e) {
+        // Malformed percent-encoding
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    // Compare with the trailing separator so sibling directories sharing
+    // the prefix are refused too
+    if (filePath !== ROOT && filePath.indexOf(ROOT + path.sep) !== 0) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, function(err, data) {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(data);
+    });
+}
+
+var server = http.createServer(function(req, res) {
+    var parsed = url.parse(req.url, true);
+
+    if (parsed.pathname === '/iscript/offline' && req.method === 'POST') {
+        offline = !offline;
+        sendJSON(res, 200, { offline: offline });
+        return;
+    }
+
+    if (parsed.pathname === ENDPOINT) {
+        if (offline || parsed.query.offline === '1') {
+            // Simulate the web server being unreachable
+            req.socket.destroy();
+            return;
+        }
+        handlePreferences(req, res, parsed.query);
+        return;
+    }
+
+    if (parsed.pathname === ADMIN_ENDPOINT) {
+        handleAdminConfig(req, res);
+        return;
+    }
+
+    serveStatic(res, parsed.pathname === '/' ? '/demo/widget-demo.html' : parsed.pathname);
+});
+
+server.listen(PORT, function() {
+    console.log('[mock-iscript] Listening on http://localhost:' + PORT);
+    console.log('[mock-iscript] Preference endpoint: ' + ENDPOINT + '?OPRID=<user>');
+    console.log('[mock-iscript] Admin config endpoint: ' + ADMIN_ENDPOINT +
+        (ADMIN_FILE ? ' (' + ADMIN_FILE + ')' : ' (no file - 204)'));
+});